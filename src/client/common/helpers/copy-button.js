@@ -0,0 +1,32 @@
+/**
+ * Enables buttons that copy the value of a target field to the clipboard
+ * Buttons are hidden in the markup so they only appear when copying works
+ *
+ * @param {Document} $document - The document to enhance
+ */
+export function initCopyButtons($document = document) {
+  if (!navigator.clipboard) {
+    return
+  }
+
+  $document
+    .querySelectorAll('[data-module="app-copy-button"]')
+    .forEach(($button) => {
+      const $target = $document.getElementById($button.dataset.copyTarget)
+
+      if (!$target) {
+        return
+      }
+
+      const defaultText = $button.textContent.trim()
+      $button.hidden = false
+
+      $button.addEventListener('click', async () => {
+        await navigator.clipboard.writeText($target.value)
+        $button.textContent = $button.dataset.copiedText
+        setTimeout(() => {
+          $button.textContent = defaultText
+        }, 3000)
+      })
+    })
+}
@@ -0,0 +1,27 @@
+/**
+ * Copies text selected in the transcript into the manual redaction input
+ * so researchers can highlight missed PII instead of retyping it
+ *
+ * @param {Document} $document - The document to enhance
+ */
+export function initManualRedaction($document = document) {
+  const $transcript = $document.querySelector('[data-module="app-transcript"]')
+  const $input = $document.getElementById('manual-redaction-text')
+
+  if (!$transcript || !$input) {
+    return
+  }
+
+  $transcript.addEventListener('mouseup', () => {
+    const selection = $document.getSelection()
+    const selectedText = selection?.toString().trim()
+
+    if (
+      selectedText &&
+      $transcript.contains(selection.anchorNode) &&
+      $transcript.contains(selection.focusNode)
+    ) {
+      $input.value = selectedText
+    }
+  })
+}
@@ -0,0 +1,149 @@
+// Shared between tabs, so an idle tab does not sign out a user who is active in another
+const EXPIRY_STORAGE_KEY = 'app-session-expires-at'
+
+function readSharedExpiry() {
+  try {
+    return Number(window.localStorage.getItem(EXPIRY_STORAGE_KEY)) || 0
+  } catch {
+    return 0
+  }
+}
+
+function writeSharedExpiry(expiresAt) {
+  try {
+    window.localStorage.setItem(EXPIRY_STORAGE_KEY, String(expiresAt))
+  } catch {
+    // Storage can be unavailable, for example in private browsing
+  }
+}
+
+function formatTimeLeft(milliseconds) {
+  const seconds = Math.max(0, Math.ceil(milliseconds / 1000))
+
+  if (seconds >= 60) {
+    const minutes = Math.ceil(seconds / 60)
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`
+  }
+
+  return `${seconds} second${seconds === 1 ? '' : 's'}`
+}
+
+/**
+ * Warns signed in users before their session times out, following the GOV.UK
+ * timeout warning pattern
+ * Choosing to stay signed in extends the session on the server. If the user
+ * does nothing they are sent to the timed out page when the session ends
+ *
+ * @param {Document} $document - The document to enhance
+ */
+export function initTimeoutWarning($document = document) {
+  const $dialog = $document.querySelector('[data-module="app-timeout-warning"]')
+
+  if (!$dialog || typeof $dialog.showModal !== 'function') {
+    return
+  }
+
+  const $countdown = $dialog.querySelector('[data-timeout-countdown]')
+  const $extendButton = $dialog.querySelector('[data-timeout-extend]')
+  const { extendUrl, timedOutUrl, csrfToken } = $dialog.dataset
+  const warningBefore = Number($dialog.dataset.warningBefore) * 1000
+
+  let expiresAt = Date.now() + Number($dialog.dataset.expiresIn) * 1000
+  let warningTimer
+  let signOutTimer
+  let countdownTimer
+
+  function signOut() {
+    window.location.href = timedOutUrl
+  }
+
+  function updateCountdown() {
+    $countdown.textContent = formatTimeLeft(expiresAt - Date.now())
+  }
+
+  function schedule() {
+    clearTimeout(warningTimer)
+    clearTimeout(signOutTimer)
+
+    warningTimer = setTimeout(
+      showWarning,
+      expiresAt - warningBefore - Date.now()
+    )
+    signOutTimer = setTimeout(checkExpired, expiresAt - Date.now())
+  }
+
+  // Another tab may have kept the session alive since this one was loaded
+  function catchUpWithOtherTabs() {
+    const sharedExpiry = readSharedExpiry()
+
+    if (sharedExpiry > expiresAt) {
+      expiresAt = sharedExpiry
+      hideWarning()
+      schedule()
+      return true
+    }
+
+    return false
+  }
+
+  function showWarning() {
+    if (catchUpWithOtherTabs()) {
+      return
+    }
+
+    updateCountdown()
+    countdownTimer = setInterval(updateCountdown, 1000)
+
+    if (!$dialog.open) {
+      $dialog.showModal()
+    }
+  }
+
+  function hideWarning() {
+    clearInterval(countdownTimer)
+
+    if ($dialog.open) {
+      $dialog.close()
+    }
+  }
+
+  function checkExpired() {
+    if (!catchUpWithOtherTabs()) {
+      signOut()
+    }
+  }
+
+  async function staySignedIn() {
+    try {
+      const response = await fetch(extendUrl, {
+        method: 'POST',
+        headers: { accept: 'application/json', 'x-csrf-token': csrfToken },
+        credentials: 'same-origin'
+      })
+
+      if (!response.ok) {
+        signOut()
+        return
+      }
+
+      const { expiresIn } = await response.json()
+      expiresAt = Date.now() + expiresIn * 1000
+      writeSharedExpiry(expiresAt)
+      hideWarning()
+      schedule()
+    } catch {
+      signOut()
+    }
+  }
+
+  $extendButton.addEventListener('click', staySignedIn)
+
+  // Escape would close the dialog without extending the session
+  $dialog.addEventListener('cancel', (event) => {
+    event.preventDefault()
+  })
+
+  // Loading a page counts as activity, so its expiry is the latest
+  writeSharedExpiry(expiresAt)
+  schedule()
+}
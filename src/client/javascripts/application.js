@@ -8,9 +8,17 @@ import {
   SkipLink
 } from 'govuk-frontend'
 
+import { initCopyButtons } from '../common/helpers/copy-button.js'
+import { initManualRedaction } from '../common/helpers/manual-redaction.js'
+import { initTimeoutWarning } from '../common/helpers/timeout-warning.js'
+
 createAll(Button)
 createAll(Checkboxes)
 createAll(ErrorSummary)
 createAll(Header)
 createAll(Radios)
 createAll(SkipLink)
+
+initManualRedaction()
+initCopyButtons()
+initTimeoutWarning()
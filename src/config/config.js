@@ -6,6 +6,10 @@ import convictFormatWithValidator from 'convict-format-with-validator'
 
 const dirname = path.dirname(fileURLToPath(import.meta.url))
 
+const oneMinuteMs = 60000
+const twoMinutesMs = 120000
+const fiveMinutesMs = 300000
+const thirtyMinutesMs = 1800000
 const fourHoursMs = 14400000
 const oneWeekMs = 604800000
 
@@ -145,6 +149,26 @@ export const config = convict({
         env: 'SESSION_CACHE_TTL'
       }
     },
+    timeout: {
+      idle: {
+        doc: 'Signs users out after this long without an authenticated request, in milliseconds',
+        format: 'nat',
+        default: thirtyMinutesMs,
+        env: 'SESSION_IDLE_TIMEOUT'
+      },
+      absolute: {
+        doc: 'Maximum session lifetime however active the user is, in milliseconds. Keep within the session cookie ttl',
+        format: 'nat',
+        default: fourHoursMs,
+        env: 'SESSION_ABSOLUTE_TIMEOUT'
+      },
+      warning: {
+        doc: 'How long before an idle sign out to warn the user, in milliseconds',
+        format: 'nat',
+        default: twoMinutesMs,
+        env: 'SESSION_TIMEOUT_WARNING'
+      }
+    },
     cookie: {
       ttl: {
         doc: 'Session cookie ttl',
@@ -167,6 +191,43 @@ export const config = convict({
       }
     }
   },
+  rateLimit: {
+    enabled: {
+      doc: 'Limit how often each client can start signing in and call back from the identity provider',
+      format: Boolean,
+      default: true,
+      env: 'RATE_LIMIT_ENABLED'
+    },
+    trustedProxies: {
+      doc: 'Number of proxies in front of the service, each adding to X-Forwarded-For, used to find the client IP address',
+      format: 'nat',
+      default: isProduction ? 1 : 0,
+      env: 'RATE_LIMIT_TRUSTED_PROXIES'
+    },
+    perIp: {
+      doc: 'Limit across all rate limited routes for each client IP address, with limit requests per windowMs and lockoutMs to wait once exceeded, as JSON',
+      format: Object,
+      default: { limit: 30, windowMs: oneMinuteMs, lockoutMs: fiveMinutesMs },
+      env: 'RATE_LIMIT_PER_IP'
+    },
+    routes: {
+      doc: 'Limits for each route path for each client IP address, with limit requests per windowMs and lockoutMs to wait once exceeded, as JSON',
+      format: Object,
+      default: {
+        '/login': {
+          limit: 20,
+          windowMs: oneMinuteMs,
+          lockoutMs: fiveMinutesMs
+        },
+        '/auth/callback': {
+          limit: 10,
+          windowMs: oneMinuteMs,
+          lockoutMs: fiveMinutesMs
+        }
+      },
+      env: 'RATE_LIMIT_ROUTES'
+    }
+  },
   redis: {
     host: {
       doc: 'Redis cache host',
@@ -226,6 +287,23 @@ export const config = convict({
       env: 'TRACING_HEADER'
     }
   },
+  transcriptUpload: {
+    maxFileSize: {
+      doc: 'Maximum size in bytes of an uploaded transcript file',
+      format: 'nat',
+      default: 2 * 1024 * 1024,
+      env: 'TRANSCRIPT_UPLOAD_MAX_FILE_SIZE'
+    }
+  },
+  transcriptStorage: {
+    encryptionKey: {
+      doc: 'Secret used to derive the per-session keys that encrypt transcript drafts',
+      format: String,
+      default: 'transcript-encryption-key-must-be-at-least-32-characters',
+      env: 'TRANSCRIPT_ENCRYPTION_KEY',
+      sensitive: true
+    }
+  },
   auth: {
     session: {
       ttl: {
@@ -241,6 +319,55 @@ export const config = convict({
       default: 'jwt-secret-must-be-at-least-32-characters-long',
       env: 'JWT_SECRET',
       sensitive: true
+    },
+    jwtKeyId: {
+      doc: 'Key ID of jwtSecret, put in the kid header of session tokens. Change it whenever the secret is rotated',
+      format: String,
+      default: 'session-key-1',
+      env: 'JWT_KEY_ID'
+    },
+    previousJwtSecrets: {
+      doc: 'Secrets rotated out of jwtSecret, by key ID, as JSON. Session tokens signed with them are still accepted until the sessions end',
+      format: Object,
+      default: {},
+      env: 'JWT_PREVIOUS_SECRETS',
+      sensitive: true
+    },
+    refreshTokenEncryptionKey: {
+      doc: 'Secret used to derive the per-session keys that encrypt identity provider refresh tokens',
+      format: String,
+      default: 'refresh-token-encryption-key-must-be-at-least-32-characters',
+      env: 'REFRESH_TOKEN_ENCRYPTION_KEY',
+      sensitive: true
+    },
+    csrfSecret: {
+      doc: 'Secret used to derive the per-session tokens that protect forms from cross-site request forgery',
+      format: String,
+      default: 'csrf-secret-must-be-at-least-32-characters-long',
+      env: 'CSRF_SECRET',
+      sensitive: true
+    },
+    identityRefreshInterval: {
+      doc: 'How often to renew identity tokens during a session, so directory changes such as a disabled account take effect, in milliseconds',
+      format: 'nat',
+      default: fiveMinutesMs,
+      env: 'AUTH_IDENTITY_REFRESH_INTERVAL'
+    },
+    roleMapping: {
+      doc: 'Maps each app role to the ID token roles and group object IDs that grant it, as JSON',
+      format: Object,
+      default: {
+        Researcher: { roles: ['Researcher'], groups: [] },
+        Analyst: { roles: ['Analyst'], groups: [] },
+        Admin: { roles: ['Admin'], groups: [] }
+      },
+      env: 'AUTH_ROLE_MAPPING'
+    },
+    identityProvider: {
+      doc: 'Identity provider users sign in with',
+      format: ['azure-ad'],
+      default: 'azure-ad',
+      env: 'AUTH_IDENTITY_PROVIDER'
     }
   },
   azureAd: {
@@ -277,17 +404,95 @@ export const config = convict({
       default: 'http://localhost:3000/auth/callback',
       env: 'AZ_REDIRECT_URI'
     },
+    discoveryEndpoint: {
+      doc: 'OpenID Connect discovery document path',
+      format: String,
+      default: 'v2.0/.well-known/openid-configuration',
+      env: 'AZ_ENDPOINT_DISCOVERY'
+    },
+    discoveryCacheTtl: {
+      doc: 'How long to cache the discovery document in milliseconds',
+      format: Number,
+      default: 24 * 60 * 60 * 1000,
+      env: 'AZ_DISCOVERY_CACHE_TTL'
+    },
     authorizeEndpoint: {
-      doc: 'Azure AD authorize endpoint path',
+      doc: 'Authorize endpoint path, overriding the discovery document',
       format: String,
-      default: 'oauth2/v2.0/authorize',
+      nullable: true,
+      default: null,
       env: 'AZ_ENDPOINT_AUTHORIZE'
     },
     tokenEndpoint: {
-      doc: 'Azure AD token endpoint path',
+      doc: 'Token endpoint path, overriding the discovery document',
       format: String,
-      default: 'oauth2/v2.0/token',
+      nullable: true,
+      default: null,
       env: 'AZ_ENDPOINT_TOKEN'
+    },
+    jwksEndpoint: {
+      doc: 'Signing keys (JWKS) endpoint path, overriding the discovery document',
+      format: String,
+      nullable: true,
+      default: null,
+      env: 'AZ_ENDPOINT_JWKS'
+    },
+    jwksCacheTtl: {
+      doc: 'How long to cache Azure AD signing keys in milliseconds',
+      format: Number,
+      default: 24 * 60 * 60 * 1000,
+      env: 'AZ_JWKS_CACHE_TTL'
+    },
+    logoutEndpoint: {
+      doc: 'End-session endpoint path, overriding the discovery document',
+      format: String,
+      nullable: true,
+      default: null,
+      env: 'AZ_ENDPOINT_LOGOUT'
+    },
+    postLogoutRedirectUri: {
+      doc: 'Where Azure AD sends the user after signing out',
+      format: 'url',
+      default: 'http://localhost:3000/signed-out',
+      env: 'AZ_POST_LOGOUT_REDIRECT_URI'
+    }
+  },
+  mockOidc: {
+    enabled: {
+      doc: 'Serve a mock OpenID Connect provider at /mock-oidc for local development and tests. Never enable in production',
+      format: Boolean,
+      default: false,
+      env: 'MOCK_OIDC_ENABLED'
+    },
+    users: {
+      doc: 'Fake users offered by the mock OpenID Connect provider',
+      format: Array,
+      default: [
+        {
+          oid: '00000000-0000-4000-8000-000000000001',
+          name: 'Rosa Researcher',
+          email: 'rosa.researcher@example.com',
+          roles: ['Researcher']
+        },
+        {
+          oid: '00000000-0000-4000-8000-000000000002',
+          name: 'Adam Admin',
+          email: 'adam.admin@example.com',
+          roles: ['Researcher', 'Admin']
+        },
+        {
+          oid: '00000000-0000-4000-8000-000000000004',
+          name: 'Alex Analyst',
+          email: 'alex.analyst@example.com',
+          roles: ['Analyst']
+        },
+        {
+          oid: '00000000-0000-4000-8000-000000000003',
+          name: 'Nina No-Role',
+          email: 'nina.no-role@example.com',
+          roles: []
+        }
+      ]
     }
   }
 })
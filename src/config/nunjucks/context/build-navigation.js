@@ -1,3 +1,41 @@
-export function buildNavigation(_request) {
-  return []
+import {
+  AUTHENTICATION_ROUTES,
+  NAVIGATION_LINKS
+} from '../../../server/common/constants/authentication-constants.js'
+import { SESSION_MANAGEMENT_ROUTES } from '../../../server/common/constants/session-management-constants.js'
+
+export function buildNavigation(request) {
+  const session = request?.app?.session
+
+  if (!session) {
+    return []
+  }
+
+  const userName = session.user?.name || session.user?.preferred_username
+
+  return [
+    ...(userName ? [{ text: userName }] : []),
+    {
+      href: SESSION_MANAGEMENT_ROUTES.YOUR_SESSIONS_PATH,
+      text: NAVIGATION_LINKS.YOUR_SESSIONS_TEXT
+    }
+  ]
+}
+
+/**
+ * The sign out button shown at the end of the header navigation
+ * Signing out is a POST, so it cannot be a navigation link
+ *
+ * @param {Object} request - The hapi request
+ * @returns {Object|null} The form action and button text, or null when signed out
+ */
+export function buildSignOut(request) {
+  if (!request?.app?.session) {
+    return null
+  }
+
+  return {
+    action: AUTHENTICATION_ROUTES.LOGOUT_PATH,
+    text: NAVIGATION_LINKS.SIGN_OUT_TEXT
+  }
 }
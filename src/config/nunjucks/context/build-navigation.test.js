@@ -1,4 +1,4 @@
-import { buildNavigation } from './build-navigation.js'
+import { buildNavigation, buildSignOut } from './build-navigation.js'
 
 function mockRequest(options) {
   return { ...options }
@@ -10,4 +10,68 @@ describe('#buildNavigation', () => {
       buildNavigation(mockRequest({ path: '/non-existent-path' }))
     ).toEqual([])
   })
+
+  test('Should provide empty navigation array when signed out', () => {
+    expect(
+      buildNavigation(mockRequest({ path: '/', app: { session: null } }))
+    ).toEqual([])
+  })
+
+  test('Should provide a sessions link when signed in', () => {
+    expect(
+      buildNavigation(
+        mockRequest({
+          path: '/upload-document',
+          app: { session: { session_id: 'session-id' } }
+        })
+      )
+    ).toEqual([{ href: '/account/sessions', text: 'Your sessions' }])
+  })
+
+  test('Should show the signed in user name before the sessions link', () => {
+    expect(
+      buildNavigation(
+        mockRequest({
+          path: '/upload-document',
+          app: {
+            session: {
+              session_id: 'session-id',
+              user: { name: 'Sarah Jones', preferred_username: 'sarah@x.gov' }
+            }
+          }
+        })
+      )
+    ).toEqual([
+      { text: 'Sarah Jones' },
+      { href: '/account/sessions', text: 'Your sessions' }
+    ])
+  })
+
+  test('Should fall back to the username when the name claim is missing', () => {
+    expect(
+      buildNavigation(
+        mockRequest({
+          app: {
+            session: {
+              user: { name: null, preferred_username: 'sarah@x.gov' }
+            }
+          }
+        })
+      )[0]
+    ).toEqual({ text: 'sarah@x.gov' })
+  })
+})
+
+describe('#buildSignOut', () => {
+  test('Should not provide a sign out button when signed out', () => {
+    expect(buildSignOut(mockRequest({ app: { session: null } }))).toBeNull()
+  })
+
+  test('Should post to the logout route when signed in', () => {
+    expect(
+      buildSignOut(
+        mockRequest({ app: { session: { session_id: 'session-id' } } })
+      )
+    ).toEqual({ action: '/logout', text: 'Sign out' })
+  })
 })
@@ -0,0 +1,29 @@
+import { config } from '../../config.js'
+import { issueCsrfToken } from '../../../server/common/helpers/csrf/csrf-token.js'
+import { AUTHENTICATION_ROUTES } from '../../../server/common/constants/authentication-constants.js'
+import { SESSION_TIMEOUT_ROUTES } from '../../../server/common/constants/session-timeout-constants.js'
+
+/**
+ * Builds the settings for the session timeout warning dialog
+ * Times are sent as seconds remaining rather than a date, so the warning
+ * does not depend on the browser's clock matching the server's
+ */
+export function buildSessionTimeout(request) {
+  const session = request?.app?.session
+
+  if (!session?.expires_at) {
+    return null
+  }
+
+  return {
+    expiresIn: Math.max(
+      0,
+      Math.floor((new Date(session.expires_at) - Date.now()) / 1000)
+    ),
+    warningBefore: Math.floor(config.get('session.timeout.warning') / 1000),
+    extendUrl: SESSION_TIMEOUT_ROUTES.EXTEND_PATH,
+    csrfToken: issueCsrfToken(session.session_id),
+    timedOutUrl: SESSION_TIMEOUT_ROUTES.TIMED_OUT_PATH,
+    signOutUrl: AUTHENTICATION_ROUTES.LOGOUT_PATH
+  }
+}
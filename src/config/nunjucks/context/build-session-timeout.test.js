@@ -0,0 +1,37 @@
+import { buildSessionTimeout } from './build-session-timeout.js'
+import { issueCsrfToken } from '../../../server/common/helpers/csrf/csrf-token.js'
+
+describe('#buildSessionTimeout', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ now: new Date('2026-03-12T10:00:00Z') })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('Should not warn signed out users', () => {
+    expect(buildSessionTimeout({ app: { session: null } })).toBeNull()
+    expect(buildSessionTimeout({ path: '/' })).toBeNull()
+  })
+
+  test('Should count down from the session expiry', () => {
+    expect(
+      buildSessionTimeout({
+        app: {
+          session: {
+            session_id: 'session-id',
+            expires_at: '2026-03-12T10:30:00Z'
+          }
+        }
+      })
+    ).toEqual({
+      expiresIn: 1800,
+      warningBefore: 120,
+      extendUrl: '/session/extend',
+      csrfToken: issueCsrfToken('session-id'),
+      timedOutUrl: '/session/timed-out',
+      signOutUrl: '/logout'
+    })
+  })
+})
@@ -0,0 +1,20 @@
+import { resolveAppRoles } from '../../../server/authentication/app-roles.js'
+
+/**
+ * Builds the role helpers templates use to hide actions the signed in user
+ * cannot take, for example `{% if hasRole('Admin') %}`
+ * Hiding an action is not access control, so its route must also require the role
+ */
+export function buildUserRoles(request) {
+  const userRoles = resolveAppRoles(request?.app?.session?.user)
+
+  return {
+    userRoles,
+    hasRole(role) {
+      return userRoles.includes(role)
+    },
+    hasAnyRole(roles) {
+      return roles.some((role) => userRoles.includes(role))
+    }
+  }
+}
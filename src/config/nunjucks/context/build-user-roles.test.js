@@ -0,0 +1,26 @@
+import { buildUserRoles } from './build-user-roles.js'
+
+function mockRequest(user) {
+  return { app: { session: user ? { session_id: 'session-id', user } : null } }
+}
+
+describe('#buildUserRoles', () => {
+  test('Should give signed out users no roles', () => {
+    const { userRoles, hasRole } = buildUserRoles(mockRequest(null))
+
+    expect(userRoles).toEqual([])
+    expect(hasRole('Researcher')).toBe(false)
+  })
+
+  test('Should tell templates which roles the signed in user has', () => {
+    const { userRoles, hasRole, hasAnyRole } = buildUserRoles(
+      mockRequest({ oid: 'user-oid', roles: ['Researcher'] })
+    )
+
+    expect(userRoles).toEqual(['Researcher'])
+    expect(hasRole('Researcher')).toBe(true)
+    expect(hasRole('Admin')).toBe(false)
+    expect(hasAnyRole(['Analyst', 'Researcher'])).toBe(true)
+    expect(hasAnyRole(['Admin'])).toBe(false)
+  })
+})
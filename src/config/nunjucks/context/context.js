@@ -2,7 +2,10 @@ import path from 'node:path'
 import { readFileSync } from 'node:fs'
 
 import { config } from '../../config.js'
-import { buildNavigation } from './build-navigation.js'
+import { buildNavigation, buildSignOut } from './build-navigation.js'
+import { buildSessionTimeout } from './build-session-timeout.js'
+import { buildUserRoles } from './build-user-roles.js'
+import { issueCsrfToken } from '../../../server/common/helpers/csrf/csrf-token.js'
 import { createLogger } from '../../../server/common/helpers/logging/logger.js'
 
 const logger = createLogger()
@@ -29,6 +32,10 @@ export function context(request) {
     serviceUrl: '/',
     breadcrumbs: [],
     navigation: buildNavigation(request),
+    signOut: buildSignOut(request),
+    sessionTimeout: buildSessionTimeout(request),
+    csrfToken: issueCsrfToken(request?.state?.session),
+    ...buildUserRoles(request),
     getAssetPath(asset) {
       const webpackAssetPath = webpackManifest?.[asset]
       return `${assetPath}/${webpackAssetPath ?? asset}`
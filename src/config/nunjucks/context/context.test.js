@@ -49,11 +49,28 @@ describe('context and cache', () => {
           breadcrumbs: [],
           getAssetPath: expect.any(Function),
           navigation: [],
+          signOut: null,
+          sessionTimeout: null,
+          csrfToken: null,
+          userRoles: [],
+          hasRole: expect.any(Function),
+          hasAnyRole: expect.any(Function),
           serviceName: 'ai-sdlc-ucd-tool-frontend',
           serviceUrl: '/'
         })
       })
 
+      test('Should provide the CSRF token for the session', async () => {
+        const { issueCsrfToken } = await import(
+          '../../../server/common/helpers/csrf/csrf-token.js'
+        )
+
+        expect(
+          contextImport.context({ path: '/', state: { session: 'session-id' } })
+            .csrfToken
+        ).toBe(issueCsrfToken('session-id'))
+      })
+
       describe('With valid asset path', () => {
         test('Should provide expected asset path', () => {
           expect(contextResult.getAssetPath('application.js')).toBe(
@@ -127,6 +144,12 @@ describe('context and cache', () => {
           breadcrumbs: [],
           getAssetPath: expect.any(Function),
           navigation: [],
+          signOut: null,
+          sessionTimeout: null,
+          csrfToken: null,
+          userRoles: [],
+          hasRole: expect.any(Function),
+          hasAnyRole: expect.any(Function),
           serviceName: 'ai-sdlc-ucd-tool-frontend',
           serviceUrl: '/'
         })
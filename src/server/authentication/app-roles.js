@@ -0,0 +1,22 @@
+import { config } from '../../config/config.js'
+
+/**
+ * Works out the signed-in user's app roles from their identity claims
+ * Each app role in auth.roleMapping is granted by any of its ID token app
+ * roles or Azure AD group object IDs
+ *
+ * @param {Object} [user] - Identity claims stored on the session
+ * @returns {string[]} The user's app roles, empty if they have none
+ */
+export function resolveAppRoles(user) {
+  const tokenRoles = new Set(user?.roles ?? [])
+  const groups = new Set(user?.groups ?? [])
+
+  return Object.entries(config.get('auth.roleMapping'))
+    .filter(
+      ([, grantedBy]) =>
+        (grantedBy.roles ?? []).some((role) => tokenRoles.has(role)) ||
+        (grantedBy.groups ?? []).some((group) => groups.has(group))
+    )
+    .map(([appRole]) => appRole)
+}
@@ -0,0 +1,39 @@
+import { config } from '../../config/config.js'
+import { resolveAppRoles } from './app-roles.js'
+
+const ADMIN_GROUP_ID = '7d1c4f2e-0a3b-4c5d-8e9f-112233445566'
+
+describe('#app-roles', () => {
+  const defaultMapping = config.get('auth.roleMapping')
+
+  afterEach(() => {
+    config.set('auth.roleMapping', defaultMapping)
+  })
+
+  test('Should grant the app roles named in the ID token roles claim', () => {
+    expect(resolveAppRoles({ roles: ['Researcher', 'Admin'] })).toEqual([
+      'Researcher',
+      'Admin'
+    ])
+  })
+
+  test('Should grant app roles from group membership', () => {
+    config.set('auth.roleMapping', {
+      Admin: { roles: [], groups: [ADMIN_GROUP_ID] }
+    })
+
+    expect(resolveAppRoles({ roles: [], groups: [ADMIN_GROUP_ID] })).toEqual([
+      'Admin'
+    ])
+  })
+
+  test('Should ignore roles and groups that are not mapped', () => {
+    expect(
+      resolveAppRoles({ roles: ['Reader'], groups: [ADMIN_GROUP_ID] })
+    ).toEqual([])
+  })
+
+  test('Should grant no roles without a signed in user', () => {
+    expect(resolveAppRoles(null)).toEqual([])
+  })
+})
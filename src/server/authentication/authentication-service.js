@@ -1,56 +1,80 @@
+import { consumeOauthState, storeOauthState } from './oauth-state-storage.js'
+import { getIdentityProvider } from './identity-providers/index.js'
+import { ensureInvited } from './invitation-service.js'
+import { isSafeReturnPath } from './return-path-validator.js'
+import { describeDevice } from './session-device.js'
 import {
-  retrievePkceVerifier,
-  storePkceVerifier,
-  storeStateParameter,
-  validateStateParameter
-} from './oauth-state-storage.js'
-import { exchangeCodeForTokens } from './azure-ad-token-client.js'
-import { createSession, getSession } from './session-repository.js'
+  acquireRefreshLock,
+  createSession,
+  deleteSession,
+  extendSession,
+  getRefreshToken,
+  getSession,
+  updateSessionIdentity
+} from './session-repository.js'
 import {
+  generateNonce,
   generatePkceChallenge,
   generateStateParameter
 } from './oauth-crypto-service.js'
-import { buildAuthorizationUrl } from './azure-ad-url-builder.js'
+import { config } from '../../config/config.js'
 import { createLogger } from '../common/helpers/logging/logger.js'
+import {
+  AUTHENTICATION_ROUTES,
+  TOKEN_REFRESH
+} from '../common/constants/authentication-constants.js'
 
 const logger = createLogger()
 
 /**
  * Initiates OAuth flow by generating security parameters and building authorization URL
- * Generates state and PKCE parameters, stores them securely, and returns the authorization URL
+ * Generates state, PKCE and nonce parameters, stores them securely, and returns the authorization URL
+ * The page the user asked for is stored with the state, if it is a safe same-origin path
  *
+ * @param {string} [returnPath] - The page to return to after sign in
  * @returns {Promise<string>} The authorization URL to redirect the user to
  * @throws {Error} If unable to generate security parameters or build URL
  */
-export async function initiateOauthFlow() {
+export async function initiateOauthFlow(returnPath) {
   const state = generateStateParameter()
   const { codeVerifier, codeChallenge } = generatePkceChallenge()
+  const nonce = generateNonce()
 
-  await storeStateParameter(state)
-  await storePkceVerifier(state, codeVerifier)
+  await storeOauthState(state, {
+    codeVerifier,
+    nonce,
+    returnPath: isSafeReturnPath(returnPath) ? returnPath : null
+  })
 
-  return buildAuthorizationUrl(state, codeChallenge)
+  return getIdentityProvider().buildAuthorizationUrl(
+    state,
+    codeChallenge,
+    nonce
+  )
 }
 
 /**
  * Authenticates user with OAuth callback parameters
- * Validates state, retrieves PKCE verifier, exchanges code for tokens, and creates session data
+ * Redeems the state for the PKCE verifier and nonce stored with it, exchanges code for tokens,
+ * validates the ID token, checks the user is on the invitation allow-list, and
+ * creates session data holding its identity claims
  *
  * @param {string} code - Authorization code from OAuth provider
  * @param {string} state - State parameter for CSRF protection
- * @returns {Promise<Object>} Session data object
- * @throws {Error} If state validation fails, PKCE verifier not found, or authentication fails
+ * @param {string} [userAgent] - User-Agent header, to describe the device on the session
+ * @returns {Promise<Object>} Session data object, with the returnPath stored when sign in began, or null
+ * @throws {Error} If state validation fails, PKCE verifier or nonce not found, the ID token is invalid, the user is not invited, or authentication fails
  */
-export async function authenticateWithCallback(code, state) {
+export async function authenticateWithCallback(code, state, userAgent) {
   logger.debug({
     message: 'Starting OAuth callback authentication',
     hasCode: !!code,
     hasState: !!state
   })
 
-  // Validate state parameter
-  const isValidState = await validateStateParameter(state)
-  if (!isValidState) {
+  // Redeem the state, which can only happen once, for what was stored with it
+  const oauthState = await consumeOauthState(state)
+  if (!oauthState) {
     logger.error({
       message: 'OAuth state validation failed',
       errorCode: 'INVALID_STATE'
@@ -60,8 +84,9 @@ export async function authenticateWithCallback(code, state) {
     throw error
   }
 
-  // Retrieve PKCE verifier
-  const codeVerifier = await retrievePkceVerifier(state)
+  const { codeVerifier, nonce, returnPath } = oauthState
+
+  // PKCE verifier
   if (!codeVerifier) {
     logger.error({
       message: 'PKCE verifier not found for state parameter',
@@ -72,23 +97,46 @@ export async function authenticateWithCallback(code, state) {
     throw error
   }
 
+  // The nonce the ID token must carry
+  if (!nonce) {
+    logger.error({
+      message: 'Nonce not found for state parameter',
+      errorCode: 'MISSING_NONCE'
+    })
+    const error = new Error('Nonce not found')
+    error.code = 'MISSING_NONCE'
+    throw error
+  }
+
   try {
     // Exchange authorization code for tokens
-    await exchangeCodeForTokens(code, codeVerifier)
+    const identityProvider = getIdentityProvider()
+    const tokens = await identityProvider.exchangeCode(code, codeVerifier)
     logger.debug({ message: 'Token exchange completed successfully' })
 
+    // Validate the tokens and read who signed in from them
+    const user = await identityProvider.validateIdentity(tokens, nonce)
+
+    // Only invited users get a session
+    await ensureInvited(user)
+
     // Create and return session data
-    const sessionData = await createSession()
+    const sessionData = await createSession(
+      user,
+      tokens,
+      describeDevice(userAgent)
+    )
     logger.info({
       message: 'OAuth authentication completed successfully',
-      sessionCreated: true
+      sessionCreated: true,
+      userId: user.oid
     })
-    return sessionData
+    return { ...sessionData, returnPath }
   } catch (error) {
     logger.error({
       message: 'OAuth authentication failed',
       errorMessage: error.message,
-      errorCode: 'TOKEN_EXCHANGE_FAILED'
+      errorCode: error.code || 'TOKEN_EXCHANGE_FAILED'
     })
     throw error
   }
@@ -104,3 +152,144 @@ export async function authenticateWithCallback(code, state) {
 export async function getSessionFromId(sessionId) {
   return getSession(sessionId)
 }
+
+/**
+ * Works out whether a session's identity should be renewed with its refresh token
+ * Renews every auth.identityRefreshInterval, or sooner if the access token is
+ * about to expire
+ *
+ * @param {Object} session - The session data
+ * @param {number} [now] - The current time in milliseconds
+ * @returns {boolean} True if a refresh is due
+ */
+export function isIdentityRefreshDue(session, now = Date.now()) {
+  if (!session?.refresh_token) {
+    return false
+  }
+
+  const refreshedAt = new Date(
+    session.identity_refreshed_at ?? session.created_at
+  ).getTime()
+  const intervalDue = refreshedAt + config.get('auth.identityRefreshInterval')
+  const expiryDue = session.identity_expires_at
+    ? new Date(session.identity_expires_at).getTime() -
+      TOKEN_REFRESH.EXPIRY_MARGIN_MS
+    : Infinity
+
+  return now >= Math.min(intervalDue, expiryDue)
+}
+
+/**
+ * Renews the session's identity with its refresh token, so role claims stay
+ * current and changes in the directory reach the session
+ * Ends the session if the identity provider has revoked the grant or disabled
+ * the user. Other failures are logged and the refresh is tried again later
+ * Never rejects, so it can run in the background of a request
+ *
+ * @param {Object} session - The session to refresh
+ * @returns {Promise<Object|null>} The refreshed session, the session unchanged if it was not refreshed, or null if it was ended
+ */
+export async function refreshSessionIdentity(session) {
+  const refreshToken = getRefreshToken(session)
+
+  if (!refreshToken || !(await acquireRefreshLock(session.session_id))) {
+    return session
+  }
+
+  try {
+    const { tokens, user } = await getIdentityProvider().refreshIdentity(
+      refreshToken,
+      session.user
+    )
+    const refreshedSession = await updateSessionIdentity(
+      session.session_id,
+      user,
+      tokens
+    )
+    logger.info({
+      message: 'Identity refreshed with refresh token',
+      userId: user.oid
+    })
+    return refreshedSession
+  } catch (error) {
+    if (TOKEN_REFRESH.SESSION_ENDING_CODES.includes(error.code)) {
+      await deleteSession(session.session_id)
+      logger.warn({
+        message: 'Identity provider refused to refresh, ending session',
+        errorMessage: error.message,
+        errorCode: error.code,
+        userId: session.user?.oid
+      })
+      return null
+    }
+
+    logger.error({
+      message: 'Unable to refresh identity',
+      errorMessage: error.message,
+      errorCode: error.code || 'TOKEN_REFRESH_FAILED'
+    })
+    return session
+  }
+}
+
+/**
+ * Keeps an active user's session alive by pushing back its expiry
+ * When the identity is due a refresh, it is renewed in the background, so the
+ * request is not held up waiting for the identity provider
+ *
+ * @param {Object} session - The session found for the request
+ * @returns {Promise<Object|null>} The extended session, or null if it has ended
+ */
+export async function extendSessionExpiry(session) {
+  const extendedSession = await extendSession(session)
+
+  if (extendedSession && isIdentityRefreshDue(extendedSession)) {
+    refreshSessionIdentity(extendedSession)
+  }
+
+  return extendedSession
+}
+
+/**
+ * Ends a session locally once the user has been inactive for too long,
+ * without signing out of the identity provider
+ * Only a session past its expiry is ended, as reading it deletes it and any
+ * transcript draft. A session that is still active is left alone, so sending
+ * a user to the timed out page cannot end it
+ *
+ * @param {string} [sessionId] - The session ID from the session cookie
+ * @returns {Promise<boolean>} True if there is no active session left
+ */
+export async function expireSession(sessionId) {
+  if (!sessionId) {
+    return true
+  }
+
+  return (await getSession(sessionId)) === null
+}
+
+/**
+ * Signs the user out by deleting their session and any transcript draft
+ * linked to it, and returns where to send them next
+ * Falls back to the signed out page when the end-session URL cannot be built,
+ * so the local session is always ended
+ *
+ * @param {string} [sessionId] - The session ID from the session cookie
+ * @returns {Promise<string>} The identity provider's end-session URL, or the signed out page
+ */
+export async function endSession(sessionId) {
+  if (sessionId) {
+    await deleteSession(sessionId)
+  }
+
+  try {
+    return await getIdentityProvider().buildLogoutUrl()
+  } catch (error) {
+    logger.error({
+      message: 'Unable to build identity provider end-session URL',
+      errorMessage: error.message,
+      errorCode: 'LOGOUT_URL_ERROR'
+    })
+    return AUTHENTICATION_ROUTES.SIGNED_OUT_PATH
+  }
+}
@@ -1,52 +1,72 @@
 import { describe, test, vi } from 'vitest'
 import {
   authenticateWithCallback,
+  endSession,
+  expireSession,
+  extendSessionExpiry,
   getSessionFromId,
-  initiateOauthFlow
+  initiateOauthFlow,
+  isIdentityRefreshDue,
+  refreshSessionIdentity
 } from './authentication-service.js'
+import { consumeOauthState, storeOauthState } from './oauth-state-storage.js'
+import { getIdentityProvider } from './identity-providers/index.js'
 import {
-  retrievePkceVerifier,
-  storePkceVerifier,
-  storeStateParameter,
-  validateStateParameter
-} from './oauth-state-storage.js'
-import { exchangeCodeForTokens } from './azure-ad-token-client.js'
-import {
+  acquireRefreshLock,
   createSession,
-  getSession as getSessionFromRepository
+  deleteSession,
+  extendSession,
+  getRefreshToken,
+  getSession as getSessionFromRepository,
+  updateSessionIdentity
 } from './session-repository.js'
 import {
+  generateNonce,
   generatePkceChallenge,
   generateStateParameter
 } from './oauth-crypto-service.js'
-import { buildAuthorizationUrl } from './azure-ad-url-builder.js'
+import { ensureInvited } from './invitation-service.js'
 
 // Mock dependencies
 vi.mock('../authentication/oauth-state-storage.js', () => ({
-  validateStateParameter: vi.fn(),
-  retrievePkceVerifier: vi.fn(),
-  storeStateParameter: vi.fn(),
-  storePkceVerifier: vi.fn()
+  consumeOauthState: vi.fn(),
+  storeOauthState: vi.fn()
 }))
 
-vi.mock('../authentication/azure-ad-token-client.js', () => ({
-  exchangeCodeForTokens: vi.fn()
+vi.mock('../authentication/identity-providers/index.js', () => ({
+  getIdentityProvider: vi.fn()
 }))
 
 vi.mock('../authentication/session-repository.js', () => ({
+  acquireRefreshLock: vi.fn(),
   createSession: vi.fn(),
-  getSession: vi.fn()
+  deleteSession: vi.fn(),
+  extendSession: vi.fn(),
+  getRefreshToken: vi.fn(),
+  getSession: vi.fn(),
+  updateSessionIdentity: vi.fn()
 }))
 
 vi.mock('../authentication/oauth-crypto-service.js', () => ({
+  generateNonce: vi.fn(),
   generatePkceChallenge: vi.fn(),
   generateStateParameter: vi.fn()
 }))
 
-vi.mock('../authentication/azure-ad-url-builder.js', () => ({
-  buildAuthorizationUrl: vi.fn()
+vi.mock('../authentication/invitation-service.js', () => ({
+  ensureInvited: vi.fn()
 }))
 
+// Stand-in for the configured identity provider
+const identityProvider = {
+  buildAuthorizationUrl: vi.fn(),
+  exchangeCode: vi.fn(),
+  validateIdentity: vi.fn(),
+  refreshIdentity: vi.fn(),
+  buildLogoutUrl: vi.fn()
+}
+getIdentityProvider.mockReturnValue(identityProvider)
+
 // Test constants
 const MOCK_STATE = 'test-state-parameter-123'
 const MOCK_CODE_VERIFIER = 'test-code-verifier-abc'
@@ -58,27 +78,40 @@ const MOCK_SESSION_ID = 'test-session-id-456'
 const MOCK_SESSION_TOKEN = 'test-session-token-789'
 const MOCK_ACCESS_TOKEN = 'test-access-token'
 const MOCK_REFRESH_TOKEN = 'test-refresh-token'
+const MOCK_ID_TOKEN = 'test-id-token'
+const MOCK_NONCE = 'test-nonce-def'
+const MOCK_OAUTH_STATE = {
+  codeVerifier: MOCK_CODE_VERIFIER,
+  nonce: MOCK_NONCE,
+  returnPath: null
+}
+const MOCK_USER = {
+  oid: 'test-object-id',
+  name: 'Test User',
+  preferred_username: 'test.user@example.com',
+  email: 'test.user@example.com',
+  tenant_id: 'test-tenant-id',
+  roles: []
+}
 
 describe('authenticationService', () => {
   describe('initiateOauthFlow', () => {
     beforeEach(() => {
       vi.clearAllMocks()
-    })
 
-    test('generates security parameters and returns authorization URL', async () => {
       // Given: Security parameters will be generated
       generateStateParameter.mockReturnValue(MOCK_STATE)
       generatePkceChallenge.mockReturnValue({
         codeVerifier: MOCK_CODE_VERIFIER,
         codeChallenge: MOCK_CODE_CHALLENGE
       })
+      generateNonce.mockReturnValue(MOCK_NONCE)
+    })
 
-      // And: Storage operations will succeed
-      storeStateParameter.mockResolvedValueOnce(undefined)
-      storePkceVerifier.mockResolvedValueOnce(undefined)
-
-      // And: Authorization URL will be built
-      buildAuthorizationUrl.mockReturnValue(MOCK_AUTH_URL)
+    test('generates security parameters and returns authorization URL', async () => {
+      // Given: Storage will succeed and the authorization URL will be built
+      storeOauthState.mockResolvedValueOnce(undefined)
+      identityProvider.buildAuthorizationUrl.mockReturnValue(MOCK_AUTH_URL)
 
       // When: Initiating the OAuth flow
       const result = await initiateOauthFlow()
@@ -86,53 +119,54 @@ describe('authenticationService', () => {
       // Then: Returns the authorization URL
       expect(result).toBe(MOCK_AUTH_URL)
 
-      // And: Security parameters are generated and stored in correct order
+      // And: The verifier and nonce are stored as one record under the state
       expect(generateStateParameter).toHaveBeenCalled()
       expect(generatePkceChallenge).toHaveBeenCalled()
-      expect(storeStateParameter).toHaveBeenCalledWith(MOCK_STATE)
-      expect(storePkceVerifier).toHaveBeenCalledWith(
+      expect(storeOauthState).toHaveBeenCalledTimes(1)
+      expect(storeOauthState).toHaveBeenCalledWith(MOCK_STATE, {
+        codeVerifier: MOCK_CODE_VERIFIER,
+        nonce: MOCK_NONCE,
+        returnPath: null
+      })
+      expect(identityProvider.buildAuthorizationUrl).toHaveBeenCalledWith(
         MOCK_STATE,
-        MOCK_CODE_VERIFIER
+        MOCK_CODE_CHALLENGE,
+        MOCK_NONCE
       )
-      expect(buildAuthorizationUrl).toHaveBeenCalledWith(
+    })
+
+    test('stores the requested page with the state', async () => {
+      identityProvider.buildAuthorizationUrl.mockReturnValue(MOCK_AUTH_URL)
+
+      await initiateOauthFlow('/review-pii?finding=2')
+
+      expect(storeOauthState).toHaveBeenCalledWith(
         MOCK_STATE,
-        MOCK_CODE_CHALLENGE
+        expect.objectContaining({ returnPath: '/review-pii?finding=2' })
       )
     })
 
-    test('throws error when state storage fails', async () => {
-      // Given: State storage will fail
-      generateStateParameter.mockReturnValue(MOCK_STATE)
-      generatePkceChallenge.mockReturnValue({
-        codeVerifier: MOCK_CODE_VERIFIER,
-        codeChallenge: MOCK_CODE_CHALLENGE
-      })
-      storeStateParameter.mockRejectedValueOnce(new Error('Storage failed'))
+    test('does not store return paths that leave the service', async () => {
+      identityProvider.buildAuthorizationUrl.mockReturnValue(MOCK_AUTH_URL)
 
-      // When/Then: Initiating OAuth flow throws error
-      await expect(initiateOauthFlow()).rejects.toThrow('Storage failed')
-      expect(storeStateParameter).toHaveBeenCalledWith(MOCK_STATE)
+      await initiateOauthFlow('//evil.example.com/phish')
 
-      // And: Does not proceed with PKCE storage
-      expect(storePkceVerifier).not.toHaveBeenCalled()
-      expect(buildAuthorizationUrl).not.toHaveBeenCalled()
+      expect(storeOauthState).toHaveBeenCalledWith(
+        MOCK_STATE,
+        expect.objectContaining({ returnPath: null })
+      )
+      expect(identityProvider.buildAuthorizationUrl).toHaveBeenCalled()
     })
 
-    test('throws error when PKCE storage fails', async () => {
-      // Given: PKCE storage will fail
-      generateStateParameter.mockReturnValue(MOCK_STATE)
-      generatePkceChallenge.mockReturnValue({
-        codeVerifier: MOCK_CODE_VERIFIER,
-        codeChallenge: MOCK_CODE_CHALLENGE
-      })
-      storeStateParameter.mockResolvedValueOnce(undefined)
-      storePkceVerifier.mockRejectedValueOnce(new Error('PKCE storage failed'))
+    test('throws error when state storage fails', async () => {
+      // Given: State storage will fail
+      storeOauthState.mockRejectedValueOnce(new Error('Storage failed'))
 
       // When/Then: Initiating OAuth flow throws error
-      await expect(initiateOauthFlow()).rejects.toThrow('PKCE storage failed')
+      await expect(initiateOauthFlow()).rejects.toThrow('Storage failed')
 
       // And: Does not proceed with URL building
-      expect(buildAuthorizationUrl).not.toHaveBeenCalled()
+      expect(identityProvider.buildAuthorizationUrl).not.toHaveBeenCalled()
     })
   })
 
@@ -146,18 +180,22 @@ describe('authenticationService', () => {
       const code = MOCK_AUTH_CODE
       const state = MOCK_STATE
 
-      // And: State validation passes
-      validateStateParameter.mockResolvedValueOnce(true)
-
-      // And: PKCE verifier is retrieved successfully
-      retrievePkceVerifier.mockResolvedValueOnce(MOCK_CODE_VERIFIER)
+      // And: The state redeems a record with the verifier, nonce and requested page
+      consumeOauthState.mockResolvedValueOnce({
+        ...MOCK_OAUTH_STATE,
+        returnPath: '/review-pii'
+      })
 
       // And: Token exchange succeeds
-      exchangeCodeForTokens.mockResolvedValueOnce({
+      identityProvider.exchangeCode.mockResolvedValueOnce({
         access_token: MOCK_ACCESS_TOKEN,
-        refresh_token: MOCK_REFRESH_TOKEN
+        refresh_token: MOCK_REFRESH_TOKEN,
+        id_token: MOCK_ID_TOKEN
       })
 
+      // And: The ID token is valid and identifies the user
+      identityProvider.validateIdentity.mockResolvedValueOnce(MOCK_USER)
+
       // And: Session creation succeeds
       const mockSessionData = {
         session_id: MOCK_SESSION_ID,
@@ -167,29 +205,49 @@ describe('authenticationService', () => {
       }
       createSession.mockResolvedValueOnce(mockSessionData)
 
-      // When: Authenticating with callback
-      const result = await authenticateWithCallback(code, state)
+      // When: Authenticating with callback from a browser
+      const result = await authenticateWithCallback(
+        code,
+        state,
+        'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_6) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.6 Safari/605.1.15'
+      )
 
-      // Then: Returns session data directly
-      expect(result).toEqual(mockSessionData)
+      // Then: Returns session data with the page to return to
+      expect(result).toEqual({ ...mockSessionData, returnPath: '/review-pii' })
 
       // And: OAuth flow is executed in correct order
-      expect(validateStateParameter).toHaveBeenCalledWith(state)
-      expect(retrievePkceVerifier).toHaveBeenCalledWith(state)
-      expect(exchangeCodeForTokens).toHaveBeenCalledWith(
+      expect(consumeOauthState).toHaveBeenCalledTimes(1)
+      expect(consumeOauthState).toHaveBeenCalledWith(state)
+      expect(identityProvider.exchangeCode).toHaveBeenCalledWith(
         code,
         MOCK_CODE_VERIFIER
       )
-      expect(createSession).toHaveBeenCalled()
+      expect(identityProvider.validateIdentity).toHaveBeenCalledWith(
+        {
+          access_token: MOCK_ACCESS_TOKEN,
+          refresh_token: MOCK_REFRESH_TOKEN,
+          id_token: MOCK_ID_TOKEN
+        },
+        MOCK_NONCE
+      )
+      expect(createSession).toHaveBeenCalledWith(
+        MOCK_USER,
+        {
+          access_token: MOCK_ACCESS_TOKEN,
+          refresh_token: MOCK_REFRESH_TOKEN,
+          id_token: MOCK_ID_TOKEN
+        },
+        { browser: 'Safari', os: 'Mac' }
+      )
     })
 
-    test('throws error with INVALID_STATE code when state validation fails', async () => {
+    test('throws error with INVALID_STATE code when the state cannot be redeemed', async () => {
       // Given: Invalid state parameter
       const code = MOCK_AUTH_CODE
       const state = 'invalid-state'
 
-      // And: State validation fails
-      validateStateParameter.mockResolvedValueOnce(false)
+      // And: The state is unknown, expired or already used
+      consumeOauthState.mockResolvedValueOnce(null)
 
       // When/Then: Authentication throws error
       await expect(authenticateWithCallback(code, state)).rejects.toMatchObject(
@@ -200,20 +258,20 @@ describe('authenticationService', () => {
       )
 
       // And: Does not proceed with token exchange
-      expect(exchangeCodeForTokens).not.toHaveBeenCalled()
+      expect(identityProvider.exchangeCode).not.toHaveBeenCalled()
       expect(createSession).not.toHaveBeenCalled()
     })
 
-    test('throws error with MISSING_PKCE code when PKCE verifier cannot be retrieved', async () => {
+    test('throws error with MISSING_PKCE code when the state has no PKCE verifier', async () => {
       // Given: Valid state but missing PKCE verifier
       const code = MOCK_AUTH_CODE
       const state = MOCK_STATE
 
-      // And: State validation passes
-      validateStateParameter.mockResolvedValueOnce(true)
-
-      // And: PKCE verifier retrieval returns null
-      retrievePkceVerifier.mockResolvedValueOnce(null)
+      // And: The record for the state has no PKCE verifier
+      consumeOauthState.mockResolvedValueOnce({
+        ...MOCK_OAUTH_STATE,
+        codeVerifier: null
+      })
 
       // When/Then: Authentication throws error
       await expect(authenticateWithCallback(code, state)).rejects.toMatchObject(
@@ -224,21 +282,39 @@ describe('authenticationService', () => {
       )
 
       // And: Does not proceed with token exchange
-      expect(exchangeCodeForTokens).not.toHaveBeenCalled()
+      expect(identityProvider.exchangeCode).not.toHaveBeenCalled()
       expect(createSession).not.toHaveBeenCalled()
     })
 
+    test('throws error with MISSING_NONCE code when the state has no nonce', async () => {
+      // Given: Valid state and PKCE verifier but missing nonce
+      consumeOauthState.mockResolvedValueOnce({
+        ...MOCK_OAUTH_STATE,
+        nonce: null
+      })
+
+      // When/Then: Authentication throws error
+      await expect(
+        authenticateWithCallback(MOCK_AUTH_CODE, MOCK_STATE)
+      ).rejects.toMatchObject({
+        message: 'Nonce not found',
+        code: 'MISSING_NONCE'
+      })
+
+      // And: Does not proceed with token exchange
+      expect(identityProvider.exchangeCode).not.toHaveBeenCalled()
+    })
+
     test('throws error when token exchange fails', async () => {
       // Given: Valid parameters but token exchange will fail
       const code = MOCK_AUTH_CODE
       const state = MOCK_STATE
 
       // And: Validation passes
-      validateStateParameter.mockResolvedValueOnce(true)
-      retrievePkceVerifier.mockResolvedValueOnce(MOCK_CODE_VERIFIER)
+      consumeOauthState.mockResolvedValueOnce(MOCK_OAUTH_STATE)
 
       // And: Token exchange fails
-      exchangeCodeForTokens.mockRejectedValueOnce(
+      identityProvider.exchangeCode.mockRejectedValueOnce(
         new Error('Token exchange failed')
       )
 
@@ -251,19 +327,67 @@ describe('authenticationService', () => {
       expect(createSession).not.toHaveBeenCalled()
     })
 
+    test('throws error when the ID token cannot be trusted', async () => {
+      // Given: Valid parameters and a token response
+      consumeOauthState.mockResolvedValueOnce(MOCK_OAUTH_STATE)
+      identityProvider.exchangeCode.mockResolvedValueOnce({
+        access_token: MOCK_ACCESS_TOKEN,
+        id_token: MOCK_ID_TOKEN
+      })
+
+      // And: The ID token fails validation
+      const idTokenError = new Error('ID token validation failed')
+      idTokenError.code = 'INVALID_ID_TOKEN'
+      identityProvider.validateIdentity.mockRejectedValueOnce(idTokenError)
+
+      // When/Then: Authentication throws error
+      await expect(
+        authenticateWithCallback(MOCK_AUTH_CODE, MOCK_STATE)
+      ).rejects.toMatchObject({ code: 'INVALID_ID_TOKEN' })
+
+      // And: Session is not created
+      expect(createSession).not.toHaveBeenCalled()
+    })
+
+    test('throws error with NOT_INVITED code when the user is not on the allow-list', async () => {
+      // Given: Valid callback for a user who has not been invited
+      consumeOauthState.mockResolvedValueOnce(MOCK_OAUTH_STATE)
+      identityProvider.exchangeCode.mockResolvedValueOnce({
+        access_token: MOCK_ACCESS_TOKEN,
+        refresh_token: MOCK_REFRESH_TOKEN
+      })
+      identityProvider.validateIdentity.mockResolvedValueOnce(MOCK_USER)
+
+      const notInvitedError = new Error('User has not been invited')
+      notInvitedError.code = 'NOT_INVITED'
+      ensureInvited.mockRejectedValueOnce(notInvitedError)
+
+      // When/Then: Authentication throws the refusal
+      await expect(
+        authenticateWithCallback(MOCK_AUTH_CODE, MOCK_STATE)
+      ).rejects.toMatchObject({ code: 'NOT_INVITED' })
+
+      // And: The invitation was checked for the validated user
+      expect(ensureInvited).toHaveBeenCalledWith(MOCK_USER)
+
+      // And: Session is not created
+      expect(createSession).not.toHaveBeenCalled()
+    })
+
     test('throws error when session creation fails', async () => {
       // Given: Valid parameters but session creation will fail
       const code = MOCK_AUTH_CODE
       const state = MOCK_STATE
 
       // And: Validation and token exchange pass
-      validateStateParameter.mockResolvedValueOnce(true)
-      retrievePkceVerifier.mockResolvedValueOnce(MOCK_CODE_VERIFIER)
-      exchangeCodeForTokens.mockResolvedValueOnce({
+      consumeOauthState.mockResolvedValueOnce(MOCK_OAUTH_STATE)
+      identityProvider.exchangeCode.mockResolvedValueOnce({
         access_token: MOCK_ACCESS_TOKEN,
         refresh_token: MOCK_REFRESH_TOKEN
       })
 
+      identityProvider.validateIdentity.mockResolvedValueOnce(MOCK_USER)
+
       // And: Session creation fails
       createSession.mockRejectedValueOnce(new Error('Session creation failed'))
 
@@ -310,4 +434,242 @@ describe('authenticationService', () => {
       expect(getSessionFromRepository).toHaveBeenCalledWith(sessionId)
     })
   })
+
+  describe('extendSessionExpiry', () => {
+    test('extends the session in the repository', async () => {
+      const session = { session_id: MOCK_SESSION_ID }
+      const extendedSession = { ...session, expires_at: 'later' }
+      extendSession.mockResolvedValueOnce(extendedSession)
+
+      const result = await extendSessionExpiry(session)
+
+      expect(result).toBe(extendedSession)
+      expect(extendSession).toHaveBeenCalledWith(session)
+      expect(getRefreshToken).not.toHaveBeenCalled()
+    })
+
+    test('renews the identity in the background once a refresh is due', async () => {
+      const extendedSession = {
+        session_id: MOCK_SESSION_ID,
+        user: MOCK_USER,
+        refresh_token: 'encrypted-refresh-token',
+        identity_refreshed_at: new Date(Date.now() - 600000).toISOString()
+      }
+      extendSession.mockResolvedValueOnce(extendedSession)
+      getRefreshToken.mockReturnValueOnce(MOCK_REFRESH_TOKEN)
+      acquireRefreshLock.mockResolvedValueOnce(true)
+      identityProvider.refreshIdentity.mockResolvedValueOnce({
+        tokens: {},
+        user: MOCK_USER
+      })
+
+      const result = await extendSessionExpiry(extendedSession)
+
+      expect(result).toBe(extendedSession)
+      await vi.waitFor(() =>
+        expect(updateSessionIdentity).toHaveBeenCalledWith(
+          MOCK_SESSION_ID,
+          MOCK_USER,
+          {}
+        )
+      )
+    })
+  })
+
+  describe('isIdentityRefreshDue', () => {
+    const NOW = new Date('2026-03-12T10:00:00Z').getTime()
+
+    function buildSession(overrides = {}) {
+      return {
+        refresh_token: 'encrypted-refresh-token',
+        created_at: new Date(NOW - 60000).toISOString(),
+        identity_refreshed_at: new Date(NOW - 60000).toISOString(),
+        identity_expires_at: new Date(NOW + 3600000).toISOString(),
+        ...overrides
+      }
+    }
+
+    test('is not due for sessions without a refresh token', () => {
+      expect(
+        isIdentityRefreshDue(buildSession({ refresh_token: null }), NOW)
+      ).toBe(false)
+    })
+
+    test('is not due soon after the identity was renewed', () => {
+      expect(isIdentityRefreshDue(buildSession(), NOW)).toBe(false)
+    })
+
+    test('is due once the refresh interval has passed', () => {
+      const session = buildSession({
+        identity_refreshed_at: new Date(NOW - 300000).toISOString()
+      })
+
+      expect(isIdentityRefreshDue(session, NOW)).toBe(true)
+    })
+
+    test('is due when the access token is about to expire', () => {
+      const session = buildSession({
+        identity_expires_at: new Date(NOW + 30000).toISOString()
+      })
+
+      expect(isIdentityRefreshDue(session, NOW)).toBe(true)
+    })
+  })
+
+  describe('refreshSessionIdentity', () => {
+    const session = {
+      session_id: MOCK_SESSION_ID,
+      user: MOCK_USER,
+      refresh_token: 'encrypted-refresh-token'
+    }
+
+    beforeEach(() => {
+      getRefreshToken.mockReturnValue(MOCK_REFRESH_TOKEN)
+      acquireRefreshLock.mockResolvedValue(true)
+    })
+
+    test('stores the refreshed claims and tokens on the session', async () => {
+      const refreshedUser = { ...MOCK_USER, roles: ['Admin'] }
+      const tokens = { refresh_token: 'rotated-refresh-token' }
+      const refreshedSession = { ...session, user: refreshedUser }
+      identityProvider.refreshIdentity.mockResolvedValueOnce({
+        tokens,
+        user: refreshedUser
+      })
+      updateSessionIdentity.mockResolvedValueOnce(refreshedSession)
+
+      const result = await refreshSessionIdentity(session)
+
+      expect(result).toBe(refreshedSession)
+      expect(identityProvider.refreshIdentity).toHaveBeenCalledWith(
+        MOCK_REFRESH_TOKEN,
+        MOCK_USER
+      )
+      expect(updateSessionIdentity).toHaveBeenCalledWith(
+        MOCK_SESSION_ID,
+        refreshedUser,
+        tokens
+      )
+    })
+
+    test('ends the session when the identity provider revokes the grant', async () => {
+      const error = new Error('Token refresh was refused: invalid_grant')
+      error.code = 'REFRESH_TOKEN_REVOKED'
+      identityProvider.refreshIdentity.mockRejectedValueOnce(error)
+
+      const result = await refreshSessionIdentity(session)
+
+      expect(result).toBeNull()
+      expect(deleteSession).toHaveBeenCalledWith(MOCK_SESSION_ID)
+    })
+
+    test('keeps the session when the identity provider cannot be reached', async () => {
+      identityProvider.refreshIdentity.mockRejectedValueOnce(
+        new Error('Network connection failed')
+      )
+
+      const result = await refreshSessionIdentity(session)
+
+      expect(result).toBe(session)
+      expect(deleteSession).not.toHaveBeenCalled()
+    })
+
+    test('leaves the refresh to the request holding the lock', async () => {
+      acquireRefreshLock.mockResolvedValueOnce(false)
+
+      const result = await refreshSessionIdentity(session)
+
+      expect(result).toBe(session)
+      expect(identityProvider.refreshIdentity).not.toHaveBeenCalled()
+    })
+
+    test('does nothing for sessions without a refresh token', async () => {
+      getRefreshToken.mockReturnValueOnce(null)
+
+      const result = await refreshSessionIdentity(session)
+
+      expect(result).toBe(session)
+      expect(acquireRefreshLock).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('expireSession', () => {
+    beforeEach(() => {
+      vi.clearAllMocks()
+    })
+
+    test('reports a session past its expiry as ended, without signing out of the identity provider', async () => {
+      // Reading an expired session deletes it
+      getSessionFromRepository.mockResolvedValueOnce(null)
+
+      await expect(expireSession(MOCK_SESSION_ID)).resolves.toBe(true)
+
+      expect(getSessionFromRepository).toHaveBeenCalledWith(MOCK_SESSION_ID)
+      expect(identityProvider.buildLogoutUrl).not.toHaveBeenCalled()
+    })
+
+    test('leaves a session that is still active alone', async () => {
+      getSessionFromRepository.mockResolvedValueOnce({
+        session_id: MOCK_SESSION_ID
+      })
+
+      await expect(expireSession(MOCK_SESSION_ID)).resolves.toBe(false)
+
+      expect(deleteSession).not.toHaveBeenCalled()
+    })
+
+    test('skips the lookup when there is no session ID', async () => {
+      await expect(expireSession(undefined)).resolves.toBe(true)
+
+      expect(getSessionFromRepository).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('endSession', () => {
+    const MOCK_LOGOUT_URL =
+      'https://login.microsoftonline.com/tenant/oauth2/v2.0/logout'
+
+    beforeEach(() => {
+      vi.clearAllMocks()
+    })
+
+    test('deletes the session and returns the identity provider end-session URL', async () => {
+      // Given: The end-session URL can be built
+      deleteSession.mockResolvedValueOnce(undefined)
+      identityProvider.buildLogoutUrl.mockReturnValueOnce(MOCK_LOGOUT_URL)
+
+      // When: Ending the session
+      const result = await endSession(MOCK_SESSION_ID)
+
+      // Then: The session is deleted and the user is sent to the identity provider
+      expect(deleteSession).toHaveBeenCalledWith(MOCK_SESSION_ID)
+      expect(result).toBe(MOCK_LOGOUT_URL)
+    })
+
+    test('skips deleting when there is no session ID', async () => {
+      // Given: The end-session URL can be built
+      identityProvider.buildLogoutUrl.mockReturnValueOnce(MOCK_LOGOUT_URL)
+
+      // When: Ending a session that does not exist
+      const result = await endSession(undefined)
+
+      // Then: Nothing is deleted
+      expect(deleteSession).not.toHaveBeenCalled()
+      expect(result).toBe(MOCK_LOGOUT_URL)
+    })
+
+    test('returns the signed out page when the end-session URL cannot be built', async () => {
+      // Given: The end-session URL cannot be built
+      identityProvider.buildLogoutUrl.mockImplementationOnce(() => {
+        throw new Error('Azure AD configuration is incomplete')
+      })
+
+      // When: Ending the session
+      const result = await endSession(MOCK_SESSION_ID)
+
+      // Then: The session is still deleted
+      expect(deleteSession).toHaveBeenCalledWith(MOCK_SESSION_ID)
+      expect(result).toBe('/signed-out')
+    })
+  })
 })
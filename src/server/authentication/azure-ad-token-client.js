@@ -1,7 +1,9 @@
 import {
-  validateAndGetAzureAdConfig,
-  buildAzureAdEndpointUrl
-} from './azure-ad-config.js'
+  OAUTH_CONSTANTS,
+  TOKEN_REFRESH
+} from '../common/constants/authentication-constants.js'
+import { validateAndGetAzureAdConfig } from './azure-ad-config.js'
+import { getOidcEndpoints } from './oidc-discovery.js'
 
 /**
  * Exchanges authorization code for access and refresh tokens
@@ -10,21 +12,9 @@ import {
  * @returns {Promise<Object>} Token response containing access_token, refresh_token, id_token
  */
 export async function exchangeCodeForTokens(code, codeVerifier) {
-  const requiredFields = [
-    'baseUrl',
-    'clientId',
-    'clientSecret',
-    'redirectUri',
-    'tenantId',
-    'tokenEndpoint'
-  ]
+  const requiredFields = ['clientId', 'clientSecret', 'redirectUri']
   const config = validateAndGetAzureAdConfig(requiredFields)
-
-  const fullTokenUrl = buildAzureAdEndpointUrl(
-    config.baseUrl,
-    config.tenantId,
-    config.tokenEndpoint
-  )
+  const { tokenEndpoint } = await getOidcEndpoints()
 
   const params = new URLSearchParams({
     client_id: config.clientId,
@@ -35,7 +25,7 @@ export async function exchangeCodeForTokens(code, codeVerifier) {
     code_verifier: codeVerifier
   })
 
-  const response = await fetch(fullTokenUrl, {
+  const response = await fetch(tokenEndpoint, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/x-www-form-urlencoded'
@@ -49,3 +39,60 @@ export async function exchangeCodeForTokens(code, codeVerifier) {
 
   return await response.json()
 }
+
+/**
+ * Reads the OAuth error code from a failed token response
+ * @param {Response} response - The failed token response
+ * @returns {Promise<string|null>} The error code, or null if the body has none
+ */
+async function readOauthError(response) {
+  try {
+    return JSON.parse(await response.text()).error ?? null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Redeems a refresh token for a new set of tokens
+ * Azure AD refuses the refresh token once the grant is revoked or the user is
+ * disabled, which is reported with code REFRESH_TOKEN_REVOKED so the session can be ended
+ * @param {string} refreshToken - The refresh token from the last token response
+ * @returns {Promise<Object>} Token response containing access_token, id_token and usually a new refresh_token
+ * @throws {Error} With code REFRESH_TOKEN_REVOKED if the grant is no longer valid, or TOKEN_REFRESH_FAILED otherwise
+ */
+export async function refreshTokens(refreshToken) {
+  const requiredFields = ['clientId', 'clientSecret']
+  const config = validateAndGetAzureAdConfig(requiredFields)
+  const { tokenEndpoint } = await getOidcEndpoints()
+
+  const params = new URLSearchParams({
+    client_id: config.clientId,
+    client_secret: config.clientSecret,
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken,
+    scope: OAUTH_CONSTANTS.SCOPE
+  })
+
+  const response = await fetch(tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: params.toString()
+  })
+
+  if (!response.ok) {
+    const oauthError = await readOauthError(response)
+    const revoked = TOKEN_REFRESH.SESSION_ENDING_ERRORS.includes(oauthError)
+    const error = new Error(
+      revoked
+        ? `Token refresh was refused: ${oauthError}`
+        : `Token refresh failed with status: ${response.status}`
+    )
+    error.code = revoked ? 'REFRESH_TOKEN_REVOKED' : 'TOKEN_REFRESH_FAILED'
+    throw error
+  }
+
+  return await response.json()
+}
@@ -1,17 +1,22 @@
 import { vi } from 'vitest'
-import { exchangeCodeForTokens } from './azure-ad-token-client.js'
 import {
-  validateAndGetAzureAdConfig,
-  buildAzureAdEndpointUrl
-} from './azure-ad-config.js'
+  exchangeCodeForTokens,
+  refreshTokens
+} from './azure-ad-token-client.js'
+import { validateAndGetAzureAdConfig } from './azure-ad-config.js'
+import { getOidcEndpoints } from './oidc-discovery.js'
 
 // Mock fetch at module level
 vi.stubGlobal('fetch', vi.fn())
 
 // Mock the azure-ad-config module
 vi.mock('./azure-ad-config.js', () => ({
-  validateAndGetAzureAdConfig: vi.fn(),
-  buildAzureAdEndpointUrl: vi.fn()
+  validateAndGetAzureAdConfig: vi.fn()
+}))
+
+// Mock the OIDC discovery module
+vi.mock('./oidc-discovery.js', () => ({
+  getOidcEndpoints: vi.fn()
 }))
 
 describe('#azure-ad-token-client', () => {
@@ -32,17 +37,15 @@ describe('#azure-ad-token-client', () => {
 
       // Mock config validation and URL building
       validateAndGetAzureAdConfig.mockReturnValue({
-        baseUrl: 'https://login.microsoftonline.com',
         clientId: 'test-client-id',
         clientSecret: 'test-client-secret-xyz',
-        redirectUri: 'https://example.com/auth/callback',
-        tenantId: 'test-tenant-id',
-        tokenEndpoint: 'oauth2/v2.0/token'
+        redirectUri: 'https://example.com/auth/callback'
       })
 
-      buildAzureAdEndpointUrl.mockReturnValue(
-        'https://login.microsoftonline.com/test-tenant-id/oauth2/v2.0/token'
-      )
+      getOidcEndpoints.mockResolvedValue({
+        tokenEndpoint:
+          'https://login.microsoftonline.com/test-tenant-id/oauth2/v2.0/token'
+      })
 
       // Mock successful fetch response
       fetch.mockResolvedValueOnce({
@@ -57,18 +60,10 @@ describe('#azure-ad-token-client', () => {
 
       expect(tokens).toEqual(mockTokenResponse)
       expect(validateAndGetAzureAdConfig).toHaveBeenCalledWith([
-        'baseUrl',
         'clientId',
         'clientSecret',
-        'redirectUri',
-        'tenantId',
-        'tokenEndpoint'
+        'redirectUri'
       ])
-      expect(buildAzureAdEndpointUrl).toHaveBeenCalledWith(
-        'https://login.microsoftonline.com',
-        'test-tenant-id',
-        'oauth2/v2.0/token'
-      )
       expect(fetch).toHaveBeenCalledWith(
         'https://login.microsoftonline.com/test-tenant-id/oauth2/v2.0/token',
         {
@@ -83,17 +78,14 @@ describe('#azure-ad-token-client', () => {
 
     test('Should handle special characters in parameters', async () => {
       validateAndGetAzureAdConfig.mockReturnValue({
-        baseUrl: 'https://auth.example.com',
         clientId: 'client&id=special',
         clientSecret: 'secret+with/chars',
-        redirectUri: 'https://example.com/auth?param=value',
-        tenantId: 'tenant-id',
-        tokenEndpoint: 'token'
+        redirectUri: 'https://example.com/auth?param=value'
       })
 
-      buildAzureAdEndpointUrl.mockReturnValue(
-        'https://auth.example.com/tenant-id/token'
-      )
+      getOidcEndpoints.mockResolvedValue({
+        tokenEndpoint: 'https://auth.example.com/tenant-id/token'
+      })
 
       fetch.mockResolvedValueOnce({
         ok: true,
@@ -129,15 +121,14 @@ describe('#azure-ad-token-client', () => {
 
     test('Should throw error when token exchange fails with 400 status', async () => {
       validateAndGetAzureAdConfig.mockReturnValue({
-        baseUrl: 'https://auth.com',
         clientId: 'client',
         clientSecret: 'secret',
-        redirectUri: 'https://example.com',
-        tenantId: 'tenant',
-        tokenEndpoint: 'token'
+        redirectUri: 'https://example.com'
       })
 
-      buildAzureAdEndpointUrl.mockReturnValue('https://auth.com/tenant/token')
+      getOidcEndpoints.mockResolvedValue({
+        tokenEndpoint: 'https://auth.com/tenant/token'
+      })
 
       const errorResponse = {
         error: 'invalid_grant',
@@ -157,15 +148,14 @@ describe('#azure-ad-token-client', () => {
 
     test('Should throw error when token exchange fails with 401 status', async () => {
       validateAndGetAzureAdConfig.mockReturnValue({
-        baseUrl: 'https://auth.com',
         clientId: 'client',
         clientSecret: 'wrong-secret',
-        redirectUri: 'https://example.com',
-        tenantId: 'tenant',
-        tokenEndpoint: 'token'
+        redirectUri: 'https://example.com'
       })
 
-      buildAzureAdEndpointUrl.mockReturnValue('https://auth.com/tenant/token')
+      getOidcEndpoints.mockResolvedValue({
+        tokenEndpoint: 'https://auth.com/tenant/token'
+      })
 
       fetch.mockResolvedValueOnce({
         ok: false,
@@ -182,15 +172,14 @@ describe('#azure-ad-token-client', () => {
 
     test('Should throw error when fetch fails with network error', async () => {
       validateAndGetAzureAdConfig.mockReturnValue({
-        baseUrl: 'https://auth.com',
         clientId: 'client',
         clientSecret: 'secret',
-        redirectUri: 'https://example.com',
-        tenantId: 'tenant',
-        tokenEndpoint: 'token'
+        redirectUri: 'https://example.com'
       })
 
-      buildAzureAdEndpointUrl.mockReturnValue('https://auth.com/tenant/token')
+      getOidcEndpoints.mockResolvedValue({
+        tokenEndpoint: 'https://auth.com/tenant/token'
+      })
 
       const networkError = new Error('Network connection failed')
       fetch.mockRejectedValueOnce(networkError)
@@ -202,15 +191,14 @@ describe('#azure-ad-token-client', () => {
 
     test('Should throw error when response JSON parsing fails', async () => {
       validateAndGetAzureAdConfig.mockReturnValue({
-        baseUrl: 'https://auth.com',
         clientId: 'client',
         clientSecret: 'secret',
-        redirectUri: 'https://example.com',
-        tenantId: 'tenant',
-        tokenEndpoint: 'token'
+        redirectUri: 'https://example.com'
       })
 
-      buildAzureAdEndpointUrl.mockReturnValue('https://auth.com/tenant/token')
+      getOidcEndpoints.mockResolvedValue({
+        tokenEndpoint: 'https://auth.com/tenant/token'
+      })
 
       fetch.mockResolvedValueOnce({
         ok: true,
@@ -224,17 +212,14 @@ describe('#azure-ad-token-client', () => {
 
     test('Should include all required parameters in request body', async () => {
       validateAndGetAzureAdConfig.mockReturnValue({
-        baseUrl: 'https://auth.com',
         clientId: 'client-123',
         clientSecret: 'secret-456',
-        redirectUri: 'https://example.com/callback',
-        tenantId: 'tenant-789',
-        tokenEndpoint: 'token'
+        redirectUri: 'https://example.com/callback'
       })
 
-      buildAzureAdEndpointUrl.mockReturnValue(
-        'https://auth.com/tenant-789/token'
-      )
+      getOidcEndpoints.mockResolvedValue({
+        tokenEndpoint: 'https://auth.com/tenant-789/token'
+      })
 
       fetch.mockResolvedValueOnce({
         ok: true,
@@ -257,4 +242,81 @@ describe('#azure-ad-token-client', () => {
       expect(body).toContain('code_verifier=verifier-abc')
     })
   })
+
+  describe('refreshTokens', () => {
+    beforeEach(() => {
+      validateAndGetAzureAdConfig.mockReturnValue({
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret-xyz'
+      })
+      getOidcEndpoints.mockResolvedValue({
+        tokenEndpoint: 'https://auth.example.com/tenant-id/token'
+      })
+    })
+
+    test('Should redeem the refresh token for new tokens', async () => {
+      const tokenResponse = {
+        access_token: 'new-access-token',
+        refresh_token: 'rotated-refresh-token',
+        id_token: 'new-id-token',
+        expires_in: 3600
+      }
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: vi.fn().mockResolvedValue(tokenResponse)
+      })
+
+      const tokens = await refreshTokens('refresh-token-456')
+
+      expect(tokens).toEqual(tokenResponse)
+      expect(validateAndGetAzureAdConfig).toHaveBeenCalledWith([
+        'clientId',
+        'clientSecret'
+      ])
+      expect(fetch).toHaveBeenCalledWith(
+        'https://auth.example.com/tenant-id/token',
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body: 'client_id=test-client-id&client_secret=test-client-secret-xyz&grant_type=refresh_token&refresh_token=refresh-token-456&scope=openid+profile+email+offline_access'
+        }
+      )
+    })
+
+    test.each(['invalid_grant', 'interaction_required'])(
+      'Should report a revoked grant when Azure AD answers %s',
+      async (oauthError) => {
+        fetch.mockResolvedValueOnce({
+          ok: false,
+          status: 400,
+          text: vi.fn().mockResolvedValue(
+            JSON.stringify({
+              error: oauthError,
+              error_description: 'AADSTS50173: The provided grant has expired'
+            })
+          )
+        })
+
+        await expect(refreshTokens('revoked-token')).rejects.toMatchObject({
+          code: 'REFRESH_TOKEN_REVOKED',
+          message: `Token refresh was refused: ${oauthError}`
+        })
+      }
+    )
+
+    test('Should report other failures as retryable', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 503,
+        text: vi.fn().mockResolvedValue('Service Unavailable')
+      })
+
+      await expect(refreshTokens('refresh-token')).rejects.toMatchObject({
+        code: 'TOKEN_REFRESH_FAILED',
+        message: 'Token refresh failed with status: 503'
+      })
+    })
+  })
 })
@@ -1,30 +1,18 @@
 import { OAUTH_CONSTANTS } from '../common/constants/authentication-constants.js'
-import {
-  validateAndGetAzureAdConfig,
-  buildAzureAdEndpointUrl
-} from './azure-ad-config.js'
+import { validateAndGetAzureAdConfig } from './azure-ad-config.js'
+import { getOidcEndpoints } from './oidc-discovery.js'
 
 /**
  * Builds the Azure AD authorization URL
  * @param {string} state - The state parameter for CSRF protection
  * @param {string} codeChallenge - The PKCE code challenge
- * @returns {string} The complete authorization URL
+ * @param {string} [nonce] - The nonce the ID token must echo back
+ * @returns {Promise<string>} The complete authorization URL
  */
-export function buildAuthorizationUrl(state, codeChallenge) {
-  const requiredFields = [
-    'baseUrl',
-    'clientId',
-    'redirectUri',
-    'tenantId',
-    'authorizeEndpoint'
-  ]
+export async function buildAuthorizationUrl(state, codeChallenge, nonce) {
+  const requiredFields = ['clientId', 'redirectUri']
   const config = validateAndGetAzureAdConfig(requiredFields)
-
-  const fullAuthorizeUrl = buildAzureAdEndpointUrl(
-    config.baseUrl,
-    config.tenantId,
-    config.authorizeEndpoint
-  )
+  const { authorizationEndpoint } = await getOidcEndpoints()
 
   const params = new URLSearchParams({
     client_id: config.clientId,
@@ -37,5 +25,27 @@ export function buildAuthorizationUrl(state, codeChallenge) {
     code_challenge_method: OAUTH_CONSTANTS.CODE_CHALLENGE_METHOD
   })
 
-  return `${fullAuthorizeUrl}?${params.toString()}`
+  if (nonce) {
+    params.set('nonce', nonce)
+  }
+
+  return `${authorizationEndpoint}?${params.toString()}`
+}
+
+/**
+ * Builds the Azure AD end-session URL
+ * Azure AD signs the user out of their Microsoft account for this service and
+ * then returns them to the post-logout redirect URI
+ * @returns {Promise<string>} The complete end-session URL
+ */
+export async function buildLogoutUrl() {
+  const requiredFields = ['postLogoutRedirectUri']
+  const config = validateAndGetAzureAdConfig(requiredFields)
+  const { endSessionEndpoint } = await getOidcEndpoints()
+
+  const params = new URLSearchParams({
+    post_logout_redirect_uri: config.postLogoutRedirectUri
+  })
+
+  return `${endSessionEndpoint}?${params.toString()}`
 }
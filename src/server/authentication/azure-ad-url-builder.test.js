@@ -1,15 +1,20 @@
 import { vi } from 'vitest'
 import { OAUTH_CONSTANTS } from '../common/constants/authentication-constants.js'
-import { buildAuthorizationUrl } from './azure-ad-url-builder.js'
 import {
-  validateAndGetAzureAdConfig,
-  buildAzureAdEndpointUrl
-} from './azure-ad-config.js'
+  buildAuthorizationUrl,
+  buildLogoutUrl
+} from './azure-ad-url-builder.js'
+import { validateAndGetAzureAdConfig } from './azure-ad-config.js'
+import { getOidcEndpoints } from './oidc-discovery.js'
 
 // Mock the azure-ad-config module
 vi.mock('./azure-ad-config.js', () => ({
-  validateAndGetAzureAdConfig: vi.fn(),
-  buildAzureAdEndpointUrl: vi.fn()
+  validateAndGetAzureAdConfig: vi.fn()
+}))
+
+// Mock the OIDC discovery module
+vi.mock('./oidc-discovery.js', () => ({
+  getOidcEndpoints: vi.fn()
 }))
 
 describe('#azure-ad-url-builder', () => {
@@ -18,24 +23,22 @@ describe('#azure-ad-url-builder', () => {
   })
 
   describe('buildAuthorizationUrl', () => {
-    test('Should build correct authorization URL with all parameters', () => {
+    test('Should build correct authorization URL with all parameters', async () => {
       const state = 'test-state-123'
       const codeChallenge = 'test-code-challenge-abc'
 
       // Mock the config validation and URL building
       validateAndGetAzureAdConfig.mockReturnValue({
-        baseUrl: 'https://login.microsoftonline.com',
         clientId: 'test-client-id-456',
-        redirectUri: 'https://example.com/auth/callback',
-        tenantId: 'test-tenant-789',
-        authorizeEndpoint: 'oauth2/v2.0/authorize'
+        redirectUri: 'https://example.com/auth/callback'
       })
 
-      buildAzureAdEndpointUrl.mockReturnValue(
-        'https://login.microsoftonline.com/test-tenant-789/oauth2/v2.0/authorize'
-      )
+      getOidcEndpoints.mockResolvedValue({
+        authorizationEndpoint:
+          'https://login.microsoftonline.com/test-tenant-789/oauth2/v2.0/authorize'
+      })
 
-      const url = buildAuthorizationUrl(state, codeChallenge)
+      const url = await buildAuthorizationUrl(state, codeChallenge)
 
       expect(url).toBe(
         'https://login.microsoftonline.com/test-tenant-789/oauth2/v2.0/authorize?' +
@@ -43,43 +46,32 @@ describe('#azure-ad-url-builder', () => {
           'response_type=code&' +
           'redirect_uri=https%3A%2F%2Fexample.com%2Fauth%2Fcallback&' +
           'response_mode=query&' +
-          'scope=openid+profile+email&' +
+          'scope=openid+profile+email+offline_access&' +
           'state=test-state-123&' +
           'code_challenge=test-code-challenge-abc&' +
           'code_challenge_method=S256'
       )
 
       expect(validateAndGetAzureAdConfig).toHaveBeenCalledWith([
-        'baseUrl',
         'clientId',
-        'redirectUri',
-        'tenantId',
-        'authorizeEndpoint'
+        'redirectUri'
       ])
-      expect(buildAzureAdEndpointUrl).toHaveBeenCalledWith(
-        'https://login.microsoftonline.com',
-        'test-tenant-789',
-        'oauth2/v2.0/authorize'
-      )
     })
 
-    test('Should handle special characters in parameters', () => {
+    test('Should handle special characters in parameters', async () => {
       const state = 'state+with/special=chars'
       const codeChallenge = 'challenge&with#special'
 
       validateAndGetAzureAdConfig.mockReturnValue({
-        baseUrl: 'https://auth.example.com',
         clientId: 'client&id',
-        redirectUri: 'https://example.com/auth?callback=true',
-        tenantId: 'tenant/id',
-        authorizeEndpoint: 'auth'
+        redirectUri: 'https://example.com/auth?callback=true'
       })
 
-      buildAzureAdEndpointUrl.mockReturnValue(
-        'https://auth.example.com/tenant/id/auth'
-      )
+      getOidcEndpoints.mockResolvedValue({
+        authorizationEndpoint: 'https://auth.example.com/tenant/id/auth'
+      })
 
-      const url = buildAuthorizationUrl(state, codeChallenge)
+      const url = await buildAuthorizationUrl(state, codeChallenge)
 
       // Verify URL encoding is applied correctly
       expect(url).toContain('state=state%2Bwith%2Fspecial%3Dchars')
@@ -90,30 +82,29 @@ describe('#azure-ad-url-builder', () => {
       )
     })
 
-    test('Should throw error when configuration validation fails', () => {
+    test('Should throw error when configuration validation fails', async () => {
       validateAndGetAzureAdConfig.mockImplementation(() => {
         throw new Error(
           'Azure AD configuration is incomplete. Missing: clientId'
         )
       })
 
-      expect(() => buildAuthorizationUrl('state', 'challenge')).toThrow(
+      await expect(buildAuthorizationUrl('state', 'challenge')).rejects.toThrow(
         'Azure AD configuration is incomplete. Missing: clientId'
       )
     })
 
-    test('Should use correct OAuth constants', () => {
+    test('Should use correct OAuth constants', async () => {
       validateAndGetAzureAdConfig.mockReturnValue({
-        baseUrl: 'https://auth.com',
         clientId: 'client',
-        redirectUri: 'https://example.com/callback',
-        tenantId: 'tenant',
-        authorizeEndpoint: 'auth'
+        redirectUri: 'https://example.com/callback'
       })
 
-      buildAzureAdEndpointUrl.mockReturnValue('https://auth.com/tenant/auth')
+      getOidcEndpoints.mockResolvedValue({
+        authorizationEndpoint: 'https://auth.com/tenant/auth'
+      })
 
-      const url = buildAuthorizationUrl('state', 'challenge')
+      const url = await buildAuthorizationUrl('state', 'challenge')
 
       expect(url).toContain(`response_type=${OAUTH_CONSTANTS.RESPONSE_TYPE}`)
       expect(url).toContain(`response_mode=${OAUTH_CONSTANTS.RESPONSE_MODE}`)
@@ -123,4 +114,55 @@ describe('#azure-ad-url-builder', () => {
       )
     })
   })
+
+  describe('buildAuthorizationUrl with a nonce', () => {
+    test('Should include the nonce when one is given', async () => {
+      validateAndGetAzureAdConfig.mockReturnValue({
+        clientId: 'client',
+        redirectUri: 'https://example.com/callback'
+      })
+
+      getOidcEndpoints.mockResolvedValue({
+        authorizationEndpoint: 'https://auth.com/tenant/auth'
+      })
+
+      const url = await buildAuthorizationUrl('state', 'challenge', 'nonce-123')
+
+      expect(new URL(url).searchParams.get('nonce')).toBe('nonce-123')
+    })
+  })
+
+  describe('buildLogoutUrl', () => {
+    test('Should build end-session URL with post-logout redirect URI', async () => {
+      validateAndGetAzureAdConfig.mockReturnValue({
+        postLogoutRedirectUri: 'https://example.com/signed-out'
+      })
+
+      getOidcEndpoints.mockResolvedValue({
+        endSessionEndpoint:
+          'https://login.microsoftonline.com/test-tenant-123/oauth2/v2.0/logout'
+      })
+
+      const url = await buildLogoutUrl()
+
+      expect(url).toBe(
+        'https://login.microsoftonline.com/test-tenant-123/oauth2/v2.0/logout?post_logout_redirect_uri=https%3A%2F%2Fexample.com%2Fsigned-out'
+      )
+      expect(validateAndGetAzureAdConfig).toHaveBeenCalledWith([
+        'postLogoutRedirectUri'
+      ])
+    })
+
+    test('Should throw error when configuration validation fails', async () => {
+      validateAndGetAzureAdConfig.mockImplementation(() => {
+        throw new Error(
+          'Azure AD configuration is incomplete. Missing: postLogoutRedirectUri'
+        )
+      })
+
+      await expect(buildLogoutUrl()).rejects.toThrow(
+        'Azure AD configuration is incomplete. Missing: postLogoutRedirectUri'
+      )
+    })
+  })
 })
@@ -24,3 +24,11 @@ export function setSessionCookie(h, sessionId) {
 
   h.state('session', sessionId, cookieOptions)
 }
+
+/**
+ * Clears the session cookie
+ * @param {Object} h - Hapi response toolkit
+ */
+export function clearSessionCookie(h) {
+  h.unstate('session', { path: '/' })
+}
@@ -0,0 +1,24 @@
+/**
+ * Picks the signed-in user's identity from validated ID token claims
+ *
+ * @param {Object} claims - Claims returned by validateIdToken
+ * @returns {Object} Identity claims to store on the session
+ * @throws {Error} With code INVALID_ID_TOKEN if the token has no object ID
+ */
+export function extractIdentityClaims(claims) {
+  if (!claims?.oid) {
+    const error = new Error('ID token has no object ID')
+    error.code = 'INVALID_ID_TOKEN'
+    throw error
+  }
+
+  return {
+    oid: claims.oid,
+    name: claims.name ?? null,
+    preferred_username: claims.preferred_username ?? null,
+    email: claims.email ?? null,
+    tenant_id: claims.tid ?? null,
+    roles: Array.isArray(claims.roles) ? claims.roles : [],
+    groups: Array.isArray(claims.groups) ? claims.groups : []
+  }
+}
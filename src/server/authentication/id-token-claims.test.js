@@ -0,0 +1,52 @@
+import { extractIdentityClaims } from './id-token-claims.js'
+
+const CLAIMS = {
+  aud: 'test-client-id',
+  oid: 'object-id-123',
+  name: 'Sarah Jones',
+  preferred_username: 'sarah.jones@example.com',
+  email: 'sarah.jones@example.com',
+  tid: 'tenant-id-456',
+  roles: ['Researcher'],
+  groups: ['group-id-789'],
+  nonce: 'test-nonce'
+}
+
+describe('#id-token-claims', () => {
+  describe('extractIdentityClaims', () => {
+    test('Should return the identity claims from the ID token', () => {
+      expect(extractIdentityClaims(CLAIMS)).toEqual({
+        oid: 'object-id-123',
+        name: 'Sarah Jones',
+        preferred_username: 'sarah.jones@example.com',
+        email: 'sarah.jones@example.com',
+        tenant_id: 'tenant-id-456',
+        roles: ['Researcher'],
+        groups: ['group-id-789']
+      })
+    })
+
+    test('Should default optional claims when they are missing', () => {
+      const claims = extractIdentityClaims({
+        ...CLAIMS,
+        name: undefined,
+        email: undefined,
+        roles: undefined,
+        groups: undefined
+      })
+
+      expect(claims).toMatchObject({
+        name: null,
+        email: null,
+        roles: [],
+        groups: []
+      })
+    })
+
+    test('Should reject tokens without an object ID', () => {
+      expect(() =>
+        extractIdentityClaims({ ...CLAIMS, oid: undefined })
+      ).toThrow(expect.objectContaining({ code: 'INVALID_ID_TOKEN' }))
+    })
+  })
+})
@@ -0,0 +1,97 @@
+import jwt from 'jsonwebtoken'
+import { ID_TOKEN_VALIDATION } from '../common/constants/authentication-constants.js'
+import { validateAndGetAzureAdConfig } from './azure-ad-config.js'
+import { getSigningKey } from './jwks-client.js'
+import { getOidcEndpoints } from './oidc-discovery.js'
+
+function invalidIdToken(message) {
+  const error = new Error(message)
+  error.code = 'INVALID_ID_TOKEN'
+  return error
+}
+
+/**
+ * Checks an ID token's signature against the tenant's JWKS signing keys, then
+ * the issuer, audience, expiry, not-before time and tenant
+ *
+ * @param {string} idToken - The id_token from a token response
+ * @param {Object} decoded - The token decoded with its header
+ * @param {Object} [verifyOptions] - Extra jsonwebtoken verify options
+ * @returns {Promise<Object>} The verified token claims
+ */
+async function verifyIdToken(idToken, decoded, verifyOptions = {}) {
+  const requiredFields = ['clientId', 'tenantId']
+  const azureAdConfig = validateAndGetAzureAdConfig(requiredFields)
+  const { issuer } = await getOidcEndpoints()
+  const signingKey = await getSigningKey(decoded.header.kid)
+
+  let claims
+  try {
+    claims = jwt.verify(idToken, signingKey, {
+      algorithms: ID_TOKEN_VALIDATION.ALGORITHMS,
+      audience: azureAdConfig.clientId,
+      issuer,
+      clockTolerance: ID_TOKEN_VALIDATION.CLOCK_TOLERANCE_SECONDS,
+      ...verifyOptions
+    })
+  } catch (error) {
+    throw invalidIdToken(`ID token validation failed: ${error.message}`)
+  }
+
+  if (claims.tid !== azureAdConfig.tenantId) {
+    throw invalidIdToken('ID token was issued by another tenant')
+  }
+
+  return claims
+}
+
+function decodeIdToken(idToken) {
+  const decoded = idToken ? jwt.decode(idToken, { complete: true }) : null
+
+  if (!decoded?.header?.kid) {
+    throw invalidIdToken('ID token is missing or malformed')
+  }
+
+  return decoded
+}
+
+/**
+ * Validates an ID token from the token exchange
+ * Checks the signature against the tenant's JWKS signing keys, then the
+ * issuer, audience, expiry, not-before time, tenant and nonce
+ *
+ * @param {string} idToken - The id_token from the token response
+ * @param {string} expectedNonce - The nonce sent in the authorization request
+ * @returns {Promise<Object>} The verified token claims
+ * @throws {Error} With code INVALID_ID_TOKEN if any check fails
+ */
+export async function validateIdToken(idToken, expectedNonce) {
+  const decoded = decodeIdToken(idToken)
+
+  if (!expectedNonce) {
+    throw invalidIdToken('No nonce to check the ID token against')
+  }
+
+  return verifyIdToken(idToken, decoded, { nonce: expectedNonce })
+}
+
+/**
+ * Validates an ID token from a refresh token grant
+ * These carry no nonce, so the token is instead checked to be for the user
+ * already signed in to the session
+ *
+ * @param {string} idToken - The id_token from the refresh response
+ * @param {string} expectedOid - Object ID of the user signed in to the session
+ * @returns {Promise<Object>} The verified token claims
+ * @throws {Error} With code INVALID_ID_TOKEN if any check fails
+ */
+export async function validateRefreshedIdToken(idToken, expectedOid) {
+  const decoded = decodeIdToken(idToken)
+  const claims = await verifyIdToken(idToken, decoded)
+
+  if (!expectedOid || claims.oid !== expectedOid) {
+    throw invalidIdToken('Refreshed ID token is for another user')
+  }
+
+  return claims
+}
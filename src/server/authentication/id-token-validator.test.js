@@ -0,0 +1,174 @@
+import { vi } from 'vitest'
+import {
+  validateIdToken,
+  validateRefreshedIdToken
+} from './id-token-validator.js'
+import { clearSigningKeyCache } from './jwks-client.js'
+import {
+  createJwksResponse,
+  createTestSigningKey,
+  signTestIdToken
+} from '../common/test-helpers/test-signing-keys.js'
+
+vi.stubGlobal('fetch', vi.fn())
+
+vi.mock('./azure-ad-config.js', () => ({
+  validateAndGetAzureAdConfig: vi.fn(() => ({
+    clientId: 'test-client-id',
+    tenantId: 'test-tenant'
+  }))
+}))
+
+vi.mock('./oidc-discovery.js', () => ({
+  getOidcEndpoints: vi.fn(() =>
+    Promise.resolve({
+      issuer: 'https://login.example.com/test-tenant/v2.0',
+      jwksUri: 'https://login.example.com/test-tenant/discovery/v2.0/keys'
+    })
+  )
+}))
+
+const SIGNING_KEY = createTestSigningKey('tenant-key')
+const UNTRUSTED_KEY = createTestSigningKey('tenant-key')
+const NONCE = 'test-nonce-123'
+
+function buildClaims(overrides = {}) {
+  return {
+    iss: 'https://login.example.com/test-tenant/v2.0',
+    aud: 'test-client-id',
+    tid: 'test-tenant',
+    oid: 'object-id-123',
+    name: 'Sarah Jones',
+    nonce: NONCE,
+    ...overrides
+  }
+}
+
+describe('#id-token-validator', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    clearSigningKeyCache()
+    fetch.mockResolvedValue(createJwksResponse([SIGNING_KEY]))
+  })
+
+  describe('validateIdToken', () => {
+    test('Should return the claims of a valid ID token', async () => {
+      const idToken = signTestIdToken(SIGNING_KEY, buildClaims())
+
+      const claims = await validateIdToken(idToken, NONCE)
+
+      expect(claims).toMatchObject({ oid: 'object-id-123', nonce: NONCE })
+    })
+
+    test('Should reject tokens signed with a key the tenant did not publish', async () => {
+      const idToken = signTestIdToken(UNTRUSTED_KEY, buildClaims())
+
+      await expect(validateIdToken(idToken, NONCE)).rejects.toMatchObject({
+        code: 'INVALID_ID_TOKEN',
+        message: expect.stringContaining('invalid signature')
+      })
+    })
+
+    test.each([
+      ['issuer', { iss: 'https://login.example.com/other-tenant/v2.0' }],
+      ['audience', { aud: 'another-client-id' }],
+      ['nonce', { nonce: 'replayed-nonce' }]
+    ])('Should reject tokens with the wrong %s', async (_claim, overrides) => {
+      const idToken = signTestIdToken(SIGNING_KEY, buildClaims(overrides))
+
+      await expect(validateIdToken(idToken, NONCE)).rejects.toMatchObject({
+        code: 'INVALID_ID_TOKEN'
+      })
+    })
+
+    test('Should reject tokens from another tenant', async () => {
+      const idToken = signTestIdToken(
+        SIGNING_KEY,
+        buildClaims({ tid: 'other-tenant' })
+      )
+
+      await expect(validateIdToken(idToken, NONCE)).rejects.toThrow(
+        'ID token was issued by another tenant'
+      )
+    })
+
+    test('Should reject expired tokens', async () => {
+      const idToken = signTestIdToken(SIGNING_KEY, buildClaims(), {
+        expiresIn: -3600
+      })
+
+      await expect(validateIdToken(idToken, NONCE)).rejects.toThrow(
+        'jwt expired'
+      )
+    })
+
+    test('Should reject tokens that are not valid yet', async () => {
+      const idToken = signTestIdToken(SIGNING_KEY, buildClaims(), {
+        notBefore: 3600
+      })
+
+      await expect(validateIdToken(idToken, NONCE)).rejects.toThrow(
+        'jwt not active'
+      )
+    })
+
+    test('Should reject tokens signed with an unexpected algorithm', async () => {
+      const idToken = signTestIdToken(SIGNING_KEY, buildClaims(), {
+        algorithm: 'RS512'
+      })
+
+      await expect(validateIdToken(idToken, NONCE)).rejects.toThrow(
+        'invalid algorithm'
+      )
+    })
+
+    test('Should reject missing or malformed tokens', async () => {
+      await expect(validateIdToken(undefined, NONCE)).rejects.toThrow(
+        'ID token is missing or malformed'
+      )
+      await expect(validateIdToken('not-a-jwt', NONCE)).rejects.toMatchObject({
+        code: 'INVALID_ID_TOKEN'
+      })
+    })
+
+    test('Should reject tokens when there is no nonce to check', async () => {
+      const idToken = signTestIdToken(SIGNING_KEY, buildClaims())
+
+      await expect(validateIdToken(idToken, null)).rejects.toThrow(
+        'No nonce to check the ID token against'
+      )
+    })
+  })
+
+  describe('validateRefreshedIdToken', () => {
+    test('Should accept a token without a nonce for the signed in user', async () => {
+      const idToken = signTestIdToken(
+        SIGNING_KEY,
+        buildClaims({ nonce: undefined })
+      )
+
+      const claims = await validateRefreshedIdToken(idToken, 'object-id-123')
+
+      expect(claims).toMatchObject({ oid: 'object-id-123' })
+    })
+
+    test('Should reject a token for another user', async () => {
+      const idToken = signTestIdToken(
+        SIGNING_KEY,
+        buildClaims({ oid: 'another-object-id' })
+      )
+
+      await expect(
+        validateRefreshedIdToken(idToken, 'object-id-123')
+      ).rejects.toThrow('Refreshed ID token is for another user')
+    })
+
+    test('Should still check the signature', async () => {
+      const idToken = signTestIdToken(UNTRUSTED_KEY, buildClaims())
+
+      await expect(
+        validateRefreshedIdToken(idToken, 'object-id-123')
+      ).rejects.toMatchObject({ code: 'INVALID_ID_TOKEN' })
+    })
+  })
+})
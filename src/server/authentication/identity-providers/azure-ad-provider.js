@@ -0,0 +1,46 @@
+import { IDENTITY_PROVIDER_NAMES } from '../../common/constants/authentication-constants.js'
+import {
+  buildAuthorizationUrl,
+  buildLogoutUrl
+} from '../azure-ad-url-builder.js'
+import {
+  exchangeCodeForTokens,
+  refreshTokens
+} from '../azure-ad-token-client.js'
+import {
+  validateIdToken,
+  validateRefreshedIdToken
+} from '../id-token-validator.js'
+import { extractIdentityClaims } from '../id-token-claims.js'
+
+/**
+ * Microsoft Entra ID (Azure AD) identity provider
+ * Signs in staff with their Microsoft account through the tenant's OIDC endpoints
+ * @type {import('./index.js').IdentityProvider}
+ */
+export const azureAdProvider = {
+  name: IDENTITY_PROVIDER_NAMES.AZURE_AD,
+
+  buildAuthorizationUrl(state, codeChallenge, nonce) {
+    return buildAuthorizationUrl(state, codeChallenge, nonce)
+  },
+
+  exchangeCode(code, codeVerifier) {
+    return exchangeCodeForTokens(code, codeVerifier)
+  },
+
+  async validateIdentity(tokens, nonce) {
+    const claims = await validateIdToken(tokens.id_token, nonce)
+    return extractIdentityClaims(claims)
+  },
+
+  async refreshIdentity(refreshToken, user) {
+    const tokens = await refreshTokens(refreshToken)
+    const claims = await validateRefreshedIdToken(tokens.id_token, user?.oid)
+    return { tokens, user: extractIdentityClaims(claims) }
+  },
+
+  buildLogoutUrl() {
+    return buildLogoutUrl()
+  }
+}
@@ -0,0 +1,110 @@
+import { vi } from 'vitest'
+import { azureAdProvider } from './azure-ad-provider.js'
+import {
+  buildAuthorizationUrl,
+  buildLogoutUrl
+} from '../azure-ad-url-builder.js'
+import {
+  exchangeCodeForTokens,
+  refreshTokens
+} from '../azure-ad-token-client.js'
+import {
+  validateIdToken,
+  validateRefreshedIdToken
+} from '../id-token-validator.js'
+import { extractIdentityClaims } from '../id-token-claims.js'
+
+vi.mock('../azure-ad-url-builder.js', () => ({
+  buildAuthorizationUrl: vi.fn(),
+  buildLogoutUrl: vi.fn()
+}))
+
+vi.mock('../azure-ad-token-client.js', () => ({
+  exchangeCodeForTokens: vi.fn(),
+  refreshTokens: vi.fn()
+}))
+
+vi.mock('../id-token-validator.js', () => ({
+  validateIdToken: vi.fn(),
+  validateRefreshedIdToken: vi.fn()
+}))
+
+vi.mock('../id-token-claims.js', () => ({
+  extractIdentityClaims: vi.fn()
+}))
+
+describe('#azure-ad-provider', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test('Should build the authorization URL with state, PKCE challenge and nonce', async () => {
+    buildAuthorizationUrl.mockResolvedValueOnce('https://login.example.com')
+
+    const url = await azureAdProvider.buildAuthorizationUrl(
+      'state',
+      'challenge',
+      'nonce'
+    )
+
+    expect(url).toBe('https://login.example.com')
+    expect(buildAuthorizationUrl).toHaveBeenCalledWith(
+      'state',
+      'challenge',
+      'nonce'
+    )
+  })
+
+  test('Should exchange the authorization code for tokens', async () => {
+    exchangeCodeForTokens.mockResolvedValueOnce({ id_token: 'id-token' })
+
+    const tokens = await azureAdProvider.exchangeCode('code', 'verifier')
+
+    expect(tokens).toEqual({ id_token: 'id-token' })
+    expect(exchangeCodeForTokens).toHaveBeenCalledWith('code', 'verifier')
+  })
+
+  test('Should validate the ID token and return the identity claims', async () => {
+    const claims = { oid: 'object-id', nonce: 'nonce' }
+    const user = { oid: 'object-id', name: 'Sarah Jones' }
+    validateIdToken.mockResolvedValueOnce(claims)
+    extractIdentityClaims.mockReturnValueOnce(user)
+
+    const identity = await azureAdProvider.validateIdentity(
+      { id_token: 'id-token' },
+      'nonce'
+    )
+
+    expect(identity).toBe(user)
+    expect(validateIdToken).toHaveBeenCalledWith('id-token', 'nonce')
+    expect(extractIdentityClaims).toHaveBeenCalledWith(claims)
+  })
+
+  test('Should refresh the tokens and return the current identity claims', async () => {
+    const tokens = { id_token: 'refreshed-id-token', refresh_token: 'new' }
+    const claims = { oid: 'object-id', roles: ['Admin'] }
+    const user = { oid: 'object-id', roles: ['Admin'] }
+    refreshTokens.mockResolvedValueOnce(tokens)
+    validateRefreshedIdToken.mockResolvedValueOnce(claims)
+    extractIdentityClaims.mockReturnValueOnce(user)
+
+    const result = await azureAdProvider.refreshIdentity('refresh-token', {
+      oid: 'object-id'
+    })
+
+    expect(result).toEqual({ tokens, user })
+    expect(refreshTokens).toHaveBeenCalledWith('refresh-token')
+    expect(validateRefreshedIdToken).toHaveBeenCalledWith(
+      'refreshed-id-token',
+      'object-id'
+    )
+  })
+
+  test('Should build the end-session URL', async () => {
+    buildLogoutUrl.mockResolvedValueOnce('https://login.example.com/logout')
+
+    await expect(azureAdProvider.buildLogoutUrl()).resolves.toBe(
+      'https://login.example.com/logout'
+    )
+  })
+})
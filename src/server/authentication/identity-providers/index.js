@@ -0,0 +1,39 @@
+import { config } from '../../../config/config.js'
+import { azureAdProvider } from './azure-ad-provider.js'
+
+/**
+ * @typedef {Object} IdentityProvider
+ * @property {string} name - Name used to choose the provider in config
+ * @property {(state: string, codeChallenge: string, nonce: string) => Promise<string>} buildAuthorizationUrl
+ *   Builds the URL that starts sign in with the provider
+ * @property {(code: string, codeVerifier: string) => Promise<Object>} exchangeCode
+ *   Exchanges an authorization code for the provider's token response
+ * @property {(tokens: Object, nonce: string) => Promise<Object>} validateIdentity
+ *   Validates the token response and returns the identity claims stored on the session
+ * @property {(refreshToken: string, user: Object) => Promise<{ tokens: Object, user: Object }>} refreshIdentity
+ *   Redeems a refresh token and returns the new token response with the user's current identity claims
+ * @property {() => Promise<string>} buildLogoutUrl
+ *   Builds the URL that ends the user's session with the provider
+ */
+
+const identityProviders = new Map(
+  [azureAdProvider].map((provider) => [provider.name, provider])
+)
+
+/**
+ * Gets the identity provider chosen by auth.identityProvider
+ * @returns {IdentityProvider} The configured identity provider
+ * @throws {Error} With code UNKNOWN_IDENTITY_PROVIDER if no provider has that name
+ */
+export function getIdentityProvider() {
+  const name = config.get('auth.identityProvider')
+  const provider = identityProviders.get(name)
+
+  if (!provider) {
+    const error = new Error(`Unknown identity provider: ${name}`)
+    error.code = 'UNKNOWN_IDENTITY_PROVIDER'
+    throw error
+  }
+
+  return provider
+}
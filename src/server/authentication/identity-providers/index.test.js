@@ -0,0 +1,36 @@
+import { vi } from 'vitest'
+import { config } from '../../../config/config.js'
+import { getIdentityProvider } from './index.js'
+import { azureAdProvider } from './azure-ad-provider.js'
+
+describe('#identity-providers', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('getIdentityProvider', () => {
+    test('Should return the Azure AD provider by default', () => {
+      expect(getIdentityProvider()).toBe(azureAdProvider)
+    })
+
+    test('Should throw when the configured provider does not exist', () => {
+      vi.spyOn(config, 'get').mockReturnValue('unknown-provider')
+
+      expect(() => getIdentityProvider()).toThrow(
+        expect.objectContaining({
+          code: 'UNKNOWN_IDENTITY_PROVIDER',
+          message: 'Unknown identity provider: unknown-provider'
+        })
+      )
+    })
+  })
+
+  test.each([
+    'buildAuthorizationUrl',
+    'exchangeCode',
+    'validateIdentity',
+    'buildLogoutUrl'
+  ])('Azure AD provider should implement %s', (method) => {
+    expect(typeof azureAdProvider[method]).toBe('function')
+  })
+})
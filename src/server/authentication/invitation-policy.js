@@ -0,0 +1,89 @@
+import {
+  INVITATION_REFUSAL_REASONS,
+  INVITATION_TYPES
+} from '../common/constants/invitation-constants.js'
+
+const EMAIL_PATTERN = /^[^\s@]+@([a-z0-9-]+(\.[a-z0-9-]+)+)$/
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/
+
+/**
+ * Reads an allow-list entry typed by an admin
+ * Entries are an email address, or a domain that invites everyone with an
+ * address there. A leading @ on a domain is dropped
+ *
+ * @param {string} input - The email address or domain
+ * @returns {{ entry: string, type: string }|null} The normalised entry, or null if it is neither
+ */
+export function parseInvitationEntry(input) {
+  const value = String(input ?? '')
+    .trim()
+    .toLowerCase()
+
+  if (EMAIL_PATTERN.test(value)) {
+    return { entry: value, type: INVITATION_TYPES.EMAIL }
+  }
+
+  const domain = value.replace(/^@/, '')
+
+  if (DOMAIN_PATTERN.test(domain)) {
+    return { entry: domain, type: INVITATION_TYPES.DOMAIN }
+  }
+
+  return null
+}
+
+/**
+ * Gets today's date in the yyyy-mm-dd form invitations expire on
+ * @param {Date} [now] - The current time
+ * @returns {string} Today's date in UTC
+ */
+export function getInvitationDate(now = new Date()) {
+  return now.toISOString().slice(0, 10)
+}
+
+/**
+ * Lists the email addresses a user might have been invited with
+ * @param {Object} user - Identity claims of the user signing in
+ * @returns {string[]} Their addresses in lower case
+ */
+function getUserAddresses(user) {
+  return [user?.email, user?.preferred_username]
+    .filter((address) => EMAIL_PATTERN.test(String(address).toLowerCase()))
+    .map((address) => address.toLowerCase())
+}
+
+function matchesAddress(invitation, address) {
+  return invitation.type === INVITATION_TYPES.DOMAIN
+    ? address.endsWith(`@${invitation.entry}`)
+    : address === invitation.entry
+}
+
+/**
+ * Checks a user signing in against the allow-list
+ * An invitation lasts until the end of its expiry date
+ *
+ * @param {Object} user - Identity claims of the user signing in
+ * @param {Object[]} invitations - Invitations on the allow-list
+ * @param {string} today - Today's date, from getInvitationDate
+ * @returns {{ invited: boolean, invitation?: Object, reason?: string }} The decision, with the reason when refused
+ */
+export function checkInvitation(user, invitations, today) {
+  const addresses = getUserAddresses(user)
+  const matches = invitations.filter((invitation) =>
+    addresses.some((address) => matchesAddress(invitation, address))
+  )
+  const invitation = matches.find(
+    (match) => !match.expires_on || match.expires_on >= today
+  )
+
+  if (invitation) {
+    return { invited: true, invitation }
+  }
+
+  return {
+    invited: false,
+    reason: matches.length
+      ? INVITATION_REFUSAL_REASONS.INVITATION_EXPIRED
+      : INVITATION_REFUSAL_REASONS.NOT_INVITED
+  }
+}
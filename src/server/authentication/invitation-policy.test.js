@@ -0,0 +1,124 @@
+import {
+  checkInvitation,
+  getInvitationDate,
+  parseInvitationEntry
+} from './invitation-policy.js'
+
+const TODAY = '2026-03-12'
+const USER = {
+  oid: 'user-oid',
+  email: 'Sarah.Jones@Example.gov.uk',
+  preferred_username: 'sarah.jones@tenant.onmicrosoft.com'
+}
+
+function emailInvitation(entry, expiresOn = null) {
+  return { entry, type: 'email', expires_on: expiresOn }
+}
+
+function domainInvitation(entry, expiresOn = null) {
+  return { entry, type: 'domain', expires_on: expiresOn }
+}
+
+describe('#invitation-policy', () => {
+  describe('parseInvitationEntry', () => {
+    test.each([
+      ['Sarah.Jones@Example.gov.uk', 'sarah.jones@example.gov.uk', 'email'],
+      [' example.gov.uk ', 'example.gov.uk', 'domain'],
+      ['@example.gov.uk', 'example.gov.uk', 'domain']
+    ])('Should read %s', (input, entry, type) => {
+      expect(parseInvitationEntry(input)).toEqual({ entry, type })
+    })
+
+    test.each(['', 'sarah', 'sarah@', 'sarah jones@example.com', 'localhost'])(
+      'Should reject %j',
+      (input) => {
+        expect(parseInvitationEntry(input)).toBeNull()
+      }
+    )
+  })
+
+  describe('getInvitationDate', () => {
+    test('Should give the date in UTC', () => {
+      expect(getInvitationDate(new Date('2026-03-12T23:30:00Z'))).toBe(
+        '2026-03-12'
+      )
+    })
+  })
+
+  describe('checkInvitation', () => {
+    test('Should let in an invited email address, whatever its case', () => {
+      const invitation = emailInvitation('sarah.jones@example.gov.uk')
+
+      expect(checkInvitation(USER, [invitation], TODAY)).toEqual({
+        invited: true,
+        invitation
+      })
+    })
+
+    test('Should let in everyone at an invited domain', () => {
+      expect(
+        checkInvitation(USER, [domainInvitation('example.gov.uk')], TODAY)
+          .invited
+      ).toBe(true)
+    })
+
+    test('Should check the username when there is no email claim', () => {
+      const user = { ...USER, email: null }
+
+      expect(
+        checkInvitation(
+          user,
+          [domainInvitation('tenant.onmicrosoft.com')],
+          TODAY
+        ).invited
+      ).toBe(true)
+    })
+
+    test('Should not treat a subdomain or lookalike domain as invited', () => {
+      const user = { email: 'someone@notexample.gov.uk' }
+
+      expect(
+        checkInvitation(user, [domainInvitation('example.gov.uk')], TODAY)
+      ).toEqual({ invited: false, reason: 'NOT_INVITED' })
+    })
+
+    test('Should keep an invitation open until the end of its expiry date', () => {
+      expect(
+        checkInvitation(
+          USER,
+          [emailInvitation('sarah.jones@example.gov.uk', TODAY)],
+          TODAY
+        ).invited
+      ).toBe(true)
+    })
+
+    test('Should refuse expired invitations', () => {
+      expect(
+        checkInvitation(
+          USER,
+          [emailInvitation('sarah.jones@example.gov.uk', '2026-03-11')],
+          TODAY
+        )
+      ).toEqual({ invited: false, reason: 'INVITATION_EXPIRED' })
+    })
+
+    test('Should let in a user with an expired and a current invitation', () => {
+      expect(
+        checkInvitation(
+          USER,
+          [
+            emailInvitation('sarah.jones@example.gov.uk', '2026-03-11'),
+            domainInvitation('example.gov.uk')
+          ],
+          TODAY
+        ).invited
+      ).toBe(true)
+    })
+
+    test('Should refuse users without an email address', () => {
+      expect(
+        checkInvitation({ oid: 'user-oid' }, [domainInvitation('x.com')], TODAY)
+      ).toEqual({ invited: false, reason: 'NOT_INVITED' })
+    })
+  })
+})
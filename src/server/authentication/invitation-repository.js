@@ -0,0 +1,52 @@
+import { config } from '../../config/config.js'
+import { INVITATION_STORAGE } from '../common/constants/invitation-constants.js'
+import { buildRedisClient } from '../common/helpers/redis-client.js'
+
+// Lazy initialize Redis client
+let redisClient = null
+
+function getRedisClient() {
+  if (!redisClient) {
+    redisClient = buildRedisClient(config.get('redis'))
+  }
+  return redisClient
+}
+
+/**
+ * Lists the invitations on the allow-list, in order of email address or domain
+ * Errors are not caught, so sign in fails closed when the list cannot be read
+ *
+ * @returns {Promise<Object[]>} Invitations with entry, type, expires_on, added_by and added_at
+ */
+export async function listInvitations() {
+  const stored = await getRedisClient().hgetall(INVITATION_STORAGE.KEY)
+
+  return Object.values(stored ?? {})
+    .map((invitation) => JSON.parse(invitation))
+    .sort((first, second) => first.entry.localeCompare(second.entry))
+}
+
+/**
+ * Adds an invitation to the allow-list, replacing any for the same entry
+ *
+ * @param {Object} invitation - The invitation, keyed by its entry
+ * @returns {Promise<void>}
+ */
+export async function saveInvitation(invitation) {
+  await getRedisClient().hset(
+    INVITATION_STORAGE.KEY,
+    invitation.entry,
+    JSON.stringify(invitation)
+  )
+}
+
+/**
+ * Removes an invitation from the allow-list
+ *
+ * @param {string} entry - The email address or domain of the invitation
+ * @returns {Promise<boolean>} True if there was an invitation to remove
+ */
+export async function deleteInvitation(entry) {
+  const removed = await getRedisClient().hdel(INVITATION_STORAGE.KEY, entry)
+  return removed > 0
+}
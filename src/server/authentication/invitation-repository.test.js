@@ -0,0 +1,64 @@
+import { vi } from 'vitest'
+import {
+  deleteInvitation,
+  listInvitations,
+  saveInvitation
+} from './invitation-repository.js'
+
+const mockRedisClient = {
+  hgetall: vi.fn(),
+  hset: vi.fn(),
+  hdel: vi.fn()
+}
+
+vi.mock('../common/helpers/redis-client.js', () => ({
+  buildRedisClient: vi.fn(() => mockRedisClient)
+}))
+
+const INVITATION = {
+  entry: 'example.com',
+  type: 'domain',
+  expires_on: null
+}
+
+describe('#invitation-repository', () => {
+  test('Should store invitations in a hash keyed by entry', async () => {
+    await saveInvitation(INVITATION)
+
+    expect(mockRedisClient.hset).toHaveBeenCalledWith(
+      'auth:invitations',
+      'example.com',
+      JSON.stringify(INVITATION)
+    )
+  })
+
+  test('Should list invitations in order of entry', async () => {
+    mockRedisClient.hgetall.mockResolvedValueOnce({
+      'example.com': JSON.stringify(INVITATION),
+      'adam@example.com': JSON.stringify({
+        entry: 'adam@example.com',
+        type: 'email'
+      })
+    })
+
+    const invitations = await listInvitations()
+
+    expect(invitations.map(({ entry }) => entry)).toEqual([
+      'adam@example.com',
+      'example.com'
+    ])
+  })
+
+  test('Should list nothing when nobody has been invited', async () => {
+    mockRedisClient.hgetall.mockResolvedValueOnce({})
+
+    await expect(listInvitations()).resolves.toEqual([])
+  })
+
+  test('Should report whether an invitation was removed', async () => {
+    mockRedisClient.hdel.mockResolvedValueOnce(1).mockResolvedValueOnce(0)
+
+    await expect(deleteInvitation('example.com')).resolves.toBe(true)
+    await expect(deleteInvitation('example.com')).resolves.toBe(false)
+  })
+})
@@ -0,0 +1,102 @@
+import { APP_ROLES } from '../common/constants/authentication-constants.js'
+import { AUDIT_EVENTS } from '../common/constants/invitation-constants.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+import { resolveAppRoles } from './app-roles.js'
+import { checkInvitation, getInvitationDate } from './invitation-policy.js'
+import {
+  deleteInvitation,
+  listInvitations,
+  saveInvitation
+} from './invitation-repository.js'
+
+const logger = createLogger()
+
+/**
+ * Lets a user sign in only if they are on the invitation allow-list
+ * Admins are always let in, so there is someone to manage the list
+ * Every refusal is logged as an audit event
+ *
+ * @param {Object} user - Identity claims of the user signing in
+ * @returns {Promise<void>}
+ * @throws {Error} With code NOT_INVITED if the user has no current invitation
+ */
+export async function ensureInvited(user) {
+  if (resolveAppRoles(user).includes(APP_ROLES.ADMIN)) {
+    return
+  }
+
+  const decision = checkInvitation(
+    user,
+    await listInvitations(),
+    getInvitationDate()
+  )
+
+  if (decision.invited) {
+    return
+  }
+
+  logger.warn({
+    message: 'Sign in refused, user is not on the invitation allow-list',
+    event: AUDIT_EVENTS.SIGN_IN_REFUSED,
+    userId: user?.oid,
+    reason: decision.reason
+  })
+
+  const error = new Error('User has not been invited')
+  error.code = 'NOT_INVITED'
+  throw error
+}
+
+/**
+ * Lists the invitations for the admin page
+ *
+ * @returns {Promise<Object[]>} Invitations on the allow-list
+ */
+export async function getInvitations() {
+  return listInvitations()
+}
+
+/**
+ * Invites an email address or domain, logged as an audit event
+ *
+ * @param {{ entry: string, type: string }} parsedEntry - From parseInvitationEntry
+ * @param {string|null} expiresOn - Last day of the invitation as yyyy-mm-dd, or null for no expiry
+ * @param {Object} admin - Identity claims of the admin adding it
+ * @returns {Promise<void>}
+ */
+export async function addInvitation(parsedEntry, expiresOn, admin) {
+  await saveInvitation({
+    ...parsedEntry,
+    expires_on: expiresOn,
+    added_by: admin?.email ?? admin?.preferred_username ?? null,
+    added_at: new Date().toISOString()
+  })
+
+  logger.info({
+    message: 'Invitation added to the allow-list',
+    event: AUDIT_EVENTS.INVITATION_ADDED,
+    userId: admin?.oid,
+    invitationType: parsedEntry.type,
+    expiresOn
+  })
+}
+
+/**
+ * Withdraws an invitation, logged as an audit event
+ * People already signed in keep their session until it ends
+ *
+ * @param {string} entry - The email address or domain
+ * @param {Object} admin - Identity claims of the admin removing it
+ * @returns {Promise<void>}
+ */
+export async function removeInvitation(entry, admin) {
+  const removed = await deleteInvitation(entry)
+
+  if (removed) {
+    logger.info({
+      message: 'Invitation removed from the allow-list',
+      event: AUDIT_EVENTS.INVITATION_REMOVED,
+      userId: admin?.oid
+    })
+  }
+}
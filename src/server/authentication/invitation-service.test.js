@@ -0,0 +1,121 @@
+import { vi } from 'vitest'
+import {
+  addInvitation,
+  ensureInvited,
+  removeInvitation
+} from './invitation-service.js'
+import {
+  deleteInvitation,
+  listInvitations,
+  saveInvitation
+} from './invitation-repository.js'
+
+const mockLogger = vi.hoisted(() => ({
+  info: vi.fn(),
+  warn: vi.fn()
+}))
+
+vi.mock('./invitation-repository.js', () => ({
+  deleteInvitation: vi.fn(),
+  listInvitations: vi.fn(),
+  saveInvitation: vi.fn()
+}))
+
+vi.mock('../common/helpers/logging/logger.js', () => ({
+  createLogger: () => mockLogger
+}))
+
+const RESEARCHER = {
+  oid: 'researcher-oid',
+  email: 'rosa@example.com',
+  roles: ['Researcher']
+}
+const ADMIN = { oid: 'admin-oid', email: 'adam@example.com', roles: ['Admin'] }
+
+describe('#invitation-service', () => {
+  describe('ensureInvited', () => {
+    test('Should let in users on the allow-list', async () => {
+      listInvitations.mockResolvedValueOnce([
+        { entry: 'example.com', type: 'domain', expires_on: null }
+      ])
+
+      await expect(ensureInvited(RESEARCHER)).resolves.toBeUndefined()
+      expect(mockLogger.warn).not.toHaveBeenCalled()
+    })
+
+    test('Should refuse users who are not invited and audit the refusal', async () => {
+      listInvitations.mockResolvedValueOnce([])
+
+      await expect(ensureInvited(RESEARCHER)).rejects.toMatchObject({
+        code: 'NOT_INVITED'
+      })
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        expect.objectContaining({
+          event: 'auth.sign-in.refused',
+          userId: 'researcher-oid',
+          reason: 'NOT_INVITED'
+        })
+      )
+    })
+
+    test('Should always let in admins, so the list can be managed', async () => {
+      await expect(ensureInvited(ADMIN)).resolves.toBeUndefined()
+      expect(listInvitations).not.toHaveBeenCalled()
+    })
+
+    test('Should fail closed when the allow-list cannot be read', async () => {
+      listInvitations.mockRejectedValueOnce(
+        new Error('Redis connection failed')
+      )
+
+      await expect(ensureInvited(RESEARCHER)).rejects.toThrow(
+        'Redis connection failed'
+      )
+    })
+  })
+
+  describe('addInvitation', () => {
+    test('Should save the invitation with who added it and audit the change', async () => {
+      await addInvitation(
+        { entry: 'example.com', type: 'domain' },
+        '2026-04-01',
+        ADMIN
+      )
+
+      expect(saveInvitation).toHaveBeenCalledWith({
+        entry: 'example.com',
+        type: 'domain',
+        expires_on: '2026-04-01',
+        added_by: 'adam@example.com',
+        added_at: expect.any(String)
+      })
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        expect.objectContaining({
+          event: 'auth.invitation.added',
+          userId: 'admin-oid'
+        })
+      )
+    })
+  })
+
+  describe('removeInvitation', () => {
+    test('Should remove the invitation and audit the change', async () => {
+      deleteInvitation.mockResolvedValueOnce(true)
+
+      await removeInvitation('example.com', ADMIN)
+
+      expect(deleteInvitation).toHaveBeenCalledWith('example.com')
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        expect.objectContaining({ event: 'auth.invitation.removed' })
+      )
+    })
+
+    test('Should not audit removing an invitation that did not exist', async () => {
+      deleteInvitation.mockResolvedValueOnce(false)
+
+      await removeInvitation('example.com', ADMIN)
+
+      expect(mockLogger.info).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,85 @@
+import crypto from 'crypto'
+import { config } from '../../config/config.js'
+import { ID_TOKEN_VALIDATION } from '../common/constants/authentication-constants.js'
+import { getOidcEndpoints } from './oidc-discovery.js'
+
+// Signing keys by key ID, shared across requests
+let signingKeys = new Map()
+let fetchedAt = 0
+let pendingFetch = null
+
+async function fetchSigningKeys() {
+  const { jwksUri } = await getOidcEndpoints()
+
+  const response = await fetch(jwksUri)
+
+  if (!response.ok) {
+    const error = new Error(
+      `Signing key request failed with status: ${response.status}`
+    )
+    error.code = 'JWKS_UNAVAILABLE'
+    throw error
+  }
+
+  const { keys = [] } = await response.json()
+  const keysById = new Map()
+
+  for (const jwk of keys) {
+    if (jwk.kid && jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig')) {
+      keysById.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }))
+    }
+  }
+
+  signingKeys = keysById
+  fetchedAt = Date.now()
+}
+
+function refreshSigningKeys() {
+  // Share one request between callers that miss the cache at the same time
+  pendingFetch ??= fetchSigningKeys().finally(() => {
+    pendingFetch = null
+  })
+  return pendingFetch
+}
+
+/**
+ * Gets the tenant's public key for a key ID from the cached JWKS
+ * Keys are refetched when the cache expires, or when an unknown key ID
+ * appears because Azure AD has rotated its keys. Refetches for unknown key IDs
+ * are limited so forged tokens cannot flood the JWKS endpoint
+ *
+ * @param {string} kid - The key ID from the token header
+ * @returns {Promise<crypto.KeyObject>} The public signing key
+ * @throws {Error} With code UNKNOWN_SIGNING_KEY if the tenant has no such key
+ */
+export async function getSigningKey(kid) {
+  const age = Date.now() - fetchedAt
+
+  if (age > config.get('azureAd.jwksCacheTtl')) {
+    await refreshSigningKeys()
+  } else if (
+    !signingKeys.has(kid) &&
+    age > ID_TOKEN_VALIDATION.JWKS_REFRESH_MIN_INTERVAL_MS
+  ) {
+    await refreshSigningKeys()
+  }
+
+  const signingKey = signingKeys.get(kid)
+
+  if (!signingKey) {
+    const error = new Error('No signing key found for token key ID')
+    error.code = 'UNKNOWN_SIGNING_KEY'
+    throw error
+  }
+
+  return signingKey
+}
+
+/**
+ * Empties the signing key cache
+ */
+export function clearSigningKeyCache() {
+  signingKeys = new Map()
+  fetchedAt = 0
+  pendingFetch = null
+}
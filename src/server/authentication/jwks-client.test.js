@@ -0,0 +1,90 @@
+import { vi } from 'vitest'
+import { clearSigningKeyCache, getSigningKey } from './jwks-client.js'
+import {
+  createJwksResponse,
+  createTestSigningKey
+} from '../common/test-helpers/test-signing-keys.js'
+
+vi.stubGlobal('fetch', vi.fn())
+
+vi.mock('./oidc-discovery.js', () => ({
+  getOidcEndpoints: vi.fn(() =>
+    Promise.resolve({
+      jwksUri: 'https://login.example.com/test-tenant/discovery/v2.0/keys'
+    })
+  )
+}))
+
+const FIRST_KEY = createTestSigningKey('key-1')
+const ROTATED_KEY = createTestSigningKey('key-2')
+
+describe('#jwks-client', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useRealTimers()
+    clearSigningKeyCache()
+  })
+
+  describe('getSigningKey', () => {
+    test('Should fetch the tenant JWKS and return the key for the key ID', async () => {
+      fetch.mockResolvedValueOnce(createJwksResponse([FIRST_KEY]))
+
+      const signingKey = await getSigningKey('key-1')
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://login.example.com/test-tenant/discovery/v2.0/keys'
+      )
+      expect(signingKey.export({ format: 'jwk' }).n).toBe(FIRST_KEY.jwk.n)
+    })
+
+    test('Should serve known key IDs from the cache', async () => {
+      fetch.mockResolvedValueOnce(createJwksResponse([FIRST_KEY]))
+
+      await getSigningKey('key-1')
+      await getSigningKey('key-1')
+
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    test('Should refetch the JWKS when an unknown key ID appears', async () => {
+      vi.useFakeTimers()
+      fetch
+        .mockResolvedValueOnce(createJwksResponse([FIRST_KEY]))
+        .mockResolvedValueOnce(createJwksResponse([FIRST_KEY, ROTATED_KEY]))
+
+      await getSigningKey('key-1')
+      vi.advanceTimersByTime(2 * 60 * 1000)
+      const signingKey = await getSigningKey('key-2')
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(signingKey.export({ format: 'jwk' }).n).toBe(ROTATED_KEY.jwk.n)
+    })
+
+    test('Should not refetch for unknown key IDs more than once a minute', async () => {
+      fetch.mockResolvedValue(createJwksResponse([FIRST_KEY]))
+
+      await getSigningKey('key-1')
+
+      await expect(getSigningKey('forged-key')).rejects.toMatchObject({
+        code: 'UNKNOWN_SIGNING_KEY'
+      })
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    test('Should share one JWKS request between concurrent callers', async () => {
+      fetch.mockResolvedValueOnce(createJwksResponse([FIRST_KEY]))
+
+      await Promise.all([getSigningKey('key-1'), getSigningKey('key-1')])
+
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    test('Should throw when the JWKS endpoint fails', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 503 })
+
+      await expect(getSigningKey('key-1')).rejects.toMatchObject({
+        code: 'JWKS_UNAVAILABLE'
+      })
+    })
+  })
+})
@@ -8,6 +8,14 @@ export function generateStateParameter() {
   return crypto.randomBytes(32).toString('base64url')
 }
 
+/**
+ * Generates a nonce that binds the ID token to this sign-in attempt
+ * @returns {string} A random nonce
+ */
+export function generateNonce() {
+  return crypto.randomBytes(32).toString('base64url')
+}
+
 /**
  * Generates PKCE code verifier and challenge
  * @returns {Object} Object containing codeVerifier and codeChallenge
@@ -1,6 +1,7 @@
 import { vi } from 'vitest'
 import crypto from 'crypto'
 import {
+  generateNonce,
   generateStateParameter,
   generatePkceChallenge
 } from './oauth-crypto-service.js'
@@ -70,4 +71,15 @@ describe('#oauth-crypto-service', () => {
       expect(mockToString).toHaveBeenCalledWith('base64url')
     })
   })
+
+  describe('generateNonce', () => {
+    test('Should generate a base64url encoded random nonce', () => {
+      const nonce = generateNonce()
+
+      expect(nonce).toBe('test-random-value')
+      expect(crypto.randomBytes).toHaveBeenCalledWith(32)
+      const mockToString = crypto.randomBytes.mock.results[0].value.toString
+      expect(mockToString).toHaveBeenCalledWith('base64url')
+    })
+  })
 })
@@ -6,65 +6,52 @@ import { validateState } from './state-validator.js'
 const redisClient = buildRedisClient(config.get('redis'))
 
 /**
- * Stores the state parameter in Redis with TTL
- * @param {string} state - The state parameter to store
- * @returns {Promise<void>}
+ * Builds the key the sign in record for a state parameter is stored under
+ * Everything about a sign in lives under this one key, so it never spans
+ * cluster slots
+ * @param {string} state - The state parameter
+ * @returns {string} The Redis key
  */
-export async function storeStateParameter(state) {
-  validateState(state)
-  const key = `${OAUTH_CONSTANTS.STATE_KEY_PREFIX}${state}`
-  await redisClient.set(key, '1', 'EX', OAUTH_CONSTANTS.STATE_TTL_SECONDS)
+function buildOauthStateKey(state) {
+  return `${OAUTH_CONSTANTS.OAUTH_STATE_KEY_PREFIX}${state}`
 }
 
 /**
- * Stores the PKCE code verifier in Redis with TTL
- * @param {string} state - The state parameter to associate with the code verifier
- * @param {string} codeVerifier - The PKCE code verifier to store
+ * Stores what the callback needs to finish a sign in, as one record keyed by
+ * the state parameter, with TTL
+ * @param {string} state - The state parameter sent in the authorization request
+ * @param {Object} record - The sign in record
+ * @param {string} record.codeVerifier - The PKCE code verifier
+ * @param {string} record.nonce - The nonce the ID token must carry
+ * @param {string} [record.returnPath] - Same-origin relative path the user asked for
  * @returns {Promise<void>}
  */
-export async function storePkceVerifier(state, codeVerifier) {
+export async function storeOauthState(
+  state,
+  { codeVerifier, nonce, returnPath }
+) {
   validateState(state)
-  const key = `${OAUTH_CONSTANTS.PKCE_KEY_PREFIX}${state}`
   await redisClient.set(
-    key,
-    codeVerifier,
+    buildOauthStateKey(state),
+    JSON.stringify({
+      codeVerifier,
+      nonce,
+      returnPath: returnPath ?? null
+    }),
     'EX',
     OAUTH_CONSTANTS.STATE_TTL_SECONDS
   )
 }
 
 /**
- * Validates a state parameter exists in Redis
- * @param {string} state - The state parameter to validate
- * @returns {Promise<boolean>} True if valid, false otherwise
- */
-export async function validateStateParameter(state) {
-  validateState(state)
-  const key = `${OAUTH_CONSTANTS.STATE_KEY_PREFIX}${state}`
-  const exists = await redisClient.exists(key)
-
-  // Delete the state after validation to prevent reuse
-  if (exists) {
-    await redisClient.del(key)
-  }
-
-  return exists === 1
-}
-
-/**
- * Retrieves and removes the PKCE code verifier from Redis
- * @param {string} state - The state parameter associated with the code verifier
- * @returns {Promise<string|null>} The code verifier or null if not found
+ * Reads and removes the sign in record for a state parameter in one atomic
+ * GETDEL, so the same state can only ever be redeemed by one callback
+ * @param {string} state - The state parameter from the callback
+ * @returns {Promise<Object|null>} The record with codeVerifier, nonce and returnPath, or null if the state is unknown, expired or already used
  */
-export async function retrievePkceVerifier(state) {
+export async function consumeOauthState(state) {
   validateState(state)
-  const key = `${OAUTH_CONSTANTS.PKCE_KEY_PREFIX}${state}`
-  const codeVerifier = await redisClient.get(key)
-
-  // Delete the verifier after retrieval to prevent reuse
-  if (codeVerifier) {
-    await redisClient.del(key)
-  }
+  const record = await redisClient.getdel(buildOauthStateKey(state))
 
-  return codeVerifier
+  return record ? JSON.parse(record) : null
 }
@@ -1,19 +1,12 @@
 import { vi } from 'vitest'
 import { OAUTH_CONSTANTS } from '../common/constants/authentication-constants.js'
-import {
-  storeStateParameter,
-  storePkceVerifier,
-  validateStateParameter,
-  retrievePkceVerifier
-} from './oauth-state-storage.js'
+import { consumeOauthState, storeOauthState } from './oauth-state-storage.js'
 
 // Mock Redis client
 vi.mock('../common/helpers/redis-client.js', () => {
   const mockRedisClient = {
     set: vi.fn(),
-    exists: vi.fn(),
-    del: vi.fn(),
-    get: vi.fn(),
+    getdel: vi.fn(),
     on: vi.fn()
   }
 
@@ -23,6 +16,12 @@ vi.mock('../common/helpers/redis-client.js', () => {
   }
 })
 
+const OAUTH_STATE = {
+  codeVerifier: 'test-verifier',
+  nonce: 'test-nonce',
+  returnPath: '/review-pii'
+}
+
 describe('#oauth-state-storage', () => {
   let mockRedisClient
 
@@ -35,180 +34,99 @@ describe('#oauth-state-storage', () => {
     mockRedisClient = __mockRedisClient
   })
 
-  describe('storeStateParameter', () => {
-    test('Should store state parameter in Redis with correct TTL', async () => {
-      const state = 'test-state-123'
+  describe('storeOauthState', () => {
+    test('Should store the sign in record under one key with correct TTL', async () => {
       mockRedisClient.set.mockResolvedValue('OK')
 
-      await storeStateParameter(state)
+      await storeOauthState('test-state-123', OAUTH_STATE)
 
+      expect(mockRedisClient.set).toHaveBeenCalledTimes(1)
       expect(mockRedisClient.set).toHaveBeenCalledWith(
-        `${OAUTH_CONSTANTS.STATE_KEY_PREFIX}test-state-123`,
-        '1',
+        `${OAUTH_CONSTANTS.OAUTH_STATE_KEY_PREFIX}test-state-123`,
+        JSON.stringify(OAUTH_STATE),
         'EX',
         OAUTH_CONSTANTS.STATE_TTL_SECONDS
       )
     })
 
-    test('Should reject invalid state parameter', async () => {
-      const state = 'invalid$state'
-
-      await expect(storeStateParameter(state)).rejects.toThrow(
-        'Invalid state parameter format'
-      )
-      expect(mockRedisClient.set).not.toHaveBeenCalled()
-    })
-
-    test('Should handle Redis errors', async () => {
-      const state = 'test-state'
-      const error = new Error('Redis connection failed')
-      mockRedisClient.set.mockRejectedValue(error)
-
-      await expect(storeStateParameter(state)).rejects.toThrow(
-        'Redis connection failed'
-      )
-    })
-  })
-
-  describe('storePkceVerifier', () => {
-    test('Should store PKCE verifier in Redis with correct TTL', async () => {
-      const state = 'test-state-456'
-      const codeVerifier = 'test-verifier-xyz'
-      mockRedisClient.set.mockResolvedValue('OK')
-
-      await storePkceVerifier(state, codeVerifier)
-
-      expect(mockRedisClient.set).toHaveBeenCalledWith(
-        `${OAUTH_CONSTANTS.PKCE_KEY_PREFIX}test-state-456`,
-        'test-verifier-xyz',
-        'EX',
-        OAUTH_CONSTANTS.STATE_TTL_SECONDS
-      )
+    test('Should store a missing return path as null', async () => {
+      await storeOauthState('test-state-123', {
+        codeVerifier: 'test-verifier',
+        nonce: 'test-nonce'
+      })
+
+      expect(JSON.parse(mockRedisClient.set.mock.calls[0][1])).toEqual({
+        codeVerifier: 'test-verifier',
+        nonce: 'test-nonce',
+        returnPath: null
+      })
     })
 
     test('Should reject invalid state parameter', async () => {
-      const state = 'invalid@state'
-      const codeVerifier = 'test-verifier'
-
-      await expect(storePkceVerifier(state, codeVerifier)).rejects.toThrow(
-        'Invalid state parameter format'
-      )
+      await expect(
+        storeOauthState('invalid$state', OAUTH_STATE)
+      ).rejects.toThrow('Invalid state parameter format')
       expect(mockRedisClient.set).not.toHaveBeenCalled()
     })
 
-    test('Should handle empty code verifier', async () => {
-      const state = 'test-state'
-      const codeVerifier = ''
-      mockRedisClient.set.mockResolvedValue('OK')
-
-      await storePkceVerifier(state, codeVerifier)
-
-      expect(mockRedisClient.set).toHaveBeenCalledWith(
-        `${OAUTH_CONSTANTS.PKCE_KEY_PREFIX}test-state`,
-        '',
-        'EX',
-        OAUTH_CONSTANTS.STATE_TTL_SECONDS
-      )
-    })
-  })
-
-  describe('validateStateParameter', () => {
-    test('Should return true for valid state and delete it', async () => {
-      const state = 'valid-state-789'
-      mockRedisClient.exists.mockResolvedValue(1)
-      mockRedisClient.del.mockResolvedValue(1)
-
-      const isValid = await validateStateParameter(state)
-
-      expect(isValid).toBe(true)
-      expect(mockRedisClient.exists).toHaveBeenCalledWith(
-        `${OAUTH_CONSTANTS.STATE_KEY_PREFIX}valid-state-789`
-      )
-      expect(mockRedisClient.del).toHaveBeenCalledWith(
-        `${OAUTH_CONSTANTS.STATE_KEY_PREFIX}valid-state-789`
+    test('Should handle Redis errors', async () => {
+      mockRedisClient.set.mockRejectedValue(
+        new Error('Redis connection failed')
       )
-    })
 
-    test('Should reject malformed state parameter', async () => {
-      const state = 'invalid state with spaces'
-
-      await expect(validateStateParameter(state)).rejects.toThrow(
-        'Invalid state parameter format'
+      await expect(storeOauthState('test-state', OAUTH_STATE)).rejects.toThrow(
+        'Redis connection failed'
       )
-      expect(mockRedisClient.exists).not.toHaveBeenCalled()
     })
+  })
 
-    test('Should return false for invalid state and not delete', async () => {
-      const state = 'invalid-state'
-      mockRedisClient.exists.mockResolvedValue(0)
+  describe('consumeOauthState', () => {
+    test('Should read and delete the record in one GETDEL', async () => {
+      mockRedisClient.getdel.mockResolvedValue(JSON.stringify(OAUTH_STATE))
 
-      const isValid = await validateStateParameter(state)
+      const result = await consumeOauthState('test-state-123')
 
-      expect(isValid).toBe(false)
-      expect(mockRedisClient.exists).toHaveBeenCalledWith(
-        `${OAUTH_CONSTANTS.STATE_KEY_PREFIX}invalid-state`
+      expect(result).toEqual(OAUTH_STATE)
+      expect(mockRedisClient.getdel).toHaveBeenCalledTimes(1)
+      expect(mockRedisClient.getdel).toHaveBeenCalledWith(
+        `${OAUTH_CONSTANTS.OAUTH_STATE_KEY_PREFIX}test-state-123`
       )
-      expect(mockRedisClient.del).not.toHaveBeenCalled()
     })
 
-    test('Should handle multiple exists return values correctly', async () => {
-      const state = 'test-state'
-      mockRedisClient.exists.mockResolvedValue(2) // Multiple keys exist
+    test('Should return null for an unknown, expired or already used state', async () => {
+      mockRedisClient.getdel.mockResolvedValue(null)
 
-      const isValid = await validateStateParameter(state)
-
-      expect(isValid).toBe(false) // Only exactly 1 should return true
-      expect(mockRedisClient.del).toHaveBeenCalled()
+      await expect(consumeOauthState('used-state')).resolves.toBeNull()
     })
-  })
 
-  describe('retrievePkceVerifier', () => {
-    test('Should retrieve and delete PKCE verifier', async () => {
-      const state = 'test-state-abc'
-      const expectedVerifier = 'secure-verifier-123'
-      mockRedisClient.get.mockResolvedValue(expectedVerifier)
-      mockRedisClient.del.mockResolvedValue(1)
+    test('Should only let one of two concurrent callbacks redeem the state', async () => {
+      // GETDEL is atomic, so Redis hands the record to whichever runs first
+      mockRedisClient.getdel
+        .mockResolvedValueOnce(JSON.stringify(OAUTH_STATE))
+        .mockResolvedValueOnce(null)
 
-      const verifier = await retrievePkceVerifier(state)
+      const results = await Promise.all([
+        consumeOauthState('test-state-123'),
+        consumeOauthState('test-state-123')
+      ])
 
-      expect(verifier).toBe(expectedVerifier)
-      expect(mockRedisClient.get).toHaveBeenCalledWith(
-        `${OAUTH_CONSTANTS.PKCE_KEY_PREFIX}test-state-abc`
-      )
-      expect(mockRedisClient.del).toHaveBeenCalledWith(
-        `${OAUTH_CONSTANTS.PKCE_KEY_PREFIX}test-state-abc`
-      )
+      expect(results.filter(Boolean)).toHaveLength(1)
     })
 
     test('Should reject malformed state parameter', async () => {
-      const state = 'state#with#hashes'
-
-      await expect(retrievePkceVerifier(state)).rejects.toThrow(
+      await expect(consumeOauthState('invalid$state')).rejects.toThrow(
         'Invalid state parameter format'
       )
-      expect(mockRedisClient.get).not.toHaveBeenCalled()
-    })
-
-    test('Should return null when verifier not found', async () => {
-      const state = 'missing-state'
-      mockRedisClient.get.mockResolvedValue(null)
-
-      const verifier = await retrievePkceVerifier(state)
-
-      expect(verifier).toBeNull()
-      expect(mockRedisClient.get).toHaveBeenCalledWith(
-        `${OAUTH_CONSTANTS.PKCE_KEY_PREFIX}missing-state`
-      )
-      expect(mockRedisClient.del).not.toHaveBeenCalled()
+      expect(mockRedisClient.getdel).not.toHaveBeenCalled()
     })
 
     test('Should handle Redis errors during retrieval', async () => {
-      const state = 'test-state'
-      const error = new Error('Redis read failed')
-      mockRedisClient.get.mockRejectedValue(error)
+      mockRedisClient.getdel.mockRejectedValue(
+        new Error('Redis connection failed')
+      )
 
-      await expect(retrievePkceVerifier(state)).rejects.toThrow(
-        'Redis read failed'
+      await expect(consumeOauthState('test-state')).rejects.toThrow(
+        'Redis connection failed'
       )
     })
   })
@@ -0,0 +1,138 @@
+import { config } from '../../config/config.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+import { ID_TOKEN_VALIDATION } from '../common/constants/authentication-constants.js'
+import {
+  validateAndGetAzureAdConfig,
+  buildAzureAdEndpointUrl
+} from './azure-ad-config.js'
+
+const logger = createLogger()
+
+// Configured path overrides for each endpoint in the discovery document
+const ENDPOINT_OVERRIDES = {
+  authorizationEndpoint: 'authorizeEndpoint',
+  tokenEndpoint: 'tokenEndpoint',
+  endSessionEndpoint: 'logoutEndpoint',
+  jwksUri: 'jwksEndpoint'
+}
+
+let discoveryDocument = null
+let fetchedAt = 0
+let pendingFetch = null
+
+async function fetchDiscoveryDocument(baseUrl, tenantId) {
+  const discoveryUrl = buildAzureAdEndpointUrl(
+    baseUrl,
+    tenantId,
+    config.get('azureAd.discoveryEndpoint')
+  )
+
+  const response = await fetch(discoveryUrl)
+
+  if (!response.ok) {
+    const error = new Error(
+      `Discovery document request failed with status: ${response.status}`
+    )
+    error.code = 'OIDC_DISCOVERY_UNAVAILABLE'
+    throw error
+  }
+
+  discoveryDocument = await response.json()
+  fetchedAt = Date.now()
+  return discoveryDocument
+}
+
+async function getDiscoveryDocument(baseUrl, tenantId) {
+  if (
+    discoveryDocument &&
+    Date.now() - fetchedAt <= config.get('azureAd.discoveryCacheTtl')
+  ) {
+    return discoveryDocument
+  }
+
+  // Share one request between callers that miss the cache at the same time
+  pendingFetch ??= fetchDiscoveryDocument(baseUrl, tenantId).finally(() => {
+    pendingFetch = null
+  })
+
+  try {
+    return await pendingFetch
+  } catch (error) {
+    if (!discoveryDocument) {
+      throw error
+    }
+
+    // Keep signing users in with the last known endpoints until discovery recovers
+    logger.warn({
+      message: 'Using expired OpenID Connect discovery document',
+      errorMessage: error.message,
+      errorCode: error.code || 'OIDC_DISCOVERY_UNAVAILABLE'
+    })
+    return discoveryDocument
+  }
+}
+
+function requireEndpoint(endpoints, name) {
+  if (!endpoints[name]) {
+    const error = new Error(`Discovery document has no ${name}`)
+    error.code = 'OIDC_DISCOVERY_INCOMPLETE'
+    throw error
+  }
+}
+
+/**
+ * Gets the identity provider's endpoints from its OpenID Connect discovery document
+ * The document is cached for azureAd.discoveryCacheTtl. An endpoint path set in
+ * config replaces the discovered URL, and when every endpoint is overridden the
+ * document is not fetched at all
+ *
+ * @returns {Promise<Object>} Authorization, token, end-session and JWKS URLs and the issuer
+ * @throws {Error} If the document cannot be fetched or lacks a required endpoint
+ */
+export async function getOidcEndpoints() {
+  const { baseUrl, tenantId } = validateAndGetAzureAdConfig([
+    'baseUrl',
+    'tenantId'
+  ])
+
+  const overrides = Object.entries(ENDPOINT_OVERRIDES).map(
+    ([name, configKey]) => [name, config.get(`azureAd.${configKey}`)]
+  )
+  const needsDiscovery = overrides.some(([, path]) => !path)
+  const document = needsDiscovery
+    ? await getDiscoveryDocument(baseUrl, tenantId)
+    : {}
+
+  const endpoints = {
+    authorizationEndpoint: document.authorization_endpoint,
+    tokenEndpoint: document.token_endpoint,
+    endSessionEndpoint: document.end_session_endpoint,
+    jwksUri: document.jwks_uri,
+    // Multi-tenant authorities publish a {tenantid} placeholder in the issuer
+    issuer: document.issuer
+      ? document.issuer.replace('{tenantid}', tenantId)
+      : buildAzureAdEndpointUrl(
+          baseUrl,
+          tenantId,
+          ID_TOKEN_VALIDATION.ISSUER_PATH
+        )
+  }
+
+  for (const [name, path] of overrides) {
+    if (path) {
+      endpoints[name] = buildAzureAdEndpointUrl(baseUrl, tenantId, path)
+    }
+    requireEndpoint(endpoints, name)
+  }
+
+  return endpoints
+}
+
+/**
+ * Empties the discovery document cache
+ */
+export function clearDiscoveryCache() {
+  discoveryDocument = null
+  fetchedAt = 0
+  pendingFetch = null
+}
@@ -0,0 +1,168 @@
+import { vi } from 'vitest'
+import { config } from '../../config/config.js'
+import { clearDiscoveryCache, getOidcEndpoints } from './oidc-discovery.js'
+
+vi.stubGlobal('fetch', vi.fn())
+
+const DISCOVERY_URL =
+  'https://login.example.com/test-tenant/v2.0/.well-known/openid-configuration'
+
+const DISCOVERY_DOCUMENT = {
+  issuer: 'https://login.example.com/test-tenant/v2.0',
+  authorization_endpoint:
+    'https://login.example.com/test-tenant/oauth2/v2.0/authorize',
+  token_endpoint: 'https://login.example.com/test-tenant/oauth2/v2.0/token',
+  end_session_endpoint:
+    'https://login.example.com/test-tenant/oauth2/v2.0/logout',
+  jwks_uri: 'https://login.example.com/test-tenant/discovery/v2.0/keys'
+}
+
+const originalConfigGet = config.get.bind(config)
+
+function mockAzureAdConfig(overrides = {}) {
+  const values = {
+    'azureAd.baseUrl': 'https://login.example.com',
+    'azureAd.tenantId': 'test-tenant',
+    'azureAd.authorizeEndpoint': null,
+    'azureAd.tokenEndpoint': null,
+    'azureAd.logoutEndpoint': null,
+    'azureAd.jwksEndpoint': null,
+    ...overrides
+  }
+  vi.spyOn(config, 'get').mockImplementation((key) =>
+    key in values ? values[key] : originalConfigGet(key)
+  )
+}
+
+function discoveryResponse(document = DISCOVERY_DOCUMENT) {
+  return { ok: true, json: () => Promise.resolve(document) }
+}
+
+describe('#oidc-discovery', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useRealTimers()
+    clearDiscoveryCache()
+    mockAzureAdConfig()
+  })
+
+  afterAll(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('getOidcEndpoints', () => {
+    test('Should read endpoints from the discovery document', async () => {
+      fetch.mockResolvedValueOnce(discoveryResponse())
+
+      const endpoints = await getOidcEndpoints()
+
+      expect(fetch).toHaveBeenCalledWith(DISCOVERY_URL)
+      expect(endpoints).toEqual({
+        authorizationEndpoint: DISCOVERY_DOCUMENT.authorization_endpoint,
+        tokenEndpoint: DISCOVERY_DOCUMENT.token_endpoint,
+        endSessionEndpoint: DISCOVERY_DOCUMENT.end_session_endpoint,
+        jwksUri: DISCOVERY_DOCUMENT.jwks_uri,
+        issuer: DISCOVERY_DOCUMENT.issuer
+      })
+    })
+
+    test('Should cache the discovery document until its TTL passes', async () => {
+      vi.useFakeTimers()
+      fetch.mockResolvedValue(discoveryResponse())
+
+      await getOidcEndpoints()
+      await getOidcEndpoints()
+      expect(fetch).toHaveBeenCalledTimes(1)
+
+      vi.advanceTimersByTime(24 * 60 * 60 * 1000 + 1)
+      await getOidcEndpoints()
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+
+    test('Should let configured paths override discovered endpoints', async () => {
+      mockAzureAdConfig({ 'azureAd.tokenEndpoint': 'custom/token' })
+      fetch.mockResolvedValueOnce(discoveryResponse())
+
+      const endpoints = await getOidcEndpoints()
+
+      expect(endpoints.tokenEndpoint).toBe(
+        'https://login.example.com/test-tenant/custom/token'
+      )
+      expect(endpoints.authorizationEndpoint).toBe(
+        DISCOVERY_DOCUMENT.authorization_endpoint
+      )
+    })
+
+    test('Should not fetch the discovery document when every endpoint is configured', async () => {
+      mockAzureAdConfig({
+        'azureAd.authorizeEndpoint': 'oauth2/v2.0/authorize',
+        'azureAd.tokenEndpoint': 'oauth2/v2.0/token',
+        'azureAd.logoutEndpoint': 'oauth2/v2.0/logout',
+        'azureAd.jwksEndpoint': 'discovery/v2.0/keys'
+      })
+
+      const endpoints = await getOidcEndpoints()
+
+      expect(fetch).not.toHaveBeenCalled()
+      expect(endpoints).toEqual({
+        authorizationEndpoint:
+          'https://login.example.com/test-tenant/oauth2/v2.0/authorize',
+        tokenEndpoint:
+          'https://login.example.com/test-tenant/oauth2/v2.0/token',
+        endSessionEndpoint:
+          'https://login.example.com/test-tenant/oauth2/v2.0/logout',
+        jwksUri: 'https://login.example.com/test-tenant/discovery/v2.0/keys',
+        issuer: 'https://login.example.com/test-tenant/v2.0'
+      })
+    })
+
+    test('Should fill in the tenant for multi-tenant issuers', async () => {
+      fetch.mockResolvedValueOnce(
+        discoveryResponse({
+          ...DISCOVERY_DOCUMENT,
+          issuer: 'https://login.example.com/{tenantid}/v2.0'
+        })
+      )
+
+      const { issuer } = await getOidcEndpoints()
+
+      expect(issuer).toBe('https://login.example.com/test-tenant/v2.0')
+    })
+
+    test('Should throw when the discovery document cannot be fetched', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 503 })
+
+      await expect(getOidcEndpoints()).rejects.toMatchObject({
+        code: 'OIDC_DISCOVERY_UNAVAILABLE'
+      })
+    })
+
+    test('Should keep using an expired document when a refresh fails', async () => {
+      vi.useFakeTimers()
+      fetch
+        .mockResolvedValueOnce(discoveryResponse())
+        .mockRejectedValueOnce(new Error('Network connection failed'))
+
+      await getOidcEndpoints()
+      vi.advanceTimersByTime(24 * 60 * 60 * 1000 + 1)
+      const endpoints = await getOidcEndpoints()
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(endpoints.tokenEndpoint).toBe(DISCOVERY_DOCUMENT.token_endpoint)
+    })
+
+    test('Should throw when the document lacks an endpoint', async () => {
+      fetch.mockResolvedValueOnce(
+        discoveryResponse({
+          ...DISCOVERY_DOCUMENT,
+          end_session_endpoint: undefined
+        })
+      )
+
+      await expect(getOidcEndpoints()).rejects.toMatchObject({
+        code: 'OIDC_DISCOVERY_INCOMPLETE',
+        message: 'Discovery document has no endSessionEndpoint'
+      })
+    })
+  })
+})
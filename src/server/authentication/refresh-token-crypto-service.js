@@ -0,0 +1,34 @@
+import { config } from '../../config/config.js'
+import { REFRESH_TOKEN_ENCRYPTION } from '../common/constants/authentication-constants.js'
+import { decryptForSession, encryptForSession } from './session-encryption.js'
+
+function getEncryptionOptions() {
+  return {
+    secret: config.get('auth.refreshTokenEncryptionKey'),
+    info: REFRESH_TOKEN_ENCRYPTION.KEY_DERIVATION_INFO,
+    description: 'refresh token',
+    errorCode: 'REFRESH_TOKEN_FORMAT_UNSUPPORTED'
+  }
+}
+
+/**
+ * Encrypts an identity provider refresh token with AES-GCM, using a key
+ * derived for the session it is stored on
+ * @param {string} sessionId - The session the token belongs to
+ * @param {string} refreshToken - The refresh token from the token response
+ * @returns {string} Version, IV, auth tag and ciphertext joined with dots
+ */
+export function encryptRefreshToken(sessionId, refreshToken) {
+  return encryptForSession(getEncryptionOptions(), sessionId, refreshToken)
+}
+
+/**
+ * Decrypts a refresh token written by encryptRefreshToken
+ * Fails if the token was stored on another session or has been altered
+ * @param {string} sessionId - The session the token belongs to
+ * @param {string} encrypted - The stored refresh token
+ * @returns {string} The refresh token
+ */
+export function decryptRefreshToken(sessionId, encrypted) {
+  return decryptForSession(getEncryptionOptions(), sessionId, encrypted)
+}
@@ -0,0 +1,54 @@
+import {
+  decryptRefreshToken,
+  encryptRefreshToken
+} from './refresh-token-crypto-service.js'
+import { encryptTranscript } from './transcript-crypto-service.js'
+
+const SESSION_ID = 'a8f2c1e4-5b6d-4e7f-8a9b-0c1d2e3f4a5b'
+const REFRESH_TOKEN = '0.AXoA-refresh-token-from-azure-ad'
+
+describe('#refresh-token-crypto-service', () => {
+  describe('encryptRefreshToken', () => {
+    test('Should not contain the refresh token', () => {
+      const encrypted = encryptRefreshToken(SESSION_ID, REFRESH_TOKEN)
+
+      expect(encrypted).toMatch(/^v1\.[\w-]+\.[\w-]+\.[\w-]+$/)
+      expect(encrypted).not.toContain('refresh-token-from-azure-ad')
+    })
+
+    test('Should use a fresh IV for every write', () => {
+      expect(encryptRefreshToken(SESSION_ID, REFRESH_TOKEN)).not.toBe(
+        encryptRefreshToken(SESSION_ID, REFRESH_TOKEN)
+      )
+    })
+  })
+
+  describe('decryptRefreshToken', () => {
+    test('Should return the original refresh token', () => {
+      expect(
+        decryptRefreshToken(
+          SESSION_ID,
+          encryptRefreshToken(SESSION_ID, REFRESH_TOKEN)
+        )
+      ).toBe(REFRESH_TOKEN)
+    })
+
+    test('Should fail for tokens stored on another session', () => {
+      const encrypted = encryptRefreshToken('another-session', REFRESH_TOKEN)
+
+      expect(() => decryptRefreshToken(SESSION_ID, encrypted)).toThrow()
+    })
+
+    test('Should fail for values encrypted with the transcript key', () => {
+      const encrypted = encryptTranscript(SESSION_ID, REFRESH_TOKEN)
+
+      expect(() => decryptRefreshToken(SESSION_ID, encrypted)).toThrow()
+    })
+
+    test('Should reject unencrypted tokens', () => {
+      expect(() => decryptRefreshToken(SESSION_ID, REFRESH_TOKEN)).toThrow(
+        expect.objectContaining({ code: 'REFRESH_TOKEN_FORMAT_UNSUPPORTED' })
+      )
+    })
+  })
+})
@@ -0,0 +1,35 @@
+import {
+  AUTHENTICATION_ROUTES,
+  RETURN_PATH
+} from '../common/constants/authentication-constants.js'
+
+// Sign in and sign out pages would loop or end the new session straight away
+const EXCLUDED_RETURN_PATHS = new Set([
+  AUTHENTICATION_ROUTES.LOGIN_PATH,
+  AUTHENTICATION_ROUTES.AUTH_CALLBACK_PATH,
+  AUTHENTICATION_ROUTES.LOGOUT_PATH,
+  AUTHENTICATION_ROUTES.SIGNED_OUT_PATH
+])
+
+/**
+ * Checks a path is safe to redirect to after sign in
+ * Only same-origin relative paths are allowed, so a crafted link cannot send
+ * a user to another site once they have signed in
+ * @param {*} path - The requested path, including any query string
+ * @returns {boolean} True if the path can be redirected to
+ */
+export function isSafeReturnPath(path) {
+  if (typeof path !== 'string' || path.length > RETURN_PATH.MAX_LENGTH) {
+    return false
+  }
+
+  // Reject protocol-relative URLs (//host), backslashes browsers treat as
+  // slashes, and whitespace or control characters
+  if (!path.startsWith('/') || path.startsWith('//') || /[\\\s]/.test(path)) {
+    return false
+  }
+
+  const { origin, pathname } = new URL(path, RETURN_PATH.BASE_URL)
+
+  return origin === RETURN_PATH.BASE_URL && !EXCLUDED_RETURN_PATHS.has(pathname)
+}
@@ -0,0 +1,29 @@
+import { isSafeReturnPath } from './return-path-validator.js'
+
+describe('#return-path-validator', () => {
+  describe('isSafeReturnPath', () => {
+    test.each([
+      ['/review-pii', 'page path'],
+      ['/redacted-transcript/download/txt', 'nested path'],
+      ['/review-pii?finding=2#summary', 'query string and fragment']
+    ])('Should accept %s (%s)', (path) => {
+      expect(isSafeReturnPath(path)).toBe(true)
+    })
+
+    test.each([
+      [undefined, 'missing'],
+      [['/review-pii'], 'not a string'],
+      ['', 'empty'],
+      ['review-pii', 'relative without leading slash'],
+      ['https://evil.example.com/phish', 'absolute URL'],
+      ['//evil.example.com/phish', 'protocol-relative URL'],
+      ['/\\evil.example.com', 'backslash treated as slash by browsers'],
+      ['/review-pii\r\nSet-Cookie: x=1', 'header injection'],
+      ['/login?returnTo=/review-pii', 'sign in page'],
+      ['/logout', 'sign out page'],
+      [`/${'a'.repeat(2048)}`, 'longer than the maximum length']
+    ])('Should reject %s (%s)', (path) => {
+      expect(isSafeReturnPath(path)).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,40 @@
+import { DEVICE_LABELS } from '../common/constants/session-management-constants.js'
+
+// Checked in order, as most browsers also claim to be the ones they are built on
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+  { name: 'Opera', pattern: /OPR\/|Opera/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\// },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+  { name: 'Safari', pattern: /Version\/[\d.]+.*Safari\// }
+]
+
+const OPERATING_SYSTEMS = [
+  { name: 'iPhone', pattern: /iPhone/ },
+  { name: 'iPad', pattern: /iPad/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Mac', pattern: /Macintosh|Mac OS X/ },
+  { name: 'Linux', pattern: /Linux/ }
+]
+
+function findMatch(candidates, userAgent) {
+  return candidates.find(({ pattern }) => pattern.test(userAgent))?.name
+}
+
+/**
+ * Describes the browser and operating system a session was started from, so
+ * users can recognise their sessions
+ * Only this description is stored, not the user agent itself
+ *
+ * @param {string} [userAgent] - The User-Agent header of the sign in request
+ * @returns {{ browser: string, os: string }} The browser and operating system
+ */
+export function describeDevice(userAgent = '') {
+  return {
+    browser: findMatch(BROWSERS, userAgent) ?? DEVICE_LABELS.UNKNOWN_BROWSER,
+    os: findMatch(OPERATING_SYSTEMS, userAgent) ?? DEVICE_LABELS.UNKNOWN_OS
+  }
+}
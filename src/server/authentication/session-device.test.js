@@ -0,0 +1,49 @@
+import { describeDevice } from './session-device.js'
+
+describe('#describeDevice', () => {
+  test.each([
+    [
+      'Chrome on Windows',
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36',
+      { browser: 'Chrome', os: 'Windows' }
+    ],
+    [
+      'Edge on Windows',
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36 Edg/129.0.2792.65',
+      { browser: 'Edge', os: 'Windows' }
+    ],
+    [
+      'Safari on a Mac',
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_6) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.6 Safari/605.1.15',
+      { browser: 'Safari', os: 'Mac' }
+    ],
+    [
+      'Safari on an iPhone',
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.6 Mobile/15E148 Safari/604.1',
+      { browser: 'Safari', os: 'iPhone' }
+    ],
+    [
+      'Firefox on Linux',
+      'Mozilla/5.0 (X11; Linux x86_64; rv:131.0) Gecko/20100101 Firefox/131.0',
+      { browser: 'Firefox', os: 'Linux' }
+    ],
+    [
+      'Chrome on Android',
+      'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Mobile Safari/537.36',
+      { browser: 'Chrome', os: 'Android' }
+    ]
+  ])('Should recognise %s', (_, userAgent, expected) => {
+    expect(describeDevice(userAgent)).toEqual(expected)
+  })
+
+  test('Should describe unrecognised or missing user agents as unknown', () => {
+    expect(describeDevice('curl/8.7.1')).toEqual({
+      browser: 'Unknown browser',
+      os: 'unknown device'
+    })
+    expect(describeDevice()).toEqual({
+      browser: 'Unknown browser',
+      os: 'unknown device'
+    })
+  })
+})
@@ -0,0 +1,89 @@
+import crypto from 'crypto'
+import { SESSION_ENCRYPTION } from '../common/constants/authentication-constants.js'
+
+/**
+ * @typedef {Object} SessionEncryptionOptions
+ * @property {string} secret - Secret the per-session keys are derived from
+ * @property {string} info - HKDF info, so each use of a secret gets its own keys
+ * @property {string} description - What is encrypted, for the unsupported format error
+ * @property {string} errorCode - Code of the unsupported format error
+ */
+
+/**
+ * Derives a key for one session, so data can only be read with the session
+ * it was written for
+ * @param {SessionEncryptionOptions} options - The secret and info to derive from
+ * @param {string} sessionId - The session the data belongs to
+ * @returns {Buffer} A 256-bit AES key
+ */
+export function deriveSessionKey({ secret, info }, sessionId) {
+  return Buffer.from(
+    crypto.hkdfSync(
+      SESSION_ENCRYPTION.KEY_DERIVATION_DIGEST,
+      secret,
+      sessionId,
+      info,
+      SESSION_ENCRYPTION.KEY_LENGTH_BYTES
+    )
+  )
+}
+
+/**
+ * Encrypts data with AES-GCM using the session's key, bound to the session ID
+ * @param {SessionEncryptionOptions} options - The secret and info to derive the key from
+ * @param {string} sessionId - The session the data belongs to
+ * @param {string} plaintext - The data to encrypt
+ * @returns {string} Version, IV, auth tag and ciphertext joined with dots
+ */
+export function encryptForSession(options, sessionId, plaintext) {
+  const iv = crypto.randomBytes(SESSION_ENCRYPTION.IV_LENGTH_BYTES)
+  const cipher = crypto.createCipheriv(
+    SESSION_ENCRYPTION.ALGORITHM,
+    deriveSessionKey(options, sessionId),
+    iv
+  )
+  cipher.setAAD(Buffer.from(sessionId))
+
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, 'utf8'),
+    cipher.final()
+  ])
+
+  return [
+    SESSION_ENCRYPTION.FORMAT_VERSION,
+    iv.toString('base64url'),
+    cipher.getAuthTag().toString('base64url'),
+    ciphertext.toString('base64url')
+  ].join('.')
+}
+
+/**
+ * Decrypts data written by encryptForSession with the same options
+ * Fails if the data was written for another session or has been altered
+ * @param {SessionEncryptionOptions} options - The secret and info to derive the key from
+ * @param {string} sessionId - The session the data belongs to
+ * @param {string} encrypted - The stored data
+ * @returns {string} The decrypted data
+ */
+export function decryptForSession(options, sessionId, encrypted) {
+  const [version, iv, authTag, ciphertext] = String(encrypted).split('.')
+
+  if (version !== SESSION_ENCRYPTION.FORMAT_VERSION || !ciphertext) {
+    const error = new Error(`Unsupported ${options.description} format`)
+    error.code = options.errorCode
+    throw error
+  }
+
+  const decipher = crypto.createDecipheriv(
+    SESSION_ENCRYPTION.ALGORITHM,
+    deriveSessionKey(options, sessionId),
+    Buffer.from(iv, 'base64url')
+  )
+  decipher.setAAD(Buffer.from(sessionId))
+  decipher.setAuthTag(Buffer.from(authTag, 'base64url'))
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8')
+}
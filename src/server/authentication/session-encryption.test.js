@@ -0,0 +1,61 @@
+import {
+  decryptForSession,
+  deriveSessionKey,
+  encryptForSession
+} from './session-encryption.js'
+
+const SESSION_ID = 'a8f2c1e4-5b6d-4e7f-8a9b-0c1d2e3f4a5b'
+const OPTIONS = {
+  secret: 'test-secret-must-be-at-least-32-characters',
+  info: 'test-data',
+  description: 'test data',
+  errorCode: 'TEST_FORMAT_UNSUPPORTED'
+}
+
+describe('#session-encryption', () => {
+  describe('deriveSessionKey', () => {
+    test('Should derive different keys from the same secret for different info', () => {
+      const key = deriveSessionKey(OPTIONS, SESSION_ID)
+
+      expect(key).toHaveLength(32)
+      expect(
+        deriveSessionKey({ ...OPTIONS, info: 'other-data' }, SESSION_ID).equals(
+          key
+        )
+      ).toBe(false)
+    })
+  })
+
+  describe('decryptForSession', () => {
+    test('Should return data encrypted with the same options', () => {
+      expect(
+        decryptForSession(
+          OPTIONS,
+          SESSION_ID,
+          encryptForSession(OPTIONS, SESSION_ID, 'plain text')
+        )
+      ).toBe('plain text')
+    })
+
+    test('Should fail for data encrypted with another secret', () => {
+      const encrypted = encryptForSession(
+        { ...OPTIONS, secret: 'another-secret-at-least-32-characters' },
+        SESSION_ID,
+        'plain text'
+      )
+
+      expect(() => decryptForSession(OPTIONS, SESSION_ID, encrypted)).toThrow()
+    })
+
+    test('Should reject unencrypted data with the error code from the options', () => {
+      expect(() =>
+        decryptForSession(OPTIONS, SESSION_ID, 'plain text')
+      ).toThrow(
+        expect.objectContaining({
+          message: 'Unsupported test data format',
+          code: 'TEST_FORMAT_UNSUPPORTED'
+        })
+      )
+    })
+  })
+})
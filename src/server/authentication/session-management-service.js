@@ -0,0 +1,171 @@
+import { SESSION_AUDIT_EVENTS } from '../common/constants/session-management-constants.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+import {
+  deleteSession,
+  listSessionUsers,
+  listUserSessions
+} from './session-repository.js'
+
+const logger = createLogger()
+
+/**
+ * Summarises a session for display, leaving out its tokens
+ * The session ID is left out too, as it is the bearer value of the session
+ * cookie, and the session is named by its public ID instead
+ *
+ * @param {Object} session - The stored session
+ * @param {string} [currentSessionId] - The session viewing the list, if it is the user's own
+ * @returns {Object} Public ID, device, sign in time, last activity and whether it is the current one
+ */
+function summariseSession(session, currentSessionId) {
+  return {
+    publicId: session.public_id,
+    device: session.device,
+    signedInAt: session.created_at,
+    lastActiveAt: session.last_active_at ?? session.created_at,
+    current: session.session_id === currentSessionId
+  }
+}
+
+async function deleteSessions(sessions) {
+  await Promise.all(sessions.map(({ session_id: id }) => deleteSession(id)))
+}
+
+/**
+ * Lists where a user is signed in, most recently active first
+ *
+ * @param {string} userId - Object ID of the user
+ * @param {string} [currentSessionId] - The session making the request, marked as current
+ * @returns {Promise<Object[]>} Session summaries
+ */
+export async function getUserSessions(userId, currentSessionId) {
+  const sessions = await listUserSessions(userId)
+  return sessions.map((session) => summariseSession(session, currentSessionId))
+}
+
+/**
+ * Ends one of a user's other sessions, logged as an audit event
+ * The session is found by its public ID among the user's own sessions, so
+ * sessions belonging to anyone else are left alone, as is the current one
+ *
+ * @param {string} userId - Object ID of the user
+ * @param {string} publicId - Public ID of the session to end
+ * @param {string} currentSessionId - The session making the request
+ * @returns {Promise<boolean>} True if the session was ended
+ */
+export async function revokeSession(userId, publicId, currentSessionId) {
+  const session = (await listUserSessions(userId)).find(
+    (userSession) => userSession.public_id === publicId
+  )
+
+  if (!session || session.session_id === currentSessionId) {
+    return false
+  }
+
+  await deleteSession(session.session_id)
+
+  logger.info({
+    message: 'Session revoked by its user',
+    event: SESSION_AUDIT_EVENTS.SESSION_REVOKED,
+    userId
+  })
+
+  return true
+}
+
+/**
+ * Ends all of a user's sessions except the one they are using, logged as an
+ * audit event
+ *
+ * @param {string} userId - Object ID of the user
+ * @param {string} currentSessionId - The session to keep
+ * @returns {Promise<number>} How many sessions were ended
+ */
+export async function revokeOtherSessions(userId, currentSessionId) {
+  const otherSessions = (await listUserSessions(userId)).filter(
+    (session) => session.session_id !== currentSessionId
+  )
+
+  await deleteSessions(otherSessions)
+
+  logger.info({
+    message: 'Other sessions revoked by their user',
+    event: SESSION_AUDIT_EVENTS.OTHER_SESSIONS_REVOKED,
+    userId,
+    sessionCount: otherSessions.length
+  })
+
+  return otherSessions.length
+}
+
+/**
+ * Ends every session a user has, for example when they leave the team,
+ * logged as an audit event
+ * This does not stop them signing in again, which needs their invitation
+ * withdrawn or their account disabled
+ *
+ * @param {string} userId - Object ID of the user
+ * @param {Object} admin - Identity claims of the admin ending the sessions
+ * @returns {Promise<number>} How many sessions were ended
+ */
+export async function revokeAllSessions(userId, admin) {
+  const sessions = await listUserSessions(userId)
+
+  await deleteSessions(sessions)
+
+  logger.info({
+    message: 'All sessions for a user revoked by an admin',
+    event: SESSION_AUDIT_EVENTS.ALL_SESSIONS_REVOKED,
+    userId,
+    adminId: admin?.oid,
+    sessionCount: sessions.length
+  })
+
+  return sessions.length
+}
+
+/**
+ * Finds a user and where they are signed in, for admins
+ *
+ * @param {string} userId - Object ID of the user
+ * @returns {Promise<Object>} The user's oid, name, email and session summaries
+ */
+export async function getSignedInUser(userId) {
+  const sessions = await listUserSessions(userId)
+  const user = sessions[0]?.user
+
+  return {
+    oid: userId,
+    name: user?.name ?? null,
+    email: user?.email ?? user?.preferred_username ?? null,
+    sessions: sessions.map((session) => summariseSession(session))
+  }
+}
+
+/**
+ * Lists the users who are signed in, with how many sessions each has and when
+ * they were last active, for admins
+ *
+ * @returns {Promise<Object[]>} Users with oid, name, email, sessionCount and lastActiveAt, by name
+ */
+export async function getSignedInUsers() {
+  const users = await listSessionUsers()
+
+  const signedInUsers = await Promise.all(
+    users.map(async (user) => {
+      const sessions = await getUserSessions(user.oid)
+
+      return {
+        ...user,
+        sessionCount: sessions.length,
+        lastActiveAt: sessions[0]?.lastActiveAt ?? null
+      }
+    })
+  )
+
+  return signedInUsers
+    .filter((user) => user.sessionCount > 0)
+    .sort((a, b) =>
+      (a.name ?? a.email ?? '').localeCompare(b.name ?? b.email ?? '')
+    )
+}
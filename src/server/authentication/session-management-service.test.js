@@ -0,0 +1,193 @@
+import { vi } from 'vitest'
+import {
+  getSignedInUser,
+  getSignedInUsers,
+  getUserSessions,
+  revokeAllSessions,
+  revokeOtherSessions,
+  revokeSession
+} from './session-management-service.js'
+import {
+  deleteSession,
+  listSessionUsers,
+  listUserSessions
+} from './session-repository.js'
+
+const mockLogger = vi.hoisted(() => ({
+  info: vi.fn()
+}))
+
+vi.mock('./session-repository.js', () => ({
+  deleteSession: vi.fn(),
+  listSessionUsers: vi.fn(),
+  listUserSessions: vi.fn()
+}))
+
+vi.mock('../common/helpers/logging/logger.js', () => ({
+  createLogger: () => mockLogger
+}))
+
+const USER = {
+  oid: 'user-oid',
+  name: 'Rosa Researcher',
+  email: 'rosa@example.com'
+}
+const ADMIN = { oid: 'admin-oid', roles: ['Admin'] }
+
+function buildSession(sessionId, lastActiveAt) {
+  return {
+    session_id: sessionId,
+    public_id: `${sessionId}-public-id`,
+    session_token: 'session-token',
+    refresh_token: 'v1.encrypted-refresh-token',
+    user: USER,
+    device: { browser: 'Firefox', os: 'Windows' },
+    created_at: '2026-03-27T09:00:00.000Z',
+    last_active_at: lastActiveAt
+  }
+}
+
+const SESSIONS = [
+  buildSession('laptop-session', '2026-03-27T09:30:00.000Z'),
+  buildSession('phone-session', '2026-03-27T09:10:00.000Z')
+]
+
+describe('#session-management-service', () => {
+  beforeEach(() => {
+    listUserSessions.mockResolvedValue(SESSIONS)
+  })
+
+  describe('getUserSessions', () => {
+    test('Should summarise sessions without their IDs or tokens, marking the current one', async () => {
+      const sessions = await getUserSessions('user-oid', 'laptop-session')
+
+      expect(listUserSessions).toHaveBeenCalledWith('user-oid')
+      expect(sessions).toEqual([
+        {
+          publicId: 'laptop-session-public-id',
+          device: { browser: 'Firefox', os: 'Windows' },
+          signedInAt: '2026-03-27T09:00:00.000Z',
+          lastActiveAt: '2026-03-27T09:30:00.000Z',
+          current: true
+        },
+        expect.objectContaining({
+          publicId: 'phone-session-public-id',
+          current: false
+        })
+      ])
+    })
+  })
+
+  describe('revokeSession', () => {
+    test("Should end the user's session found by its public ID and audit it", async () => {
+      await expect(
+        revokeSession('user-oid', 'phone-session-public-id', 'laptop-session')
+      ).resolves.toBe(true)
+
+      expect(listUserSessions).toHaveBeenCalledWith('user-oid')
+      expect(deleteSession).toHaveBeenCalledWith('phone-session')
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        expect.objectContaining({
+          event: 'auth.session.revoked',
+          userId: 'user-oid'
+        })
+      )
+    })
+
+    test("Should leave sessions that are not among the user's own alone", async () => {
+      await expect(
+        revokeSession('user-oid', 'someone-elses-public-id', 'laptop-session')
+      ).resolves.toBe(false)
+
+      expect(deleteSession).not.toHaveBeenCalled()
+      expect(mockLogger.info).not.toHaveBeenCalled()
+    })
+
+    test('Should not accept a raw session ID in place of a public ID', async () => {
+      await expect(
+        revokeSession('user-oid', 'phone-session', 'laptop-session')
+      ).resolves.toBe(false)
+
+      expect(deleteSession).not.toHaveBeenCalled()
+    })
+
+    test('Should leave the current session to signing out', async () => {
+      await expect(
+        revokeSession('user-oid', 'laptop-session-public-id', 'laptop-session')
+      ).resolves.toBe(false)
+
+      expect(deleteSession).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('revokeOtherSessions', () => {
+    test('Should end every session except the current one', async () => {
+      await expect(
+        revokeOtherSessions('user-oid', 'laptop-session')
+      ).resolves.toBe(1)
+
+      expect(deleteSession).toHaveBeenCalledTimes(1)
+      expect(deleteSession).toHaveBeenCalledWith('phone-session')
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        expect.objectContaining({
+          event: 'auth.session.revoked-others',
+          sessionCount: 1
+        })
+      )
+    })
+  })
+
+  describe('revokeAllSessions', () => {
+    test('Should end every session and audit which admin did it', async () => {
+      await expect(revokeAllSessions('user-oid', ADMIN)).resolves.toBe(2)
+
+      expect(deleteSession).toHaveBeenCalledWith('laptop-session')
+      expect(deleteSession).toHaveBeenCalledWith('phone-session')
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        expect.objectContaining({
+          event: 'auth.session.revoked-all',
+          userId: 'user-oid',
+          adminId: 'admin-oid',
+          sessionCount: 2
+        })
+      )
+    })
+  })
+
+  describe('getSignedInUser', () => {
+    test('Should name the user from their sessions', async () => {
+      const signedInUser = await getSignedInUser('user-oid')
+
+      expect(signedInUser).toMatchObject({
+        oid: 'user-oid',
+        name: 'Rosa Researcher',
+        email: 'rosa@example.com'
+      })
+      expect(signedInUser.sessions).toHaveLength(2)
+    })
+  })
+
+  describe('getSignedInUsers', () => {
+    test('Should list users with sessions by name, with when they were last active', async () => {
+      listSessionUsers.mockResolvedValueOnce([
+        USER,
+        { oid: 'signed-out-oid', name: 'Sam Signed-Out' },
+        { oid: 'analyst-oid', name: 'Alex Analyst' }
+      ])
+      listUserSessions.mockImplementation((userId) =>
+        Promise.resolve(userId === 'signed-out-oid' ? [] : SESSIONS)
+      )
+
+      const users = await getSignedInUsers()
+
+      expect(users).toEqual([
+        expect.objectContaining({
+          oid: 'analyst-oid',
+          sessionCount: 2,
+          lastActiveAt: '2026-03-27T09:30:00.000Z'
+        }),
+        expect.objectContaining({ oid: 'user-oid', sessionCount: 2 })
+      ])
+    })
+  })
+})
@@ -1,7 +1,36 @@
 import crypto from 'crypto'
-import jwt from 'jsonwebtoken'
 import { config } from '../../config/config.js'
+import {
+  SESSION_INDEX,
+  TOKEN_REFRESH
+} from '../common/constants/authentication-constants.js'
 import { buildRedisClient } from '../common/helpers/redis-client.js'
+import {
+  decryptRefreshToken,
+  encryptRefreshToken
+} from './refresh-token-crypto-service.js'
+import {
+  signSessionToken,
+  verifySessionToken
+} from './session-token-service.js'
+import { buildTranscriptKey } from './transcript-repository.js'
+
+// Rewrites a session's activity fields and TTL in one step, leaving the rest
+// of the stored session as it is. The fields are replaced in the JSON text, as
+// decoding and re-encoding it with cjson would turn empty arrays into objects.
+// A quoted field name can only match a key, as quotes inside values are escaped
+const EXTEND_SESSION_SCRIPT = `
+local session = redis.call('GET', KEYS[1])
+if not session then
+  return 0
+end
+
+session = string.gsub(session, '"last_active_at":"[^"]*"', '"last_active_at":"' .. ARGV[1] .. '"', 1)
+session = string.gsub(session, '"expires_at":"[^"]*"', '"expires_at":"' .. ARGV[2] .. '"', 1)
+
+redis.call('SET', KEYS[1], session, 'EX', ARGV[3])
+return 1
+`
 
 // Lazy initialize Redis client
 let redisClient = null
@@ -13,36 +42,126 @@ function getRedisClient() {
   return redisClient
 }
 
+/**
+ * Checks a stored session can be trusted, as a Redis entry this service did
+ * not write, or wrote for another key, fails session token verification
+ *
+ * @param {string} sessionId - The session ID from the Redis key
+ * @param {Object} session - The stored session data
+ * @returns {boolean} True if the session token is valid for the session
+ */
+function isTrustedSession(sessionId, session) {
+  try {
+    verifySessionToken(session.session_token, sessionId)
+    return true
+  } catch (error) {
+    console.error('Rejected untrusted session:', error.message)
+    return false
+  }
+}
+
+/**
+ * Works out when a session expires if the user is active now
+ * Each request pushes expiry back by the idle timeout, but never past the
+ * absolute timeout measured from when the user signed in
+ *
+ * @param {string|number} createdAt - When the session was created
+ * @param {number} now - The current time in milliseconds
+ * @returns {number} The expiry time in milliseconds
+ */
+function calculateExpiry(createdAt, now) {
+  const idleExpiry = now + config.get('session.timeout.idle')
+  const absoluteExpiry =
+    new Date(createdAt).getTime() + config.get('session.timeout.absolute')
+
+  return Math.min(idleExpiry, absoluteExpiry)
+}
+
+/**
+ * Builds the session fields that track the identity provider's tokens
+ * Only the refresh token is kept, encrypted for the session, along with when
+ * the identity was last renewed and when the access token expires
+ *
+ * @param {string} sessionId - The session the tokens belong to
+ * @param {Object} [tokens] - Token response from the identity provider
+ * @param {number} now - The current time in milliseconds
+ * @param {string} [currentRefreshToken] - Stored refresh token, kept if the response has no new one
+ * @returns {Object} Session fields
+ */
+function buildTokenFields(sessionId, tokens, now, currentRefreshToken = null) {
+  return {
+    refresh_token: tokens?.refresh_token
+      ? encryptRefreshToken(sessionId, tokens.refresh_token)
+      : currentRefreshToken,
+    identity_refreshed_at: new Date(now).toISOString(),
+    identity_expires_at: tokens?.expires_in
+      ? new Date(now + tokens.expires_in * 1000).toISOString()
+      : null
+  }
+}
+
+function buildUserSessionsKey(userId) {
+  return `${SESSION_INDEX.USER_SESSIONS_KEY_PREFIX}${userId}`
+}
+
+/**
+ * Adds a session to its user's session index, so it can be listed and revoked
+ * The index outlives none of its sessions, as no session lasts past the
+ * absolute timeout
+ *
+ * @param {Object} client - The Redis client
+ * @param {Object} sessionData - The new session
+ * @returns {Promise<void>}
+ */
+async function indexSession(client, sessionData) {
+  const { oid, name, email, preferred_username: username } = sessionData.user
+  const indexKey = buildUserSessionsKey(oid)
+
+  await client.sadd(indexKey, sessionData.session_id)
+  await client.expire(
+    indexKey,
+    Math.ceil(config.get('session.timeout.absolute') / 1000)
+  )
+  await client.hset(
+    SESSION_INDEX.USERS_KEY,
+    oid,
+    JSON.stringify({ oid, name, email: email ?? username ?? null })
+  )
+}
+
 /**
  * Creates a new session and stores it in Redis
  * Returns the session data including the session ID that should be set as a cookie
+ * Sessions for a signed-in user are added to their session index, and creation
+ * fails if they cannot be, so that no session escapes being revoked
  *
- * @returns {Promise<Object>} Session data with session_id and session_token
+ * @param {Object} [user] - Identity claims of the signed-in user
+ * @param {Object} [tokens] - Token response the user signed in with, holding the refresh token
+ * @param {Object} [device] - Browser and operating system the user signed in from, from describeDevice
+ * @returns {Promise<Object>} Session data with session_id, public_id, session_token and user
  */
-export async function createSession() {
+export async function createSession(user = null, tokens = null, device = null) {
   const sessionId = crypto.randomUUID()
   const sessionKey = `session:${sessionId}`
-  const ttlSeconds = config.get('session.cache.ttl') / 1000
-
-  // Create JWT token
-  const jwtSecret = config.get('auth.jwtSecret')
-  const sessionToken = jwt.sign(
-    {
-      session_id: sessionId,
-      iat: Math.floor(Date.now() / 1000)
-    },
-    jwtSecret,
-    { expiresIn: ttlSeconds }
-  )
+  const now = Date.now()
+  const expiresAt = calculateExpiry(now, now)
+  const ttlSeconds = Math.ceil((expiresAt - now) / 1000)
+
+  // Create JWT token, valid for as long as the session could be kept alive
+  const sessionToken = signSessionToken(sessionId, now)
 
-  // Prepare session data
+  // Prepare session data. The session ID is the bearer value of the session
+  // cookie, so pages that list sessions refer to them by a random public ID
   const sessionData = {
     session_id: sessionId,
+    public_id: crypto.randomUUID(),
     session_token: sessionToken,
-    created_at: new Date().toISOString(),
-    expires_at: new Date(
-      Date.now() + config.get('session.cache.ttl')
-    ).toISOString()
+    user,
+    device,
+    created_at: new Date(now).toISOString(),
+    last_active_at: new Date(now).toISOString(),
+    expires_at: new Date(expiresAt).toISOString(),
+    ...buildTokenFields(sessionId, tokens, now)
   }
 
   try {
@@ -50,6 +169,10 @@ export async function createSession() {
     const client = getRedisClient()
     await client.set(sessionKey, JSON.stringify(sessionData), 'EX', ttlSeconds)
 
+    if (user?.oid) {
+      await indexSession(client, sessionData)
+    }
+
     return sessionData
   } catch (error) {
     console.error('Error creating session:', error)
@@ -57,8 +180,141 @@ export async function createSession() {
   }
 }
 
+/**
+ * Pushes back a session's expiry after activity, along with the Redis TTL of
+ * the session and its transcript draft, so active users are not signed out
+ * Only the activity fields are written, in place, so a refresh stored by
+ * another request meanwhile is not overwritten with this request's copy. A
+ * session that was deleted meanwhile, for example by signing out in another
+ * tab, is not recreated
+ *
+ * @param {Object} session - The current session data
+ * @returns {Promise<Object|null>} The extended session, or null if it no longer exists
+ */
+export async function extendSession(session) {
+  const now = Date.now()
+  const expiresAt = calculateExpiry(session.created_at, now)
+
+  if (expiresAt <= now) {
+    return null
+  }
+
+  const extendedSession = {
+    ...session,
+    last_active_at: new Date(now).toISOString(),
+    expires_at: new Date(expiresAt).toISOString()
+  }
+
+  try {
+    const client = getRedisClient()
+    const ttlSeconds = Math.ceil((expiresAt - now) / 1000)
+    const extended = await client.eval(
+      EXTEND_SESSION_SCRIPT,
+      1,
+      `session:${session.session_id}`,
+      extendedSession.last_active_at,
+      extendedSession.expires_at,
+      ttlSeconds
+    )
+
+    if (extended !== 1) {
+      return null
+    }
+
+    await client.expire(buildTranscriptKey(session.session_id), ttlSeconds)
+
+    return extendedSession
+  } catch (error) {
+    // Log error but don't throw - the session is still valid until it expires
+    console.error('Error extending session:', error)
+    return session
+  }
+}
+
+/**
+ * Stores the identity claims and tokens from a refresh on the session
+ * The session is read again first, so changes made since the refresh began are
+ * kept, and its TTL is left alone. A session that ended meanwhile is not recreated
+ *
+ * @param {string} sessionId - The session to update
+ * @param {Object} user - The user's current identity claims
+ * @param {Object} tokens - Token response from the refresh
+ * @returns {Promise<Object|null>} The updated session, or null if it no longer exists
+ */
+export async function updateSessionIdentity(sessionId, user, tokens) {
+  const client = getRedisClient()
+  const sessionKey = `session:${sessionId}`
+  const sessionData = await client.get(sessionKey)
+
+  if (!sessionData) {
+    return null
+  }
+
+  const session = JSON.parse(sessionData)
+  const updatedSession = {
+    ...session,
+    user,
+    ...buildTokenFields(sessionId, tokens, Date.now(), session.refresh_token)
+  }
+
+  const stored = await client.set(
+    sessionKey,
+    JSON.stringify(updatedSession),
+    'KEEPTTL',
+    'XX'
+  )
+
+  return stored === null ? null : updatedSession
+}
+
+/**
+ * Reads the refresh token stored on a session
+ * A token that cannot be decrypted is logged and treated as missing
+ *
+ * @param {Object} session - The session data
+ * @returns {string|null} The refresh token, or null if the session has none
+ */
+export function getRefreshToken(session) {
+  if (!session?.refresh_token) {
+    return null
+  }
+
+  try {
+    return decryptRefreshToken(session.session_id, session.refresh_token)
+  } catch (error) {
+    console.error('Error decrypting refresh token:', error)
+    return null
+  }
+}
+
+/**
+ * Claims the right to refresh a session's tokens for a short while, so
+ * concurrent requests, on this or another instance, only refresh once
+ *
+ * @param {string} sessionId - The session to refresh
+ * @returns {Promise<boolean>} True if this caller should refresh
+ */
+export async function acquireRefreshLock(sessionId) {
+  try {
+    const client = getRedisClient()
+    const acquired = await client.set(
+      `${TOKEN_REFRESH.LOCK_KEY_PREFIX}${sessionId}`,
+      '1',
+      'EX',
+      TOKEN_REFRESH.LOCK_TTL_SECONDS,
+      'NX'
+    )
+    return acquired !== null
+  } catch (error) {
+    console.error('Error acquiring refresh lock:', error)
+    return false
+  }
+}
+
 /**
  * Retrieves session data from Redis by session ID
+ * Sessions that have expired, or whose session token fails verification, are
+ * deleted and treated as not found
  *
  * @param {string} sessionId - The session ID to retrieve
  * @returns {Promise<Object|null>} Session data if found and valid, null otherwise
@@ -87,6 +343,12 @@ export async function getSession(sessionId) {
       return null
     }
 
+    // Only trust sessions whose token this service signed for this key
+    if (!isTrustedSession(sessionId, parsedSession)) {
+      await deleteSession(sessionId)
+      return null
+    }
+
     return parsedSession
   } catch (error) {
     // Log error but don't throw - treat as session not found
@@ -96,7 +358,74 @@ export async function getSession(sessionId) {
 }
 
 /**
- * Deletes a session from Redis
+ * Lists a user's current sessions, most recently active first
+ * Sessions that have ended, by signing out or expiring, or cannot be trusted,
+ * are pruned from the index, and a user with none left is dropped from the
+ * list of users
+ * Each session is read with its own GET, as session keys hash to different
+ * Redis Cluster slots and MGET across them would fail with CROSSSLOT
+ *
+ * @param {string} userId - Object ID of the user
+ * @returns {Promise<Object[]>} The user's sessions
+ */
+export async function listUserSessions(userId) {
+  const client = getRedisClient()
+  const indexKey = buildUserSessionsKey(userId)
+  const sessionIds = await client.smembers(indexKey)
+  const storedSessions = await Promise.all(
+    sessionIds.map((sessionId) => client.get(`session:${sessionId}`))
+  )
+
+  const now = new Date()
+  const sessions = []
+  const endedSessionIds = []
+
+  storedSessions.forEach((sessionData, index) => {
+    const session = sessionData ? JSON.parse(sessionData) : null
+
+    if (
+      session &&
+      new Date(session.expires_at) > now &&
+      isTrustedSession(sessionIds[index], session)
+    ) {
+      sessions.push(session)
+    } else {
+      endedSessionIds.push(sessionIds[index])
+    }
+  })
+
+  if (endedSessionIds.length) {
+    await client.srem(indexKey, ...endedSessionIds)
+  }
+
+  if (!sessions.length) {
+    await client.hdel(SESSION_INDEX.USERS_KEY, userId)
+  }
+
+  return sessions.sort((a, b) =>
+    (b.last_active_at ?? b.created_at).localeCompare(
+      a.last_active_at ?? a.created_at
+    )
+  )
+}
+
+/**
+ * Lists the users who have signed in, for admins to find their sessions
+ * Includes users whose sessions have all ended until their sessions are next listed
+ *
+ * @returns {Promise<Object[]>} Users with oid, name and email
+ */
+export async function listSessionUsers() {
+  const client = getRedisClient()
+  const users = await client.hgetall(SESSION_INDEX.USERS_KEY)
+
+  return Object.values(users ?? {}).map((user) => JSON.parse(user))
+}
+
+/**
+ * Deletes a session and its transcript draft from Redis
+ * Each key is deleted with its own command, as the two keys hash to different
+ * Redis Cluster slots and a multi-key DEL would fail with CROSSSLOT
  *
  * @param {string} sessionId - The session ID to delete
  * @returns {Promise<void>}
@@ -109,7 +438,10 @@ export async function deleteSession(sessionId) {
   try {
     const client = getRedisClient()
     const sessionKey = `session:${sessionId}`
-    await client.del(sessionKey)
+    await Promise.all([
+      client.del(sessionKey),
+      client.del(buildTranscriptKey(sessionId))
+    ])
   } catch (error) {
     // Log error but don't throw
     console.error('Error deleting session:', error)
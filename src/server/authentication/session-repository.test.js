@@ -1,15 +1,30 @@
 import { vi, describe, test } from 'vitest'
 import {
+  acquireRefreshLock,
   createSession,
   deleteSession,
-  getSession
+  extendSession,
+  getRefreshToken,
+  getSession,
+  listSessionUsers,
+  listUserSessions,
+  updateSessionIdentity
 } from './session-repository.js'
+import { signSessionToken } from './session-token-service.js'
 
 // Create a mock redis client that we can control
 const mockRedisClient = {
   set: vi.fn(),
   get: vi.fn(),
-  del: vi.fn()
+  del: vi.fn(),
+  eval: vi.fn(),
+  expire: vi.fn(),
+  sadd: vi.fn(),
+  smembers: vi.fn(),
+  srem: vi.fn(),
+  hset: vi.fn(),
+  hgetall: vi.fn(),
+  hdel: vi.fn()
 }
 
 vi.mock('../common/helpers/redis-client.js', () => ({
@@ -21,8 +36,12 @@ vi.mock('../../config/config.js', () => ({
     get: vi.fn((key) => {
       const configMap = {
         redis: { host: 'localhost', port: 6379 },
-        'session.cache.ttl': 3600000,
-        'auth.jwtSecret': 'test-secret'
+        'session.timeout.idle': 1800000,
+        'session.timeout.absolute': 3600000,
+        'auth.jwtSecret': 'test-secret',
+        'auth.jwtKeyId': 'test-key',
+        'auth.previousJwtSecrets': {},
+        'auth.refreshTokenEncryptionKey': 'test-refresh-token-encryption-key'
       }
       return configMap[key]
     })
@@ -47,18 +66,119 @@ describe('sessionRepository', () => {
       // Then: Session data has correct structure
       expect(result).toMatchObject({
         session_id: expect.any(String),
+        public_id: expect.any(String),
         session_token: expect.any(String),
         created_at: expect.any(String),
         expires_at: expect.any(String)
       })
 
-      // And: Session is stored in Redis with correct TTL
+      // And: Session is stored in Redis until the idle timeout
       expect(mockRedisClient.set).toHaveBeenCalledWith(
         `session:${result.session_id}`,
         JSON.stringify(result),
         'EX',
+        1800
+      )
+    })
+
+    test('stores the signed-in user identity claims on the session', async () => {
+      // Given: Identity claims from the ID token
+      const user = {
+        oid: 'object-id',
+        name: 'Sarah Jones',
+        preferred_username: 'sarah.jones@example.com',
+        email: 'sarah.jones@example.com',
+        tenant_id: 'tenant-id',
+        roles: ['Researcher']
+      }
+
+      // When: Creating a session for the user
+      const result = await createSession(user)
+
+      // Then: The claims are stored with the session
+      expect(result.user).toEqual(user)
+      expect(JSON.parse(mockRedisClient.set.mock.calls[0][1]).user).toEqual(
+        user
+      )
+    })
+
+    test('stores the refresh token encrypted, with when the access token expires', async () => {
+      // Given: The token response the user signed in with
+      const tokens = {
+        access_token: 'access-token',
+        refresh_token: 'refresh-token-from-azure-ad',
+        expires_in: 3600
+      }
+
+      // When: Creating a session with the tokens
+      const result = await createSession({ oid: 'object-id' }, tokens)
+
+      // Then: Only the encrypted refresh token is stored
+      const stored = mockRedisClient.set.mock.calls[0][1]
+      expect(stored).not.toContain('refresh-token-from-azure-ad')
+      expect(stored).not.toContain('access-token')
+      expect(getRefreshToken(result)).toBe('refresh-token-from-azure-ad')
+
+      // And: The session records when the identity needs renewing
+      expect(
+        new Date(result.identity_expires_at) -
+          new Date(result.identity_refreshed_at)
+      ).toBe(3600000)
+    })
+
+    test("adds sessions to their user's session index", async () => {
+      // Given: A user signing in from a known device
+      const user = {
+        oid: 'object-id',
+        name: 'Sarah Jones',
+        preferred_username: 'sarah.jones@example.com',
+        roles: []
+      }
+      const device = { browser: 'Firefox', os: 'Windows' }
+
+      // When: Creating a session for the user
+      const result = await createSession(user, null, device)
+
+      // Then: The session records the device and when it was last used
+      expect(result.device).toEqual(device)
+      expect(result.last_active_at).toBe(result.created_at)
+
+      // And: The session is indexed under the user, for as long as any session lasts
+      expect(mockRedisClient.sadd).toHaveBeenCalledWith(
+        'auth:user-sessions:object-id',
+        result.session_id
+      )
+      expect(mockRedisClient.expire).toHaveBeenCalledWith(
+        'auth:user-sessions:object-id',
         3600
       )
+      expect(mockRedisClient.hset).toHaveBeenCalledWith(
+        'auth:session-users',
+        'object-id',
+        JSON.stringify({
+          oid: 'object-id',
+          name: 'Sarah Jones',
+          email: 'sarah.jones@example.com'
+        })
+      )
+    })
+
+    test('does not index sessions without a user', async () => {
+      await createSession()
+
+      expect(mockRedisClient.sadd).not.toHaveBeenCalled()
+    })
+
+    test('throws error when the session cannot be indexed', async () => {
+      // Given: Redis cannot update the index
+      mockRedisClient.sadd.mockRejectedValueOnce(
+        new Error('Redis connection failed')
+      )
+
+      // When/Then: Creating session throws error, so no session escapes revoking
+      await expect(createSession({ oid: 'object-id' })).rejects.toThrow(
+        'Session creation failed'
+      )
     })
 
     test('throws error when Redis storage fails', async () => {
@@ -78,7 +198,7 @@ describe('sessionRepository', () => {
       const sessionId = 'valid-session-id'
       const sessionData = {
         session_id: sessionId,
-        session_token: 'valid-token',
+        session_token: signSessionToken(sessionId, Date.now()),
         created_at: new Date().toISOString(),
         expires_at: new Date(Date.now() + 3600000).toISOString()
       }
@@ -92,6 +212,43 @@ describe('sessionRepository', () => {
       expect(mockRedisClient.get).toHaveBeenCalledWith(`session:${sessionId}`)
     })
 
+    test.each([
+      ['a token this service did not sign', () => 'forged-token'],
+      [
+        'a token signed for another session',
+        () => signSessionToken('other-session-id', Date.now())
+      ],
+      ['no token', () => undefined]
+    ])(
+      'rejects and cleans up a session with %s',
+      async (_, buildSessionToken) => {
+        // Given: A stored session whose token cannot be trusted
+        const sessionId = 'untrusted-session-id'
+        mockRedisClient.get.mockResolvedValueOnce(
+          JSON.stringify({
+            session_id: sessionId,
+            session_token: buildSessionToken(),
+            created_at: new Date().toISOString(),
+            expires_at: new Date(Date.now() + 3600000).toISOString()
+          })
+        )
+        const consoleErrorSpy = vi
+          .spyOn(console, 'error')
+          .mockImplementation(() => {})
+
+        // When: Getting the session
+        const result = await getSession(sessionId)
+
+        // Then: It is treated as not found, and deleted
+        expect(result).toBeNull()
+        expect(mockRedisClient.del).toHaveBeenCalledWith(`session:${sessionId}`)
+        expect(mockRedisClient.del).toHaveBeenCalledWith(
+          `transcript:${sessionId}`
+        )
+        consoleErrorSpy.mockRestore()
+      }
+    )
+
     test('returns null when session does not exist', async () => {
       // Given: Session does not exist in Redis
       mockRedisClient.get.mockResolvedValueOnce(null)
@@ -131,6 +288,9 @@ describe('sessionRepository', () => {
       // Then: Null is returned and session is deleted
       expect(result).toBeNull()
       expect(mockRedisClient.del).toHaveBeenCalledWith(`session:${sessionId}`)
+      expect(mockRedisClient.del).toHaveBeenCalledWith(
+        `transcript:${sessionId}`
+      )
     })
 
     test('returns null when Redis throws error', async () => {
@@ -184,6 +344,321 @@ describe('sessionRepository', () => {
     })
   })
 
+  describe('when extending a session', () => {
+    const NOW = new Date('2026-03-12T10:00:00Z').getTime()
+
+    function buildSession(createdMinutesAgo) {
+      return {
+        session_id: 'active-session-id',
+        session_token: 'valid-token',
+        created_at: new Date(NOW - createdMinutesAgo * 60000).toISOString(),
+        expires_at: new Date(NOW + 60000).toISOString()
+      }
+    }
+
+    beforeEach(() => {
+      vi.useFakeTimers({ now: NOW })
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    beforeEach(() => {
+      mockRedisClient.eval.mockResolvedValue(1)
+    })
+
+    test('pushes expiry back by the idle timeout', async () => {
+      // When: Extending a session created 10 minutes ago
+      const result = await extendSession(buildSession(10))
+
+      // Then: It expires 30 minutes from now
+      expect(result.expires_at).toBe('2026-03-12T10:30:00.000Z')
+      expect(result.last_active_at).toBe('2026-03-12T10:00:00.000Z')
+
+      // And: The session and its transcript draft keep the new TTL
+      expect(mockRedisClient.eval).toHaveBeenCalledWith(
+        expect.any(String),
+        1,
+        'session:active-session-id',
+        '2026-03-12T10:00:00.000Z',
+        '2026-03-12T10:30:00.000Z',
+        1800
+      )
+      expect(mockRedisClient.expire).toHaveBeenCalledWith(
+        'transcript:active-session-id',
+        1800
+      )
+    })
+
+    test("updates only the activity fields, not the request's copy of the session", async () => {
+      // Given: A refresh stored a rotated refresh token after this request read the session
+      const staleSession = {
+        ...buildSession(10),
+        refresh_token: 'v1.stale-refresh-token'
+      }
+
+      await extendSession(staleSession)
+
+      // Then: The stale copy is not written back
+      expect(mockRedisClient.set).not.toHaveBeenCalled()
+      expect(mockRedisClient.eval.mock.calls[0]).not.toContain(
+        'v1.stale-refresh-token'
+      )
+    })
+
+    test('never extends past the absolute timeout', async () => {
+      // When: Extending a session created 50 minutes ago
+      const result = await extendSession(buildSession(50))
+
+      // Then: It expires an hour after it was created
+      expect(result.expires_at).toBe('2026-03-12T10:10:00.000Z')
+      expect(mockRedisClient.eval).toHaveBeenCalledWith(
+        expect.any(String),
+        1,
+        'session:active-session-id',
+        '2026-03-12T10:00:00.000Z',
+        '2026-03-12T10:10:00.000Z',
+        600
+      )
+    })
+
+    test('returns null once the absolute timeout has passed', async () => {
+      const result = await extendSession(buildSession(60))
+
+      expect(result).toBeNull()
+      expect(mockRedisClient.eval).not.toHaveBeenCalled()
+    })
+
+    test('does not recreate a session deleted meanwhile', async () => {
+      // Given: The session key no longer exists
+      mockRedisClient.eval.mockResolvedValueOnce(0)
+
+      const result = await extendSession(buildSession(10))
+
+      expect(result).toBeNull()
+      expect(mockRedisClient.expire).not.toHaveBeenCalled()
+    })
+
+    test('keeps the session when Redis cannot be updated', async () => {
+      mockRedisClient.eval.mockRejectedValueOnce(
+        new Error('Redis connection failed')
+      )
+      const consoleErrorSpy = vi
+        .spyOn(console, 'error')
+        .mockImplementation(() => {})
+      const session = buildSession(10)
+
+      const result = await extendSession(session)
+
+      expect(result).toEqual(session)
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        'Error extending session:',
+        expect.any(Error)
+      )
+      consoleErrorSpy.mockRestore()
+    })
+  })
+
+  describe('when updating the identity after a refresh', () => {
+    const storedSession = {
+      session_id: 'refreshed-session-id',
+      user: { oid: 'object-id', roles: ['Researcher'] },
+      refresh_token: 'stored-encrypted-token',
+      expires_at: '2026-03-12T10:30:00.000Z'
+    }
+
+    test('stores the new claims and rotated refresh token without changing the TTL', async () => {
+      mockRedisClient.get.mockResolvedValueOnce(JSON.stringify(storedSession))
+      const user = { oid: 'object-id', roles: [] }
+
+      const result = await updateSessionIdentity('refreshed-session-id', user, {
+        refresh_token: 'rotated-refresh-token',
+        expires_in: 3600
+      })
+
+      expect(result).toMatchObject({
+        user,
+        expires_at: storedSession.expires_at
+      })
+      expect(getRefreshToken(result)).toBe('rotated-refresh-token')
+      expect(mockRedisClient.set).toHaveBeenCalledWith(
+        'session:refreshed-session-id',
+        JSON.stringify(result),
+        'KEEPTTL',
+        'XX'
+      )
+    })
+
+    test('keeps the stored refresh token when the response has no new one', async () => {
+      mockRedisClient.get.mockResolvedValueOnce(JSON.stringify(storedSession))
+
+      const result = await updateSessionIdentity(
+        'refreshed-session-id',
+        storedSession.user,
+        { expires_in: 3600 }
+      )
+
+      expect(result.refresh_token).toBe('stored-encrypted-token')
+    })
+
+    test('does not recreate a session that ended meanwhile', async () => {
+      mockRedisClient.get.mockResolvedValueOnce(null)
+
+      const result = await updateSessionIdentity(
+        'refreshed-session-id',
+        storedSession.user,
+        {}
+      )
+
+      expect(result).toBeNull()
+      expect(mockRedisClient.set).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('when reading the refresh token', () => {
+    test('returns null for sessions without one', () => {
+      expect(getRefreshToken({ session_id: 'session-id' })).toBeNull()
+    })
+
+    test('returns null when the stored token cannot be decrypted', () => {
+      const consoleErrorSpy = vi
+        .spyOn(console, 'error')
+        .mockImplementation(() => {})
+
+      expect(
+        getRefreshToken({ session_id: 'session-id', refresh_token: 'altered' })
+      ).toBeNull()
+      consoleErrorSpy.mockRestore()
+    })
+  })
+
+  describe('when acquiring the refresh lock', () => {
+    test('claims the lock only if nobody holds it', async () => {
+      mockRedisClient.set
+        .mockResolvedValueOnce('OK')
+        .mockResolvedValueOnce(null)
+
+      expect(await acquireRefreshLock('session-id')).toBe(true)
+      expect(await acquireRefreshLock('session-id')).toBe(false)
+      expect(mockRedisClient.set).toHaveBeenCalledWith(
+        'auth:refresh-lock:session-id',
+        '1',
+        'EX',
+        30,
+        'NX'
+      )
+    })
+
+    test('does not refresh when Redis is unavailable', async () => {
+      mockRedisClient.set.mockRejectedValueOnce(new Error('Redis down'))
+      const consoleErrorSpy = vi
+        .spyOn(console, 'error')
+        .mockImplementation(() => {})
+
+      expect(await acquireRefreshLock('session-id')).toBe(false)
+      consoleErrorSpy.mockRestore()
+    })
+  })
+
+  describe("when listing a user's sessions", () => {
+    function buildStoredSession(sessionId, lastActiveAt, expiresAt) {
+      return JSON.stringify({
+        session_id: sessionId,
+        session_token: signSessionToken(sessionId, Date.now()),
+        user: { oid: 'object-id' },
+        created_at: '2026-03-12T09:00:00.000Z',
+        last_active_at: lastActiveAt,
+        expires_at: expiresAt
+      })
+    }
+
+    function mockStoredSessions(storedSessions) {
+      mockRedisClient.get.mockImplementation((key) =>
+        Promise.resolve(storedSessions[key] ?? null)
+      )
+    }
+
+    test('lists the current sessions, most recently active first', async () => {
+      // Given: Two sessions, and one that has since signed out
+      const future = new Date(Date.now() + 600000).toISOString()
+      mockRedisClient.smembers.mockResolvedValueOnce([
+        'older-session',
+        'signed-out-session',
+        'newer-session'
+      ])
+      mockStoredSessions({
+        'session:older-session': buildStoredSession(
+          'older-session',
+          '2026-03-12T09:10:00.000Z',
+          future
+        ),
+        'session:newer-session': buildStoredSession(
+          'newer-session',
+          '2026-03-12T09:20:00.000Z',
+          future
+        )
+      })
+
+      // When: Listing the user's sessions
+      const sessions = await listUserSessions('object-id')
+
+      // Then: Each session is read with its own command, as the keys are in
+      // different cluster slots
+      expect(mockRedisClient.get.mock.calls).toEqual([
+        ['session:older-session'],
+        ['session:signed-out-session'],
+        ['session:newer-session']
+      ])
+
+      // And: The current sessions are listed
+      expect(sessions.map(({ session_id: id }) => id)).toEqual([
+        'newer-session',
+        'older-session'
+      ])
+
+      // And: The ended session is pruned from the index
+      expect(mockRedisClient.srem).toHaveBeenCalledWith(
+        'auth:user-sessions:object-id',
+        'signed-out-session'
+      )
+      expect(mockRedisClient.hdel).not.toHaveBeenCalled()
+    })
+
+    test('drops users with no sessions left from the list of users', async () => {
+      // Given: A session that has expired but not yet been cleaned up
+      const past = new Date(Date.now() - 60000).toISOString()
+      mockRedisClient.smembers.mockResolvedValueOnce(['expired-session'])
+      mockStoredSessions({
+        'session:expired-session': buildStoredSession(
+          'expired-session',
+          past,
+          past
+        )
+      })
+
+      // When: Listing the user's sessions
+      const sessions = await listUserSessions('object-id')
+
+      // Then: There are none, and the user is dropped
+      expect(sessions).toEqual([])
+      expect(mockRedisClient.hdel).toHaveBeenCalledWith(
+        'auth:session-users',
+        'object-id'
+      )
+    })
+
+    test('lists the users who have signed in', async () => {
+      mockRedisClient.hgetall.mockResolvedValueOnce({
+        'object-id': JSON.stringify({ oid: 'object-id', name: 'Sarah Jones' })
+      })
+
+      await expect(listSessionUsers()).resolves.toEqual([
+        { oid: 'object-id', name: 'Sarah Jones' }
+      ])
+    })
+  })
+
   describe('when deleting a session', () => {
     test('deletes session from Redis', async () => {
       // Given: A session ID to delete
@@ -192,8 +667,20 @@ describe('sessionRepository', () => {
       // When: Deleting the session
       await deleteSession(sessionId)
 
-      // Then: Session is deleted from Redis
+      // Then: Session and its transcript draft are deleted from Redis
       expect(mockRedisClient.del).toHaveBeenCalledWith(`session:${sessionId}`)
+      expect(mockRedisClient.del).toHaveBeenCalledWith(
+        `transcript:${sessionId}`
+      )
+    })
+
+    test('deletes one key per command, as the keys are in different cluster slots', async () => {
+      await deleteSession('session-to-delete')
+
+      expect(mockRedisClient.del).toHaveBeenCalledTimes(2)
+      mockRedisClient.del.mock.calls.forEach((args) => {
+        expect(args).toHaveLength(1)
+      })
     })
 
     test('handles null session ID gracefully', async () => {
@@ -0,0 +1,84 @@
+import jwt from 'jsonwebtoken'
+import { config } from '../../config/config.js'
+import { SESSION_TOKEN } from '../common/constants/authentication-constants.js'
+
+function invalidSessionToken(message) {
+  const error = new Error(message)
+  error.code = 'INVALID_SESSION_TOKEN'
+  return error
+}
+
+/**
+ * Finds the secret a session token was signed with from its kid header
+ * The current secret signs new tokens, and previous secrets are kept by key ID
+ * until the sessions signed with them have ended
+ *
+ * @param {string} [keyId] - The kid header of the token
+ * @returns {string|null} The secret, or null if the key ID is unknown
+ */
+function findSigningSecret(keyId) {
+  if (keyId === config.get('auth.jwtKeyId')) {
+    return config.get('auth.jwtSecret')
+  }
+
+  const previousSecrets = config.get('auth.previousJwtSecrets') ?? {}
+  return Object.hasOwn(previousSecrets, keyId) ? previousSecrets[keyId] : null
+}
+
+/**
+ * Signs the token stored on a session with the current secret
+ * The token is valid for as long as the session could be kept alive
+ *
+ * @param {string} sessionId - The session the token belongs to
+ * @param {number} now - The current time in milliseconds
+ * @returns {string} The signed token, naming its secret in the kid header
+ */
+export function signSessionToken(sessionId, now) {
+  return jwt.sign(
+    {
+      session_id: sessionId,
+      iat: Math.floor(now / 1000)
+    },
+    config.get('auth.jwtSecret'),
+    {
+      algorithm: SESSION_TOKEN.ALGORITHM,
+      keyid: config.get('auth.jwtKeyId'),
+      expiresIn: Math.ceil(config.get('session.timeout.absolute') / 1000)
+    }
+  )
+}
+
+/**
+ * Checks the token stored on a session, so a session is only trusted if this
+ * service wrote it
+ * Verifies the signature with the secret named by the kid header, the expiry,
+ * and that the token belongs to the session it was stored on
+ *
+ * @param {string} sessionToken - The token stored on the session
+ * @param {string} sessionId - The session ID from the Redis key
+ * @returns {void}
+ * @throws {Error} With code INVALID_SESSION_TOKEN if the token is not trusted
+ */
+export function verifySessionToken(sessionToken, sessionId) {
+  const decoded = sessionToken
+    ? jwt.decode(sessionToken, { complete: true })
+    : null
+  const secret = findSigningSecret(decoded?.header?.kid)
+
+  if (!secret) {
+    throw invalidSessionToken('Session token is missing or its key is unknown')
+  }
+
+  let payload
+  try {
+    payload = jwt.verify(sessionToken, secret, {
+      algorithms: [SESSION_TOKEN.ALGORITHM]
+    })
+  } catch (error) {
+    throw invalidSessionToken(`Session token rejected: ${error.message}`)
+  }
+
+  if (payload.session_id !== sessionId) {
+    throw invalidSessionToken('Session token belongs to another session')
+  }
+}
@@ -0,0 +1,107 @@
+import jwt from 'jsonwebtoken'
+import { vi } from 'vitest'
+import { config } from '../../config/config.js'
+import {
+  signSessionToken,
+  verifySessionToken
+} from './session-token-service.js'
+
+const SESSION_ID = 'test-session-id'
+
+describe('#session-token-service', () => {
+  const originalSecret = config.get('auth.jwtSecret')
+  const originalKeyId = config.get('auth.jwtKeyId')
+
+  afterEach(() => {
+    vi.useRealTimers()
+    config.set('auth.jwtSecret', originalSecret)
+    config.set('auth.jwtKeyId', originalKeyId)
+    config.set('auth.previousJwtSecrets', {})
+  })
+
+  test('Should accept a token signed for the session', () => {
+    const sessionToken = signSessionToken(SESSION_ID, Date.now())
+
+    expect(jwt.decode(sessionToken, { complete: true }).header).toMatchObject({
+      alg: 'HS256',
+      kid: originalKeyId
+    })
+    expect(() => verifySessionToken(sessionToken, SESSION_ID)).not.toThrow()
+  })
+
+  test('Should reject a token stored on another session', () => {
+    const sessionToken = signSessionToken('other-session-id', Date.now())
+
+    expect(() => verifySessionToken(sessionToken, SESSION_ID)).toThrow(
+      expect.objectContaining({ code: 'INVALID_SESSION_TOKEN' })
+    )
+  })
+
+  test('Should reject a token whose signature does not match', () => {
+    const forgedToken = jwt.sign(
+      { session_id: SESSION_ID },
+      'someone-elses-secret',
+      { keyid: originalKeyId }
+    )
+
+    expect(() => verifySessionToken(forgedToken, SESSION_ID)).toThrow(
+      expect.objectContaining({ code: 'INVALID_SESSION_TOKEN' })
+    )
+  })
+
+  test('Should reject a token once it has expired', () => {
+    const sessionToken = signSessionToken(SESSION_ID, Date.now())
+    vi.useFakeTimers({
+      now: Date.now() + config.get('session.timeout.absolute') + 1000
+    })
+
+    expect(() => verifySessionToken(sessionToken, SESSION_ID)).toThrow(
+      expect.objectContaining({ code: 'INVALID_SESSION_TOKEN' })
+    )
+  })
+
+  test('Should reject tokens with no token, no key ID or an unknown key ID', () => {
+    const withoutKeyId = jwt.sign({ session_id: SESSION_ID }, originalSecret)
+    const unknownKeyId = jwt.sign({ session_id: SESSION_ID }, originalSecret, {
+      keyid: 'retired-key'
+    })
+
+    for (const sessionToken of [undefined, withoutKeyId, unknownKeyId]) {
+      expect(() => verifySessionToken(sessionToken, SESSION_ID)).toThrow(
+        expect.objectContaining({ code: 'INVALID_SESSION_TOKEN' })
+      )
+    }
+  })
+
+  test('Should check the signature against the secret its key ID names', () => {
+    config.set('auth.previousJwtSecrets', { 'old-key': 'old-secret' })
+    const sessionToken = jwt.sign({ session_id: SESSION_ID }, originalSecret, {
+      keyid: 'old-key'
+    })
+
+    expect(() => verifySessionToken(sessionToken, SESSION_ID)).toThrow(
+      expect.objectContaining({ code: 'INVALID_SESSION_TOKEN' })
+    )
+  })
+
+  test('Should keep accepting tokens signed before the secret was rotated', () => {
+    const sessionToken = signSessionToken(SESSION_ID, Date.now())
+
+    // The secret is rotated, keeping the old one by its key ID
+    config.set('auth.previousJwtSecrets', { [originalKeyId]: originalSecret })
+    config.set('auth.jwtSecret', 'rotated-secret-at-least-32-characters-long')
+    config.set('auth.jwtKeyId', 'session-key-2')
+
+    expect(() => verifySessionToken(sessionToken, SESSION_ID)).not.toThrow()
+    expect(
+      jwt.decode(signSessionToken(SESSION_ID, Date.now()), { complete: true })
+        .header.kid
+    ).toBe('session-key-2')
+
+    // Once the old secret is dropped, its sessions are no longer trusted
+    config.set('auth.previousJwtSecrets', {})
+    expect(() => verifySessionToken(sessionToken, SESSION_ID)).toThrow(
+      expect.objectContaining({ code: 'INVALID_SESSION_TOKEN' })
+    )
+  })
+})
@@ -0,0 +1,48 @@
+import { config } from '../../config/config.js'
+import { TRANSCRIPT_ENCRYPTION } from '../common/constants/authentication-constants.js'
+import {
+  decryptForSession,
+  deriveSessionKey,
+  encryptForSession
+} from './session-encryption.js'
+
+function getEncryptionOptions() {
+  return {
+    secret: config.get('transcriptStorage.encryptionKey'),
+    info: TRANSCRIPT_ENCRYPTION.KEY_DERIVATION_INFO,
+    description: 'transcript draft',
+    errorCode: 'TRANSCRIPT_FORMAT_UNSUPPORTED'
+  }
+}
+
+/**
+ * Derives the key that encrypts one session's transcript draft
+ * Each session gets its own key, so a draft can only be read with the
+ * session it was written for
+ * @param {string} sessionId - The session the draft belongs to
+ * @returns {Buffer} A 256-bit AES key
+ */
+export function deriveTranscriptKey(sessionId) {
+  return deriveSessionKey(getEncryptionOptions(), sessionId)
+}
+
+/**
+ * Encrypts a transcript draft with AES-GCM using the session's key
+ * @param {string} sessionId - The session the draft belongs to
+ * @param {string} plaintext - The serialised draft
+ * @returns {string} Version, IV, auth tag and ciphertext joined with dots
+ */
+export function encryptTranscript(sessionId, plaintext) {
+  return encryptForSession(getEncryptionOptions(), sessionId, plaintext)
+}
+
+/**
+ * Decrypts a transcript draft written by encryptTranscript
+ * Fails if the draft was written for another session or has been altered
+ * @param {string} sessionId - The session the draft belongs to
+ * @param {string} encrypted - The stored draft
+ * @returns {string} The serialised draft
+ */
+export function decryptTranscript(sessionId, encrypted) {
+  return decryptForSession(getEncryptionOptions(), sessionId, encrypted)
+}
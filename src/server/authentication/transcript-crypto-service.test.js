@@ -0,0 +1,74 @@
+import {
+  decryptTranscript,
+  deriveTranscriptKey,
+  encryptTranscript
+} from './transcript-crypto-service.js'
+
+const SESSION_ID = 'a8f2c1e4-5b6d-4e7f-8a9b-0c1d2e3f4a5b'
+const DRAFT = JSON.stringify({ transcript_text: 'P1: My name is Sarah Jones' })
+
+describe('#transcript-crypto-service', () => {
+  describe('deriveTranscriptKey', () => {
+    test('Should derive a different 256-bit key for each session', () => {
+      const key = deriveTranscriptKey(SESSION_ID)
+
+      expect(key).toHaveLength(32)
+      expect(deriveTranscriptKey(SESSION_ID).equals(key)).toBe(true)
+      expect(deriveTranscriptKey('another-session').equals(key)).toBe(false)
+    })
+  })
+
+  describe('encryptTranscript', () => {
+    test('Should not contain the plain text', () => {
+      const encrypted = encryptTranscript(SESSION_ID, DRAFT)
+
+      expect(encrypted).toMatch(/^v1\.[\w-]+\.[\w-]+\.[\w-]+$/)
+      expect(encrypted).not.toContain('Sarah')
+      expect(Buffer.from(encrypted.split('.')[3], 'base64url')).not.toContain(
+        'Sarah'
+      )
+    })
+
+    test('Should use a fresh IV for every write', () => {
+      expect(encryptTranscript(SESSION_ID, DRAFT)).not.toBe(
+        encryptTranscript(SESSION_ID, DRAFT)
+      )
+    })
+  })
+
+  describe('decryptTranscript', () => {
+    test('Should return the original draft', () => {
+      expect(
+        decryptTranscript(SESSION_ID, encryptTranscript(SESSION_ID, DRAFT))
+      ).toBe(DRAFT)
+    })
+
+    test('Should fail for drafts written for another session', () => {
+      const encrypted = encryptTranscript('another-session', DRAFT)
+
+      expect(() => decryptTranscript(SESSION_ID, encrypted)).toThrow()
+    })
+
+    test('Should fail for drafts that have been altered', () => {
+      const [version, iv, authTag, ciphertext] = encryptTranscript(
+        SESSION_ID,
+        DRAFT
+      ).split('.')
+      const altered = Buffer.from(ciphertext, 'base64url')
+      altered[0] ^= 1
+
+      expect(() =>
+        decryptTranscript(
+          SESSION_ID,
+          [version, iv, authTag, altered.toString('base64url')].join('.')
+        )
+      ).toThrow()
+    })
+
+    test('Should reject unencrypted drafts', () => {
+      expect(() => decryptTranscript(SESSION_ID, DRAFT)).toThrow(
+        expect.objectContaining({ code: 'TRANSCRIPT_FORMAT_UNSUPPORTED' })
+      )
+    })
+  })
+})
@@ -0,0 +1,133 @@
+import { config } from '../../config/config.js'
+import { buildRedisClient } from '../common/helpers/redis-client.js'
+import {
+  decryptTranscript,
+  encryptTranscript
+} from './transcript-crypto-service.js'
+
+// Lazy initialize Redis client
+let redisClient = null
+
+function getRedisClient() {
+  if (!redisClient) {
+    redisClient = buildRedisClient(config.get('redis'))
+  }
+  return redisClient
+}
+
+/**
+ * Builds the Redis key for a session's transcript draft
+ * @param {string} sessionId - The session the draft belongs to
+ * @returns {string} The Redis key
+ */
+export function buildTranscriptKey(sessionId) {
+  return `transcript:${sessionId}`
+}
+
+/**
+ * Works out how long a draft may be kept
+ * A draft never outlives its session, so it expires with the session key,
+ * and is extended with it while the user is active
+ */
+async function getDraftTtlMilliseconds(client, sessionId) {
+  const sessionTtl = await client.pttl(`session:${sessionId}`)
+
+  if (sessionTtl === -2) {
+    const error = new Error('Session not found for transcript draft')
+    error.code = 'SESSION_NOT_FOUND'
+    throw error
+  }
+
+  const configuredTtl = config.get('session.timeout.absolute')
+  return sessionTtl > 0 ? Math.min(sessionTtl, configuredTtl) : configuredTtl
+}
+
+/**
+ * Decrypts and parses a stored draft
+ * Errors are replaced so decrypted text can never reach the logs through a
+ * JSON parse error message
+ */
+function readDraft(sessionId, draftData) {
+  try {
+    return JSON.parse(decryptTranscript(sessionId, draftData))
+  } catch {
+    const error = new Error('Transcript draft could not be decrypted')
+    error.code = 'TRANSCRIPT_DRAFT_UNREADABLE'
+    throw error
+  }
+}
+
+/**
+ * Stores the transcript draft for a session in Redis
+ * The draft holds the transcript text, PII findings and review decisions, and
+ * is encrypted with a key derived for the session before it leaves the process
+ *
+ * @param {string} sessionId - The session the draft belongs to
+ * @param {Object} draft - The transcript draft to store
+ * @returns {Promise<void>}
+ */
+export async function saveTranscriptDraft(sessionId, draft) {
+  if (!sessionId) {
+    throw new Error('Session ID is required to save a transcript draft')
+  }
+
+  const client = getRedisClient()
+  const ttlMilliseconds = await getDraftTtlMilliseconds(client, sessionId)
+
+  await client.set(
+    buildTranscriptKey(sessionId),
+    encryptTranscript(
+      sessionId,
+      JSON.stringify({ ...draft, updated_at: new Date().toISOString() })
+    ),
+    'PX',
+    ttlMilliseconds
+  )
+}
+
+/**
+ * Retrieves the transcript draft for a session from Redis
+ *
+ * @param {string} sessionId - The session the draft belongs to
+ * @returns {Promise<Object|null>} The transcript draft if found, null otherwise
+ */
+export async function getTranscriptDraft(sessionId) {
+  if (!sessionId) {
+    return null
+  }
+
+  try {
+    const client = getRedisClient()
+    const draftData = await client.get(buildTranscriptKey(sessionId))
+
+    if (!draftData) {
+      return null
+    }
+
+    return readDraft(sessionId, draftData)
+  } catch (error) {
+    // Log error but don't throw - treat as draft not found
+    console.error('Error retrieving transcript draft:', error)
+    return null
+  }
+}
+
+/**
+ * Deletes the transcript draft for a session from Redis
+ *
+ * @param {string} sessionId - The session the draft belongs to
+ * @returns {Promise<void>}
+ */
+export async function deleteTranscriptDraft(sessionId) {
+  if (!sessionId) {
+    return
+  }
+
+  try {
+    const client = getRedisClient()
+    await client.del(buildTranscriptKey(sessionId))
+  } catch (error) {
+    // Log error but don't throw
+    console.error('Error deleting transcript draft:', error)
+  }
+}
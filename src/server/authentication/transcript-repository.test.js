@@ -0,0 +1,180 @@
+import { vi, describe, test } from 'vitest'
+import {
+  deleteTranscriptDraft,
+  getTranscriptDraft,
+  saveTranscriptDraft
+} from './transcript-repository.js'
+import {
+  decryptTranscript,
+  encryptTranscript
+} from './transcript-crypto-service.js'
+
+// Create a mock redis client that we can control
+const mockRedisClient = {
+  set: vi.fn(),
+  get: vi.fn(),
+  del: vi.fn(),
+  pttl: vi.fn()
+}
+
+vi.mock('../common/helpers/redis-client.js', () => ({
+  buildRedisClient: vi.fn(() => mockRedisClient)
+}))
+
+vi.mock('../../config/config.js', () => ({
+  config: {
+    get: vi.fn((key) => {
+      const configMap = {
+        redis: { host: 'localhost', port: 6379 },
+        'session.timeout.absolute': 3600000,
+        'transcriptStorage.encryptionKey':
+          'test-transcript-key-at-least-32-characters'
+      }
+      return configMap[key]
+    })
+  }
+}))
+
+describe('transcriptRepository', () => {
+  const draft = {
+    transcript_text: 'P1: My name is Sarah',
+    findings: [{ id: 'finding-1', status: 'pending' }]
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockRedisClient.set.mockReset()
+    mockRedisClient.get.mockReset()
+    mockRedisClient.del.mockReset()
+    mockRedisClient.pttl.mockReset()
+    mockRedisClient.set.mockResolvedValue('OK')
+    mockRedisClient.del.mockResolvedValue(1)
+    mockRedisClient.pttl.mockResolvedValue(3600000)
+  })
+
+  describe('when saving a transcript draft', () => {
+    test('stores the draft encrypted against the session with the session TTL', async () => {
+      // When: Saving a draft
+      await saveTranscriptDraft('session-id', draft)
+
+      // Then: Draft is stored in Redis with the session TTL
+      expect(mockRedisClient.set).toHaveBeenCalledWith(
+        'transcript:session-id',
+        expect.any(String),
+        'PX',
+        3600000
+      )
+
+      // And: Only ciphertext reaches Redis
+      const storedValue = mockRedisClient.set.mock.calls[0][1]
+      expect(storedValue).not.toContain('Sarah')
+      expect(JSON.parse(decryptTranscript('session-id', storedValue))).toEqual({
+        ...draft,
+        updated_at: expect.any(String)
+      })
+    })
+
+    test('expires the draft with the session', async () => {
+      mockRedisClient.pttl.mockResolvedValueOnce(120000)
+
+      await saveTranscriptDraft('session-id', draft)
+
+      expect(mockRedisClient.pttl).toHaveBeenCalledWith('session:session-id')
+      expect(mockRedisClient.set).toHaveBeenCalledWith(
+        'transcript:session-id',
+        expect.any(String),
+        'PX',
+        120000
+      )
+    })
+
+    test('refuses to store a draft when the session no longer exists', async () => {
+      mockRedisClient.pttl.mockResolvedValueOnce(-2)
+
+      await expect(saveTranscriptDraft('session-id', draft)).rejects.toThrow(
+        'Session not found for transcript draft'
+      )
+      expect(mockRedisClient.set).not.toHaveBeenCalled()
+    })
+
+    test('throws error when no session ID is provided', async () => {
+      await expect(saveTranscriptDraft(null, draft)).rejects.toThrow(
+        'Session ID is required to save a transcript draft'
+      )
+      expect(mockRedisClient.set).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('when retrieving a transcript draft', () => {
+    test('returns the stored draft', async () => {
+      mockRedisClient.get.mockResolvedValueOnce(
+        encryptTranscript('session-id', JSON.stringify(draft))
+      )
+
+      const result = await getTranscriptDraft('session-id')
+
+      expect(result).toEqual(draft)
+      expect(mockRedisClient.get).toHaveBeenCalledWith('transcript:session-id')
+    })
+
+    test('returns null when no draft exists', async () => {
+      mockRedisClient.get.mockResolvedValueOnce(null)
+
+      expect(await getTranscriptDraft('session-id')).toBeNull()
+    })
+
+    test('returns null without querying Redis when no session ID is provided', async () => {
+      expect(await getTranscriptDraft(undefined)).toBeNull()
+      expect(mockRedisClient.get).not.toHaveBeenCalled()
+    })
+
+    test('returns null without logging the transcript when a draft cannot be decrypted', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      mockRedisClient.get.mockResolvedValueOnce(
+        encryptTranscript('another-session', JSON.stringify(draft))
+      )
+
+      expect(await getTranscriptDraft('session-id')).toBeNull()
+      expect(JSON.stringify(consoleSpy.mock.calls)).not.toContain('Sarah')
+
+      mockRedisClient.get.mockResolvedValueOnce(
+        encryptTranscript('session-id', 'P1: My name is Sarah')
+      )
+
+      expect(await getTranscriptDraft('session-id')).toBeNull()
+      expect(consoleSpy.mock.calls[1][1].message).not.toContain('Sarah')
+
+      consoleSpy.mockRestore()
+    })
+
+    test('returns null when Redis fails', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      mockRedisClient.get.mockRejectedValueOnce(new Error('Redis down'))
+
+      expect(await getTranscriptDraft('session-id')).toBeNull()
+      expect(consoleSpy).toHaveBeenCalledWith(
+        'Error retrieving transcript draft:',
+        expect.any(Error)
+      )
+
+      consoleSpy.mockRestore()
+    })
+  })
+
+  describe('when deleting a transcript draft', () => {
+    test('removes the draft from Redis', async () => {
+      await deleteTranscriptDraft('session-id')
+
+      expect(mockRedisClient.del).toHaveBeenCalledWith('transcript:session-id')
+    })
+
+    test('does not throw when Redis fails', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      mockRedisClient.del.mockRejectedValueOnce(new Error('Redis down'))
+
+      await expect(deleteTranscriptDraft('session-id')).resolves.toBeUndefined()
+
+      consoleSpy.mockRestore()
+    })
+  })
+})
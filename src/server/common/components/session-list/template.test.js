@@ -0,0 +1,66 @@
+import { renderComponent } from '../../test-helpers/component-helpers.js'
+
+const SESSIONS = [
+  {
+    publicId: 'current-public-id',
+    device: { browser: 'Firefox', os: 'Windows' },
+    signedInAt: '2026-03-27T09:00:00.000Z',
+    lastActiveAt: '2026-03-27T09:30:00.000Z',
+    current: true
+  },
+  {
+    publicId: 'other-public-id',
+    device: { browser: 'Safari', os: 'iPhone' },
+    signedInAt: '2026-03-26T14:00:00.000Z',
+    lastActiveAt: '2026-03-26T14:05:00.000Z',
+    current: false
+  }
+]
+
+describe('Session List Component', () => {
+  let $sessionList
+
+  describe('With a revoke action', () => {
+    beforeEach(() => {
+      $sessionList = renderComponent('session-list', {
+        caption: 'Where you are signed in',
+        sessions: SESSIONS,
+        revokePath: '/account/sessions/revoke',
+        csrfToken: 'csrf-token'
+      })
+    })
+
+    test('Should list each session with its device', () => {
+      const $rows = $sessionList('[data-testid="app-session-list-row"]')
+
+      expect($rows).toHaveLength(2)
+      expect($rows.first().text()).toContain('Firefox on Windows')
+      expect($rows.last().text()).toContain('Safari on iPhone')
+    })
+
+    test('Should mark the current session', () => {
+      expect(
+        $sessionList('[data-testid="app-session-list-current"]').text().trim()
+      ).toBe('This device')
+    })
+
+    test('Should offer to sign out of other sessions only', () => {
+      const $forms = $sessionList('form')
+
+      expect($forms).toHaveLength(1)
+      expect($forms.attr('action')).toBe('/account/sessions/revoke')
+      expect($forms.find('input[name="publicId"]').val()).toBe(
+        'other-public-id'
+      )
+      expect($forms.find('input[name="csrfToken"]').val()).toBe('csrf-token')
+    })
+  })
+
+  describe('Without a revoke action', () => {
+    test('Should not offer to sign out of sessions', () => {
+      $sessionList = renderComponent('session-list', { sessions: SESSIONS })
+
+      expect($sessionList('form')).toHaveLength(0)
+    })
+  })
+})
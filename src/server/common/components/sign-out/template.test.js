@@ -0,0 +1,38 @@
+import { renderComponent } from '../../test-helpers/component-helpers.js'
+
+describe('Sign Out Component', () => {
+  let $signOut
+
+  beforeEach(() => {
+    $signOut = renderComponent('sign-out', {
+      action: '/logout',
+      csrfToken: 'csrf-token'
+    })
+  })
+
+  test('Should sign out with a POST form carrying the CSRF token', () => {
+    const $form = $signOut('[data-testid="app-sign-out"]')
+
+    expect($form.is('form')).toBe(true)
+    expect($form.attr('method')).toBe('POST')
+    expect($form.attr('action')).toBe('/logout')
+    expect($form.find('input[name="csrfToken"]').val()).toBe('csrf-token')
+  })
+
+  test('Should use a button rather than a link', () => {
+    expect($signOut('button[type="submit"]').text()).toBe('Sign out')
+    expect($signOut('a')).toHaveLength(0)
+  })
+
+  test('Should add extra classes to the button', () => {
+    $signOut = renderComponent('sign-out', {
+      action: '/logout',
+      csrfToken: 'csrf-token',
+      classes: 'govuk-service-navigation__link'
+    })
+
+    expect($signOut('button').hasClass('govuk-service-navigation__link')).toBe(
+      true
+    )
+  })
+})
@@ -0,0 +1,45 @@
+import { renderComponent } from '../../test-helpers/component-helpers.js'
+
+describe('Timeout Warning Component', () => {
+  let $warning
+
+  beforeEach(() => {
+    $warning = renderComponent('timeout-warning', {
+      expiresIn: 1800,
+      warningBefore: 120,
+      extendUrl: '/session/extend',
+      csrfToken: 'csrf-token',
+      timedOutUrl: '/session/timed-out',
+      signOutUrl: '/logout'
+    })
+  })
+
+  test('Should render a dialog for the client script to open', () => {
+    const $dialog = $warning('[data-testid="app-timeout-warning"]')
+
+    expect($dialog.is('dialog')).toBe(true)
+    expect($dialog.attr('open')).toBeUndefined()
+    expect($dialog.attr('data-expires-in')).toBe('1800')
+    expect($dialog.attr('data-warning-before')).toBe('120')
+    expect($dialog.attr('data-extend-url')).toBe('/session/extend')
+    expect($dialog.attr('data-csrf-token')).toBe('csrf-token')
+    expect($dialog.attr('data-timed-out-url')).toBe('/session/timed-out')
+  })
+
+  test('Should show how long is left before signing out', () => {
+    expect(
+      $warning('[data-testid="app-timeout-warning-countdown"]').text()
+    ).toBe('2 minutes')
+  })
+
+  test('Should offer to stay signed in or sign out', () => {
+    expect($warning('[data-timeout-extend]').text().trim()).toBe(
+      'Stay signed in'
+    )
+
+    const $signOut = $warning('form[action="/logout"]')
+    expect($signOut.attr('method')).toBe('POST')
+    expect($signOut.find('input[name="csrfToken"]').val()).toBe('csrf-token')
+    expect($signOut.find('button').text()).toBe('Sign out')
+  })
+})
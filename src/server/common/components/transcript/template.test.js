@@ -0,0 +1,38 @@
+import { renderComponent } from '../../test-helpers/component-helpers.js'
+
+describe('Transcript Component', () => {
+  let $transcript
+
+  beforeEach(() => {
+    $transcript = renderComponent('transcript', {
+      segments: [
+        { text: 'P1: My name is ' },
+        {
+          text: 'Sarah',
+          finding: { id: 'finding-1', status: 'pending', label: 'Name' }
+        },
+        { text: '\nInterviewer: Thanks <b>' }
+      ]
+    })
+  })
+
+  test('Should render app transcript component', () => {
+    expect($transcript('[data-testid="app-transcript"]')).toHaveLength(1)
+  })
+
+  test('Should highlight findings with their status and category', () => {
+    const $highlight = $transcript('[data-testid="app-pii-highlight"]')
+
+    expect($highlight).toHaveLength(1)
+    expect($highlight.attr('id')).toBe('highlight-finding-1')
+    expect($highlight.hasClass('app-pii-highlight--pending')).toBe(true)
+    expect($highlight.text()).toBe('Sarah (Name)')
+  })
+
+  test('Should keep transcript line breaks and escape transcript text', () => {
+    expect($transcript('[data-testid="app-transcript-text"]').text()).toBe(
+      'P1: My name is Sarah (Name)\nInterviewer: Thanks <b>'
+    )
+    expect($transcript('b')).toHaveLength(0)
+  })
+})
@@ -21,7 +21,33 @@ export const AUTHENTICATION_ROUTES = {
   HOME_REDIRECT_PATH: '/upload-document',
   LOGIN_PATH: '/login',
   AUTH_CALLBACK_PATH: '/auth/callback',
-  LOGIN_VIEW_PATH: 'login/index'
+  LOGIN_VIEW_PATH: 'login/index',
+  LOGOUT_PATH: '/logout',
+  SIGNED_OUT_PATH: '/signed-out',
+  SIGNED_OUT_VIEW_PATH: 'logout/index'
+}
+
+export const SESSION_AUTH = {
+  SCHEME: 'session',
+  STRATEGY: 'session'
+}
+
+export const APP_ROLES = {
+  RESEARCHER: 'Researcher',
+  ANALYST: 'Analyst',
+  ADMIN: 'Admin'
+}
+
+// Roles a route can require with options.auth.scope
+export const ROLE_REQUIREMENTS = {
+  TRANSCRIPT_WORK: [APP_ROLES.RESEARCHER, APP_ROLES.ANALYST, APP_ROLES.ADMIN],
+  // Seeing other people's work and changing retention settings
+  ADMIN: [APP_ROLES.ADMIN]
+}
+
+export const NAVIGATION_LINKS = {
+  YOUR_SESSIONS_TEXT: 'Your sessions',
+  SIGN_OUT_TEXT: 'Sign out'
 }
 
 export const HTTP_HEADER_NAMES = {
@@ -31,9 +57,65 @@ export const HTTP_HEADER_NAMES = {
 export const OAUTH_CONSTANTS = {
   RESPONSE_TYPE: 'code',
   RESPONSE_MODE: 'query',
-  SCOPE: 'openid profile email',
+  // offline_access asks for a refresh token, to renew the identity during the session
+  SCOPE: 'openid profile email offline_access',
   CODE_CHALLENGE_METHOD: 'S256',
   STATE_TTL_SECONDS: 300, // 5 minutes
-  STATE_KEY_PREFIX: 'auth:state:',
-  PKCE_KEY_PREFIX: 'auth:pkce:'
+  // PKCE verifier, nonce and return path for a sign in, keyed by its state parameter
+  OAUTH_STATE_KEY_PREFIX: 'auth:oauth-state:'
+}
+
+export const RETURN_PATH = {
+  QUERY_PARAM: 'returnTo',
+  MAX_LENGTH: 2048,
+  // Placeholder origin used to parse relative paths
+  BASE_URL: 'http://return-path.invalid'
+}
+
+export const IDENTITY_PROVIDER_NAMES = {
+  AZURE_AD: 'azure-ad'
+}
+
+export const ID_TOKEN_VALIDATION = {
+  ALGORITHMS: ['RS256'],
+  ISSUER_PATH: 'v2.0',
+  CLOCK_TOLERANCE_SECONDS: 300,
+  JWKS_REFRESH_MIN_INTERVAL_MS: 60 * 1000 // 1 minute
+}
+
+export const SESSION_ENCRYPTION = {
+  ALGORITHM: 'aes-256-gcm',
+  KEY_LENGTH_BYTES: 32,
+  IV_LENGTH_BYTES: 12,
+  KEY_DERIVATION_DIGEST: 'sha256',
+  FORMAT_VERSION: 'v1'
+}
+
+export const TRANSCRIPT_ENCRYPTION = {
+  KEY_DERIVATION_INFO: 'transcript-draft'
+}
+
+export const REFRESH_TOKEN_ENCRYPTION = {
+  KEY_DERIVATION_INFO: 'refresh-token'
+}
+
+export const TOKEN_REFRESH = {
+  LOCK_KEY_PREFIX: 'auth:refresh-lock:',
+  LOCK_TTL_SECONDS: 30,
+  // Renews this long before the access token expires, if the interval has not come round first
+  EXPIRY_MARGIN_MS: 60 * 1000, // 1 minute
+  // Errors meaning the grant was revoked, the user disabled, or they must sign in again
+  SESSION_ENDING_ERRORS: ['invalid_grant', 'interaction_required'],
+  SESSION_ENDING_CODES: ['REFRESH_TOKEN_REVOKED', 'INVALID_ID_TOKEN']
+}
+
+export const SESSION_INDEX = {
+  // Redis set of each user's session IDs, pruned as sessions are found to have ended
+  USER_SESSIONS_KEY_PREFIX: 'auth:user-sessions:',
+  // Redis hash of the users who have signed in, keyed by object ID, for admins to look up
+  USERS_KEY: 'auth:session-users'
+}
+
+export const SESSION_TOKEN = {
+  ALGORITHM: 'HS256'
 }
@@ -0,0 +1,14 @@
+/**
+ * CSRF protection constants
+ * Following intention-revealing naming principles from workspace rules
+ */
+
+export const CSRF = {
+  // Hidden form field carrying the token in form posts
+  FIELD_NAME: 'csrfToken',
+  // Header carrying the token in requests made from scripts
+  HEADER_NAME: 'x-csrf-token',
+  PROTECTED_METHODS: ['post', 'put', 'delete'],
+  TOKEN_DIGEST: 'sha256',
+  ERROR_VIEW_PATH: 'error/index'
+}
@@ -23,6 +23,25 @@ export const ERROR_ACTIONS = {
   CONTACT_TEAM: 'Contact the AI-SDLC team if you continue to have problems'
 }
 
+export const FORBIDDEN_MESSAGES = {
+  PAGE_TITLE: 'You do not have access to this page',
+  MESSAGE:
+    'Your account does not have the role needed to use this part of the service.'
+}
+
+export const TOO_MANY_REQUESTS_MESSAGES = {
+  PAGE_TITLE: 'There have been too many attempts to sign in',
+  MESSAGE: 'You need to wait before trying again.',
+  RETRY_TEXT: 'You can try again in'
+}
+
+export const CSRF_MESSAGES = {
+  PAGE_TITLE: 'Sorry, there is a problem with this form',
+  MESSAGE:
+    'The form could not be sent. This can happen if it was open in another tab when you signed in again, or if you signed out.',
+  RETRY_TEXT: 'Go back to the start and try again'
+}
+
 export const ERROR_ROUTES = {
   RETRY_PATH: '/'
 }
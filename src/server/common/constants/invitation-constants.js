@@ -0,0 +1,53 @@
+/**
+ * Invitation allow-list constants
+ * Following intention-revealing naming principles from workspace rules
+ */
+
+export const INVITATION_ROUTES = {
+  MANAGE_PATH: '/admin/invitations',
+  REMOVE_PATH: '/admin/invitations/remove',
+  MANAGE_VIEW_PATH: 'invitations/index',
+  NO_ACCESS_VIEW_PATH: 'invitations/no-access'
+}
+
+export const INVITATION_STORAGE = {
+  // Redis hash of invitations, keyed by email address or domain
+  KEY: 'auth:invitations'
+}
+
+export const INVITATION_TYPES = {
+  EMAIL: 'email',
+  DOMAIN: 'domain'
+}
+
+export const INVITATION_TYPE_LABELS = {
+  [INVITATION_TYPES.EMAIL]: 'Email address',
+  [INVITATION_TYPES.DOMAIN]: 'Everyone at this domain'
+}
+
+export const INVITATION_FIELDS = {
+  ENTRY: 'entry',
+  EXPIRES_DAY: 'expires-day',
+  EXPIRES_MONTH: 'expires-month',
+  EXPIRES_YEAR: 'expires-year'
+}
+
+export const INVITATION_MESSAGES = {
+  ENTRY_REQUIRED: 'Enter an email address or domain',
+  ENTRY_INVALID:
+    'Enter an email address in the correct format, like name@example.com, or a domain, like example.com',
+  EXPIRY_INVALID: 'Expiry date must be a real date',
+  EXPIRY_IN_PAST: 'Expiry date must be today or in the future',
+  NO_ACCESS_TITLE: 'You do not have access'
+}
+
+export const INVITATION_REFUSAL_REASONS = {
+  NOT_INVITED: 'NOT_INVITED',
+  INVITATION_EXPIRED: 'INVITATION_EXPIRED'
+}
+
+export const AUDIT_EVENTS = {
+  SIGN_IN_REFUSED: 'auth.sign-in.refused',
+  INVITATION_ADDED: 'auth.invitation.added',
+  INVITATION_REMOVED: 'auth.invitation.removed'
+}
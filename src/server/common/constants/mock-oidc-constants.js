@@ -0,0 +1,29 @@
+/**
+ * Mock OpenID Connect provider constants
+ * Following intention-revealing naming principles from workspace rules
+ */
+
+export const MOCK_OIDC_ROUTES = {
+  BASE_PATH: '/mock-oidc',
+  DISCOVERY_PATH: '/mock-oidc/{tenantId}/v2.0/.well-known/openid-configuration',
+  AUTHORIZE_PATH: '/mock-oidc/{tenantId}/oauth2/v2.0/authorize',
+  TOKEN_PATH: '/mock-oidc/{tenantId}/oauth2/v2.0/token',
+  JWKS_PATH: '/mock-oidc/{tenantId}/discovery/v2.0/keys',
+  LOGOUT_PATH: '/mock-oidc/{tenantId}/oauth2/v2.0/logout',
+  PICKER_VIEW_PATH: 'mock-oidc/index'
+}
+
+export const MOCK_OIDC_SETTINGS = {
+  SIGNING_KEY_ID: 'mock-oidc-signing-key',
+  SIGNING_ALGORITHM: 'RS256',
+  AUTHORIZATION_CODE_TTL_MS: 60 * 1000, // 1 minute
+  TOKEN_TTL_SECONDS: 60 * 60, // 1 hour
+  SCOPE: 'openid profile email offline_access'
+}
+
+export const MOCK_OIDC_ERRORS = {
+  INVALID_REQUEST: 'invalid_request',
+  INVALID_CLIENT: 'invalid_client',
+  INVALID_GRANT: 'invalid_grant',
+  UNSUPPORTED_GRANT_TYPE: 'unsupported_grant_type'
+}
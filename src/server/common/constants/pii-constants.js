@@ -0,0 +1,42 @@
+/**
+ * PII detection constants
+ * Following intention-revealing naming principles from workspace rules
+ */
+
+export const PII_TYPES = {
+  NAME: 'name',
+  EMAIL: 'email',
+  PHONE_NUMBER: 'phone-number',
+  NATIONAL_INSURANCE_NUMBER: 'national-insurance-number',
+  POSTCODE: 'postcode',
+  STREET_ADDRESS: 'street-address',
+  DATE_OF_BIRTH: 'date-of-birth',
+  VEHICLE_REGISTRATION: 'vehicle-registration',
+  BANK_DETAILS: 'bank-details'
+}
+
+export const PII_TYPE_LABELS = {
+  [PII_TYPES.NAME]: 'Name',
+  [PII_TYPES.EMAIL]: 'Email address',
+  [PII_TYPES.PHONE_NUMBER]: 'Phone number',
+  [PII_TYPES.NATIONAL_INSURANCE_NUMBER]: 'National Insurance number',
+  [PII_TYPES.POSTCODE]: 'Postcode',
+  [PII_TYPES.STREET_ADDRESS]: 'Street address',
+  [PII_TYPES.DATE_OF_BIRTH]: 'Date of birth',
+  [PII_TYPES.VEHICLE_REGISTRATION]: 'Vehicle registration',
+  [PII_TYPES.BANK_DETAILS]: 'Bank details'
+}
+
+export const PII_CONFIDENCE = {
+  CERTAIN: 0.99,
+  HIGH: 0.9,
+  MEDIUM_HIGH: 0.8,
+  MEDIUM: 0.7,
+  LOW: 0.5,
+  VERY_LOW: 0.3
+}
+
+export const PII_DETECTION_DEFAULTS = {
+  CONTEXT_WINDOW_CHARACTERS: 40,
+  MIN_CONFIDENCE: 0
+}
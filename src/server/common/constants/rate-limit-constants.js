@@ -0,0 +1,13 @@
+/**
+ * Rate limiting constants
+ * Following intention-revealing naming principles from workspace rules
+ */
+
+export const RATE_LIMIT = {
+  KEY_PREFIX: 'ratelimit:',
+  // Counts requests from an IP address across every rate limited route
+  PER_IP_SCOPE: 'ip',
+  // How often the in-memory store drops clients whose window and lockout have passed
+  MEMORY_SWEEP_INTERVAL_MS: 60 * 1000, // 1 minute
+  ERROR_VIEW_PATH: 'error/index'
+}
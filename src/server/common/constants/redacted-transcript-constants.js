@@ -0,0 +1,106 @@
+import { PII_TYPES } from './pii-constants.js'
+import { MANUAL_REDACTION_TYPES } from './review-pii-constants.js'
+import { SPEAKER_ROLES } from './speaker-turn-constants.js'
+
+/**
+ * Redacted transcript constants
+ * Following intention-revealing naming principles from workspace rules
+ */
+
+export const REDACTION_STRATEGIES = {
+  PSEUDONYM: 'pseudonym',
+  TOKEN: 'token',
+  MASK: 'mask',
+  GENERALISE: 'generalise'
+}
+
+export const DEFAULT_REDACTION_STRATEGY = REDACTION_STRATEGIES.TOKEN
+
+export const REDACTION_STRATEGY_LABELS = {
+  [REDACTION_STRATEGIES.PSEUDONYM]: 'Consistent pseudonyms',
+  [REDACTION_STRATEGIES.TOKEN]: 'Category tokens',
+  [REDACTION_STRATEGIES.MASK]: 'Full-length masking',
+  [REDACTION_STRATEGIES.GENERALISE]: 'Generalisation'
+}
+
+export const REDACTION_STRATEGY_HINTS = {
+  [REDACTION_STRATEGIES.PSEUDONYM]:
+    'The same person or detail gets the same replacement throughout, for example "Participant A", "Colleague 1" or "Town 1"',
+  [REDACTION_STRATEGIES.TOKEN]:
+    'Each item is replaced with its category, for example "[NAME]"',
+  [REDACTION_STRATEGIES.MASK]:
+    'Each character is blocked out, so the original length is kept',
+  [REDACTION_STRATEGIES.GENERALISE]:
+    'Ages become ranges, postcodes become their outward code and dates of birth become a decade. Other items are replaced with their category'
+}
+
+// Speakers become "Participant A" or "Interviewer A", other people mentioned become "Colleague 1"
+export const SPEAKER_PSEUDONYM_PREFIX = 'Participant'
+
+export const SPEAKER_ROLE_PSEUDONYM_PREFIXES = {
+  [SPEAKER_ROLES.INTERVIEWER]: 'Interviewer',
+  [SPEAKER_ROLES.OBSERVER]: 'Observer'
+}
+
+export const PSEUDONYM_PREFIXES = {
+  [PII_TYPES.NAME]: 'Colleague',
+  [PII_TYPES.EMAIL]: 'Email address',
+  [PII_TYPES.PHONE_NUMBER]: 'Phone number',
+  [PII_TYPES.NATIONAL_INSURANCE_NUMBER]: 'NI number',
+  [PII_TYPES.POSTCODE]: 'Postcode',
+  [PII_TYPES.STREET_ADDRESS]: 'Address',
+  [PII_TYPES.DATE_OF_BIRTH]: 'Date of birth',
+  [PII_TYPES.VEHICLE_REGISTRATION]: 'Vehicle',
+  [PII_TYPES.BANK_DETAILS]: 'Account',
+  [MANUAL_REDACTION_TYPES.AGE]: 'Age',
+  [MANUAL_REDACTION_TYPES.LOCATION]: 'Town',
+  [MANUAL_REDACTION_TYPES.OTHER]: 'Item'
+}
+
+export const MASK_CHARACTER = '█'
+
+export const AGE_BAND_WIDTH = 10
+
+export const DOWNLOAD_FORMATS = {
+  TEXT: 'txt',
+  MARKDOWN: 'md',
+  WORD: 'docx'
+}
+
+export const DOWNLOAD_CONTENT_TYPES = {
+  [DOWNLOAD_FORMATS.TEXT]: 'text/plain; charset=utf-8',
+  [DOWNLOAD_FORMATS.MARKDOWN]: 'text/markdown; charset=utf-8',
+  [DOWNLOAD_FORMATS.WORD]:
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+}
+
+export const DOWNLOAD_FORMAT_LABELS = {
+  [DOWNLOAD_FORMATS.TEXT]: 'plain text (.txt)',
+  [DOWNLOAD_FORMATS.MARKDOWN]: 'Markdown (.md)',
+  [DOWNLOAD_FORMATS.WORD]: 'Word document (.docx)'
+}
+
+export const REDACTED_TRANSCRIPT_FILE_NAME = 'redacted-transcript'
+
+export const REDACTION_HEADER = {
+  TITLE: 'Redacted transcript',
+  DATE_PREFIX: 'Redacted on',
+  DATE_FORMAT: 'd MMMM yyyy',
+  STRATEGY_PREFIX: 'Redaction method',
+  COUNTS_PREFIX: 'Items redacted',
+  NO_ITEMS: 'No items were redacted'
+}
+
+export const REDACTED_TRANSCRIPT_FIELDS = {
+  STRATEGY: 'redaction-strategy'
+}
+
+export const REDACTED_TRANSCRIPT_MESSAGES = {
+  STRATEGY_REQUIRED: 'Select how you want items to be redacted'
+}
+
+export const REDACTED_TRANSCRIPT_ROUTES = {
+  OUTPUT_PATH: '/redacted-transcript',
+  OUTPUT_VIEW_PATH: 'redacted-transcript/index',
+  DOWNLOAD_PATH: '/redacted-transcript/download/{format}'
+}
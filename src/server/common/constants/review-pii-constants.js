@@ -0,0 +1,64 @@
+import { PII_TYPE_LABELS } from './pii-constants.js'
+
+/**
+ * Review PII constants
+ * Following intention-revealing naming principles from workspace rules
+ */
+
+export const FINDING_STATUSES = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected'
+}
+
+export const FINDING_STATUS_LABELS = {
+  [FINDING_STATUSES.PENDING]: 'Not reviewed',
+  [FINDING_STATUSES.ACCEPTED]: 'Redact',
+  [FINDING_STATUSES.REJECTED]: 'Keep'
+}
+
+export const REVIEW_ACTIONS = {
+  ACCEPT: 'accept',
+  REJECT: 'reject',
+  ACCEPT_TYPE: 'accept-type',
+  REJECT_TYPE: 'reject-type',
+  ADD_MANUAL: 'add-manual'
+}
+
+export const MANUAL_REDACTION = {
+  DETECTOR: 'manual',
+  MAX_LENGTH: 500
+}
+
+// Categories the detector does not find, available for manual redactions
+export const MANUAL_REDACTION_TYPES = {
+  AGE: 'age',
+  LOCATION: 'location',
+  OTHER: 'other'
+}
+
+export const REDACTION_TYPE_LABELS = {
+  ...PII_TYPE_LABELS,
+  [MANUAL_REDACTION_TYPES.AGE]: 'Age',
+  [MANUAL_REDACTION_TYPES.LOCATION]: 'Place',
+  [MANUAL_REDACTION_TYPES.OTHER]: 'Other'
+}
+
+export const REVIEW_PII_FIELDS = {
+  ACTION: 'action',
+  MANUAL_TEXT: 'manual-redaction-text',
+  MANUAL_TYPE: 'manual-redaction-type'
+}
+
+export const REVIEW_PII_MESSAGES = {
+  MANUAL_TEXT_REQUIRED: 'Enter or select the text you want to redact',
+  MANUAL_TEXT_TOO_LONG: 'Text to redact must be 500 characters or fewer',
+  MANUAL_TEXT_NOT_FOUND:
+    'The text you entered does not appear in the transcript, or is already highlighted',
+  MANUAL_TYPE_INVALID: 'Select a category for the text you want to redact'
+}
+
+export const REVIEW_PII_ROUTES = {
+  REVIEW_PATH: '/review-pii',
+  REVIEW_VIEW_PATH: 'review-pii/index'
+}
@@ -0,0 +1,36 @@
+/**
+ * Active session management constants
+ * Following intention-revealing naming principles from workspace rules
+ */
+
+export const SESSION_MANAGEMENT_ROUTES = {
+  YOUR_SESSIONS_PATH: '/account/sessions',
+  REVOKE_PATH: '/account/sessions/revoke',
+  REVOKE_OTHERS_PATH: '/account/sessions/revoke-others',
+  ADMIN_PATH: '/admin/sessions',
+  ADMIN_USER_PATH: '/admin/sessions/{userId}',
+  ADMIN_REVOKE_ALL_PATH: '/admin/sessions/{userId}/revoke-all',
+  YOUR_SESSIONS_VIEW_PATH: 'sessions/index',
+  ADMIN_VIEW_PATH: 'sessions/admin',
+  ADMIN_USER_VIEW_PATH: 'sessions/admin-user'
+}
+
+export const SESSION_MANAGEMENT_FIELDS = {
+  PUBLIC_ID: 'publicId'
+}
+
+export const SESSION_MANAGEMENT_MESSAGES = {
+  YOUR_SESSIONS_TITLE: 'Your sessions',
+  ADMIN_TITLE: 'Signed in users'
+}
+
+export const DEVICE_LABELS = {
+  UNKNOWN_BROWSER: 'Unknown browser',
+  UNKNOWN_OS: 'unknown device'
+}
+
+export const SESSION_AUDIT_EVENTS = {
+  SESSION_REVOKED: 'auth.session.revoked',
+  OTHER_SESSIONS_REVOKED: 'auth.session.revoked-others',
+  ALL_SESSIONS_REVOKED: 'auth.session.revoked-all'
+}
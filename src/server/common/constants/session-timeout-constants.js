@@ -0,0 +1,14 @@
+/**
+ * Session timeout constants
+ * Following intention-revealing naming principles from workspace rules
+ */
+
+export const SESSION_TIMEOUT_ROUTES = {
+  EXTEND_PATH: '/session/extend',
+  TIMED_OUT_PATH: '/session/timed-out',
+  TIMED_OUT_VIEW_PATH: 'session-timeout/index'
+}
+
+export const SESSION_TIMEOUT_MESSAGES = {
+  TIMED_OUT_PAGE_TITLE: 'You have been signed out'
+}
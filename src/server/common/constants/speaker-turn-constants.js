@@ -0,0 +1,78 @@
+/**
+ * Speaker turn parsing constants
+ * Following intention-revealing naming principles from workspace rules
+ */
+
+export const TRANSCRIPT_FORMATS = {
+  LABELLED: 'labelled',
+  TEAMS: 'teams',
+  WEBVTT: 'webvtt',
+  UNLABELLED: 'unlabelled'
+}
+
+export const SPEAKER_ROLES = {
+  INTERVIEWER: 'interviewer',
+  PARTICIPANT: 'participant',
+  OBSERVER: 'observer',
+  UNKNOWN: 'unknown'
+}
+
+export const SPEAKER_ROLE_LABELS = {
+  [SPEAKER_ROLES.INTERVIEWER]: 'Interviewer',
+  [SPEAKER_ROLES.PARTICIPANT]: 'Participant',
+  [SPEAKER_ROLES.OBSERVER]: 'Observer',
+  [SPEAKER_ROLES.UNKNOWN]: 'Not known'
+}
+
+/**
+ * Generic speaker labels that identify a role rather than a person
+ * Matched against the whole label, then its first word, ignoring case
+ */
+export const ROLE_SPEAKER_LABELS = {
+  interviewer: SPEAKER_ROLES.INTERVIEWER,
+  int: SPEAKER_ROLES.INTERVIEWER,
+  i: SPEAKER_ROLES.INTERVIEWER,
+  q: SPEAKER_ROLES.INTERVIEWER,
+  moderator: SPEAKER_ROLES.INTERVIEWER,
+  facilitator: SPEAKER_ROLES.INTERVIEWER,
+  researcher: SPEAKER_ROLES.INTERVIEWER,
+  participant: SPEAKER_ROLES.PARTICIPANT,
+  interviewee: SPEAKER_ROLES.PARTICIPANT,
+  respondent: SPEAKER_ROLES.PARTICIPANT,
+  user: SPEAKER_ROLES.PARTICIPANT,
+  a: SPEAKER_ROLES.PARTICIPANT,
+  r: SPEAKER_ROLES.PARTICIPANT,
+  'user researcher': SPEAKER_ROLES.INTERVIEWER,
+  observer: SPEAKER_ROLES.OBSERVER,
+  notetaker: SPEAKER_ROLES.OBSERVER,
+  'note-taker': SPEAKER_ROLES.OBSERVER
+}
+
+/**
+ * Generic speaker labels that identify neither a role nor a person,
+ * such as "Speaker 1"
+ */
+export const ANONYMOUS_SPEAKER_LABELS = new Set(['guest', 'speaker', 'unknown'])
+
+/**
+ * Numbered participant labels such as "P1" or "P 12"
+ */
+export const PARTICIPANT_NUMBER_LABEL = /^p\s?\d+$/i
+
+/**
+ * Line prefixes that look like speaker labels but introduce transcript metadata
+ */
+export const NON_SPEAKER_LABELS = new Set([
+  'date',
+  'duration',
+  'location',
+  'note',
+  'notes',
+  'project',
+  'time',
+  'title',
+  'topic',
+  'transcript'
+])
+
+export const SPEAKER_LABEL_MAX_LENGTH = 60
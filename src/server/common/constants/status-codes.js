@@ -6,6 +6,8 @@ export const statusCodes = {
   unauthorized: 401,
   forbidden: 403,
   notFound: 404,
+  payloadTooLarge: 413,
   imATeapot: 418,
+  tooManyRequests: 429,
   internalServerError: 500
 }
@@ -0,0 +1,64 @@
+/**
+ * Upload document constants
+ * Following intention-revealing naming principles from workspace rules
+ */
+
+export const TRANSCRIPT_LIMITS = {
+  MAX_CHARACTERS: 50000
+}
+
+export const UPLOAD_DOCUMENT_FIELDS = {
+  TRANSCRIPT_TEXT: 'transcript-text',
+  TRANSCRIPT_FILE: 'transcript-file',
+  DATA_PROTECTION: 'data-protection'
+}
+
+// Allowed transcript file extensions with the content types browsers send for them
+// Subtitle files have no registered type on many systems, so browsers fall back
+// to application/octet-stream and the file signature check does the real work
+export const TRANSCRIPT_FILE_TYPES = {
+  '.txt': ['text/plain'],
+  '.docx': [
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  ],
+  '.vtt': ['text/vtt', 'text/plain', 'application/octet-stream'],
+  '.srt': [
+    'application/x-subrip',
+    'text/srt',
+    'text/plain',
+    'application/octet-stream'
+  ],
+  '.pdf': ['application/pdf']
+}
+
+// Extra room for the other form fields sent alongside the file
+export const UPLOAD_FORM_OVERHEAD_BYTES = 512 * 1024
+
+export const DATA_PROTECTION_CONFIRMATIONS = {
+  INFORMED_CONSENT: 'informed-consent',
+  GDPR_COMPLIANCE: 'gdpr-compliance',
+  MARKET_RESEARCH: 'market-research'
+}
+
+export const UPLOAD_DOCUMENT_MESSAGES = {
+  TRANSCRIPT_REQUIRED: 'Enter the transcript text',
+  TRANSCRIPT_TOO_LONG: 'Transcript text must be 50,000 characters or fewer',
+  DATA_PROTECTION_REQUIRED:
+    'Confirm all of the data protection statements before submitting',
+  FILE_AND_TEXT_PROVIDED:
+    'Upload a transcript file or paste the transcript text, not both',
+  FILE_TYPE_INVALID: 'The selected file must be a TXT, DOCX, VTT, SRT or PDF',
+  FILE_TOO_LARGE: 'The selected file must be smaller than {size}',
+  FILE_EMPTY: 'The selected file is empty',
+  FILE_UNREADABLE:
+    'The selected file could not be read – check it is not damaged or password protected',
+  FILE_HAS_NO_TEXT:
+    'The selected file must contain text – scanned documents cannot be read',
+  FILE_TEXT_TOO_LONG:
+    'The text in the selected file must be 50,000 characters or fewer'
+}
+
+export const UPLOAD_DOCUMENT_ROUTES = {
+  UPLOAD_PATH: '/upload-document',
+  UPLOAD_VIEW_PATH: 'upload-document/index'
+}
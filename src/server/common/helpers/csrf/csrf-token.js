@@ -0,0 +1,44 @@
+import crypto from 'crypto'
+import { config } from '../../../../config/config.js'
+import { CSRF } from '../../constants/csrf-constants.js'
+
+/**
+ * Issues the CSRF token for a session
+ * The token is an HMAC of the session ID, so it needs no storage, changes
+ * whenever the user signs in again, and cannot be worked out from another
+ * session's token
+ * @param {string} sessionId - Session ID from the session cookie
+ * @returns {string|null} The token, or null when there is no session
+ */
+export function issueCsrfToken(sessionId) {
+  if (!sessionId) {
+    return null
+  }
+
+  return crypto
+    .createHmac(CSRF.TOKEN_DIGEST, config.get('auth.csrfSecret'))
+    .update(sessionId)
+    .digest('base64url')
+}
+
+/**
+ * Checks a CSRF token against the session it was issued for
+ * @param {string} sessionId - Session ID from the session cookie
+ * @param {string} token - Token sent with the request
+ * @returns {boolean} True when the token was issued for the session
+ */
+export function isValidCsrfToken(sessionId, token) {
+  const expected = issueCsrfToken(sessionId)
+
+  if (!expected || typeof token !== 'string') {
+    return false
+  }
+
+  const expectedBuffer = Buffer.from(expected)
+  const tokenBuffer = Buffer.from(token)
+
+  return (
+    expectedBuffer.length === tokenBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, tokenBuffer)
+  )
+}
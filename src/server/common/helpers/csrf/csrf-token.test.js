@@ -0,0 +1,43 @@
+import { issueCsrfToken, isValidCsrfToken } from './csrf-token.js'
+
+describe('#issueCsrfToken', () => {
+  test('Should issue the same token for a session each time', () => {
+    expect(issueCsrfToken('session-id')).toBe(issueCsrfToken('session-id'))
+  })
+
+  test('Should issue a different token for each session', () => {
+    expect(issueCsrfToken('session-id')).not.toBe(
+      issueCsrfToken('other-session-id')
+    )
+  })
+
+  test('Should not issue a token without a session', () => {
+    expect(issueCsrfToken(undefined)).toBeNull()
+  })
+})
+
+describe('#isValidCsrfToken', () => {
+  test('Should accept the token issued for the session', () => {
+    expect(isValidCsrfToken('session-id', issueCsrfToken('session-id'))).toBe(
+      true
+    )
+  })
+
+  test('Should refuse a token issued for another session', () => {
+    expect(
+      isValidCsrfToken('session-id', issueCsrfToken('other-session-id'))
+    ).toBe(false)
+  })
+
+  test('Should refuse a missing or malformed token', () => {
+    expect(isValidCsrfToken('session-id', undefined)).toBe(false)
+    expect(isValidCsrfToken('session-id', ['token'])).toBe(false)
+    expect(isValidCsrfToken('session-id', 'short')).toBe(false)
+  })
+
+  test('Should refuse any token without a session', () => {
+    expect(isValidCsrfToken(undefined, issueCsrfToken('session-id'))).toBe(
+      false
+    )
+  })
+})
@@ -0,0 +1,78 @@
+import { isValidCsrfToken } from './csrf-token.js'
+import { statusCodes } from '../../constants/status-codes.js'
+import { CSRF } from '../../constants/csrf-constants.js'
+import { CSRF_MESSAGES, ERROR_ROUTES } from '../../constants/error-constants.js'
+
+/**
+ * Reads the token from the form field, or the header for script requests
+ * The form field is removed, so handlers and payload validation never see it
+ * @param {Object} request - The hapi request
+ * @returns {string|undefined} The token sent with the request
+ */
+function takeCsrfToken(request) {
+  const { payload } = request
+
+  if (payload && typeof payload === 'object' && CSRF.FIELD_NAME in payload) {
+    const token = payload[CSRF.FIELD_NAME]
+    delete payload[CSRF.FIELD_NAME]
+    return token
+  }
+
+  return request.headers[CSRF.HEADER_NAME]
+}
+
+/**
+ * Renders the page shown when a form is sent without a valid token
+ * @param {Object} h - The hapi response toolkit
+ * @returns {Object} The 403 page
+ */
+function renderInvalidCsrfToken(h) {
+  return h
+    .view(CSRF.ERROR_VIEW_PATH, {
+      pageTitle: CSRF_MESSAGES.PAGE_TITLE,
+      heading: CSRF_MESSAGES.PAGE_TITLE,
+      message: CSRF_MESSAGES.MESSAGE,
+      retryLink: ERROR_ROUTES.RETRY_PATH,
+      retryText: CSRF_MESSAGES.RETRY_TEXT
+    })
+    .code(statusCodes.forbidden)
+    .takeover()
+}
+
+/**
+ * Protects state-changing requests from cross-site request forgery
+ * Every POST, PUT and DELETE must send the session's token, which templates
+ * get as `csrfToken` from the shared context, in a hidden csrfToken field or
+ * an x-csrf-token header
+ * Routes that do not use the session cookie, such as APIs authenticated with
+ * bearer tokens, opt out with `plugins: { csrf: false }`
+ */
+export const csrf = {
+  plugin: {
+    name: 'csrf',
+    register(server) {
+      // Runs once the payload is parsed, so the form field can be read
+      server.ext('onPostAuth', (request, h) => {
+        if (
+          !CSRF.PROTECTED_METHODS.includes(request.method) ||
+          request.route.settings.plugins.csrf === false
+        ) {
+          return h.continue
+        }
+
+        if (isValidCsrfToken(request.state.session, takeCsrfToken(request))) {
+          return h.continue
+        }
+
+        request.logger.warn({
+          message: 'Request refused, CSRF token missing or invalid',
+          path: request.path,
+          method: request.method,
+          decision: 'CSRF_REJECTED'
+        })
+
+        return renderInvalidCsrfToken(h)
+      })
+    }
+  }
+}
@@ -0,0 +1,114 @@
+import { vi } from 'vitest'
+
+import { createServer } from '../../../server.js'
+import { issueCsrfToken } from './csrf-token.js'
+import { statusCodes } from '../../constants/status-codes.js'
+import { CSRF_MESSAGES } from '../../constants/error-constants.js'
+
+vi.mock('../redis-client.js', () => ({
+  buildRedisClient: vi.fn(() => ({
+    get: vi.fn().mockResolvedValue(null),
+    on: vi.fn()
+  }))
+}))
+
+describe('#csrf', () => {
+  let server
+  let sessionCookie
+  const csrfToken = issueCsrfToken('valid-session-id')
+
+  beforeAll(async () => {
+    server = await createServer()
+    server.route([
+      {
+        method: ['POST', 'PUT', 'DELETE'],
+        path: '/csrf-test',
+        handler: (request) => request.payload ?? {},
+        options: { auth: false }
+      },
+      {
+        method: 'POST',
+        path: '/csrf-test/exempt',
+        handler: () => ({ exempt: true }),
+        options: { auth: false, plugins: { csrf: false } }
+      }
+    ])
+    await server.initialize()
+
+    const [setCookieHeader] = await server.states.format({
+      name: 'session',
+      value: 'valid-session-id'
+    })
+    sessionCookie = setCookieHeader.split(';')[0]
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  test('Should accept a form sent with the session token', async () => {
+    const { statusCode, result } = await server.inject({
+      method: 'POST',
+      url: '/csrf-test',
+      headers: { cookie: sessionCookie },
+      payload: { entry: 'example.com', csrfToken }
+    })
+
+    expect(statusCode).toBe(statusCodes.ok)
+    expect(result).toEqual({ entry: 'example.com' })
+  })
+
+  test('Should accept a script request sent with the token header', async () => {
+    const { statusCode } = await server.inject({
+      method: 'DELETE',
+      url: '/csrf-test',
+      headers: { cookie: sessionCookie, 'x-csrf-token': csrfToken }
+    })
+
+    expect(statusCode).toBe(statusCodes.ok)
+  })
+
+  test.each(['POST', 'PUT', 'DELETE'])(
+    'Should refuse a %s without a token',
+    async (method) => {
+      const { statusCode, result } = await server.inject({
+        method,
+        url: '/csrf-test',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.forbidden)
+      expect(result).toContain(CSRF_MESSAGES.PAGE_TITLE)
+    }
+  )
+
+  test('Should refuse a token issued for another session', async () => {
+    const { statusCode } = await server.inject({
+      method: 'POST',
+      url: '/csrf-test',
+      headers: { cookie: sessionCookie },
+      payload: { csrfToken: issueCsrfToken('other-session-id') }
+    })
+
+    expect(statusCode).toBe(statusCodes.forbidden)
+  })
+
+  test('Should refuse a token sent without the session cookie', async () => {
+    const { statusCode } = await server.inject({
+      method: 'POST',
+      url: '/csrf-test',
+      payload: { csrfToken }
+    })
+
+    expect(statusCode).toBe(statusCodes.forbidden)
+  })
+
+  test('Should not check routes that opt out', async () => {
+    const { statusCode } = await server.inject({
+      method: 'POST',
+      url: '/csrf-test/exempt'
+    })
+
+    expect(statusCode).toBe(statusCodes.ok)
+  })
+})
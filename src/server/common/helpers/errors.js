@@ -1,11 +1,14 @@
 import { statusCodes } from '../constants/status-codes.js'
+import {
+  ERROR_ACTIONS,
+  ERROR_MESSAGES,
+  FORBIDDEN_MESSAGES
+} from '../constants/error-constants.js'
 
 function statusCodeMessage(statusCode) {
   switch (statusCode) {
     case statusCodes.notFound:
       return 'Page not found'
-    case statusCodes.forbidden:
-      return 'Forbidden'
     case statusCodes.unauthorized:
       return 'Unauthorized'
     case statusCodes.badRequest:
@@ -15,6 +18,31 @@ function statusCodeMessage(statusCode) {
   }
 }
 
+/**
+ * Renders the page for signed in users who lack the role a route requires
+ * @param {Object} request - The hapi request
+ * @param {Object} h - The hapi response toolkit
+ * @returns {Object} The 403 page
+ */
+function renderForbidden(request, h) {
+  request.logger.warn({
+    message: 'Access denied, user lacks the required role',
+    path: request.path,
+    userId: request.auth?.credentials?.user?.oid,
+    decision: 'FORBIDDEN'
+  })
+
+  return h
+    .view('error/index', {
+      pageTitle: FORBIDDEN_MESSAGES.PAGE_TITLE,
+      heading: FORBIDDEN_MESSAGES.PAGE_TITLE,
+      message: FORBIDDEN_MESSAGES.MESSAGE,
+      whatYouCanDoTitle: ERROR_MESSAGES.WHAT_YOU_CAN_DO_TITLE,
+      errorActions: Object.values(ERROR_ACTIONS)
+    })
+    .code(statusCodes.forbidden)
+}
+
 export function catchAll(request, h) {
   const { response } = request
 
@@ -23,6 +51,11 @@ export function catchAll(request, h) {
   }
 
   const statusCode = response.output.statusCode
+
+  if (statusCode === statusCodes.forbidden) {
+    return renderForbidden(request, h)
+  }
+
   const errorMessage = statusCodeMessage(statusCode)
 
   if (statusCode >= statusCodes.internalServerError) {
@@ -31,6 +31,7 @@ describe('#errors', () => {
 
 describe('#catchAll', () => {
   const mockErrorLogger = vi.fn()
+  const mockWarnLogger = vi.fn()
   const mockStack = 'Mock error stack'
   const errorPage = 'error/index'
   const mockRequest = (statusCode) => ({
@@ -41,7 +42,9 @@ describe('#catchAll', () => {
         statusCode
       }
     },
-    logger: { error: mockErrorLogger }
+    path: '/upload-document',
+    auth: { credentials: { user: { oid: 'user-oid' } } },
+    logger: { error: mockErrorLogger, warn: mockWarnLogger }
   })
   const mockToolkitView = vi.fn()
   const mockToolkitCode = vi.fn()
@@ -67,11 +70,24 @@ describe('#catchAll', () => {
 
     expect(mockErrorLogger).not.toHaveBeenCalledWith(mockStack)
     expect(mockToolkitView).toHaveBeenCalledWith(errorPage, {
-      pageTitle: 'Forbidden',
-      heading: statusCodes.forbidden,
-      message: 'Forbidden'
+      pageTitle: 'You do not have access to this page',
+      heading: 'You do not have access to this page',
+      message:
+        'Your account does not have the role needed to use this part of the service.',
+      whatYouCanDoTitle: 'What you can do',
+      errorActions: [
+        'Check with your team that you should have access',
+        'Contact the AI-SDLC team if you continue to have problems'
+      ]
     })
     expect(mockToolkitCode).toHaveBeenCalledWith(statusCodes.forbidden)
+    expect(mockWarnLogger).toHaveBeenCalledWith(
+      expect.objectContaining({
+        path: '/upload-document',
+        userId: 'user-oid',
+        decision: 'FORBIDDEN'
+      })
+    )
   })
 
   test('Should provide expected "Unauthorized" page', () => {
@@ -0,0 +1,22 @@
+/**
+ * Finds the IP address of the client making a request
+ * Each trusted proxy appends the address it received the request from to
+ * X-Forwarded-For, so the client is the entry added by the outermost trusted
+ * proxy. Entries before it were supplied by the client and cannot be trusted
+ *
+ * @param {Object} request - The hapi request
+ * @param {number} trustedProxies - Number of proxies in front of the service
+ * @returns {string} The client IP address
+ */
+export function getClientIp(request, trustedProxies) {
+  const forwardedFor = String(request.headers?.['x-forwarded-for'] ?? '')
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean)
+
+  if (trustedProxies > 0 && forwardedFor.length) {
+    return forwardedFor[Math.max(0, forwardedFor.length - trustedProxies)]
+  }
+
+  return request.info.remoteAddress
+}
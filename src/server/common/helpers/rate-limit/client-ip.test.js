@@ -0,0 +1,32 @@
+import { getClientIp } from './client-ip.js'
+
+const buildRequest = (forwardedFor) => ({
+  headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {},
+  info: { remoteAddress: '10.0.0.1' }
+})
+
+describe('#getClientIp', () => {
+  test('Should use the connection address when there are no trusted proxies', () => {
+    expect(getClientIp(buildRequest('203.0.113.9'), 0)).toBe('10.0.0.1')
+  })
+
+  test('Should use the address added by the trusted proxy', () => {
+    expect(getClientIp(buildRequest('198.51.100.7, 203.0.113.9'), 1)).toBe(
+      '203.0.113.9'
+    )
+  })
+
+  test('Should skip addresses added by each trusted proxy in turn', () => {
+    expect(
+      getClientIp(buildRequest('198.51.100.7, 203.0.113.9, 10.0.0.2'), 2)
+    ).toBe('203.0.113.9')
+  })
+
+  test('Should use the first address when there are fewer than the trusted proxies', () => {
+    expect(getClientIp(buildRequest('203.0.113.9'), 3)).toBe('203.0.113.9')
+  })
+
+  test('Should use the connection address when X-Forwarded-For is missing', () => {
+    expect(getClientIp(buildRequest(), 1)).toBe('10.0.0.1')
+  })
+})
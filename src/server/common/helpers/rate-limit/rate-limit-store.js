@@ -0,0 +1,142 @@
+import crypto from 'crypto'
+import { RATE_LIMIT } from '../../constants/rate-limit-constants.js'
+
+// Checks and records a request in one step, so concurrent requests on any
+// instance cannot all slip under the limit. Hits are a sorted set scored by
+// time, trimmed to the window. Going over the limit locks the client out
+const SLIDING_WINDOW_SCRIPT = `
+local hitsKey, lockKey = KEYS[1], KEYS[2]
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+local lockoutMs = tonumber(ARGV[4])
+
+local lockedForMs = redis.call('PTTL', lockKey)
+if lockedForMs > 0 then
+  return {0, lockedForMs}
+end
+
+redis.call('ZREMRANGEBYSCORE', hitsKey, '-inf', now - windowMs)
+
+if redis.call('ZCARD', hitsKey) >= limit then
+  if lockoutMs > 0 then
+    redis.call('SET', lockKey, '1', 'PX', lockoutMs)
+    redis.call('DEL', hitsKey)
+    return {0, lockoutMs}
+  end
+
+  local oldest = redis.call('ZRANGE', hitsKey, 0, 0, 'WITHSCORES')
+  return {0, tonumber(oldest[2]) + windowMs - now}
+end
+
+redis.call('ZADD', hitsKey, now, ARGV[5])
+redis.call('PEXPIRE', hitsKey, windowMs)
+return {1, 0}
+`
+
+/**
+ * @typedef {Object} RateLimitRule
+ * @property {number} limit - Requests allowed in the window
+ * @property {number} windowMs - Length of the sliding window in milliseconds
+ * @property {number} [lockoutMs] - How long a client that goes over the limit must wait, or 0 to wait only until the window has room
+ */
+
+/**
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} allowed - Whether the request is within the limit
+ * @property {number} retryAfterMs - How long until the client may try again, when refused
+ */
+
+/**
+ * Builds a rate limit store shared by every instance through Redis
+ * Each client's hits and lockout are hash tagged to the same cluster slot, so
+ * the script can use both
+ *
+ * @param {Object} redisClient - The Redis client
+ * @returns {{ hit: (key: string, rule: RateLimitRule, now?: number) => Promise<RateLimitResult> }} The store
+ */
+export function createRedisRateLimitStore(redisClient) {
+  return {
+    async hit(key, rule, now = Date.now()) {
+      const [allowed, retryAfterMs] = await redisClient.eval(
+        SLIDING_WINDOW_SCRIPT,
+        2,
+        `{${key}}:hits`,
+        `{${key}}:lock`,
+        now,
+        rule.windowMs,
+        rule.limit,
+        rule.lockoutMs ?? 0,
+        `${now}:${crypto.randomUUID()}`
+      )
+
+      return { allowed: allowed === 1, retryAfterMs }
+    }
+  }
+}
+
+/**
+ * Builds a rate limit store held in this process, for local development with
+ * the memory cache engine. Limits are not shared between instances
+ * Clients whose window and lockout have both passed are swept out now and
+ * then, so a spray of new clients cannot grow the store without bound
+ *
+ * @returns {{ hit: (key: string, rule: RateLimitRule, now?: number) => Promise<RateLimitResult>, size: number }} The store
+ */
+export function createMemoryRateLimitStore() {
+  const clients = new Map()
+  let nextSweepAt = 0
+
+  function sweepExpiredClients(now) {
+    for (const [key, client] of clients) {
+      if (client.expiresAt <= now) {
+        clients.delete(key)
+      }
+    }
+    nextSweepAt = now + RATE_LIMIT.MEMORY_SWEEP_INTERVAL_MS
+  }
+
+  return {
+    async hit(key, rule, now = Date.now()) {
+      if (now >= nextSweepAt) {
+        sweepExpiredClients(now)
+      }
+
+      const client = clients.get(key) ?? { hits: [], lockedUntil: 0 }
+      client.expiresAt = Math.max(
+        client.expiresAt ?? 0,
+        now + rule.windowMs,
+        client.lockedUntil
+      )
+      clients.set(key, client)
+
+      if (client.lockedUntil > now) {
+        return { allowed: false, retryAfterMs: client.lockedUntil - now }
+      }
+
+      client.hits = client.hits.filter((hitAt) => hitAt > now - rule.windowMs)
+
+      if (client.hits.length >= rule.limit) {
+        if (rule.lockoutMs > 0) {
+          client.lockedUntil = now + rule.lockoutMs
+          client.expiresAt = client.lockedUntil
+          client.hits = []
+          return { allowed: false, retryAfterMs: rule.lockoutMs }
+        }
+
+        return {
+          allowed: false,
+          retryAfterMs: client.hits[0] + rule.windowMs - now
+        }
+      }
+
+      client.hits.push(now)
+      return { allowed: true, retryAfterMs: 0 }
+    },
+
+    // How many clients the store is holding
+    get size() {
+      return clients.size
+    }
+  }
+}
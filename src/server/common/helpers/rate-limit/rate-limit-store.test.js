@@ -0,0 +1,133 @@
+import { vi } from 'vitest'
+
+import {
+  createMemoryRateLimitStore,
+  createRedisRateLimitStore
+} from './rate-limit-store.js'
+
+const rule = { limit: 2, windowMs: 60000, lockoutMs: 300000 }
+
+describe('#createMemoryRateLimitStore', () => {
+  test('Should allow requests up to the limit', async () => {
+    const store = createMemoryRateLimitStore()
+
+    expect(await store.hit('key', rule, 0)).toEqual({
+      allowed: true,
+      retryAfterMs: 0
+    })
+    expect((await store.hit('key', rule, 1000)).allowed).toBe(true)
+  })
+
+  test('Should lock the client out once over the limit', async () => {
+    const store = createMemoryRateLimitStore()
+    await store.hit('key', rule, 0)
+    await store.hit('key', rule, 1000)
+
+    expect(await store.hit('key', rule, 2000)).toEqual({
+      allowed: false,
+      retryAfterMs: 300000
+    })
+    expect(await store.hit('key', rule, 62000)).toEqual({
+      allowed: false,
+      retryAfterMs: 240000
+    })
+  })
+
+  test('Should allow requests again after the lockout', async () => {
+    const store = createMemoryRateLimitStore()
+    await store.hit('key', rule, 0)
+    await store.hit('key', rule, 1000)
+    await store.hit('key', rule, 2000)
+
+    expect((await store.hit('key', rule, 302000)).allowed).toBe(true)
+  })
+
+  test('Should slide the window, so old requests stop counting', async () => {
+    const store = createMemoryRateLimitStore()
+    const noLockout = { ...rule, lockoutMs: 0 }
+    await store.hit('key', noLockout, 0)
+    await store.hit('key', noLockout, 30000)
+
+    expect(await store.hit('key', noLockout, 45000)).toEqual({
+      allowed: false,
+      retryAfterMs: 15000
+    })
+    expect((await store.hit('key', noLockout, 60001)).allowed).toBe(true)
+  })
+
+  test('Should drop clients once their window has passed', async () => {
+    const store = createMemoryRateLimitStore()
+    const noLockout = { ...rule, lockoutMs: 0 }
+    await store.hit('first', noLockout, 0)
+    await store.hit('second', noLockout, 1000)
+
+    expect(store.size).toBe(2)
+
+    await store.hit('third', noLockout, 61001)
+
+    expect(store.size).toBe(1)
+  })
+
+  test('Should keep locked out clients until the lockout has passed', async () => {
+    const store = createMemoryRateLimitStore()
+    await store.hit('key', rule, 0)
+    await store.hit('key', rule, 1000)
+    await store.hit('key', rule, 2000)
+
+    await store.hit('other', rule, 120000)
+    expect(store.size).toBe(2)
+    expect((await store.hit('key', rule, 120000)).allowed).toBe(false)
+
+    await store.hit('other', rule, 302000)
+    expect(store.size).toBe(1)
+  })
+
+  test('Should count each key separately', async () => {
+    const store = createMemoryRateLimitStore()
+    await store.hit('first', rule, 0)
+    await store.hit('first', rule, 0)
+
+    expect((await store.hit('second', rule, 0)).allowed).toBe(true)
+  })
+})
+
+describe('#createRedisRateLimitStore', () => {
+  test('Should run the sliding window script on hash tagged keys', async () => {
+    const redisClient = { eval: vi.fn().mockResolvedValue([1, 0]) }
+    const store = createRedisRateLimitStore(redisClient)
+
+    const result = await store.hit('ratelimit:/login:203.0.113.9', rule, 5000)
+
+    expect(result).toEqual({ allowed: true, retryAfterMs: 0 })
+    expect(redisClient.eval).toHaveBeenCalledWith(
+      expect.stringContaining('ZREMRANGEBYSCORE'),
+      2,
+      '{ratelimit:/login:203.0.113.9}:hits',
+      '{ratelimit:/login:203.0.113.9}:lock',
+      5000,
+      60000,
+      2,
+      300000,
+      expect.stringMatching(/^5000:/)
+    )
+  })
+
+  test('Should return the wait when the script refuses the request', async () => {
+    const redisClient = { eval: vi.fn().mockResolvedValue([0, 120000]) }
+    const store = createRedisRateLimitStore(redisClient)
+
+    expect(await store.hit('key', rule)).toEqual({
+      allowed: false,
+      retryAfterMs: 120000
+    })
+  })
+
+  test('Should pass no lockout when the rule has none', async () => {
+    const redisClient = { eval: vi.fn().mockResolvedValue([1, 0]) }
+    const store = createRedisRateLimitStore(redisClient)
+
+    await store.hit('key', { limit: 2, windowMs: 60000 }, 0)
+
+    expect(redisClient.eval.mock.calls[0][7]).toBe(0)
+  })
+})
@@ -0,0 +1,150 @@
+import { config } from '../../../../config/config.js'
+import { createLogger } from '../logging/logger.js'
+import { buildRedisClient } from '../redis-client.js'
+import { getClientIp } from './client-ip.js'
+import {
+  createMemoryRateLimitStore,
+  createRedisRateLimitStore
+} from './rate-limit-store.js'
+import { statusCodes } from '../../constants/status-codes.js'
+import { RATE_LIMIT } from '../../constants/rate-limit-constants.js'
+import { TOO_MANY_REQUESTS_MESSAGES } from '../../constants/error-constants.js'
+
+/**
+ * Shares limits between instances through Redis, except in local development
+ * with the memory cache engine, where there is no Redis to share them through
+ * @returns {Object} The rate limit store
+ */
+function buildRateLimitStore() {
+  const logger = createLogger()
+
+  if (config.get('session.cache.engine') === 'redis') {
+    logger.info('Using Redis rate limit store')
+    return createRedisRateLimitStore(buildRedisClient(config.get('redis')))
+  }
+
+  logger.info('Using in-memory rate limit store')
+  return createMemoryRateLimitStore()
+}
+
+function formatWait(milliseconds) {
+  const seconds = Math.max(1, Math.ceil(milliseconds / 1000))
+
+  if (seconds >= 60) {
+    const minutes = Math.ceil(seconds / 60)
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`
+  }
+
+  return `${seconds} second${seconds === 1 ? '' : 's'}`
+}
+
+/**
+ * Counts the request against the route's limit and the client's limit across
+ * all rate limited routes
+ * @param {Object} store - The rate limit store
+ * @param {string} routePath - Path of the rate limited route
+ * @param {string} clientIp - IP address of the client
+ * @returns {Promise<Object|null>} The refused limit, or null if the request is allowed
+ */
+async function findExceededLimit(store, routePath, clientIp) {
+  const { routes, perIp } = config.get('rateLimit')
+
+  const routeResult = await store.hit(
+    `${RATE_LIMIT.KEY_PREFIX}${routePath}:${clientIp}`,
+    routes[routePath]
+  )
+
+  if (!routeResult.allowed) {
+    return { scope: routePath, ...routeResult }
+  }
+
+  const perIpResult = await store.hit(
+    `${RATE_LIMIT.KEY_PREFIX}${RATE_LIMIT.PER_IP_SCOPE}:${clientIp}`,
+    perIp
+  )
+
+  return perIpResult.allowed
+    ? null
+    : { scope: RATE_LIMIT.PER_IP_SCOPE, ...perIpResult }
+}
+
+/**
+ * Renders the too many requests page, telling the browser when to try again
+ * @param {Object} h - The hapi response toolkit
+ * @param {number} retryAfterMs - How long until the client may try again
+ * @returns {Object} The 429 page
+ */
+function renderTooManyRequests(h, retryAfterMs) {
+  const wait = formatWait(retryAfterMs)
+
+  return h
+    .view(RATE_LIMIT.ERROR_VIEW_PATH, {
+      pageTitle: TOO_MANY_REQUESTS_MESSAGES.PAGE_TITLE,
+      heading: TOO_MANY_REQUESTS_MESSAGES.PAGE_TITLE,
+      message: `${TOO_MANY_REQUESTS_MESSAGES.MESSAGE} ${TOO_MANY_REQUESTS_MESSAGES.RETRY_TEXT} ${wait}.`
+    })
+    .code(statusCodes.tooManyRequests)
+    .header('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))))
+    .takeover()
+}
+
+/**
+ * Limits how often each client can use the routes in rateLimit.routes, to slow
+ * down sign in abuse and callback replay
+ * Each route has its own sliding window per client IP, and rateLimit.perIp
+ * limits a client across all of them. Going over a limit locks the client out
+ * If the store cannot be reached the request is allowed, so a Redis outage
+ * does not stop everyone signing in
+ */
+export const rateLimit = {
+  plugin: {
+    name: 'rate-limit',
+    register(server) {
+      const { enabled, routes, trustedProxies } = config.get('rateLimit')
+
+      if (!enabled) {
+        return
+      }
+
+      const store = buildRateLimitStore()
+
+      server.ext('onPreAuth', async (request, h) => {
+        const routePath = request.route.path
+
+        if (!Object.hasOwn(routes, routePath)) {
+          return h.continue
+        }
+
+        const clientIp = getClientIp(request, trustedProxies)
+
+        try {
+          const exceeded = await findExceededLimit(store, routePath, clientIp)
+
+          if (!exceeded) {
+            return h.continue
+          }
+
+          request.logger.warn({
+            message: 'Too many requests, client is rate limited',
+            path: routePath,
+            clientIp,
+            scope: exceeded.scope,
+            retryAfterMs: exceeded.retryAfterMs,
+            decision: 'RATE_LIMITED'
+          })
+
+          return renderTooManyRequests(h, exceeded.retryAfterMs)
+        } catch (error) {
+          request.logger.warn({
+            message: 'Rate limit check failed, allowing request',
+            path: routePath,
+            errorMessage: error.message,
+            errorCode: 'RATE_LIMIT_ERROR'
+          })
+
+          return h.continue
+        }
+      })
+    }
+  }
+}
@@ -0,0 +1,86 @@
+import { vi } from 'vitest'
+
+import { config } from '../../../../config/config.js'
+import { createServer } from '../../../server.js'
+import { statusCodes } from '../../constants/status-codes.js'
+import { TOO_MANY_REQUESTS_MESSAGES } from '../../constants/error-constants.js'
+import { initiateOauthFlow } from '../../../authentication/authentication-service.js'
+
+vi.mock('../redis-client.js', () => ({
+  buildRedisClient: vi.fn(() => ({ on: vi.fn() }))
+}))
+
+vi.mock('../../../authentication/authentication-service.js', () => ({
+  initiateOauthFlow: vi.fn(() =>
+    Promise.resolve('https://test-auth-server.com/authorize')
+  ),
+  authenticateWithCallback: vi.fn(),
+  getSessionFromId: vi.fn(),
+  extendSessionExpiry: vi.fn((session) => Promise.resolve(session))
+}))
+
+describe('#rateLimit', () => {
+  let server
+
+  const login = (remoteAddress = '203.0.113.9') =>
+    server.inject({ method: 'GET', url: '/login', remoteAddress })
+
+  beforeAll(async () => {
+    config.set('rateLimit.enabled', true)
+    config.set('rateLimit.perIp', {
+      limit: 3,
+      windowMs: 60000,
+      lockoutMs: 300000
+    })
+    config.set('rateLimit.routes', {
+      '/login': { limit: 2, windowMs: 60000, lockoutMs: 90000 }
+    })
+    server = await createServer()
+    await server.initialize()
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+    config.set('rateLimit.enabled', false)
+  })
+
+  test('Should allow requests within the route limit', async () => {
+    const { statusCode } = await login('198.51.100.1')
+
+    expect(statusCode).toBe(statusCodes.redirect)
+  })
+
+  test('Should show the too many requests page once over the route limit', async () => {
+    await login()
+    await login()
+    const { statusCode, headers, result } = await login()
+
+    expect(statusCode).toBe(statusCodes.tooManyRequests)
+    expect(headers['retry-after']).toBe('90')
+    expect(result).toEqual(
+      expect.stringContaining(TOO_MANY_REQUESTS_MESSAGES.PAGE_TITLE)
+    )
+    expect(result).toEqual(expect.stringContaining('try again in 2 minutes'))
+    expect(initiateOauthFlow).toHaveBeenCalledTimes(2)
+  })
+
+  test('Should keep limits for each client IP address', async () => {
+    await login('198.51.100.2')
+    await login('198.51.100.2')
+    await login('198.51.100.2')
+
+    const { statusCode } = await login('198.51.100.3')
+
+    expect(statusCode).toBe(statusCodes.redirect)
+  })
+
+  test('Should not limit other routes', async () => {
+    const { statusCode } = await server.inject({
+      method: 'GET',
+      url: '/health',
+      remoteAddress: '203.0.113.9'
+    })
+
+    expect(statusCode).toBe(statusCodes.ok)
+  })
+})
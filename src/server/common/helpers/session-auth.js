@@ -0,0 +1,132 @@
+import Boom from '@hapi/boom'
+
+import {
+  extendSessionExpiry,
+  getSessionFromId
+} from '../../authentication/authentication-service.js'
+import { resolveAppRoles } from '../../authentication/app-roles.js'
+import { isSafeReturnPath } from '../../authentication/return-path-validator.js'
+import {
+  AUTHENTICATION_ROUTES,
+  RETURN_PATH,
+  SESSION_AUTH
+} from '../constants/authentication-constants.js'
+
+/**
+ * Treats requests that ask for JSON, and not HTML, as API requests
+ * Browsers always accept HTML, so they are redirected to sign in instead
+ * @param {Object} request - The hapi request
+ * @returns {boolean} True when the caller expects a status code rather than a page
+ */
+function isApiRequest(request) {
+  const accept = request.headers?.accept ?? ''
+  return accept.includes('application/json') && !accept.includes('text/html')
+}
+
+/**
+ * Builds the login URL, carrying the page that was asked for so the user
+ * lands back on it after signing in
+ * Only page loads are carried, as form posts cannot be replayed by a redirect
+ * @param {Object} request - The hapi request
+ * @returns {string} The login path, with a returnTo query parameter when safe
+ */
+function buildLoginRedirect(request) {
+  const requestedPath = `${request.path}${request.url?.search ?? ''}`
+
+  if (
+    request.method !== 'get' ||
+    request.path === '/' ||
+    !isSafeReturnPath(requestedPath)
+  ) {
+    return AUTHENTICATION_ROUTES.LOGIN_PATH
+  }
+
+  const params = new URLSearchParams({
+    [RETURN_PATH.QUERY_PARAM]: requestedPath
+  })
+  return `${AUTHENTICATION_ROUTES.LOGIN_PATH}?${params}`
+}
+
+/**
+ * Looks up the session named by the session cookie and extends it, as the
+ * request counts as activity
+ * A lookup failure is logged and treated as signed out, rather than an error page
+ * @param {Object} request - The hapi request
+ * @param {string} sessionId - Session ID from the session cookie
+ * @returns {Promise<Object|null>} The session, or null
+ */
+async function findSession(request, sessionId) {
+  try {
+    const session = await getSessionFromId(sessionId)
+    return session ? await extendSessionExpiry(session) : null
+  } catch (error) {
+    request.log(['warn'], {
+      level: 'WARN',
+      message: 'Unable to load session for authentication',
+      errorMessage: error.message,
+      errorCode: 'SESSION_AUTH_ERROR'
+    })
+    return null
+  }
+}
+
+/**
+ * Auth scheme that validates the session cookie against the session store
+ * Authenticated requests get { sessionId, session, user, scope } on
+ * request.auth.credentials, and push back the session's idle expiry
+ * scope holds the user's app roles, so routes can require roles with
+ * `auth: { scope: ROLE_REQUIREMENTS.ADMIN }`, and users without one get a 403
+ * Routes that need no sign in opt out with `auth: false`, or `auth: { mode: 'try' }`
+ * to read the session when there is one
+ */
+export function sessionScheme() {
+  return {
+    async authenticate(request, h) {
+      const sessionId = request.state.session
+      const session = sessionId ? await findSession(request, sessionId) : null
+
+      if (session) {
+        return h.authenticated({
+          credentials: {
+            sessionId,
+            session,
+            user: session.user ?? null,
+            scope: resolveAppRoles(session.user)
+          }
+        })
+      }
+
+      if (request.auth.mode !== 'required' || isApiRequest(request)) {
+        return h.unauthenticated(Boom.unauthorized(null, SESSION_AUTH.SCHEME))
+      }
+
+      request.log(['info'], {
+        level: 'INFO',
+        message: 'Unauthenticated request, redirecting to login',
+        requestId: request.info?.id || 'unknown',
+        path: request.path,
+        decision: 'REDIRECT_TO_LOGIN',
+        reason: sessionId
+          ? 'Session not found or expired'
+          : 'Missing session cookie'
+      })
+
+      return h.redirect(buildLoginRedirect(request)).takeover()
+    }
+  }
+}
+
+/**
+ * Registers the session auth strategy as the server default, so every route
+ * requires a signed in user unless it opts out
+ */
+export const sessionAuth = {
+  plugin: {
+    name: 'session-auth',
+    register(server) {
+      server.auth.scheme(SESSION_AUTH.SCHEME, sessionScheme)
+      server.auth.strategy(SESSION_AUTH.STRATEGY, SESSION_AUTH.SCHEME)
+      server.auth.default(SESSION_AUTH.STRATEGY)
+    }
+  }
+}
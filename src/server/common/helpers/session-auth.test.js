@@ -0,0 +1,180 @@
+import hapi from '@hapi/hapi'
+import { vi } from 'vitest'
+
+import { sessionAuth } from './session-auth.js'
+import { statusCodes } from '../constants/status-codes.js'
+import { getSessionFromId } from '../../authentication/authentication-service.js'
+
+vi.mock('../../authentication/authentication-service.js', () => ({
+  getSessionFromId: vi.fn(),
+  extendSessionExpiry: vi.fn((session) => Promise.resolve(session))
+}))
+
+const SESSION = {
+  session_id: 'valid-session-id',
+  user: { oid: 'user-oid', name: 'Sarah Jones', roles: ['Researcher'] }
+}
+
+describe('#sessionAuth', () => {
+  let server
+
+  beforeAll(async () => {
+    server = hapi.server()
+    await server.register([sessionAuth])
+    server.route([
+      {
+        method: ['GET', 'POST'],
+        path: '/protected',
+        handler: (request) => request.auth.credentials
+      },
+      {
+        method: 'GET',
+        path: '/admin-only',
+        options: { auth: { scope: ['Admin'] } },
+        handler: () => 'admin'
+      },
+      {
+        method: 'GET',
+        path: '/optional',
+        options: { auth: { mode: 'try' } },
+        handler: (request) => ({
+          isAuthenticated: request.auth.isAuthenticated
+        })
+      },
+      {
+        method: 'GET',
+        path: '/public',
+        options: { auth: false },
+        handler: () => 'public'
+      }
+    ])
+    await server.initialize()
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  function get(url, headers = {}) {
+    return server.inject({ method: 'GET', url, headers })
+  }
+
+  test('Should put the session on the credentials of protected routes', async () => {
+    getSessionFromId.mockResolvedValueOnce(SESSION)
+
+    const { statusCode, result } = await get('/protected', {
+      cookie: 'session=valid-session-id'
+    })
+
+    expect(statusCode).toBe(statusCodes.ok)
+    expect(result).toEqual({
+      sessionId: 'valid-session-id',
+      session: SESSION,
+      user: SESSION.user,
+      scope: ['Researcher']
+    })
+    expect(getSessionFromId).toHaveBeenCalledWith('valid-session-id')
+  })
+
+  test('Should refuse routes that need a role the user does not have', async () => {
+    getSessionFromId.mockResolvedValueOnce(SESSION)
+
+    const { statusCode } = await get('/admin-only', {
+      cookie: 'session=valid-session-id'
+    })
+
+    expect(statusCode).toBe(statusCodes.forbidden)
+  })
+
+  test('Should allow routes that need a role the user has', async () => {
+    getSessionFromId.mockResolvedValueOnce({
+      ...SESSION,
+      user: { ...SESSION.user, roles: ['Researcher', 'Admin'] }
+    })
+
+    const { statusCode, result } = await get('/admin-only', {
+      cookie: 'session=valid-session-id'
+    })
+
+    expect(statusCode).toBe(statusCodes.ok)
+    expect(result).toBe('admin')
+  })
+
+  test('Should redirect browsers without a session cookie to login', async () => {
+    const { statusCode, headers } = await get('/protected', {
+      accept: 'text/html,application/xhtml+xml'
+    })
+
+    expect(statusCode).toBe(statusCodes.redirect)
+    expect(headers.location).toBe('/login?returnTo=%2Fprotected')
+    expect(getSessionFromId).not.toHaveBeenCalled()
+  })
+
+  test('Should redirect to login when the session has expired', async () => {
+    getSessionFromId.mockResolvedValueOnce(null)
+
+    const { statusCode, headers } = await get('/protected', {
+      cookie: 'session=expired-session-id'
+    })
+
+    expect(statusCode).toBe(statusCodes.redirect)
+    expect(headers.location).toBe('/login?returnTo=%2Fprotected')
+  })
+
+  test('Should treat a failed session lookup as signed out', async () => {
+    getSessionFromId.mockRejectedValueOnce(new Error('Redis connection failed'))
+
+    const { statusCode, headers } = await get('/protected', {
+      cookie: 'session=valid-session-id'
+    })
+
+    expect(statusCode).toBe(statusCodes.redirect)
+    expect(headers.location).toBe('/login?returnTo=%2Fprotected')
+  })
+
+  test('Should carry the requested page and query to login', async () => {
+    const { headers } = await get('/protected?finding=2')
+
+    expect(headers.location).toBe(
+      `/login?returnTo=${encodeURIComponent('/protected?finding=2')}`
+    )
+  })
+
+  test('Should not carry the requested page for form posts', async () => {
+    const { statusCode, headers } = await server.inject({
+      method: 'POST',
+      url: '/protected'
+    })
+
+    expect(statusCode).toBe(statusCodes.redirect)
+    expect(headers.location).toBe('/login')
+  })
+
+  test('Should return 401 to API requests without a session', async () => {
+    const { statusCode, headers } = await get('/protected', {
+      accept: 'application/json'
+    })
+
+    expect(statusCode).toBe(statusCodes.unauthorized)
+    expect(headers['www-authenticate']).toBe('session')
+  })
+
+  test('Should let try mode routes handle signed out users', async () => {
+    const { statusCode, result } = await get('/optional')
+
+    expect(statusCode).toBe(statusCodes.ok)
+    expect(result).toEqual({ isAuthenticated: false })
+  })
+
+  test('Should not check sessions on routes that opt out', async () => {
+    const { statusCode, result } = await get('/public')
+
+    expect(statusCode).toBe(statusCodes.ok)
+    expect(result).toBe('public')
+    expect(getSessionFromId).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,47 @@
+import { getSessionFromId } from '../../authentication/authentication-service.js'
+
+/**
+ * Looks up the signed in user's session before a page is rendered, so the
+ * layout can tell whether to show signed in navigation such as "Sign out"
+ * The session is stored on request.app.session, or null when signed out
+ * Routes behind the session auth strategy reuse the session it loaded, other
+ * pages look it up from the session cookie
+ */
+export const sessionContext = {
+  plugin: {
+    name: 'session-context',
+    register(server) {
+      server.ext('onPreResponse', async (request, h) => {
+        const { response } = request
+        const rendersPage = response.isBoom || response.variety === 'view'
+
+        if (!rendersPage || request.app.session !== undefined) {
+          return h.continue
+        }
+
+        if (request.auth?.isAuthenticated) {
+          request.app.session = request.auth.credentials.session
+          return h.continue
+        }
+
+        const sessionId = request.state?.session
+
+        try {
+          request.app.session = sessionId
+            ? await getSessionFromId(sessionId)
+            : null
+        } catch (error) {
+          request.log(['warn'], {
+            level: 'WARN',
+            message: 'Unable to load session for page navigation',
+            errorMessage: error.message,
+            errorCode: 'SESSION_CONTEXT_ERROR'
+          })
+          request.app.session = null
+        }
+
+        return h.continue
+      })
+    }
+  }
+}
@@ -7,6 +7,7 @@ import { vi } from 'vitest'
  * @param {string} options.requestId - Mock request ID (defaults to 'test-request-id')
  * @param {Object} options.headers - Mock request headers (defaults to empty object)
  * @param {string} options.method - HTTP method (defaults to 'GET')
+ * @param {Object} options.credentials - Mock request.auth.credentials, set for signed in requests
  * @returns {Object} Mock request object with log function and other required properties
  */
 export function createMockRequest(options = {}) {
@@ -14,11 +15,13 @@ export function createMockRequest(options = {}) {
     state = {},
     requestId = 'test-request-id',
     headers = {},
-    method = 'GET'
+    method = 'GET',
+    credentials = null
   } = options
 
   return {
     state,
+    auth: { isAuthenticated: !!credentials, credentials },
     info: { id: requestId },
     headers,
     method,
@@ -0,0 +1,47 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+
+/**
+ * Creates an RSA key pair that stands in for a tenant's ID token signing key
+ * @param {string} kid - Key ID to publish in the JWKS and token headers
+ * @returns {Object} The private key and the public key as a JWK
+ */
+export function createTestSigningKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048
+  })
+
+  return {
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig' }
+  }
+}
+
+/**
+ * Builds a JWKS endpoint response for the given test signing keys
+ * @param {Object[]} signingKeys - Keys from createTestSigningKey
+ * @returns {Object} A fetch Response-like object
+ */
+export function createJwksResponse(signingKeys) {
+  return {
+    ok: true,
+    json: () => Promise.resolve({ keys: signingKeys.map((key) => key.jwk) })
+  }
+}
+
+/**
+ * Signs an ID token with a test signing key
+ * @param {Object} signingKey - Key from createTestSigningKey
+ * @param {Object} claims - Token claims
+ * @param {Object} [options] - Extra jsonwebtoken sign options
+ * @returns {string} The signed ID token
+ */
+export function signTestIdToken(signingKey, claims, options = {}) {
+  return jwt.sign(claims, signingKey.privateKey, {
+    algorithm: 'RS256',
+    keyid: signingKey.kid,
+    expiresIn: 3600,
+    ...options
+  })
+}
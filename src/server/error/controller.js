@@ -30,5 +30,8 @@ export const errorController = {
     } catch (err) {
       return h.response(ERROR_MESSAGES.FALLBACK_ERROR)
     }
+  },
+  options: {
+    auth: false
   }
 }
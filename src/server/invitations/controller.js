@@ -0,0 +1,158 @@
+import { ROLE_REQUIREMENTS } from '../common/constants/authentication-constants.js'
+import {
+  INVITATION_FIELDS,
+  INVITATION_ROUTES,
+  INVITATION_TYPE_LABELS
+} from '../common/constants/invitation-constants.js'
+import { getInvitationDate } from '../authentication/invitation-policy.js'
+import {
+  addInvitation,
+  getInvitations,
+  removeInvitation
+} from '../authentication/invitation-service.js'
+import { validateInvitationForm } from './invitation-form.js'
+
+function buildManageViewModel(invitations, errors = {}, values = {}) {
+  return {
+    invitations: invitations.map((invitation) => ({
+      ...invitation,
+      typeLabel: INVITATION_TYPE_LABELS[invitation.type]
+    })),
+    values,
+    errors,
+    errorList: [
+      errors.entry && {
+        text: errors.entry,
+        href: `#${INVITATION_FIELDS.ENTRY}`
+      },
+      errors.expiresOn && {
+        text: errors.expiresOn,
+        href: `#${INVITATION_FIELDS.EXPIRES_DAY}`
+      }
+    ].filter(Boolean)
+  }
+}
+
+/**
+ * Controller for the invitation allow-list admin page
+ */
+export const invitationsController = {
+  handler: async (request, h) => {
+    const requestId = request.info?.id || 'unknown'
+    const traceId = request.headers?.['x-trace-id'] || requestId
+
+    try {
+      const invitations = await getInvitations()
+
+      return h.view(
+        INVITATION_ROUTES.MANAGE_VIEW_PATH,
+        buildManageViewModel(invitations)
+      )
+    } catch (error) {
+      request.log(['error'], {
+        level: 'ERROR',
+        message: 'Error loading invitations',
+        requestId,
+        traceId,
+        errorCode: 'INVITATIONS_LOAD_ERROR',
+        errorMessage: error.message,
+        decision: 'REDIRECT_TO_ROOT',
+        reason: 'Exception while reading the allow-list'
+      })
+
+      return h.redirect('/')
+    }
+  },
+  options: {
+    auth: { scope: ROLE_REQUIREMENTS.ADMIN }
+  }
+}
+
+/**
+ * Controller for inviting an email address or domain
+ */
+export const addInvitationController = {
+  handler: async (request, h) => {
+    const requestId = request.info?.id || 'unknown'
+    const traceId = request.headers?.['x-trace-id'] || requestId
+    const payload = request.payload ?? {}
+
+    try {
+      const { errors, parsedEntry, expiresOn } = validateInvitationForm(
+        payload,
+        getInvitationDate()
+      )
+
+      if (Object.keys(errors).length) {
+        request.log(['info'], {
+          level: 'INFO',
+          message: 'Invitation failed validation',
+          requestId,
+          traceId,
+          decision: 'RENDER_PAGE_WITH_ERRORS',
+          reason: 'Validation failed'
+        })
+
+        return h.view(
+          INVITATION_ROUTES.MANAGE_VIEW_PATH,
+          buildManageViewModel(await getInvitations(), errors, payload)
+        )
+      }
+
+      await addInvitation(parsedEntry, expiresOn, request.auth.credentials.user)
+
+      return h.redirect(INVITATION_ROUTES.MANAGE_PATH)
+    } catch (error) {
+      request.log(['error'], {
+        level: 'ERROR',
+        message: 'Error adding invitation',
+        requestId,
+        traceId,
+        errorCode: 'INVITATION_ADD_ERROR',
+        errorMessage: error.message,
+        decision: 'REDIRECT_TO_ROOT',
+        reason: 'Exception while updating the allow-list'
+      })
+
+      return h.redirect('/')
+    }
+  },
+  options: {
+    auth: { scope: ROLE_REQUIREMENTS.ADMIN }
+  }
+}
+
+/**
+ * Controller for withdrawing an invitation
+ */
+export const removeInvitationController = {
+  handler: async (request, h) => {
+    const requestId = request.info?.id || 'unknown'
+    const traceId = request.headers?.['x-trace-id'] || requestId
+    const entry = request.payload?.[INVITATION_FIELDS.ENTRY]
+
+    try {
+      if (entry) {
+        await removeInvitation(String(entry), request.auth.credentials.user)
+      }
+
+      return h.redirect(INVITATION_ROUTES.MANAGE_PATH)
+    } catch (error) {
+      request.log(['error'], {
+        level: 'ERROR',
+        message: 'Error removing invitation',
+        requestId,
+        traceId,
+        errorCode: 'INVITATION_REMOVE_ERROR',
+        errorMessage: error.message,
+        decision: 'REDIRECT_TO_ROOT',
+        reason: 'Exception while updating the allow-list'
+      })
+
+      return h.redirect('/')
+    }
+  },
+  options: {
+    auth: { scope: ROLE_REQUIREMENTS.ADMIN }
+  }
+}
@@ -0,0 +1,206 @@
+import { vi } from 'vitest'
+import { createServer } from '../server.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+import { INVITATION_MESSAGES } from '../common/constants/invitation-constants.js'
+import { getSessionFromId } from '../authentication/authentication-service.js'
+import {
+  addInvitation,
+  getInvitations,
+  removeInvitation
+} from '../authentication/invitation-service.js'
+import { issueCsrfToken } from '../common/helpers/csrf/csrf-token.js'
+
+// Mock the buildRedisClient function to return our mock
+vi.mock('../common/helpers/redis-client.js', () => {
+  const mockRedisClient = {
+    set: vi.fn().mockResolvedValue('OK'),
+    get: vi.fn().mockResolvedValue(null),
+    del: vi.fn().mockResolvedValue(1),
+    exists: vi.fn().mockResolvedValue(0),
+    on: vi.fn()
+  }
+
+  return {
+    buildRedisClient: vi.fn(() => mockRedisClient),
+    __mockRedisClient: mockRedisClient
+  }
+})
+
+// Mock authentication service
+vi.mock('../authentication/authentication-service.js', () => ({
+  getSessionFromId: vi.fn(),
+  extendSessionExpiry: vi.fn((session) => Promise.resolve(session))
+}))
+
+// Mock invitation service
+vi.mock('../authentication/invitation-service.js', () => ({
+  addInvitation: vi.fn(),
+  getInvitations: vi.fn(),
+  removeInvitation: vi.fn()
+}))
+
+const ADMIN = { oid: 'admin-oid', email: 'adam@example.com', roles: ['Admin'] }
+
+const INVITATIONS = [
+  {
+    entry: 'example.com',
+    type: 'domain',
+    expires_on: '2030-03-27',
+    added_by: 'adam@example.com'
+  },
+  {
+    entry: 'rosa@research.org',
+    type: 'email',
+    expires_on: null,
+    added_by: 'adam@example.com'
+  }
+]
+
+describe('#invitationsController', () => {
+  let server
+  let sessionCookie
+  const csrfToken = issueCsrfToken('valid-session-id')
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+
+    const [setCookieHeader] = await server.states.format({
+      name: 'session',
+      value: 'valid-session-id'
+    })
+    sessionCookie = setCookieHeader.split(';')[0]
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    getSessionFromId.mockResolvedValue({
+      session_id: 'valid-session-id',
+      session_token: 'valid-token',
+      user: ADMIN
+    })
+    getInvitations.mockResolvedValue(INVITATIONS)
+  })
+
+  describe('GET /admin/invitations', () => {
+    test('Should list invitations for admins', async () => {
+      const { statusCode, result } = await server.inject({
+        method: 'GET',
+        url: '/admin/invitations',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).toContain('example.com')
+      expect(result).toContain('27 March 2030')
+      expect(result).toContain('rosa@research.org')
+      expect(result).toContain('No expiry')
+    })
+
+    test('Should refuse users without the Admin role', async () => {
+      getSessionFromId.mockResolvedValue({
+        session_id: 'valid-session-id',
+        session_token: 'valid-token',
+        user: { oid: 'user-oid', roles: ['Researcher'] }
+      })
+
+      const { statusCode } = await server.inject({
+        method: 'GET',
+        url: '/admin/invitations',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.forbidden)
+      expect(getInvitations).not.toHaveBeenCalled()
+    })
+
+    test('Should redirect to root when the allow-list cannot be read', async () => {
+      getInvitations.mockRejectedValueOnce(new Error('Redis connection failed'))
+
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/admin/invitations',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/')
+    })
+  })
+
+  describe('POST /admin/invitations', () => {
+    test('Should invite a domain with an expiry date', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'POST',
+        url: '/admin/invitations',
+        headers: { cookie: sessionCookie, 'x-csrf-token': csrfToken },
+        payload: {
+          entry: ' Example.COM ',
+          'expires-day': '27',
+          'expires-month': '3',
+          'expires-year': '2030'
+        }
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/admin/invitations')
+      expect(addInvitation).toHaveBeenCalledWith(
+        { entry: 'example.com', type: 'domain' },
+        '2030-03-27',
+        ADMIN
+      )
+    })
+
+    test('Should show errors when the entry is not an email address or domain', async () => {
+      const { statusCode, result } = await server.inject({
+        method: 'POST',
+        url: '/admin/invitations',
+        headers: { cookie: sessionCookie, 'x-csrf-token': csrfToken },
+        payload: { entry: 'not an address' }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).toContain('govuk-error-summary')
+      expect(result).toContain(INVITATION_MESSAGES.ENTRY_INVALID)
+      expect(result).toContain('value="not an address"')
+      expect(addInvitation).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('POST /admin/invitations/remove', () => {
+    test('Should withdraw the invitation', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'POST',
+        url: '/admin/invitations/remove',
+        headers: { cookie: sessionCookie, 'x-csrf-token': csrfToken },
+        payload: { entry: 'example.com' }
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/admin/invitations')
+      expect(removeInvitation).toHaveBeenCalledWith('example.com', ADMIN)
+    })
+
+    test('Should refuse users without the Admin role', async () => {
+      getSessionFromId.mockResolvedValue({
+        session_id: 'valid-session-id',
+        session_token: 'valid-token',
+        user: { oid: 'user-oid', roles: ['Analyst'] }
+      })
+
+      const { statusCode } = await server.inject({
+        method: 'POST',
+        url: '/admin/invitations/remove',
+        headers: { cookie: sessionCookie, 'x-csrf-token': csrfToken },
+        payload: { entry: 'example.com' }
+      })
+
+      expect(statusCode).toBe(statusCodes.forbidden)
+      expect(removeInvitation).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,34 @@
+import { INVITATION_ROUTES } from '../common/constants/invitation-constants.js'
+import {
+  addInvitationController,
+  invitationsController,
+  removeInvitationController
+} from './controller.js'
+
+/**
+ * Sets up the admin routes for managing the invitation allow-list
+ */
+export const invitations = {
+  plugin: {
+    name: 'invitations',
+    register(server) {
+      server.route([
+        {
+          method: 'GET',
+          path: INVITATION_ROUTES.MANAGE_PATH,
+          ...invitationsController
+        },
+        {
+          method: 'POST',
+          path: INVITATION_ROUTES.MANAGE_PATH,
+          ...addInvitationController
+        },
+        {
+          method: 'POST',
+          path: INVITATION_ROUTES.REMOVE_PATH,
+          ...removeInvitationController
+        }
+      ])
+    }
+  }
+}
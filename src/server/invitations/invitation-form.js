@@ -0,0 +1,64 @@
+import {
+  INVITATION_FIELDS,
+  INVITATION_MESSAGES
+} from '../common/constants/invitation-constants.js'
+import { parseInvitationEntry } from '../authentication/invitation-policy.js'
+
+/**
+ * Reads the optional expiry date from the day, month and year fields
+ * @param {Object} payload - The submitted form
+ * @returns {{ expiresOn: string|null, error?: string }} The date as yyyy-mm-dd, or null when left blank
+ */
+function parseExpiryDate(payload) {
+  const parts = [
+    INVITATION_FIELDS.EXPIRES_YEAR,
+    INVITATION_FIELDS.EXPIRES_MONTH,
+    INVITATION_FIELDS.EXPIRES_DAY
+  ].map((field) => String(payload[field] ?? '').trim())
+
+  if (parts.every((part) => part === '')) {
+    return { expiresOn: null }
+  }
+
+  const [year, month, day] = parts.map(Number)
+  const date = new Date(Date.UTC(year, month - 1, day))
+  const isRealDate =
+    /^\d{4}$/.test(parts[0]) &&
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+
+  if (!isRealDate) {
+    return { expiresOn: null, error: INVITATION_MESSAGES.EXPIRY_INVALID }
+  }
+
+  return { expiresOn: date.toISOString().slice(0, 10) }
+}
+
+/**
+ * Validates the form for adding an invitation
+ * @param {Object} [payload] - The submitted form
+ * @param {string} today - Today's date as yyyy-mm-dd
+ * @returns {{ errors: Object, parsedEntry: Object|null, expiresOn: string|null }} The invitation, or errors keyed by field
+ */
+export function validateInvitationForm(payload = {}, today) {
+  const errors = {}
+  const entryInput = String(payload[INVITATION_FIELDS.ENTRY] ?? '').trim()
+  const parsedEntry = entryInput ? parseInvitationEntry(entryInput) : null
+
+  if (!entryInput) {
+    errors.entry = INVITATION_MESSAGES.ENTRY_REQUIRED
+  } else if (!parsedEntry) {
+    errors.entry = INVITATION_MESSAGES.ENTRY_INVALID
+  }
+
+  const { expiresOn, error: expiryError } = parseExpiryDate(payload)
+
+  if (expiryError) {
+    errors.expiresOn = expiryError
+  } else if (expiresOn && expiresOn < today) {
+    errors.expiresOn = INVITATION_MESSAGES.EXPIRY_IN_PAST
+  }
+
+  return { errors, parsedEntry, expiresOn }
+}
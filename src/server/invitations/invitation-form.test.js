@@ -0,0 +1,66 @@
+import { validateInvitationForm } from './invitation-form.js'
+
+const TODAY = '2026-03-12'
+
+describe('#validateInvitationForm', () => {
+  test('Should accept an email address without an expiry date', () => {
+    expect(
+      validateInvitationForm({ entry: 'Sarah@Example.com' }, TODAY)
+    ).toEqual({
+      errors: {},
+      parsedEntry: { entry: 'sarah@example.com', type: 'email' },
+      expiresOn: null
+    })
+  })
+
+  test('Should accept a domain with an expiry date', () => {
+    const result = validateInvitationForm(
+      {
+        entry: 'example.com',
+        'expires-day': '1',
+        'expires-month': '4',
+        'expires-year': '2026'
+      },
+      TODAY
+    )
+
+    expect(result.errors).toEqual({})
+    expect(result.expiresOn).toBe('2026-04-01')
+  })
+
+  test('Should ask for an email address or domain', () => {
+    expect(validateInvitationForm({}, TODAY).errors).toEqual({
+      entry: 'Enter an email address or domain'
+    })
+  })
+
+  test('Should reject entries that are neither an email address nor a domain', () => {
+    expect(validateInvitationForm({ entry: 'sarah' }, TODAY).errors.entry).toBe(
+      'Enter an email address in the correct format, like name@example.com, or a domain, like example.com'
+    )
+  })
+
+  test.each([
+    [{ 'expires-day': '31', 'expires-month': '2', 'expires-year': '2027' }],
+    [{ 'expires-day': '1', 'expires-month': '', 'expires-year': '2027' }],
+    [{ 'expires-day': '1', 'expires-month': '4', 'expires-year': '27' }]
+  ])('Should reject dates that are not real, like %j', (expiry) => {
+    expect(
+      validateInvitationForm({ entry: 'example.com', ...expiry }, TODAY).errors
+    ).toEqual({ expiresOn: 'Expiry date must be a real date' })
+  })
+
+  test('Should reject expiry dates in the past', () => {
+    expect(
+      validateInvitationForm(
+        {
+          entry: 'example.com',
+          'expires-day': '11',
+          'expires-month': '3',
+          'expires-year': '2026'
+        },
+        TODAY
+      ).errors
+    ).toEqual({ expiresOn: 'Expiry date must be today or in the future' })
+  })
+})
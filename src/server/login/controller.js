@@ -1,13 +1,30 @@
 import {
   AUTHENTICATION_MESSAGES,
-  AUTHENTICATION_ROUTES
+  AUTHENTICATION_ROUTES,
+  RETURN_PATH
 } from '../common/constants/authentication-constants.js'
 import {
   initiateOauthFlow,
-  authenticateWithCallback,
-  getSessionFromId
+  authenticateWithCallback
 } from '../authentication/authentication-service.js'
 import { setSessionCookie } from '../authentication/cookie-manager.js'
+import {
+  INVITATION_MESSAGES,
+  INVITATION_ROUTES
+} from '../common/constants/invitation-constants.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+import { isSafeReturnPath } from '../authentication/return-path-validator.js'
+
+/**
+ * Picks where to send a user once they are signed in
+ * @param {string} [returnPath] - The page they asked for before signing in
+ * @returns {string} The return path if it is a safe same-origin path, otherwise home
+ */
+function resolveReturnPath(returnPath) {
+  return isSafeReturnPath(returnPath)
+    ? returnPath
+    : AUTHENTICATION_ROUTES.HOME_REDIRECT_PATH
+}
 
 /**
  * Login controller for GET /login - redirects to Azure AD
@@ -26,25 +43,22 @@ export const showLoginFormController = {
       method: request.method
     })
 
-    const sessionId = request.state.session
+    const returnPath = request.query?.[RETURN_PATH.QUERY_PARAM]
 
-    if (sessionId) {
-      const session = await getSessionFromId(sessionId)
-      if (session) {
-        request.log(['info'], {
-          level: 'INFO',
-          message: 'User already authenticated, redirecting to home',
-          requestId,
-          traceId,
-          decision: 'REDIRECT_TO_HOME',
-          reason: 'Valid session exists'
-        })
-        return h.redirect(AUTHENTICATION_ROUTES.HOME_REDIRECT_PATH)
-      }
+    if (request.auth.isAuthenticated) {
+      request.log(['info'], {
+        level: 'INFO',
+        message: 'User already authenticated, redirecting to home',
+        requestId,
+        traceId,
+        decision: 'REDIRECT_TO_HOME',
+        reason: 'Valid session exists'
+      })
+      return h.redirect(resolveReturnPath(returnPath))
     }
 
     try {
-      const authorizationUrl = await initiateOauthFlow()
+      const authorizationUrl = await initiateOauthFlow(returnPath)
 
       request.log(['info'], {
         level: 'INFO',
@@ -74,6 +88,10 @@ export const showLoginFormController = {
         hasError: true
       })
     }
+  },
+  options: {
+    // Signed in users are sent home, so read the session without requiring one
+    auth: { mode: 'try' }
   }
 }
 
@@ -136,10 +154,15 @@ export const authCallbackController = {
 
     try {
       // Authenticate with callback parameters
-      const sessionData = await authenticateWithCallback(code, state)
+      const sessionData = await authenticateWithCallback(
+        code,
+        state,
+        request.headers['user-agent']
+      )
 
       // Set session cookie with the session ID from the service
       setSessionCookie(h, sessionData.session_id)
+      const redirectPath = resolveReturnPath(sessionData.returnPath)
 
       request.log(['info'], {
         level: 'INFO',
@@ -148,16 +171,37 @@ export const authCallbackController = {
         traceId,
         authMethod: 'oauth2',
         success: true,
-        decision: 'REDIRECT_TO_HOME',
+        decision: 'REDIRECT_TO_RETURN_PATH',
+        redirectPath,
         reason: 'Authentication successful'
       })
 
-      return h.redirect(AUTHENTICATION_ROUTES.HOME_REDIRECT_PATH)
+      return h.redirect(redirectPath)
     } catch (caughtError) {
+      if (caughtError.code === 'NOT_INVITED') {
+        request.log(['warn'], {
+          level: 'WARN',
+          message: 'Signed in user is not invited',
+          requestId,
+          traceId,
+          errorCode: caughtError.code,
+          decision: 'SHOW_NO_ACCESS_PAGE',
+          reason: 'User is not on the invitation allow-list'
+        })
+
+        return h
+          .view(INVITATION_ROUTES.NO_ACCESS_VIEW_PATH, {
+            pageTitle: INVITATION_MESSAGES.NO_ACCESS_TITLE,
+            signInPath: AUTHENTICATION_ROUTES.LOGIN_PATH
+          })
+          .code(statusCodes.forbidden)
+      }
+
       // Determine appropriate error message based on error code
       const errorMessage =
         caughtError.code === 'INVALID_STATE' ||
-        caughtError.code === 'MISSING_PKCE'
+        caughtError.code === 'MISSING_PKCE' ||
+        caughtError.code === 'MISSING_NONCE'
           ? AUTHENTICATION_MESSAGES.AUTHENTICATION_REQUEST_EXPIRED
           : AUTHENTICATION_MESSAGES.AUTHENTICATION_FAILED
 
@@ -177,5 +221,8 @@ export const authCallbackController = {
         hasError: true
       })
     }
+  },
+  options: {
+    auth: false
   }
 }
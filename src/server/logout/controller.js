@@ -0,0 +1,65 @@
+import { AUTHENTICATION_ROUTES } from '../common/constants/authentication-constants.js'
+import { endSession } from '../authentication/authentication-service.js'
+import { clearSessionCookie } from '../authentication/cookie-manager.js'
+
+/**
+ * Logout controller for POST /logout - ends the session and signs out of Azure AD
+ * Only accepts POST, so the CSRF check guards it and a link or image on
+ * another site cannot sign the user out
+ */
+export const logoutController = {
+  async handler(request, h) {
+    const requestId = request.info?.id || 'unknown'
+    const traceId = request.headers?.['x-trace-id'] || requestId
+    const sessionId = request.state.session
+
+    try {
+      const logoutUrl = await endSession(sessionId)
+
+      clearSessionCookie(h)
+
+      request.log(['info'], {
+        level: 'INFO',
+        message: 'User signed out',
+        requestId,
+        traceId,
+        hadSessionCookie: !!sessionId,
+        decision: 'REDIRECT_TO_IDP_LOGOUT',
+        reason: 'Session ended'
+      })
+
+      return h.redirect(logoutUrl)
+    } catch (error) {
+      request.log(['error'], {
+        level: 'ERROR',
+        message: 'Failed to end session',
+        requestId,
+        traceId,
+        errorCode: error.code || 'LOGOUT_ERROR',
+        errorMessage: error.message,
+        decision: 'SHOW_ERROR_PAGE',
+        reason: 'Exception while deleting session'
+      })
+
+      throw error
+    }
+  },
+  options: {
+    auth: false
+  }
+}
+
+/**
+ * Signed out controller for GET /signed-out - where Azure AD returns the user
+ */
+export const signedOutController = {
+  handler(_request, h) {
+    return h.view(AUTHENTICATION_ROUTES.SIGNED_OUT_VIEW_PATH, {
+      pageTitle: 'You have signed out',
+      signInPath: AUTHENTICATION_ROUTES.LOGIN_PATH
+    })
+  },
+  options: {
+    auth: false
+  }
+}
@@ -0,0 +1,190 @@
+import { vi } from 'vitest'
+import { createServer } from '../server.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+import { issueCsrfToken } from '../common/helpers/csrf/csrf-token.js'
+import {
+  endSession,
+  getSessionFromId
+} from '../authentication/authentication-service.js'
+
+const AZURE_AD_LOGOUT_URL =
+  'https://login.microsoftonline.com/tenant/oauth2/v2.0/logout?post_logout_redirect_uri=http%3A%2F%2Flocalhost%3A3000%2Fsigned-out'
+
+// Mock the buildRedisClient function to return our mock
+vi.mock('../common/helpers/redis-client.js', () => {
+  const mockRedisClient = {
+    set: vi.fn().mockResolvedValue('OK'),
+    get: vi.fn().mockResolvedValue(null),
+    del: vi.fn().mockResolvedValue(1),
+    exists: vi.fn().mockResolvedValue(0),
+    on: vi.fn()
+  }
+
+  return {
+    buildRedisClient: vi.fn(() => mockRedisClient),
+    __mockRedisClient: mockRedisClient
+  }
+})
+
+// Mock authentication service
+vi.mock('../authentication/authentication-service.js', () => ({
+  endSession: vi.fn(),
+  getSessionFromId: vi.fn(),
+  extendSessionExpiry: vi.fn((session) => Promise.resolve(session))
+}))
+
+describe('#logoutController', () => {
+  let server
+  let sessionCookie
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+    const [setCookieHeader] = await server.states.format({
+      name: 'session',
+      value: 'valid-session-id'
+    })
+    sessionCookie = setCookieHeader.split(';')[0]
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('POST /logout', () => {
+    test('Should end the session, clear the cookie and redirect to Azure AD', async () => {
+      endSession.mockResolvedValueOnce(AZURE_AD_LOGOUT_URL)
+
+      const { statusCode, headers } = await server.inject({
+        method: 'POST',
+        url: '/logout',
+        headers: {
+          cookie: sessionCookie,
+          'x-csrf-token': issueCsrfToken('valid-session-id')
+        }
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe(AZURE_AD_LOGOUT_URL)
+      expect(endSession).toHaveBeenCalledWith('valid-session-id')
+      expect(headers['set-cookie']).toEqual(
+        expect.arrayContaining([expect.stringMatching(/^session=;.*Max-Age=0/)])
+      )
+    })
+
+    test('Should end the session when the CSRF token is posted in the form', async () => {
+      endSession.mockResolvedValueOnce(AZURE_AD_LOGOUT_URL)
+
+      const { statusCode } = await server.inject({
+        method: 'POST',
+        url: '/logout',
+        headers: { cookie: sessionCookie },
+        payload: { csrfToken: issueCsrfToken('valid-session-id') }
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(endSession).toHaveBeenCalledWith('valid-session-id')
+    })
+
+    test('Should refuse to end the session without a CSRF token', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'POST',
+        url: '/logout',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.forbidden)
+      expect(endSession).not.toHaveBeenCalled()
+      expect(headers['set-cookie']).toBeUndefined()
+    })
+
+    test('Should not end the session on a GET request', async () => {
+      const { statusCode } = await server.inject({
+        method: 'GET',
+        url: '/logout',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.notFound)
+      expect(endSession).not.toHaveBeenCalled()
+    })
+
+    test('Should show the error page when the session cannot be deleted', async () => {
+      endSession.mockRejectedValueOnce(new Error('Redis unavailable'))
+
+      const { statusCode } = await server.inject({
+        method: 'POST',
+        url: '/logout',
+        headers: {
+          cookie: sessionCookie,
+          'x-csrf-token': issueCsrfToken('valid-session-id')
+        }
+      })
+
+      expect(statusCode).toBe(statusCodes.internalServerError)
+    })
+  })
+
+  describe('GET /signed-out', () => {
+    test('Should show the signed out page with a link to sign in again', async () => {
+      const { statusCode, result } = await server.inject({
+        method: 'GET',
+        url: '/signed-out'
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).toContain('You have signed out')
+      expect(result).toContain('href="/login"')
+      expect(result).not.toContain('action="/logout"')
+    })
+  })
+
+  describe('Header navigation', () => {
+    test('Should show a sign out button when signed in', async () => {
+      getSessionFromId.mockResolvedValue({ session_id: 'valid-session-id' })
+
+      const { result } = await server.inject({
+        method: 'GET',
+        url: '/signed-out',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(result).toContain('<form method="POST" action="/logout"')
+      expect(result).toContain(
+        `name="csrfToken" value="${issueCsrfToken('valid-session-id')}"`
+      )
+      expect(result).toContain('Sign out')
+      expect(result).not.toContain('href="/logout"')
+      expect(getSessionFromId).toHaveBeenCalledWith('valid-session-id')
+    })
+
+    test('Should not show a sign out button when the session has expired', async () => {
+      getSessionFromId.mockResolvedValue(null)
+
+      const { result } = await server.inject({
+        method: 'GET',
+        url: '/signed-out',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(result).not.toContain('action="/logout"')
+    })
+
+    test('Should not show a sign out button when the session cannot be loaded', async () => {
+      getSessionFromId.mockRejectedValue(new Error('Redis unavailable'))
+
+      const { statusCode, result } = await server.inject({
+        method: 'GET',
+        url: '/signed-out',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).not.toContain('action="/logout"')
+    })
+  })
+})
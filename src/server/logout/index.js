@@ -0,0 +1,25 @@
+import { logoutController, signedOutController } from './controller.js'
+
+/**
+ * Sets up the routes used for signing out.
+ * These routes are registered in src/server/router.js.
+ */
+export const logout = {
+  plugin: {
+    name: 'logout',
+    register(server) {
+      server.route([
+        {
+          method: 'POST',
+          path: '/logout',
+          ...logoutController
+        },
+        {
+          method: 'GET',
+          path: '/signed-out',
+          ...signedOutController
+        }
+      ])
+    }
+  }
+}
@@ -0,0 +1,175 @@
+import { config } from '../../config/config.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+import {
+  MOCK_OIDC_ERRORS,
+  MOCK_OIDC_ROUTES
+} from '../common/constants/mock-oidc-constants.js'
+import {
+  buildDiscoveryDocument,
+  buildJwks,
+  exchangeToken,
+  getMockUsers,
+  issueAuthorizationCode,
+  validateAuthorizationRequest
+} from './mock-oidc-service.js'
+
+// Authorization request parameters carried through the user picker form
+const AUTHORIZATION_PARAMS = [
+  'client_id',
+  'redirect_uri',
+  'state',
+  'code_challenge',
+  'code_challenge_method',
+  'nonce'
+]
+
+function pickAuthorizationParams(source = {}) {
+  return Object.fromEntries(
+    AUTHORIZATION_PARAMS.filter((name) => source[name]).map((name) => [
+      name,
+      source[name]
+    ])
+  )
+}
+
+function oauthErrorResponse(h, error) {
+  const statusCode =
+    error.code === MOCK_OIDC_ERRORS.INVALID_CLIENT
+      ? statusCodes.unauthorized
+      : statusCodes.badRequest
+
+  return h
+    .response({
+      error: error.code || MOCK_OIDC_ERRORS.INVALID_REQUEST,
+      error_description: error.message
+    })
+    .code(statusCode)
+}
+
+/**
+ * Mock discovery controller for GET .well-known/openid-configuration
+ */
+export const discoveryController = {
+  handler(request, h) {
+    return h.response(buildDiscoveryDocument(request.params.tenantId))
+  },
+  options: {
+    auth: false
+  }
+}
+
+/**
+ * Mock JWKS controller for GET discovery/v2.0/keys
+ */
+export const jwksController = {
+  handler(_request, h) {
+    return h.response(buildJwks())
+  },
+  options: {
+    auth: false
+  }
+}
+
+/**
+ * Mock authorize controller for GET oauth2/v2.0/authorize - shows the fake user picker
+ */
+export const authorizeController = {
+  handler(request, h) {
+    const authorizationParams = pickAuthorizationParams(request.query)
+
+    try {
+      validateAuthorizationRequest(authorizationParams)
+    } catch (error) {
+      return oauthErrorResponse(h, error)
+    }
+
+    return h.view(MOCK_OIDC_ROUTES.PICKER_VIEW_PATH, {
+      pageTitle: 'Choose a test user',
+      authorizationParams,
+      users: getMockUsers()
+    })
+  },
+  options: {
+    auth: false
+  }
+}
+
+/**
+ * Mock authorize controller for POST oauth2/v2.0/authorize - signs in the chosen user
+ */
+export const authorizeSubmitController = {
+  handler(request, h) {
+    const authorizationParams = pickAuthorizationParams(request.payload)
+
+    try {
+      validateAuthorizationRequest(authorizationParams)
+      const code = issueAuthorizationCode(
+        authorizationParams,
+        request.payload?.user
+      )
+
+      request.log(['info'], {
+        level: 'INFO',
+        message: 'Mock identity provider issued authorization code',
+        requestId: request.info?.id || 'unknown',
+        decision: 'REDIRECT_TO_CLIENT',
+        reason: 'Test user chosen'
+      })
+
+      const params = new URLSearchParams({
+        code,
+        state: authorizationParams.state
+      })
+      return h.redirect(`${authorizationParams.redirect_uri}?${params}`)
+    } catch (error) {
+      return oauthErrorResponse(h, error)
+    }
+  },
+  options: {
+    auth: false,
+    // Stands in for the identity provider's sign in page, which is not part of
+    // this service and is protected by the OAuth state parameter
+    plugins: { csrf: false }
+  }
+}
+
+/**
+ * Mock token controller for POST oauth2/v2.0/token
+ */
+export const tokenController = {
+  handler(request, h) {
+    try {
+      return h.response(
+        exchangeToken(request.params.tenantId, request.payload ?? {})
+      )
+    } catch (error) {
+      return oauthErrorResponse(h, error)
+    }
+  },
+  options: {
+    auth: false,
+    // Called by the server, which authenticates with the client secret
+    plugins: { csrf: false }
+  }
+}
+
+/**
+ * Mock end-session controller for GET oauth2/v2.0/logout
+ */
+export const logoutController = {
+  handler(request, h) {
+    const postLogoutRedirectUri = config.get('azureAd.postLogoutRedirectUri')
+
+    if (request.query.post_logout_redirect_uri !== postLogoutRedirectUri) {
+      return oauthErrorResponse(h, {
+        code: MOCK_OIDC_ERRORS.INVALID_REQUEST,
+        message: 'post_logout_redirect_uri does not match the client'
+      })
+    }
+
+    return h.redirect(postLogoutRedirectUri)
+  },
+  options: {
+    auth: false
+  }
+}
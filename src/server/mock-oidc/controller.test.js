@@ -0,0 +1,408 @@
+import { vi } from 'vitest'
+import { config } from '../../config/config.js'
+import { createServer } from '../server.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+import { __mockRedisClient as mockRedisClient } from '../common/helpers/redis-client.js'
+import {
+  deleteInvitation,
+  saveInvitation
+} from '../authentication/invitation-repository.js'
+
+// In-memory Redis, so state, PKCE, nonce, session, session index and invitation
+// storage work end to end
+vi.mock('../common/helpers/redis-client.js', () => {
+  const store = new Map()
+  const hashes = new Map()
+  const mockRedisClient = {
+    set: vi.fn((key, value, ...options) => {
+      if (
+        (options.includes('XX') && !store.has(key)) ||
+        (options.includes('NX') && store.has(key))
+      ) {
+        return Promise.resolve(null)
+      }
+      store.set(key, value)
+      return Promise.resolve('OK')
+    }),
+    get: vi.fn((key) => Promise.resolve(store.get(key) ?? null)),
+    getdel: vi.fn((key) => {
+      const value = store.get(key) ?? null
+      store.delete(key)
+      return Promise.resolve(value)
+    }),
+    exists: vi.fn((key) => Promise.resolve(store.has(key) ? 1 : 0)),
+    expire: vi.fn((key) => Promise.resolve(store.has(key) ? 1 : 0)),
+    del: vi.fn((...keys) =>
+      Promise.resolve(keys.filter((key) => store.delete(key)).length)
+    ),
+    hgetall: vi.fn((key) =>
+      Promise.resolve(Object.fromEntries(hashes.get(key) ?? []))
+    ),
+    hset: vi.fn((key, field, value) => {
+      hashes.set(key, (hashes.get(key) ?? new Map()).set(field, value))
+      return Promise.resolve(1)
+    }),
+    hdel: vi.fn((key, field) =>
+      Promise.resolve(hashes.get(key)?.delete(field) ? 1 : 0)
+    ),
+    sadd: vi.fn((key, member) => {
+      store.set(key, new Set(store.get(key)).add(member))
+      return Promise.resolve(1)
+    }),
+    smembers: vi.fn((key) => Promise.resolve([...(store.get(key) ?? [])])),
+    srem: vi.fn((key, ...members) =>
+      Promise.resolve(
+        members.filter((member) => store.get(key)?.delete(member)).length
+      )
+    ),
+    on: vi.fn()
+  }
+
+  return {
+    buildRedisClient: vi.fn(() => mockRedisClient),
+    __mockRedisClient: mockRedisClient
+  }
+})
+
+const MOCK_AUTHORITY = 'http://localhost:3000/mock-oidc'
+const TENANT_PATH = '/mock-oidc/mock-tenant'
+const MOCK_USERS_INVITATION = {
+  entry: 'example.com',
+  type: 'domain',
+  expires_on: null
+}
+
+function toServerPath(url) {
+  const { pathname, search } = new URL(url)
+  return `${pathname}${search}`
+}
+
+function getSessionCookie(headers) {
+  return []
+    .concat(headers['set-cookie'] ?? [])
+    .find((cookie) => cookie.startsWith('session='))
+    ?.split(';')[0]
+}
+
+describe('#mockOidc', () => {
+  let server
+
+  beforeAll(async () => {
+    config.set('mockOidc.enabled', true)
+    config.set('azureAd.baseUrl', MOCK_AUTHORITY)
+    config.set('azureAd.tenantId', 'mock-tenant')
+    config.set('azureAd.authorizeEndpoint', null)
+    config.set('azureAd.tokenEndpoint', null)
+
+    server = await createServer()
+    await server.initialize()
+    await saveInvitation(MOCK_USERS_INVITATION)
+
+    // Send the app's back-channel requests to the mock provider on the same server
+    vi.stubGlobal('fetch', async (url, options = {}) => {
+      const response = await server.inject({
+        method: options.method ?? 'GET',
+        url: toServerPath(url),
+        headers: options.headers,
+        payload: options.body
+      })
+
+      return {
+        ok: response.statusCode < statusCodes.badRequest,
+        status: response.statusCode,
+        json: () => Promise.resolve(JSON.parse(response.payload)),
+        text: () => Promise.resolve(response.payload)
+      }
+    })
+  })
+
+  afterAll(async () => {
+    vi.unstubAllGlobals()
+    await server.stop({ timeout: 0 })
+  })
+
+  async function startSignIn(loginUrl = '/login') {
+    const { headers } = await server.inject({ method: 'GET', url: loginUrl })
+    return new URL(headers.location)
+  }
+
+  async function chooseUser(authorizeUrl, userOid) {
+    const { headers } = await server.inject({
+      method: 'POST',
+      url: authorizeUrl.pathname,
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      payload: new URLSearchParams({
+        ...Object.fromEntries(authorizeUrl.searchParams),
+        user: userOid
+      }).toString()
+    })
+    return headers.location
+  }
+
+  test('Should publish a discovery document pointing at the mock endpoints', async () => {
+    const { statusCode, result } = await server.inject({
+      method: 'GET',
+      url: `${TENANT_PATH}/v2.0/.well-known/openid-configuration`
+    })
+
+    expect(statusCode).toBe(statusCodes.ok)
+    expect(result).toMatchObject({
+      issuer: `${MOCK_AUTHORITY}/mock-tenant/v2.0`,
+      authorization_endpoint: `${MOCK_AUTHORITY}/mock-tenant/oauth2/v2.0/authorize`,
+      jwks_uri: `${MOCK_AUTHORITY}/mock-tenant/discovery/v2.0/keys`
+    })
+  })
+
+  test('Should show a picker of the configured fake users', async () => {
+    const authorizeUrl = await startSignIn()
+
+    const { statusCode, result } = await server.inject({
+      method: 'GET',
+      url: toServerPath(authorizeUrl)
+    })
+
+    expect(authorizeUrl.origin + authorizeUrl.pathname).toBe(
+      `${MOCK_AUTHORITY}/mock-tenant/oauth2/v2.0/authorize`
+    )
+    expect(statusCode).toBe(statusCodes.ok)
+    expect(result).toContain('Choose a test user')
+    expect(result).toContain('Rosa Researcher')
+    expect(result).toContain('Researcher, Admin')
+    expect(result).toContain(
+      `name="nonce" value="${authorizeUrl.searchParams.get('nonce')}"`
+    )
+  })
+
+  test('Should sign in offline as the chosen user and sign out again', async () => {
+    const adamAdmin = config
+      .get('mockOidc.users')
+      .find((user) => user.name === 'Adam Admin')
+    const authorizeUrl = await startSignIn()
+    const callbackUrl = await chooseUser(authorizeUrl, adamAdmin.oid)
+
+    const callback = await server.inject({
+      method: 'GET',
+      url: toServerPath(callbackUrl)
+    })
+
+    expect(callback.statusCode).toBe(statusCodes.redirect)
+    expect(callback.headers.location).toBe('/upload-document')
+
+    const sessionCookie = getSessionCookie(callback.headers)
+    const signedOut = await server.inject({
+      method: 'GET',
+      url: '/signed-out',
+      headers: { cookie: sessionCookie }
+    })
+    expect(signedOut.result).toContain('Adam Admin')
+
+    const [, csrfToken] = signedOut.result.match(
+      /name="csrfToken" value="([^"]+)"/
+    )
+    const logout = await server.inject({
+      method: 'POST',
+      url: '/logout',
+      headers: { cookie: sessionCookie },
+      payload: { csrfToken }
+    })
+    const endSession = await server.inject({
+      method: 'GET',
+      url: toServerPath(logout.headers.location)
+    })
+
+    expect(endSession.statusCode).toBe(statusCodes.redirect)
+    expect(endSession.headers.location).toBe(
+      config.get('azureAd.postLogoutRedirectUri')
+    )
+  })
+
+  test('Should return to a deep link after signing in', async () => {
+    const rosa = config.get('mockOidc.users')[0]
+    const deepLink = await server.inject({ method: 'GET', url: '/review-pii' })
+
+    const authorizeUrl = await startSignIn(deepLink.headers.location)
+    const callbackUrl = await chooseUser(authorizeUrl, rosa.oid)
+    const callback = await server.inject({
+      method: 'GET',
+      url: toServerPath(callbackUrl)
+    })
+
+    expect(deepLink.headers.location).toBe('/login?returnTo=%2Freview-pii')
+    expect(callback.headers.location).toBe('/review-pii')
+  })
+
+  test('Should only let in invited users, apart from admins', async () => {
+    const mockUsers = config.get('mockOidc.users')
+    const rosa = mockUsers.find((user) => user.name === 'Rosa Researcher')
+    const adamAdmin = mockUsers.find((user) => user.name === 'Adam Admin')
+    const signInAs = async (user) => {
+      const callbackUrl = await chooseUser(await startSignIn(), user.oid)
+      return server.inject({ method: 'GET', url: toServerPath(callbackUrl) })
+    }
+
+    try {
+      await deleteInvitation(MOCK_USERS_INVITATION.entry)
+
+      const refused = await signInAs(rosa)
+      expect(refused.statusCode).toBe(statusCodes.forbidden)
+      expect(refused.result).toContain('You do not have access')
+      expect(getSessionCookie(refused.headers)).toBeUndefined()
+
+      const admin = await signInAs(adamAdmin)
+      expect(admin.statusCode).toBe(statusCodes.redirect)
+      expect(getSessionCookie(admin.headers)).toBeDefined()
+    } finally {
+      await saveInvitation(MOCK_USERS_INVITATION)
+    }
+  })
+
+  test('Should list where the user is signed in and sign out everywhere else', async () => {
+    const alex = config
+      .get('mockOidc.users')
+      .find((user) => user.name === 'Alex Analyst')
+    const signInAs = async (userAgent) => {
+      const authorizeUrl = await startSignIn()
+      const callbackUrl = await chooseUser(authorizeUrl, alex.oid)
+      const callback = await server.inject({
+        method: 'GET',
+        url: toServerPath(callbackUrl),
+        headers: { 'user-agent': userAgent }
+      })
+      return getSessionCookie(callback.headers)
+    }
+
+    const phoneCookie = await signInAs(
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.6 Mobile/15E148 Safari/604.1'
+    )
+    const laptopCookie = await signInAs(
+      'Mozilla/5.0 (X11; Linux x86_64; rv:131.0) Gecko/20100101 Firefox/131.0'
+    )
+
+    const sessionsPage = await server.inject({
+      method: 'GET',
+      url: '/account/sessions',
+      headers: { cookie: laptopCookie }
+    })
+    expect(sessionsPage.result).toContain('Safari on iPhone')
+    expect(sessionsPage.result).toContain('Firefox on Linux')
+
+    const [, csrfToken] = sessionsPage.result.match(
+      /name="csrfToken" value="([^"]+)"/
+    )
+    const revoke = await server.inject({
+      method: 'POST',
+      url: '/account/sessions/revoke-others',
+      headers: { cookie: laptopCookie },
+      payload: { csrfToken }
+    })
+    expect(revoke.statusCode).toBe(statusCodes.redirect)
+
+    const onPhone = await server.inject({
+      method: 'GET',
+      url: '/account/sessions',
+      headers: { cookie: phoneCookie }
+    })
+    const onLaptop = await server.inject({
+      method: 'GET',
+      url: '/account/sessions',
+      headers: { cookie: laptopCookie }
+    })
+    expect(onPhone.headers.location).toBe(
+      '/login?returnTo=%2Faccount%2Fsessions'
+    )
+    expect(onLaptop.statusCode).toBe(statusCodes.ok)
+    expect(onLaptop.result).not.toContain('Safari on iPhone')
+  })
+
+  test('Should reject authorization requests from unknown clients', async () => {
+    const { statusCode, result } = await server.inject({
+      method: 'GET',
+      url: `${TENANT_PATH}/oauth2/v2.0/authorize?client_id=someone-else`
+    })
+
+    expect(statusCode).toBe(statusCodes.unauthorized)
+    expect(result.error).toBe('invalid_client')
+  })
+
+  test('Should refuse to exchange the same authorization code twice', async () => {
+    const rosa = config.get('mockOidc.users')[0]
+    const authorizeUrl = await startSignIn()
+    const callbackUrl = new URL(await chooseUser(authorizeUrl, rosa.oid))
+
+    const exchange = () =>
+      server.inject({
+        method: 'POST',
+        url: `${TENANT_PATH}/oauth2/v2.0/token`,
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        payload: new URLSearchParams({
+          grant_type: 'authorization_code',
+          client_id: config.get('azureAd.clientId'),
+          client_secret: config.get('azureAd.clientSecret'),
+          redirect_uri: config.get('azureAd.redirectUri'),
+          code: callbackUrl.searchParams.get('code'),
+          code_verifier: 'wrong-verifier'
+        }).toString()
+      })
+
+    const first = await exchange()
+    const second = await exchange()
+
+    expect(first.result.error).toBe('invalid_grant')
+    expect(second.result.error).toBe('invalid_grant')
+  })
+
+  test('Should keep role claims current and end the session once the user is disabled', async () => {
+    const mockUsers = config.get('mockOidc.users')
+    const nina = mockUsers.find((user) => user.name === 'Nina No-Role')
+    const authorizeUrl = await startSignIn()
+    const callbackUrl = await chooseUser(authorizeUrl, nina.oid)
+    const callback = await server.inject({
+      method: 'GET',
+      url: toServerPath(callbackUrl)
+    })
+    const sessionCookie = getSessionCookie(callback.headers)
+    const { states } = await server.states.parse(sessionCookie)
+    const sessionId = states.session
+    const visitUploadPage = () =>
+      server.inject({
+        method: 'GET',
+        url: '/upload-document',
+        headers: { cookie: sessionCookie }
+      })
+    const readSession = async () =>
+      JSON.parse(await mockRedisClient.get(`session:${sessionId}`))
+
+    try {
+      config.set('auth.identityRefreshInterval', 0)
+
+      // An administrator grants Nina a role in the directory
+      config.set(
+        'mockOidc.users',
+        mockUsers.map((user) =>
+          user === nina ? { ...user, roles: ['Researcher'] } : user
+        )
+      )
+      await visitUploadPage()
+      await vi.waitFor(async () =>
+        expect((await readSession()).user.roles).toEqual(['Researcher'])
+      )
+
+      // Then disables her account
+      await mockRedisClient.del(`auth:refresh-lock:${sessionId}`)
+      config.set(
+        'mockOidc.users',
+        mockUsers.filter((user) => user !== nina)
+      )
+      await visitUploadPage()
+      await vi.waitFor(async () => expect(await readSession()).toBeNull())
+
+      const afterDisabled = await visitUploadPage()
+      expect(afterDisabled.headers.location).toBe(
+        '/login?returnTo=%2Fupload-document'
+      )
+    } finally {
+      config.set('mockOidc.users', mockUsers)
+      config.set('auth.identityRefreshInterval', 300000)
+    }
+  })
+})
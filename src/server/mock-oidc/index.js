@@ -0,0 +1,66 @@
+import { config } from '../../config/config.js'
+import { MOCK_OIDC_ROUTES } from '../common/constants/mock-oidc-constants.js'
+import {
+  authorizeController,
+  authorizeSubmitController,
+  discoveryController,
+  jwksController,
+  logoutController,
+  tokenController
+} from './controller.js'
+
+/**
+ * Serves a mock OpenID Connect provider for local development and tests.
+ * Point azureAd.baseUrl at /mock-oidc to sign in as a configured fake user
+ * without real Azure AD credentials.
+ * Registered in src/server/router.js when mockOidc.enabled is true.
+ */
+export const mockOidc = {
+  plugin: {
+    name: 'mock-oidc',
+    register(server) {
+      if (config.get('isProduction')) {
+        throw new Error(
+          'The mock OpenID Connect provider must not run in production'
+        )
+      }
+
+      server.logger.warn(
+        'Mock OpenID Connect provider enabled - do not use real user data'
+      )
+
+      server.route([
+        {
+          method: 'GET',
+          path: MOCK_OIDC_ROUTES.DISCOVERY_PATH,
+          ...discoveryController
+        },
+        {
+          method: 'GET',
+          path: MOCK_OIDC_ROUTES.JWKS_PATH,
+          ...jwksController
+        },
+        {
+          method: 'GET',
+          path: MOCK_OIDC_ROUTES.AUTHORIZE_PATH,
+          ...authorizeController
+        },
+        {
+          method: 'POST',
+          path: MOCK_OIDC_ROUTES.AUTHORIZE_PATH,
+          ...authorizeSubmitController
+        },
+        {
+          method: 'POST',
+          path: MOCK_OIDC_ROUTES.TOKEN_PATH,
+          ...tokenController
+        },
+        {
+          method: 'GET',
+          path: MOCK_OIDC_ROUTES.LOGOUT_PATH,
+          ...logoutController
+        }
+      ])
+    }
+  }
+}
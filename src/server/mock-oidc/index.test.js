@@ -0,0 +1,34 @@
+import { vi } from 'vitest'
+import { config } from '../../config/config.js'
+import { mockOidc } from './index.js'
+
+describe('#mockOidc plugin', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  test('Should register the mock provider routes outside production', () => {
+    const mockServer = { route: vi.fn(), logger: { warn: vi.fn() } }
+
+    mockOidc.plugin.register(mockServer)
+
+    expect(mockServer.route).toHaveBeenCalledWith(
+      expect.arrayContaining([
+        expect.objectContaining({
+          method: 'POST',
+          path: '/mock-oidc/{tenantId}/oauth2/v2.0/token'
+        })
+      ])
+    )
+  })
+
+  test('Should refuse to start in production', () => {
+    vi.spyOn(config, 'get').mockImplementation((key) => key === 'isProduction')
+    const mockServer = { route: vi.fn(), logger: { warn: vi.fn() } }
+
+    expect(() => mockOidc.plugin.register(mockServer)).toThrow(
+      'The mock OpenID Connect provider must not run in production'
+    )
+    expect(mockServer.route).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,284 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { config } from '../../config/config.js'
+import {
+  MOCK_OIDC_ERRORS,
+  MOCK_OIDC_SETTINGS
+} from '../common/constants/mock-oidc-constants.js'
+
+// Generated once per process, so tokens only verify against this server's JWKS
+let signingKeyPair = null
+
+// Single-use authorization codes waiting to be exchanged
+const authorizationCodes = new Map()
+
+// Refresh tokens issued, each replaced by a new one when redeemed
+const refreshTokens = new Map()
+
+function getSigningKeyPair() {
+  signingKeyPair ??= crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  return signingKeyPair
+}
+
+function mockOidcError(error, description) {
+  const failure = new Error(description)
+  failure.code = error
+  return failure
+}
+
+/**
+ * Builds the issuer URL the mock provider signs tokens with
+ * @param {string} tenantId - Tenant ID from the request path
+ * @returns {string} The issuer URL
+ */
+export function buildIssuer(tenantId) {
+  return `${config.get('azureAd.baseUrl')}/${tenantId}/v2.0`
+}
+
+/**
+ * Builds the OpenID Connect discovery document for the mock provider
+ * @param {string} tenantId - Tenant ID from the request path
+ * @returns {Object} The discovery document
+ */
+export function buildDiscoveryDocument(tenantId) {
+  const tenantUrl = `${config.get('azureAd.baseUrl')}/${tenantId}`
+
+  return {
+    issuer: buildIssuer(tenantId),
+    authorization_endpoint: `${tenantUrl}/oauth2/v2.0/authorize`,
+    token_endpoint: `${tenantUrl}/oauth2/v2.0/token`,
+    end_session_endpoint: `${tenantUrl}/oauth2/v2.0/logout`,
+    jwks_uri: `${tenantUrl}/discovery/v2.0/keys`,
+    response_types_supported: ['code'],
+    id_token_signing_alg_values_supported: [
+      MOCK_OIDC_SETTINGS.SIGNING_ALGORITHM
+    ],
+    code_challenge_methods_supported: ['S256']
+  }
+}
+
+/**
+ * Builds the JWKS holding the mock provider's public signing key
+ * @returns {Object} The key set
+ */
+export function buildJwks() {
+  const jwk = getSigningKeyPair().publicKey.export({ format: 'jwk' })
+
+  return {
+    keys: [
+      {
+        ...jwk,
+        kid: MOCK_OIDC_SETTINGS.SIGNING_KEY_ID,
+        use: 'sig',
+        alg: MOCK_OIDC_SETTINGS.SIGNING_ALGORITHM
+      }
+    ]
+  }
+}
+
+/**
+ * Lists the fake users offered on the sign in picker
+ * @returns {Object[]} Configured fake users
+ */
+export function getMockUsers() {
+  return config.get('mockOidc.users')
+}
+
+/**
+ * Checks an authorization request against the configured client
+ * @param {Object} params - Authorization request parameters
+ * @throws {Error} With an OAuth error code if the request cannot be served
+ */
+export function validateAuthorizationRequest(params) {
+  if (params.client_id !== config.get('azureAd.clientId')) {
+    throw mockOidcError(MOCK_OIDC_ERRORS.INVALID_CLIENT, 'Unknown client_id')
+  }
+
+  if (params.redirect_uri !== config.get('azureAd.redirectUri')) {
+    throw mockOidcError(
+      MOCK_OIDC_ERRORS.INVALID_REQUEST,
+      'redirect_uri does not match the client'
+    )
+  }
+
+  if (!params.state || !params.code_challenge) {
+    throw mockOidcError(
+      MOCK_OIDC_ERRORS.INVALID_REQUEST,
+      'state and code_challenge are required'
+    )
+  }
+
+  if (params.code_challenge_method !== 'S256') {
+    throw mockOidcError(
+      MOCK_OIDC_ERRORS.INVALID_REQUEST,
+      'code_challenge_method must be S256'
+    )
+  }
+}
+
+/**
+ * Issues a single-use authorization code for the chosen fake user
+ * @param {Object} params - Validated authorization request parameters
+ * @param {string} userOid - Object ID of the chosen fake user
+ * @returns {string} The authorization code
+ * @throws {Error} With code invalid_request if the user is not configured
+ */
+export function issueAuthorizationCode(params, userOid) {
+  const user = getMockUsers().find((mockUser) => mockUser.oid === userOid)
+
+  if (!user) {
+    throw mockOidcError(MOCK_OIDC_ERRORS.INVALID_REQUEST, 'Unknown user')
+  }
+
+  const code = crypto.randomBytes(32).toString('base64url')
+  authorizationCodes.set(code, {
+    user,
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    nonce: params.nonce,
+    expiresAt: Date.now() + MOCK_OIDC_SETTINGS.AUTHORIZATION_CODE_TTL_MS
+  })
+
+  return code
+}
+
+function checkClient(params) {
+  if (
+    params.client_id !== config.get('azureAd.clientId') ||
+    params.client_secret !== config.get('azureAd.clientSecret')
+  ) {
+    throw mockOidcError(
+      MOCK_OIDC_ERRORS.INVALID_CLIENT,
+      'Client authentication failed'
+    )
+  }
+}
+
+/**
+ * Issues a token response for a fake user, with a new refresh token
+ * @param {string} tenantId - Tenant ID from the request path
+ * @param {Object} user - The fake user
+ * @param {string} clientId - The client the tokens are for
+ * @param {string} [nonce] - Nonce from the authorization request, if any
+ * @returns {Object} Token response with a signed ID token
+ */
+function issueTokens(tenantId, user, clientId, nonce) {
+  const idToken = jwt.sign(
+    {
+      oid: user.oid,
+      sub: user.oid,
+      tid: tenantId,
+      name: user.name,
+      preferred_username: user.email,
+      email: user.email,
+      roles: user.roles ?? [],
+      ...(user.groups && { groups: user.groups }),
+      ...(nonce && { nonce })
+    },
+    getSigningKeyPair().privateKey,
+    {
+      algorithm: MOCK_OIDC_SETTINGS.SIGNING_ALGORITHM,
+      keyid: MOCK_OIDC_SETTINGS.SIGNING_KEY_ID,
+      issuer: buildIssuer(tenantId),
+      audience: clientId,
+      expiresIn: MOCK_OIDC_SETTINGS.TOKEN_TTL_SECONDS
+    }
+  )
+
+  const refreshToken = crypto.randomBytes(32).toString('base64url')
+  refreshTokens.set(refreshToken, { userOid: user.oid, clientId })
+
+  return {
+    token_type: 'Bearer',
+    scope: MOCK_OIDC_SETTINGS.SCOPE,
+    expires_in: MOCK_OIDC_SETTINGS.TOKEN_TTL_SECONDS,
+    access_token: crypto.randomBytes(32).toString('base64url'),
+    refresh_token: refreshToken,
+    id_token: idToken
+  }
+}
+
+/**
+ * Exchanges an authorization code for tokens, checking the PKCE verifier
+ * @param {string} tenantId - Tenant ID from the request path
+ * @param {Object} params - Token request parameters
+ * @returns {Object} Token response
+ * @throws {Error} With code invalid_grant if the code cannot be redeemed
+ */
+function redeemAuthorizationCode(tenantId, params) {
+  const grant = authorizationCodes.get(params.code)
+  authorizationCodes.delete(params.code)
+
+  const expectedChallenge = crypto
+    .createHash('sha256')
+    .update(params.code_verifier ?? '')
+    .digest('base64url')
+
+  if (
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.clientId !== params.client_id ||
+    grant.redirectUri !== params.redirect_uri ||
+    grant.codeChallenge !== expectedChallenge
+  ) {
+    throw mockOidcError(
+      MOCK_OIDC_ERRORS.INVALID_GRANT,
+      'Authorization code is invalid, expired or already used'
+    )
+  }
+
+  return issueTokens(tenantId, grant.user, grant.clientId, grant.nonce)
+}
+
+/**
+ * Redeems a refresh token for new tokens, replacing the refresh token
+ * Removing a user from mockOidc.users disables them, so their refresh tokens
+ * are refused as Azure AD would
+ * @param {string} tenantId - Tenant ID from the request path
+ * @param {Object} params - Token request parameters
+ * @returns {Object} Token response
+ * @throws {Error} With code invalid_grant if the refresh token is refused
+ */
+function redeemRefreshToken(tenantId, params) {
+  const grant = refreshTokens.get(params.refresh_token)
+  refreshTokens.delete(params.refresh_token)
+
+  const user = getMockUsers().find(
+    (mockUser) => mockUser.oid === grant?.userOid
+  )
+
+  if (!grant || grant.clientId !== params.client_id || !user) {
+    throw mockOidcError(
+      MOCK_OIDC_ERRORS.INVALID_GRANT,
+      'Refresh token is invalid, revoked or the user is disabled'
+    )
+  }
+
+  return issueTokens(tenantId, user, grant.clientId)
+}
+
+/**
+ * Exchanges an authorization code or refresh token for tokens, checking the client
+ * @param {string} tenantId - Tenant ID from the request path
+ * @param {Object} params - Token request parameters
+ * @returns {Object} Token response with a signed ID token
+ * @throws {Error} With an OAuth error code if the exchange is refused
+ */
+export function exchangeToken(tenantId, params) {
+  const redeemGrant = {
+    authorization_code: redeemAuthorizationCode,
+    refresh_token: redeemRefreshToken
+  }[params.grant_type]
+
+  if (!redeemGrant) {
+    throw mockOidcError(
+      MOCK_OIDC_ERRORS.UNSUPPORTED_GRANT_TYPE,
+      'Only authorization_code and refresh_token are supported'
+    )
+  }
+
+  checkClient(params)
+
+  return redeemGrant(tenantId, params)
+}
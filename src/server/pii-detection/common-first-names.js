@@ -0,0 +1,165 @@
+/**
+ * Common UK first names used as a gazetteer by the name detector
+ * Kept deliberately small: it only needs to catch names mentioned without
+ * a title, introduction or speaker label
+ */
+export const COMMON_FIRST_NAMES = new Set([
+  'Aaron',
+  'Abigail',
+  'Adam',
+  'Aisha',
+  'Alan',
+  'Alex',
+  'Alexander',
+  'Alice',
+  'Alison',
+  'Amanda',
+  'Amelia',
+  'Amy',
+  'Andrew',
+  'Angela',
+  'Anna',
+  'Anne',
+  'Anthony',
+  'Ben',
+  'Benjamin',
+  'Beth',
+  'Brian',
+  'Callum',
+  'Carl',
+  'Caroline',
+  'Catherine',
+  'Charlie',
+  'Charlotte',
+  'Chloe',
+  'Chris',
+  'Christine',
+  'Christopher',
+  'Claire',
+  'Colin',
+  'Craig',
+  'Daniel',
+  'Darren',
+  'David',
+  'Dean',
+  'Deborah',
+  'Dominic',
+  'Donna',
+  'Edward',
+  'Eleanor',
+  'Elizabeth',
+  'Ella',
+  'Ellie',
+  'Emily',
+  'Emma',
+  'Eve',
+  'Fatima',
+  'Fiona',
+  'Freya',
+  'Gareth',
+  'Gary',
+  'Gemma',
+  'George',
+  'Graham',
+  'Hannah',
+  'Harry',
+  'Helen',
+  'Ian',
+  'Imran',
+  'Isabella',
+  'Isla',
+  'Jacob',
+  'James',
+  'Jane',
+  'Jason',
+  'Jennifer',
+  'Jessica',
+  'Joanne',
+  'John',
+  'Jonathan',
+  'Joseph',
+  'Joshua',
+  'Julie',
+  'Karen',
+  'Kate',
+  'Katie',
+  'Kelly',
+  'Kevin',
+  'Laura',
+  'Lauren',
+  'Leah',
+  'Lee',
+  'Lewis',
+  'Liam',
+  'Lily',
+  'Linda',
+  'Lisa',
+  'Louise',
+  'Lucy',
+  'Luke',
+  'Margaret',
+  'Maria',
+  'Martin',
+  'Matthew',
+  'Megan',
+  'Michael',
+  'Michelle',
+  'Mohammed',
+  'Muhammad',
+  'Natalie',
+  'Neil',
+  'Nicola',
+  'Noah',
+  'Oliver',
+  'Olivia',
+  'Oscar',
+  'Owen',
+  'Patricia',
+  'Paul',
+  'Peter',
+  'Priya',
+  'Rachel',
+  'Rebecca',
+  'Richard',
+  'Robert',
+  'Ruth',
+  'Ryan',
+  'Sam',
+  'Samantha',
+  'Samuel',
+  'Sarah',
+  'Scott',
+  'Sean',
+  'Sharon',
+  'Simon',
+  'Sophie',
+  'Stephen',
+  'Steven',
+  'Stuart',
+  'Susan',
+  'Thomas',
+  'Tom',
+  'Tracey',
+  'Victoria',
+  'William',
+  'Zara',
+  'Zoe'
+])
+
+/**
+ * First names that are also everyday English words
+ * These are only treated as names when followed by a capitalised surname
+ */
+export const AMBIGUOUS_FIRST_NAMES = new Set([
+  'Bill',
+  'Dawn',
+  'Faith',
+  'Grace',
+  'Hope',
+  'Jack',
+  'June',
+  'Mark',
+  'May',
+  'Rose',
+  'Will'
+])
@@ -0,0 +1,288 @@
+import { PII_CONFIDENCE, PII_TYPES } from '../common/constants/pii-constants.js'
+import { collectMatches, createSpan } from './pattern-detectors.js'
+import {
+  AMBIGUOUS_FIRST_NAMES,
+  COMMON_FIRST_NAMES
+} from './common-first-names.js'
+import { parseSpeakerTurns } from '../transcript-parsing/speaker-turn-parser.js'
+
+const NAME_WORD =
+  "[A-Z](?:[a-z]+(?:[A-Z][a-z]+)?|['’][A-Z][a-z]+)(?:-[A-Z][a-z]+)?"
+const FULL_NAME = `${NAME_WORD}(?:[ \\t]+${NAME_WORD}){0,2}`
+
+const TITLED_NAME_PATTERN = new RegExp(
+  `\\b(?:Mr|Mrs|Ms|Miss|Mx|Dr|Prof|Professor|Sir|Dame)\\.?[ \\t]+(${FULL_NAME})`,
+  'gd'
+)
+
+const INTRODUCED_NAME_PATTERN = new RegExp(
+  `\\b(?:[Mm]y name is|[Mm]y name's|[Cc]all me|[Cc]alled|[Nn]amed)[ \\t]+(${FULL_NAME})`,
+  'gd'
+)
+
+const CAPITALISED_NAME_PATTERN = new RegExp(
+  `\\b(${NAME_WORD})(?=([ \\t]+${NAME_WORD})?)`,
+  'g'
+)
+
+const NON_NAME_WORDS = new Set([
+  'A',
+  'An',
+  'And',
+  'But',
+  'Council',
+  'Dame',
+  'Defra',
+  'Department',
+  'Dr',
+  'Good',
+  'Great',
+  'He',
+  'Hello',
+  'Hi',
+  'I',
+  'It',
+  'Miss',
+  'Mr',
+  'Mrs',
+  'Ms',
+  'Mx',
+  'My',
+  'No',
+  'Ok',
+  'Okay',
+  'Our',
+  'Prof',
+  'Professor',
+  'Right',
+  'She',
+  'Sir',
+  'So',
+  'Sure',
+  'Thank',
+  'Thanks',
+  'That',
+  'The',
+  'They',
+  'This',
+  'We',
+  'Well',
+  'Yes',
+  'You',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+  'Sunday',
+  'January',
+  'February',
+  'March',
+  'April',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December'
+])
+
+/**
+ * Trims trailing words that are not plausibly part of a name
+ * e.g. "Sarah Thanks" becomes "Sarah"
+ * @param {string} name - Candidate name
+ * @returns {string} The candidate with non-name words removed from the end
+ */
+function trimNonNameWords(name) {
+  const lastWordPattern = /(?:^|[ \t]+)([^ \t]+)$/
+  let trimmed = name
+  let lastWord = trimmed.match(lastWordPattern)
+
+  while (lastWord && NON_NAME_WORDS.has(lastWord[1])) {
+    trimmed = trimmed.slice(0, lastWord.index)
+    lastWord = trimmed.match(lastWordPattern)
+  }
+
+  return trimmed
+}
+
+function mapCapturedName(confidence, detector) {
+  return (match) => {
+    const [start] = match.indices[1]
+    const name = trimNonNameWords(match[1])
+
+    if (name === '' || NON_NAME_WORDS.has(name.split(/[ \t]+/)[0])) {
+      return null
+    }
+
+    return createSpan(PII_TYPES.NAME, start, name, confidence, detector)
+  }
+}
+
+/**
+ * Detects names introduced with a title such as "Mrs" or "Dr"
+ * @param {string} text - The text to scan
+ * @returns {Object[]} Name spans
+ */
+export function detectTitledNames(text) {
+  return collectMatches(
+    text,
+    TITLED_NAME_PATTERN,
+    mapCapturedName(PII_CONFIDENCE.HIGH, 'titled-name')
+  )
+}
+
+/**
+ * Detects names given in an introduction such as "my name is Sarah"
+ * @param {string} text - The text to scan
+ * @returns {Object[]} Name spans
+ */
+export function detectIntroducedNames(text) {
+  return collectMatches(
+    text,
+    INTRODUCED_NAME_PATTERN,
+    mapCapturedName(PII_CONFIDENCE.HIGH, 'introduced-name')
+  )
+}
+
+/**
+ * Detects real names used as speaker labels, such as "Sarah Jones:", Teams
+ * "Sarah Jones  0:01:23" headers and WebVTT <v Sarah Jones> voice tags
+ * Generic labels such as "Interviewer:" or "P1:" are ignored
+ * @param {string} text - The text to scan
+ * @returns {Object[]} Name spans
+ */
+export function detectSpeakerLabelNames(text) {
+  const { turns, speakers } = parseSpeakerTurns(text)
+  const nameByLabel = new Map(
+    speakers.map((speaker) => [speaker.label, speaker.name])
+  )
+
+  return turns
+    .filter((turn) => nameByLabel.get(turn.speaker))
+    .map((turn) => {
+      const name = nameByLabel.get(turn.speaker)
+      const nameStart = turn.speakerStart + turn.speaker.indexOf(name)
+
+      if (
+        NON_NAME_WORDS.has(name.split(/[ \t]+/)[0]) ||
+        text.slice(nameStart, nameStart + name.length) !== name
+      ) {
+        return null
+      }
+
+      return createSpan(
+        PII_TYPES.NAME,
+        nameStart,
+        name,
+        PII_CONFIDENCE.MEDIUM_HIGH,
+        'speaker-label-name'
+      )
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Detects capitalised words that match the common first names gazetteer,
+ * together with a following capitalised surname when present
+ * @param {string} text - The text to scan
+ * @returns {Object[]} Name spans
+ */
+export function detectGazetteerNames(text) {
+  return collectMatches(text, CAPITALISED_NAME_PATTERN, (match) => {
+    const [, firstName, surnameWithSpacing] = match
+    const hasSurname =
+      Boolean(surnameWithSpacing) &&
+      !NON_NAME_WORDS.has(surnameWithSpacing.trim())
+
+    if (AMBIGUOUS_FIRST_NAMES.has(firstName)) {
+      if (!hasSurname) {
+        return null
+      }
+    } else if (!COMMON_FIRST_NAMES.has(firstName)) {
+      return null
+    }
+
+    const name = hasSurname ? `${firstName}${surnameWithSpacing}` : firstName
+
+    return createSpan(
+      PII_TYPES.NAME,
+      match.index,
+      name,
+      hasSurname ? PII_CONFIDENCE.MEDIUM_HIGH : PII_CONFIDENCE.MEDIUM,
+      'first-name-gazetteer'
+    )
+  })
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Finds further mentions of names already detected with good confidence,
+ * so "Sarah" is caught later in a transcript after "my name is Sarah Jones"
+ * @param {string} text - The text to scan
+ * @param {Object[]} nameSpans - Name spans found by the other name detectors
+ * @returns {Object[]} Name spans for the further mentions
+ */
+export function detectKnownNameMentions(text, nameSpans) {
+  const knownNames = new Set()
+
+  for (const span of nameSpans) {
+    if (span.confidence < PII_CONFIDENCE.MEDIUM_HIGH) {
+      continue
+    }
+    knownNames.add(span.text)
+    for (const word of span.text.split(/[ \t]+/)) {
+      if (
+        word.length > 2 &&
+        !NON_NAME_WORDS.has(word) &&
+        !AMBIGUOUS_FIRST_NAMES.has(word)
+      ) {
+        knownNames.add(word)
+      }
+    }
+  }
+
+  if (knownNames.size === 0) {
+    return []
+  }
+
+  const alternatives = [...knownNames]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|')
+  const pattern = new RegExp(
+    `(?<![\\w'’-])(?:${alternatives})(?![\\w'’-])`,
+    'g'
+  )
+
+  return collectMatches(text, pattern, (match) =>
+    createSpan(
+      PII_TYPES.NAME,
+      match.index,
+      match[0],
+      PII_CONFIDENCE.MEDIUM_HIGH,
+      'known-name'
+    )
+  )
+}
+
+/**
+ * Detects personal names using titles, introductions, speaker labels,
+ * a first-name gazetteer and further mentions of names already found
+ * @param {string} text - The text to scan
+ * @returns {Object[]} Name spans, which may overlap
+ */
+export function detectNames(text) {
+  const nameSpans = [
+    ...detectTitledNames(text),
+    ...detectIntroducedNames(text),
+    ...detectSpeakerLabelNames(text),
+    ...detectGazetteerNames(text)
+  ]
+
+  return [...nameSpans, ...detectKnownNameMentions(text, nameSpans)]
+}
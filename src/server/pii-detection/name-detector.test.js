@@ -0,0 +1,120 @@
+import {
+  detectGazetteerNames,
+  detectIntroducedNames,
+  detectKnownNameMentions,
+  detectNames,
+  detectSpeakerLabelNames,
+  detectTitledNames
+} from './name-detector.js'
+import { PII_CONFIDENCE } from '../common/constants/pii-constants.js'
+
+function textsOf(spans) {
+  return spans.map((span) => span.text)
+}
+
+describe('#name-detector', () => {
+  describe('detectTitledNames', () => {
+    test('Should detect names after a title without including the title', () => {
+      const text = 'I spoke to Dr Patel and Mrs. Anne Smith-Jones'
+      const spans = detectTitledNames(text)
+
+      expect(textsOf(spans)).toEqual(['Patel', 'Anne Smith-Jones'])
+      expect(text.slice(spans[0].start, spans[0].end)).toBe('Patel')
+    })
+  })
+
+  describe('detectIntroducedNames', () => {
+    test('Should detect names given in introductions', () => {
+      expect(
+        textsOf(
+          detectIntroducedNames(
+            "Hi, my name is Sarah Jones. My manager is called O'Brien."
+          )
+        )
+      ).toEqual(['Sarah Jones', "O'Brien"])
+    })
+
+    test('Should not treat ordinary words as introduced names', () => {
+      expect(detectIntroducedNames('It is called The Hub')).toEqual([])
+    })
+
+    test('Should trim trailing words that are not names', () => {
+      expect(
+        textsOf(detectIntroducedNames('You can call me Priya Thanks'))
+      ).toEqual(['Priya'])
+    })
+  })
+
+  describe('detectSpeakerLabelNames', () => {
+    test('Should detect real names used as speaker labels', () => {
+      const spans = detectSpeakerLabelNames(
+        'Interviewer: Hello\nSarah Jones: Hi there\nParticipant 2: Yes'
+      )
+
+      expect(textsOf(spans)).toEqual(['Sarah Jones'])
+      expect(spans[0].confidence).toBe(PII_CONFIDENCE.MEDIUM_HIGH)
+    })
+
+    test('Should detect names in Teams headers, voice tags and qualified labels', () => {
+      expect(
+        textsOf(detectSpeakerLabelNames('Tom Okafor  0:00:09\nWe keep sheep.'))
+      ).toEqual(['Tom Okafor'])
+      expect(
+        textsOf(
+          detectSpeakerLabelNames(
+            'WEBVTT\n\n00:01.000 --> 00:02.000\n<v Priya Shah>Hello</v>'
+          )
+        )
+      ).toEqual(['Priya Shah'])
+
+      const text = 'Interviewer (Sarah): Hello\nP1: Hi'
+      const [span] = detectSpeakerLabelNames(text)
+
+      expect(text.slice(span.start, span.end)).toBe('Sarah')
+    })
+  })
+
+  describe('detectGazetteerNames', () => {
+    test('Should detect common first names with an optional surname', () => {
+      const spans = detectGazetteerNames('Thanks Sarah. I asked James Okafor.')
+
+      expect(textsOf(spans)).toContain('Sarah')
+      expect(textsOf(spans)).toContain('James Okafor')
+    })
+
+    test('Should only treat ambiguous first names as names with a surname', () => {
+      expect(
+        textsOf(detectGazetteerNames('Will you ask Will Turner? Mark my words'))
+      ).toEqual(['Will Turner'])
+    })
+
+    test('Should ignore capitalised words that are not known first names', () => {
+      expect(detectGazetteerNames('Leeds City Council')).toEqual([])
+    })
+  })
+
+  describe('detectKnownNameMentions', () => {
+    test('Should find further mentions of confidently detected names', () => {
+      const text = 'My name is Sarah Jones. Later, Sarah said Jones was fine.'
+      const spans = detectKnownNameMentions(text, detectIntroducedNames(text))
+
+      expect(textsOf(spans)).toEqual(['Sarah Jones', 'Sarah', 'Jones'])
+    })
+
+    test('Should ignore low confidence names', () => {
+      expect(
+        detectKnownNameMentions('Sarah', [
+          { text: 'Sarah', confidence: PII_CONFIDENCE.MEDIUM }
+        ])
+      ).toEqual([])
+    })
+  })
+
+  describe('detectNames', () => {
+    test('Should combine all name detectors', () => {
+      const spans = detectNames('Mr Okafor: Hello\nIt was Zanele, Okafor said')
+
+      expect(textsOf(spans)).toEqual(['Okafor', 'Okafor', 'Okafor'])
+    })
+  })
+})
@@ -0,0 +1,369 @@
+import {
+  PII_CONFIDENCE,
+  PII_DETECTION_DEFAULTS,
+  PII_TYPES
+} from '../common/constants/pii-constants.js'
+
+// The lookbehind stops a match starting part way through a run of local part
+// characters, which would otherwise backtrack quadratically on long runs with
+// no '@'
+const EMAIL_PATTERN =
+  /(?<![A-Za-z0-9._%+-])[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+
+const UK_PHONE_PATTERN =
+  /(?<![\w+])(?:\+44[\s-]?(?:\(0\)[\s-]?)?|0044[\s-]?|\(?0)\d{2,4}\)?(?:[\s-]?\d){5,8}(?!\d)/g
+
+const NATIONAL_INSURANCE_PATTERN =
+  /\b([A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z])\s?(\d{2})\s?(\d{2})\s?(\d{2})\s?([A-D])\b/gi
+
+const INVALID_NATIONAL_INSURANCE_PREFIXES = new Set([
+  'BG',
+  'GB',
+  'KN',
+  'NK',
+  'NT',
+  'TN',
+  'ZZ'
+])
+
+const POSTCODE_PATTERN =
+  /\b(?:GIR ?0AA|[A-PR-UWYZ](?:\d{1,2}|[A-HK-Y]\d{1,2}|\d[A-HJKPS-UW]|[A-HK-Y]\d[ABEHMNPRV-Y]) ?\d[ABD-HJLNP-UW-Z]{2})\b/gi
+
+const STREET_SUFFIXES = [
+  'Street',
+  'St',
+  'Road',
+  'Rd',
+  'Avenue',
+  'Ave',
+  'Lane',
+  'Ln',
+  'Drive',
+  'Dr',
+  'Close',
+  'Way',
+  'Crescent',
+  'Place',
+  'Court',
+  'Gardens',
+  'Terrace',
+  'Grove',
+  'Hill',
+  'Park',
+  'Square',
+  'Mews',
+  'Row',
+  'Walk',
+  'Green',
+  'Rise',
+  'View'
+]
+
+const STREET_ADDRESS_PATTERN = new RegExp(
+  `\\b(?:(?:Flat|Apartment|Unit)\\s+\\d+[A-Za-z]?,?\\s+)?\\d{1,4}[A-Za-z]?,?\\s+(?:[A-Z][A-Za-z'-]+\\s+){1,3}(?:${STREET_SUFFIXES.join('|')})\\b`,
+  'g'
+)
+
+const MONTH_NAMES =
+  'January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec'
+
+const DATE_PATTERN = new RegExp(
+  [
+    '\\b\\d{1,2}[/.-]\\d{1,2}[/.-](?:\\d{4}|\\d{2})\\b',
+    `\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?:${MONTH_NAMES})\\.?,?\\s+\\d{4}\\b`,
+    `\\b(?:${MONTH_NAMES})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}\\b`
+  ].join('|'),
+  'g'
+)
+
+const DATE_OF_BIRTH_CONTEXT =
+  /\b(?:born|birthday|date of birth|d\.?o\.?b\.?)\b/i
+
+const CURRENT_VEHICLE_REGISTRATION_PATTERN = /\b[A-Z]{2}\d{2}\s?[A-Z]{3}\b/g
+
+const PREFIX_VEHICLE_REGISTRATION_PATTERN = /\b[A-HJ-NP-Y]\d{1,3}\s?[A-Z]{3}\b/g
+
+const VEHICLE_CONTEXT = /\b(?:car|van|vehicle|reg|registration|number plate)\b/i
+
+const SORT_CODE_PATTERN = /\b\d{2}([-\s])\d{2}\1\d{2}\b/g
+
+const ACCOUNT_NUMBER_PATTERN = /\b\d{8}\b/g
+
+const IBAN_PATTERN = /\bGB\d{2}\s?[A-Z]{4}(?:\s?\d{4}){3}\s?\d{2}\b/g
+
+const BANK_CONTEXT = /\b(?:sort code|account|bank|iban)\b/i
+
+/**
+ * Creates a typed PII span for a matched piece of text
+ * @param {string} type - One of PII_TYPES
+ * @param {number} start - Character offset where the span starts
+ * @param {string} text - The matched text
+ * @param {number} confidence - Confidence between 0 and 1
+ * @param {string} detector - Name of the detector that produced the span
+ * @returns {Object} The PII span
+ */
+export function createSpan(type, start, text, confidence, detector) {
+  return {
+    type,
+    start,
+    end: start + text.length,
+    text,
+    confidence,
+    detector
+  }
+}
+
+/**
+ * Runs a global regular expression over text and maps each match to a span
+ * The mapper may return null to discard a match
+ * @param {string} text - The text to search
+ * @param {RegExp} pattern - A regular expression with the global flag set
+ * @param {Function} mapMatch - Maps a RegExp match to a span or null
+ * @returns {Object[]} The spans produced by the mapper
+ */
+export function collectMatches(text, pattern, mapMatch) {
+  const spans = []
+  const regex = new RegExp(pattern.source, pattern.flags)
+
+  for (const match of text.matchAll(regex)) {
+    const span = mapMatch(match)
+    if (span) {
+      spans.push(span)
+    }
+  }
+
+  return spans
+}
+
+/**
+ * Checks whether a context pattern appears shortly before or after a span
+ * @param {string} text - The full text
+ * @param {number} start - Span start offset
+ * @param {number} end - Span end offset
+ * @param {RegExp} contextPattern - Pattern that indicates relevant context
+ * @returns {boolean} True if the context appears within the context window
+ */
+export function hasNearbyContext(text, start, end, contextPattern) {
+  const window = PII_DETECTION_DEFAULTS.CONTEXT_WINDOW_CHARACTERS
+  const surroundingText = text.slice(Math.max(0, start - window), end + window)
+
+  return contextPattern.test(surroundingText)
+}
+
+/**
+ * Detects email addresses
+ * @param {string} text - The text to scan
+ * @returns {Object[]} Email address spans
+ */
+export function detectEmailAddresses(text) {
+  return collectMatches(text, EMAIL_PATTERN, (match) =>
+    createSpan(
+      PII_TYPES.EMAIL,
+      match.index,
+      match[0],
+      PII_CONFIDENCE.CERTAIN,
+      'email-pattern'
+    )
+  )
+}
+
+/**
+ * Detects UK landline and mobile phone numbers, including +44 forms
+ * @param {string} text - The text to scan
+ * @returns {Object[]} Phone number spans
+ */
+export function detectPhoneNumbers(text) {
+  return collectMatches(text, UK_PHONE_PATTERN, (match) => {
+    const digits = match[0].replace(/\D/g, '')
+    const nationalNumber = digits.replace(/^(?:0044|44)0?|^0/, '')
+
+    if (nationalNumber.length < 9 || nationalNumber.length > 10) {
+      return null
+    }
+
+    return createSpan(
+      PII_TYPES.PHONE_NUMBER,
+      match.index,
+      match[0],
+      PII_CONFIDENCE.HIGH,
+      'uk-phone-pattern'
+    )
+  })
+}
+
+/**
+ * Detects National Insurance numbers, rejecting prefixes HMRC never issues
+ * @param {string} text - The text to scan
+ * @returns {Object[]} National Insurance number spans
+ */
+export function detectNationalInsuranceNumbers(text) {
+  return collectMatches(text, NATIONAL_INSURANCE_PATTERN, (match) => {
+    if (INVALID_NATIONAL_INSURANCE_PREFIXES.has(match[1].toUpperCase())) {
+      return null
+    }
+
+    const isUpperCase = match[0] === match[0].toUpperCase()
+
+    return createSpan(
+      PII_TYPES.NATIONAL_INSURANCE_NUMBER,
+      match.index,
+      match[0],
+      isUpperCase ? PII_CONFIDENCE.CERTAIN : PII_CONFIDENCE.MEDIUM_HIGH,
+      'national-insurance-pattern'
+    )
+  })
+}
+
+/**
+ * Detects UK postcodes
+ * Lower-case matches are reported with reduced confidence
+ * @param {string} text - The text to scan
+ * @returns {Object[]} Postcode spans
+ */
+export function detectPostcodes(text) {
+  return collectMatches(text, POSTCODE_PATTERN, (match) => {
+    const isUpperCase = match[0] === match[0].toUpperCase()
+
+    return createSpan(
+      PII_TYPES.POSTCODE,
+      match.index,
+      match[0],
+      isUpperCase ? PII_CONFIDENCE.HIGH : PII_CONFIDENCE.LOW,
+      'uk-postcode-pattern'
+    )
+  })
+}
+
+/**
+ * Detects street addresses made of a house number, street name and suffix
+ * @param {string} text - The text to scan
+ * @returns {Object[]} Street address spans
+ */
+export function detectStreetAddresses(text) {
+  return collectMatches(text, STREET_ADDRESS_PATTERN, (match) =>
+    createSpan(
+      PII_TYPES.STREET_ADDRESS,
+      match.index,
+      match[0],
+      PII_CONFIDENCE.MEDIUM_HIGH,
+      'street-address-pattern'
+    )
+  )
+}
+
+/**
+ * Detects dates that are likely to be dates of birth
+ * Dates near words such as "born" or "DOB" are reported with high confidence,
+ * other full dates with low confidence so the reviewer can decide
+ * @param {string} text - The text to scan
+ * @returns {Object[]} Date of birth spans
+ */
+export function detectDatesOfBirth(text) {
+  return collectMatches(text, DATE_PATTERN, (match) => {
+    const end = match.index + match[0].length
+    const hasContext = hasNearbyContext(
+      text,
+      match.index,
+      end,
+      DATE_OF_BIRTH_CONTEXT
+    )
+
+    return createSpan(
+      PII_TYPES.DATE_OF_BIRTH,
+      match.index,
+      match[0],
+      hasContext ? PII_CONFIDENCE.HIGH : PII_CONFIDENCE.VERY_LOW,
+      'date-pattern'
+    )
+  })
+}
+
+/**
+ * Detects current and prefix-style UK vehicle registrations
+ * @param {string} text - The text to scan
+ * @returns {Object[]} Vehicle registration spans
+ */
+export function detectVehicleRegistrations(text) {
+  const mapRegistration = (baseConfidence) => (match) => {
+    const end = match.index + match[0].length
+    const hasContext = hasNearbyContext(text, match.index, end, VEHICLE_CONTEXT)
+
+    return createSpan(
+      PII_TYPES.VEHICLE_REGISTRATION,
+      match.index,
+      match[0],
+      hasContext ? PII_CONFIDENCE.HIGH : baseConfidence,
+      'vehicle-registration-pattern'
+    )
+  }
+
+  return [
+    ...collectMatches(
+      text,
+      CURRENT_VEHICLE_REGISTRATION_PATTERN,
+      mapRegistration(PII_CONFIDENCE.MEDIUM_HIGH)
+    ),
+    ...collectMatches(
+      text,
+      PREFIX_VEHICLE_REGISTRATION_PATTERN,
+      mapRegistration(PII_CONFIDENCE.LOW)
+    )
+  ]
+}
+
+/**
+ * Detects sort codes, account numbers and UK IBANs
+ * Bare eight-digit numbers are only reported near banking words
+ * @param {string} text - The text to scan
+ * @returns {Object[]} Bank detail spans
+ */
+export function detectBankDetails(text) {
+  const sortCodes = collectMatches(text, SORT_CODE_PATTERN, (match) => {
+    const end = match.index + match[0].length
+    const hasContext = hasNearbyContext(text, match.index, end, BANK_CONTEXT)
+
+    if (!hasContext && match[1] !== '-') {
+      return null
+    }
+
+    return createSpan(
+      PII_TYPES.BANK_DETAILS,
+      match.index,
+      match[0],
+      hasContext ? PII_CONFIDENCE.CERTAIN : PII_CONFIDENCE.MEDIUM,
+      'sort-code-pattern'
+    )
+  })
+
+  const accountNumbers = collectMatches(
+    text,
+    ACCOUNT_NUMBER_PATTERN,
+    (match) => {
+      const end = match.index + match[0].length
+
+      if (!hasNearbyContext(text, match.index, end, BANK_CONTEXT)) {
+        return null
+      }
+
+      return createSpan(
+        PII_TYPES.BANK_DETAILS,
+        match.index,
+        match[0],
+        PII_CONFIDENCE.HIGH,
+        'account-number-pattern'
+      )
+    }
+  )
+
+  const ibans = collectMatches(text, IBAN_PATTERN, (match) =>
+    createSpan(
+      PII_TYPES.BANK_DETAILS,
+      match.index,
+      match[0],
+      PII_CONFIDENCE.CERTAIN,
+      'iban-pattern'
+    )
+  )
+
+  return [...sortCodes, ...accountNumbers, ...ibans]
+}
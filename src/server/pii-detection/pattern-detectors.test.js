@@ -0,0 +1,225 @@
+import {
+  collectMatches,
+  createSpan,
+  detectBankDetails,
+  detectDatesOfBirth,
+  detectEmailAddresses,
+  detectNationalInsuranceNumbers,
+  detectPhoneNumbers,
+  detectPostcodes,
+  detectStreetAddresses,
+  detectVehicleRegistrations,
+  hasNearbyContext
+} from './pattern-detectors.js'
+import { PII_CONFIDENCE, PII_TYPES } from '../common/constants/pii-constants.js'
+
+function textsOf(spans) {
+  return spans.map((span) => span.text)
+}
+
+describe('#pattern-detectors', () => {
+  describe('createSpan', () => {
+    test('Should calculate the end offset from the text length', () => {
+      expect(
+        createSpan(PII_TYPES.EMAIL, 5, 'a@b.com', 0.99, 'email-pattern')
+      ).toEqual({
+        type: PII_TYPES.EMAIL,
+        start: 5,
+        end: 12,
+        text: 'a@b.com',
+        confidence: 0.99,
+        detector: 'email-pattern'
+      })
+    })
+  })
+
+  describe('collectMatches', () => {
+    test('Should discard matches the mapper rejects', () => {
+      const spans = collectMatches('a1 b2 c3', /[a-z]\d/g, (match) =>
+        match[0] === 'b2' ? null : { text: match[0] }
+      )
+
+      expect(spans).toEqual([{ text: 'a1' }, { text: 'c3' }])
+    })
+  })
+
+  describe('hasNearbyContext', () => {
+    test('Should find context words within the context window', () => {
+      const text = 'My sort code is 12-34-56'
+      expect(hasNearbyContext(text, 16, 24, /sort code/i)).toBe(true)
+    })
+
+    test('Should ignore context words outside the context window', () => {
+      const text = `sort code${' '.repeat(100)}12-34-56`
+      expect(hasNearbyContext(text, 109, 117, /sort code/i)).toBe(false)
+    })
+  })
+
+  describe('detectEmailAddresses', () => {
+    test('Should detect email addresses with offsets', () => {
+      const text = 'Email me at sarah.jones@example.co.uk please'
+      const [span] = detectEmailAddresses(text)
+
+      expect(span.text).toBe('sarah.jones@example.co.uk')
+      expect(text.slice(span.start, span.end)).toBe(span.text)
+      expect(span.confidence).toBe(PII_CONFIDENCE.CERTAIN)
+    })
+
+    test('Should match the whole local part of an address within a longer run', () => {
+      expect(
+        textsOf(detectEmailAddresses('(sarah.jones@example.com)'))
+      ).toEqual(['sarah.jones@example.com'])
+    })
+
+    test.each([
+      ['letters', 'a'],
+      ['digits', '1']
+    ])(
+      'Should scan a 50,000 character run of %s with no address quickly',
+      (_, character) => {
+        const startedAt = performance.now()
+
+        expect(detectEmailAddresses(character.repeat(50_000))).toEqual([])
+        expect(performance.now() - startedAt).toBeLessThan(500)
+      }
+    )
+  })
+
+  describe('detectPhoneNumbers', () => {
+    test('Should detect UK mobile and landline formats', () => {
+      const text =
+        'Call 07700 900123, 07700900123, +44 7700 900123, (020) 7946 0958 or +44 (0)20 7946 0958.'
+
+      expect(textsOf(detectPhoneNumbers(text))).toEqual([
+        '07700 900123',
+        '07700900123',
+        '+44 7700 900123',
+        '(020) 7946 0958',
+        '+44 (0)20 7946 0958'
+      ])
+    })
+
+    test('Should ignore numbers that are too short to be phone numbers', () => {
+      expect(detectPhoneNumbers('Reference 012345 and 0123')).toEqual([])
+    })
+  })
+
+  describe('detectNationalInsuranceNumbers', () => {
+    test('Should detect spaced and unspaced National Insurance numbers', () => {
+      expect(
+        textsOf(detectNationalInsuranceNumbers('NI JG 10 37 59 A or AB123456C'))
+      ).toEqual(['JG 10 37 59 A', 'AB123456C'])
+    })
+
+    test('Should reject prefixes that are never issued', () => {
+      expect(detectNationalInsuranceNumbers('GB123456A and TN123456A')).toEqual(
+        []
+      )
+    })
+
+    test('Should reduce confidence for lower-case matches', () => {
+      const [span] = detectNationalInsuranceNumbers('ab123456c')
+      expect(span.confidence).toBe(PII_CONFIDENCE.MEDIUM_HIGH)
+    })
+  })
+
+  describe('detectPostcodes', () => {
+    test('Should detect UK postcode formats', () => {
+      expect(
+        textsOf(detectPostcodes('LS1 4AB, SW1A 1AA, M1 1AE, B338TH, CR2 6XH'))
+      ).toEqual(['LS1 4AB', 'SW1A 1AA', 'M1 1AE', 'B338TH', 'CR2 6XH'])
+    })
+
+    test('Should reduce confidence for lower-case postcodes', () => {
+      const [span] = detectPostcodes('ls1 4ab')
+      expect(span.confidence).toBe(PII_CONFIDENCE.LOW)
+    })
+  })
+
+  describe('detectStreetAddresses', () => {
+    test('Should detect house number, street name and suffix', () => {
+      expect(
+        textsOf(
+          detectStreetAddresses(
+            'I live at 14 Acacia Avenue and work at Flat 2, 7b Old Mill Lane.'
+          )
+        )
+      ).toEqual(['14 Acacia Avenue', 'Flat 2, 7b Old Mill Lane'])
+    })
+
+    test('Should ignore numbers without a street suffix', () => {
+      expect(detectStreetAddresses('I have 3 Children')).toEqual([])
+    })
+  })
+
+  describe('detectDatesOfBirth', () => {
+    test('Should report dates near birth context with high confidence', () => {
+      const spans = detectDatesOfBirth(
+        'I was born on 12/03/1985. DOB: 4th of July 1990. Birthday May 5, 1979'
+      )
+
+      expect(textsOf(spans)).toEqual([
+        '12/03/1985',
+        '4th of July 1990',
+        'May 5, 1979'
+      ])
+      expect(
+        spans.every((span) => span.confidence === PII_CONFIDENCE.HIGH)
+      ).toBe(true)
+    })
+
+    test('Should report other full dates with very low confidence', () => {
+      const [span] = detectDatesOfBirth('The meeting on 3 March 2024 went well')
+
+      expect(span.text).toBe('3 March 2024')
+      expect(span.confidence).toBe(PII_CONFIDENCE.VERY_LOW)
+    })
+  })
+
+  describe('detectVehicleRegistrations', () => {
+    test('Should detect current format registrations', () => {
+      const [span] = detectVehicleRegistrations('It was AB12 CDE')
+
+      expect(span.text).toBe('AB12 CDE')
+      expect(span.confidence).toBe(PII_CONFIDENCE.MEDIUM_HIGH)
+    })
+
+    test('Should raise confidence near vehicle context', () => {
+      const spans = detectVehicleRegistrations('My car reg is A123 BCD')
+
+      expect(textsOf(spans)).toEqual(['A123 BCD'])
+      expect(spans[0].confidence).toBe(PII_CONFIDENCE.HIGH)
+    })
+
+    test('Should ignore lower-case text', () => {
+      expect(detectVehicleRegistrations('ab12 cde')).toEqual([])
+    })
+  })
+
+  describe('detectBankDetails', () => {
+    test('Should detect sort codes, account numbers and IBANs near banking words', () => {
+      const spans = detectBankDetails(
+        'Sort code 12 34 56, account number 12345678, IBAN GB29 NWBK 6016 1331 9268 19'
+      )
+
+      expect(textsOf(spans)).toEqual([
+        '12 34 56',
+        '12345678',
+        'GB29 NWBK 6016 1331 9268 19'
+      ])
+    })
+
+    test('Should detect hyphenated sort codes without context at lower confidence', () => {
+      const [span] = detectBankDetails('It was 12-34-56')
+
+      expect(span.text).toBe('12-34-56')
+      expect(span.confidence).toBe(PII_CONFIDENCE.MEDIUM)
+    })
+
+    test('Should ignore bare eight digit numbers and spaced pairs without context', () => {
+      expect(detectBankDetails('Order 12345678 arrived at 10 30 45')).toEqual(
+        []
+      )
+    })
+  })
+})
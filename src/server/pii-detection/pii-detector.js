@@ -0,0 +1,82 @@
+import {
+  PII_DETECTION_DEFAULTS,
+  PII_TYPES
+} from '../common/constants/pii-constants.js'
+import { detectNames } from './name-detector.js'
+import {
+  detectBankDetails,
+  detectDatesOfBirth,
+  detectEmailAddresses,
+  detectNationalInsuranceNumbers,
+  detectPhoneNumbers,
+  detectPostcodes,
+  detectStreetAddresses,
+  detectVehicleRegistrations
+} from './pattern-detectors.js'
+
+const DETECTORS = [
+  detectEmailAddresses,
+  detectPhoneNumbers,
+  detectNationalInsuranceNumbers,
+  detectPostcodes,
+  detectStreetAddresses,
+  detectDatesOfBirth,
+  detectVehicleRegistrations,
+  detectBankDetails,
+  detectNames
+]
+
+function spansOverlap(first, second) {
+  return first.start < second.end && second.start < first.end
+}
+
+/**
+ * Resolves overlapping spans so each character belongs to at most one finding
+ * Higher confidence wins, then the longer span, then the earlier span
+ * @param {Object[]} spans - Spans that may overlap
+ * @returns {Object[]} Non-overlapping spans ordered by start offset
+ */
+export function resolveOverlappingSpans(spans) {
+  const byPriority = [...spans].sort(
+    (a, b) =>
+      b.confidence - a.confidence ||
+      b.end - b.start - (a.end - a.start) ||
+      a.start - b.start
+  )
+
+  const accepted = []
+  for (const span of byPriority) {
+    if (!accepted.some((acceptedSpan) => spansOverlap(span, acceptedSpan))) {
+      accepted.push(span)
+    }
+  }
+
+  return accepted.sort((a, b) => a.start - b.start)
+}
+
+/**
+ * Scans transcript text for personally identifiable information
+ * Runs entirely in-process so transcripts never leave the service before redaction
+ *
+ * @param {string} text - The transcript text to scan
+ * @param {Object} [options] - Detection options
+ * @param {string[]} [options.types] - PII_TYPES to report, defaults to all types
+ * @param {number} [options.minConfidence] - Discard spans below this confidence
+ * @returns {Object[]} Non-overlapping spans with type, start, end, text, confidence and detector
+ */
+export function detectPii(text, options = {}) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return []
+  }
+
+  const {
+    types = Object.values(PII_TYPES),
+    minConfidence = PII_DETECTION_DEFAULTS.MIN_CONFIDENCE
+  } = options
+
+  const spans = DETECTORS.flatMap((detector) => detector(text)).filter(
+    (span) => types.includes(span.type) && span.confidence >= minConfidence
+  )
+
+  return resolveOverlappingSpans(spans)
+}
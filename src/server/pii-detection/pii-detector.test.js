@@ -0,0 +1,84 @@
+import { detectPii, resolveOverlappingSpans } from './pii-detector.js'
+import { PII_TYPES } from '../common/constants/pii-constants.js'
+
+const TRANSCRIPT = `Interviewer: Thanks for joining. Could you introduce yourself?
+Sarah Jones: Hi, my name is Sarah Jones and I live at 14 Acacia Avenue, Leeds LS1 4AB.
+Interviewer: Thanks Sarah. What is the best way to contact you?
+Sarah Jones: Email sarah.jones@example.com or call 07700 900123.
+My NI number is JG 10 37 59 A and I was born on 12/03/1985. My car is AB12 CDE.
+My sort code is 12-34-56 and my account number is 12345678.`
+
+describe('#pii-detector', () => {
+  describe('detectPii', () => {
+    test('Should detect every supported PII type in a transcript', () => {
+      const types = new Set(detectPii(TRANSCRIPT).map((span) => span.type))
+
+      expect([...types].sort()).toEqual(Object.values(PII_TYPES).sort())
+    })
+
+    test('Should return spans whose offsets match their text', () => {
+      for (const span of detectPii(TRANSCRIPT)) {
+        expect(TRANSCRIPT.slice(span.start, span.end)).toBe(span.text)
+        expect(span.confidence).toBeGreaterThan(0)
+        expect(span.confidence).toBeLessThanOrEqual(1)
+      }
+    })
+
+    test('Should return non-overlapping spans ordered by offset', () => {
+      const spans = detectPii(TRANSCRIPT)
+
+      for (let index = 1; index < spans.length; index++) {
+        expect(spans[index].start).toBeGreaterThanOrEqual(spans[index - 1].end)
+      }
+    })
+
+    test('Should restrict results to the requested types', () => {
+      const spans = detectPii(TRANSCRIPT, {
+        types: [PII_TYPES.EMAIL, PII_TYPES.POSTCODE]
+      })
+
+      expect(spans.map((span) => span.text)).toEqual([
+        'LS1 4AB',
+        'sarah.jones@example.com'
+      ])
+    })
+
+    test('Should discard spans below the minimum confidence', () => {
+      const spans = detectPii('The meeting on 3 March 2024 went well', {
+        minConfidence: 0.5
+      })
+
+      expect(spans).toEqual([])
+    })
+
+    test('Should return an empty array for empty or non-string input', () => {
+      expect(detectPii('')).toEqual([])
+      expect(detectPii('   ')).toEqual([])
+      expect(detectPii(undefined)).toEqual([])
+    })
+  })
+
+  describe('resolveOverlappingSpans', () => {
+    test('Should keep the higher confidence span when spans overlap', () => {
+      const spans = resolveOverlappingSpans([
+        { start: 0, end: 10, confidence: 0.5 },
+        { start: 5, end: 8, confidence: 0.9 },
+        { start: 12, end: 14, confidence: 0.3 }
+      ])
+
+      expect(spans).toEqual([
+        { start: 5, end: 8, confidence: 0.9 },
+        { start: 12, end: 14, confidence: 0.3 }
+      ])
+    })
+
+    test('Should prefer the longer span when confidence is equal', () => {
+      const spans = resolveOverlappingSpans([
+        { start: 0, end: 5, confidence: 0.8 },
+        { start: 0, end: 11, confidence: 0.8 }
+      ])
+
+      expect(spans).toEqual([{ start: 0, end: 11, confidence: 0.8 }])
+    })
+  })
+})
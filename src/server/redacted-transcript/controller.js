@@ -0,0 +1,287 @@
+import { saveTranscriptDraft } from '../authentication/transcript-repository.js'
+import { ROLE_REQUIREMENTS } from '../common/constants/authentication-constants.js'
+import {
+  DOWNLOAD_FORMAT_LABELS,
+  REDACTED_TRANSCRIPT_FIELDS,
+  REDACTED_TRANSCRIPT_MESSAGES,
+  REDACTED_TRANSCRIPT_ROUTES,
+  REDACTION_STRATEGIES,
+  REDACTION_STRATEGY_HINTS,
+  REDACTION_STRATEGY_LABELS
+} from '../common/constants/redacted-transcript-constants.js'
+import { loadReview } from '../review-pii/load-review.js'
+import {
+  applyRedactions,
+  buildRedactionHeader,
+  getRedactionStrategy
+} from './redaction-service.js'
+import { buildDownload, isSupportedFormat } from './output-formatters.js'
+
+function buildDownloadLinks() {
+  return Object.entries(DOWNLOAD_FORMAT_LABELS).map(([format, text]) => ({
+    format,
+    text,
+    href: REDACTED_TRANSCRIPT_ROUTES.DOWNLOAD_PATH.replace('{format}', format)
+  }))
+}
+
+function buildStrategyOptions(selectedStrategy) {
+  return Object.values(REDACTION_STRATEGIES).map((strategy) => ({
+    value: strategy,
+    text: REDACTION_STRATEGY_LABELS[strategy],
+    hint: REDACTION_STRATEGY_HINTS[strategy],
+    checked: strategy === selectedStrategy
+  }))
+}
+
+function buildOutputViewModel(review, errors = {}) {
+  const output = applyRedactions(review)
+
+  return {
+    header: buildRedactionHeader(output),
+    redactedText: output.text,
+    strategyOptions: buildStrategyOptions(output.strategy),
+    downloads: buildDownloadLinks(),
+    errors,
+    errorList: errors.strategy
+      ? [
+          {
+            text: errors.strategy,
+            href: `#${REDACTED_TRANSCRIPT_FIELDS.STRATEGY}`
+          }
+        ]
+      : []
+  }
+}
+
+/**
+ * Controller for previewing the redacted transcript
+ */
+export const redactedTranscriptController = {
+  handler: async (request, h) => {
+    const requestId = request.info?.id || 'unknown'
+    const traceId = request.headers?.['x-trace-id'] || requestId
+
+    request.log(['debug'], {
+      level: 'DEBUG',
+      message: 'Redacted transcript route accessed',
+      requestId,
+      traceId,
+      path: REDACTED_TRANSCRIPT_ROUTES.OUTPUT_PATH,
+      method: request.method
+    })
+
+    try {
+      const { redirect, review } = await loadReview(
+        request,
+        h,
+        requestId,
+        traceId
+      )
+
+      if (redirect) {
+        return redirect
+      }
+
+      request.log(['info'], {
+        level: 'INFO',
+        message: 'Rendering redacted transcript page',
+        requestId,
+        traceId,
+        strategy: getRedactionStrategy(review),
+        decision: 'RENDER_PAGE',
+        reason: 'Transcript draft found'
+      })
+
+      return h.view(
+        REDACTED_TRANSCRIPT_ROUTES.OUTPUT_VIEW_PATH,
+        buildOutputViewModel(review)
+      )
+    } catch (error) {
+      request.log(['error'], {
+        level: 'ERROR',
+        message: 'Error accessing redacted transcript page',
+        requestId,
+        traceId,
+        errorCode: 'REDACTED_TRANSCRIPT_PAGE_ERROR',
+        errorMessage: error.message,
+        decision: 'REDIRECT_TO_ROOT',
+        reason: 'Exception during page access'
+      })
+
+      return h.redirect('/')
+    }
+  },
+  options: {
+    auth: { scope: ROLE_REQUIREMENTS.TRANSCRIPT_WORK }
+  }
+}
+
+/**
+ * Controller for choosing how redacted items are replaced
+ * The choice is saved with the transcript so downloads use the same strategy
+ */
+export const redactedTranscriptStrategyController = {
+  handler: async (request, h) => {
+    const requestId = request.info?.id || 'unknown'
+    const traceId = request.headers?.['x-trace-id'] || requestId
+
+    request.log(['debug'], {
+      level: 'DEBUG',
+      message: 'Redaction strategy submitted',
+      requestId,
+      traceId,
+      path: REDACTED_TRANSCRIPT_ROUTES.OUTPUT_PATH,
+      method: request.method
+    })
+
+    try {
+      const { redirect, sessionId, review } = await loadReview(
+        request,
+        h,
+        requestId,
+        traceId
+      )
+
+      if (redirect) {
+        return redirect
+      }
+
+      const strategy = request.payload?.[REDACTED_TRANSCRIPT_FIELDS.STRATEGY]
+
+      if (!Object.values(REDACTION_STRATEGIES).includes(strategy)) {
+        request.log(['info'], {
+          level: 'INFO',
+          message: 'Redaction strategy failed validation',
+          requestId,
+          traceId,
+          decision: 'RENDER_PAGE_WITH_ERRORS',
+          reason: 'Validation failed'
+        })
+
+        return h.view(
+          REDACTED_TRANSCRIPT_ROUTES.OUTPUT_VIEW_PATH,
+          buildOutputViewModel(review, {
+            strategy: REDACTED_TRANSCRIPT_MESSAGES.STRATEGY_REQUIRED
+          })
+        )
+      }
+
+      await saveTranscriptDraft(sessionId, {
+        ...review,
+        redaction_strategy: strategy
+      })
+
+      request.log(['info'], {
+        level: 'INFO',
+        message: 'Redaction strategy saved',
+        requestId,
+        traceId,
+        strategy,
+        decision: 'REDIRECT_TO_OUTPUT',
+        reason: 'Strategy saved'
+      })
+
+      return h.redirect(REDACTED_TRANSCRIPT_ROUTES.OUTPUT_PATH)
+    } catch (error) {
+      request.log(['error'], {
+        level: 'ERROR',
+        message: 'Error saving redaction strategy',
+        requestId,
+        traceId,
+        errorCode: 'REDACTION_STRATEGY_ERROR',
+        errorMessage: error.message,
+        decision: 'REDIRECT_TO_ROOT',
+        reason: 'Exception during strategy update'
+      })
+
+      return h.redirect('/')
+    }
+  },
+  options: {
+    auth: { scope: ROLE_REQUIREMENTS.TRANSCRIPT_WORK }
+  }
+}
+
+/**
+ * Controller for downloading the redacted transcript as txt, md or docx
+ */
+export const redactedTranscriptDownloadController = {
+  handler: async (request, h) => {
+    const requestId = request.info?.id || 'unknown'
+    const traceId = request.headers?.['x-trace-id'] || requestId
+    const { format } = request.params
+
+    request.log(['debug'], {
+      level: 'DEBUG',
+      message: 'Redacted transcript download requested',
+      requestId,
+      traceId,
+      format,
+      method: request.method
+    })
+
+    try {
+      if (!isSupportedFormat(format)) {
+        request.log(['info'], {
+          level: 'INFO',
+          message: 'Unsupported download format, redirecting to output page',
+          requestId,
+          traceId,
+          format,
+          decision: 'REDIRECT_TO_OUTPUT',
+          reason: 'Unsupported download format'
+        })
+        return h.redirect(REDACTED_TRANSCRIPT_ROUTES.OUTPUT_PATH)
+      }
+
+      const { redirect, review } = await loadReview(
+        request,
+        h,
+        requestId,
+        traceId
+      )
+
+      if (redirect) {
+        return redirect
+      }
+
+      const download = await buildDownload(applyRedactions(review), format)
+
+      request.log(['info'], {
+        level: 'INFO',
+        message: 'Sending redacted transcript download',
+        requestId,
+        traceId,
+        format,
+        decision: 'SEND_DOWNLOAD',
+        reason: 'Transcript draft found'
+      })
+
+      return h
+        .response(download.body)
+        .type(download.contentType)
+        .header(
+          'content-disposition',
+          `attachment; filename="${download.fileName}"`
+        )
+        .header('cache-control', 'no-store')
+    } catch (error) {
+      request.log(['error'], {
+        level: 'ERROR',
+        message: 'Error building redacted transcript download',
+        requestId,
+        traceId,
+        errorCode: 'REDACTED_TRANSCRIPT_DOWNLOAD_ERROR',
+        errorMessage: error.message,
+        decision: 'REDIRECT_TO_ROOT',
+        reason: 'Exception during download'
+      })
+
+      return h.redirect('/')
+    }
+  },
+  options: {
+    auth: { scope: ROLE_REQUIREMENTS.TRANSCRIPT_WORK }
+  }
+}
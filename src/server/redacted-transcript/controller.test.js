@@ -0,0 +1,248 @@
+import { vi } from 'vitest'
+import { createServer } from '../server.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+import {
+  createMockRequest,
+  createMockH
+} from '../common/test-helpers/mock-request.js'
+import { getSessionFromId } from '../authentication/authentication-service.js'
+import {
+  getTranscriptDraft,
+  saveTranscriptDraft
+} from '../authentication/transcript-repository.js'
+import {
+  redactedTranscriptController,
+  redactedTranscriptDownloadController
+} from './controller.js'
+import { issueCsrfToken } from '../common/helpers/csrf/csrf-token.js'
+
+// Mock the buildRedisClient function to return our mock
+vi.mock('../common/helpers/redis-client.js', () => {
+  const mockRedisClient = {
+    set: vi.fn().mockResolvedValue('OK'),
+    get: vi.fn().mockResolvedValue(null),
+    del: vi.fn().mockResolvedValue(1),
+    exists: vi.fn().mockResolvedValue(0),
+    on: vi.fn()
+  }
+
+  return {
+    buildRedisClient: vi.fn(() => mockRedisClient),
+    __mockRedisClient: mockRedisClient
+  }
+})
+
+// Mock authentication service
+vi.mock('../authentication/authentication-service.js', () => ({
+  getSessionFromId: vi.fn(),
+  extendSessionExpiry: vi.fn((session) => Promise.resolve(session))
+}))
+
+// Mock transcript repository
+vi.mock('../authentication/transcript-repository.js', () => ({
+  getTranscriptDraft: vi.fn(),
+  saveTranscriptDraft: vi.fn()
+}))
+
+const REVIEW = {
+  transcript_text: 'P1: I am Sarah.\nInterviewer: Thanks <b>Sarah</b>.',
+  findings: [
+    { id: 'finding-1', type: 'name', start: 9, end: 14, status: 'accepted' },
+    { id: 'finding-2', type: 'name', start: 37, end: 42, status: 'rejected' }
+  ]
+}
+
+describe('#redactedTranscriptController', () => {
+  let server
+  let sessionCookie
+  const csrfToken = issueCsrfToken('valid-session-id')
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+
+    const [setCookieHeader] = await server.states.format({
+      name: 'session',
+      value: 'valid-session-id'
+    })
+    sessionCookie = setCookieHeader.split(';')[0]
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    getSessionFromId.mockResolvedValue({
+      session_id: 'valid-session-id',
+      session_token: 'valid-token',
+      user: { oid: 'user-oid', roles: ['Researcher'] }
+    })
+    getTranscriptDraft.mockResolvedValue(REVIEW)
+  })
+
+  describe('GET /redacted-transcript', () => {
+    test('Should preview the redacted transcript with its header', async () => {
+      const { statusCode, result } = await server.inject({
+        method: 'GET',
+        url: '/redacted-transcript',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).toContain('Step 3 of 3')
+      expect(result).toContain(
+        'P1: I am [NAME].\nInterviewer: Thanks &lt;b&gt;Sarah&lt;/b&gt;.'
+      )
+      expect(result).toContain('Items redacted: 1')
+      expect(result).toContain('Name: 1')
+      expect(result).toContain('href="/redacted-transcript/download/docx"')
+      expect(result).toContain('data-module="app-copy-button"')
+    })
+
+    test('Should redirect to the upload page when there is no transcript', async () => {
+      getTranscriptDraft.mockResolvedValueOnce(null)
+      const mockH = createMockH()
+
+      await redactedTranscriptController.handler(
+        createMockRequest({ credentials: { sessionId: 'valid-session-id' } }),
+        mockH
+      )
+
+      expect(mockH.redirect).toHaveBeenCalledWith('/upload-document')
+    })
+
+    test('Should redirect to login when no session cookie present', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/redacted-transcript'
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/login?returnTo=%2Fredacted-transcript')
+      expect(getTranscriptDraft).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('POST /redacted-transcript', () => {
+    test('Should save the chosen strategy and redirect to the preview', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'POST',
+        url: '/redacted-transcript',
+        headers: {
+          'content-type': 'application/x-www-form-urlencoded',
+          cookie: sessionCookie,
+          'x-csrf-token': csrfToken
+        },
+        payload: 'redaction-strategy=pseudonym'
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/redacted-transcript')
+      expect(saveTranscriptDraft).toHaveBeenCalledWith('valid-session-id', {
+        ...REVIEW,
+        redaction_strategy: 'pseudonym'
+      })
+    })
+
+    test('Should show an error when no strategy is chosen', async () => {
+      const { statusCode, result } = await server.inject({
+        method: 'POST',
+        url: '/redacted-transcript',
+        headers: {
+          'content-type': 'application/x-www-form-urlencoded',
+          cookie: sessionCookie,
+          'x-csrf-token': csrfToken
+        },
+        payload: 'redaction-strategy=shred'
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).toContain('Error: Your redacted transcript')
+      expect(result).toContain('href="#redaction-strategy"')
+      expect(result).toContain('Select how you want items to be redacted')
+      expect(saveTranscriptDraft).not.toHaveBeenCalled()
+    })
+
+    test('Should preview the saved strategy', async () => {
+      getTranscriptDraft.mockResolvedValueOnce({
+        ...REVIEW,
+        redaction_strategy: 'pseudonym'
+      })
+
+      const { result } = await server.inject({
+        method: 'GET',
+        url: '/redacted-transcript',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(result).toContain('P1: I am Colleague 1.')
+      expect(result).toContain(
+        'value="pseudonym" aria-describedby="redaction-strategy-hint" checked'
+      )
+    })
+  })
+
+  describe('GET /redacted-transcript/download/{format}', () => {
+    test('Should download the transcript as plain text', async () => {
+      const { statusCode, headers, result } = await server.inject({
+        method: 'GET',
+        url: '/redacted-transcript/download/txt',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(headers['content-type']).toBe('text/plain; charset=utf-8')
+      expect(headers['content-disposition']).toBe(
+        'attachment; filename="redacted-transcript.txt"'
+      )
+      expect(headers['cache-control']).toBe('no-store')
+      expect(result).toContain('Redacted transcript\nRedacted on ')
+      expect(result).toContain('P1: I am [NAME].')
+    })
+
+    test('Should download the transcript as a Word document', async () => {
+      const { statusCode, headers, rawPayload } = await server.inject({
+        method: 'GET',
+        url: '/redacted-transcript/download/docx',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(headers['content-type']).toBe(
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+      )
+      expect(rawPayload.subarray(0, 2).toString()).toBe('PK')
+    })
+
+    test('Should redirect to the output page for unsupported formats', async () => {
+      const mockRequest = createMockRequest({
+        credentials: { sessionId: 'valid-session-id' }
+      })
+      mockRequest.params = { format: 'pdf' }
+      const mockH = createMockH()
+
+      await redactedTranscriptDownloadController.handler(mockRequest, mockH)
+
+      expect(mockH.redirect).toHaveBeenCalledWith('/redacted-transcript')
+      expect(getTranscriptDraft).not.toHaveBeenCalled()
+    })
+
+    test('Should redirect to login when user is not authenticated', async () => {
+      getSessionFromId.mockResolvedValueOnce(null)
+
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/redacted-transcript/download/txt',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe(
+        '/login?returnTo=%2Fredacted-transcript%2Fdownload%2Ftxt'
+      )
+      expect(getTranscriptDraft).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,33 @@
+import {
+  redactedTranscriptController,
+  redactedTranscriptDownloadController,
+  redactedTranscriptStrategyController
+} from './controller.js'
+
+/**
+ * Sets up the redacted transcript routes
+ */
+export const redactedTranscript = {
+  plugin: {
+    name: 'redacted-transcript',
+    register(server) {
+      server.route([
+        {
+          method: 'GET',
+          path: '/redacted-transcript',
+          ...redactedTranscriptController
+        },
+        {
+          method: 'POST',
+          path: '/redacted-transcript',
+          ...redactedTranscriptStrategyController
+        },
+        {
+          method: 'GET',
+          path: '/redacted-transcript/download/{format}',
+          ...redactedTranscriptDownloadController
+        }
+      ])
+    }
+  }
+}
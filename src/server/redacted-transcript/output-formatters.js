@@ -0,0 +1,161 @@
+import { Document, HeadingLevel, Packer, Paragraph } from 'docx'
+
+import {
+  DOWNLOAD_CONTENT_TYPES,
+  DOWNLOAD_FORMATS,
+  REDACTED_TRANSCRIPT_FILE_NAME
+} from '../common/constants/redacted-transcript-constants.js'
+import { buildRedactionHeader } from './redaction-service.js'
+
+// Characters that format text anywhere in a line, and markers that start a
+// heading, list or setext underline at the start of a line
+const MARKDOWN_INLINE_CHARACTERS = /[\\`*_[\]<>|~&]/g
+const MARKDOWN_LINE_START_MARKER = /^(\s*)([#+=-])/
+const MARKDOWN_ORDERED_LIST_MARKER = /^(\s*\d+)([.)])/
+
+/**
+ * Escapes a transcript line so Markdown shows it as written, rather than
+ * treating speaker names or what was said as formatting
+ *
+ * @param {string} line - A line of the redacted transcript
+ * @returns {string} The line with Markdown syntax backslash escaped
+ */
+function escapeMarkdown(line) {
+  return line
+    .replace(MARKDOWN_INLINE_CHARACTERS, '\\$&')
+    .replace(MARKDOWN_LINE_START_MARKER, '$1\\$2')
+    .replace(MARKDOWN_ORDERED_LIST_MARKER, '$1\\$2')
+}
+
+/**
+ * Formats the redacted transcript as plain text with the header above a divider
+ *
+ * @param {Object} output - Result of applyRedactions
+ * @returns {string} Plain text document
+ */
+export function formatAsText(output) {
+  const header = buildRedactionHeader(output)
+
+  return [
+    header.title,
+    header.dateLine,
+    header.strategyLine,
+    header.countsTitle,
+    ...header.countLines.map((line) => `- ${line}`),
+    '',
+    '---',
+    '',
+    output.text,
+    ''
+  ].join('\n')
+}
+
+/**
+ * Formats the redacted transcript as Markdown
+ * Transcript lines are escaped so they read as written, and line breaks become
+ * hard breaks so speaker turns stay on their own lines
+ *
+ * @param {Object} output - Result of applyRedactions
+ * @returns {string} Markdown document
+ */
+export function formatAsMarkdown(output) {
+  const header = buildRedactionHeader(output)
+  const body = output.text
+    .split('\n')
+    .map((line, index, lines) =>
+      line !== '' && lines[index + 1]
+        ? `${escapeMarkdown(line)}  `
+        : escapeMarkdown(line)
+    )
+    .join('\n')
+
+  return [
+    `# ${header.title}`,
+    '',
+    header.dateLine,
+    '',
+    header.strategyLine,
+    '',
+    `**${header.countsTitle}**`,
+    ...(header.countLines.length > 0
+      ? ['', ...header.countLines.map((line) => `- ${line}`)]
+      : []),
+    '',
+    '---',
+    '',
+    body,
+    ''
+  ].join('\n')
+}
+
+/**
+ * Formats the redacted transcript as a Word document
+ *
+ * @param {Object} output - Result of applyRedactions
+ * @returns {Promise<Buffer>} .docx file contents
+ */
+export async function formatAsDocx(output) {
+  const header = buildRedactionHeader(output)
+
+  const document = new Document({
+    title: header.title,
+    sections: [
+      {
+        children: [
+          new Paragraph({ text: header.title, heading: HeadingLevel.TITLE }),
+          new Paragraph({ text: header.dateLine }),
+          new Paragraph({ text: header.strategyLine }),
+          new Paragraph({
+            text: header.countsTitle,
+            heading: HeadingLevel.HEADING_2
+          }),
+          ...header.countLines.map(
+            (line) => new Paragraph({ text: line, bullet: { level: 0 } })
+          ),
+          ...output.text
+            .split('\n')
+            .map((line) => new Paragraph({ text: line }))
+        ]
+      }
+    ]
+  })
+
+  return Packer.toBuffer(document)
+}
+
+const FORMATTERS = {
+  [DOWNLOAD_FORMATS.TEXT]: formatAsText,
+  [DOWNLOAD_FORMATS.MARKDOWN]: formatAsMarkdown,
+  [DOWNLOAD_FORMATS.WORD]: formatAsDocx
+}
+
+/**
+ * Checks whether a download format is supported
+ *
+ * @param {string} format - Requested file extension
+ * @returns {boolean} True when the format can be produced
+ */
+export function isSupportedFormat(format) {
+  return Object.hasOwn(FORMATTERS, format ?? '')
+}
+
+/**
+ * Builds a downloadable file for the redacted transcript
+ *
+ * @param {Object} output - Result of applyRedactions
+ * @param {string} format - One of DOWNLOAD_FORMATS
+ * @returns {Promise<Object>} File body, content type and file name
+ */
+export async function buildDownload(output, format) {
+  if (!isSupportedFormat(format)) {
+    const error = new Error(`Unsupported download format: ${format}`)
+    error.code = 'UNSUPPORTED_DOWNLOAD_FORMAT'
+    throw error
+  }
+
+  return {
+    body: await FORMATTERS[format](output),
+    contentType: DOWNLOAD_CONTENT_TYPES[format],
+    fileName: `${REDACTED_TRANSCRIPT_FILE_NAME}.${format}`
+  }
+}
@@ -0,0 +1,104 @@
+import JSZip from 'jszip'
+
+import {
+  buildDownload,
+  formatAsDocx,
+  formatAsMarkdown,
+  formatAsText,
+  isSupportedFormat
+} from './output-formatters.js'
+
+const OUTPUT = {
+  text: 'Interviewer: Hello [NAME]\nP1: Hi',
+  counts: [{ type: 'name', label: 'Name', count: 1 }],
+  totalRedacted: 1,
+  strategy: 'pseudonym',
+  redactedAt: new Date('2026-03-14T10:00:00Z')
+}
+
+describe('#output-formatters', () => {
+  describe('formatAsText', () => {
+    test('Should put the redaction header above the transcript', () => {
+      expect(formatAsText(OUTPUT)).toBe(
+        [
+          'Redacted transcript',
+          'Redacted on 14 March 2026',
+          'Redaction method: consistent pseudonyms',
+          'Items redacted: 1',
+          '- Name: 1',
+          '',
+          '---',
+          '',
+          'Interviewer: Hello [NAME]',
+          'P1: Hi',
+          ''
+        ].join('\n')
+      )
+    })
+  })
+
+  describe('formatAsMarkdown', () => {
+    test('Should render the header as Markdown and keep speaker turns on separate lines', () => {
+      const markdown = formatAsMarkdown(OUTPUT)
+
+      expect(markdown).toContain(
+        '# Redacted transcript\n\nRedacted on 14 March 2026'
+      )
+      expect(markdown).toContain('Redaction method: consistent pseudonyms')
+      expect(markdown).toContain('**Items redacted: 1**\n\n- Name: 1')
+      expect(markdown).toContain('Interviewer: Hello \\[NAME\\]  \nP1: Hi\n')
+    })
+
+    test('Should escape Markdown syntax in the transcript so it reads as written', () => {
+      const markdown = formatAsMarkdown({
+        ...OUTPUT,
+        text: [
+          '# P1: I said *really* and _maybe_',
+          '- Interviewer: see [this](http://example.com) or `code`',
+          '1. P2: > quoted <b>html</b> & more',
+          '---'
+        ].join('\n')
+      })
+
+      expect(markdown.split('---\n\n')[1]).toBe(
+        [
+          '\\# P1: I said \\*really\\* and \\_maybe\\_  ',
+          '\\- Interviewer: see \\[this\\](http://example.com) or \\`code\\`  ',
+          '1\\. P2: \\> quoted \\<b\\>html\\</b\\> \\& more  ',
+          '\\---',
+          ''
+        ].join('\n')
+      )
+    })
+  })
+
+  describe('formatAsDocx', () => {
+    test('Should produce a Word document containing the header and transcript', async () => {
+      const buffer = await formatAsDocx(OUTPUT)
+      const zip = await JSZip.loadAsync(buffer)
+      const documentXml = await zip.file('word/document.xml').async('string')
+
+      expect(documentXml).toContain('Redacted on 14 March 2026')
+      expect(documentXml).toContain('Name: 1')
+      expect(documentXml).toContain('Interviewer: Hello [NAME]')
+    })
+  })
+
+  describe('buildDownload', () => {
+    test('Should describe the file for each supported format', async () => {
+      await expect(buildDownload(OUTPUT, 'md')).resolves.toEqual({
+        body: formatAsMarkdown(OUTPUT),
+        contentType: 'text/markdown; charset=utf-8',
+        fileName: 'redacted-transcript.md'
+      })
+    })
+
+    test('Should reject unsupported formats', async () => {
+      expect(isSupportedFormat('pdf')).toBe(false)
+      expect(isSupportedFormat('txt')).toBe(true)
+      await expect(buildDownload(OUTPUT, 'pdf')).rejects.toMatchObject({
+        code: 'UNSUPPORTED_DOWNLOAD_FORMAT'
+      })
+    })
+  })
+})
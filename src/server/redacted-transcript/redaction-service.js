@@ -0,0 +1,124 @@
+import { formatDate } from '../../config/nunjucks/filters/format-date.js'
+import {
+  FINDING_STATUSES,
+  REDACTION_TYPE_LABELS
+} from '../common/constants/review-pii-constants.js'
+import {
+  DEFAULT_REDACTION_STRATEGY,
+  REDACTION_HEADER,
+  REDACTION_STRATEGIES,
+  REDACTION_STRATEGY_LABELS
+} from '../common/constants/redacted-transcript-constants.js'
+import { parseSpeakerTurns } from '../transcript-parsing/speaker-turn-parser.js'
+import { createReplacer } from './redaction-strategies.js'
+
+/**
+ * Decides whether a finding should be removed from the output
+ * Findings the researcher has not reviewed are redacted, so nothing is
+ * released by accident
+ */
+function shouldRedact(finding) {
+  return finding.status !== FINDING_STATUSES.REJECTED
+}
+
+/**
+ * Returns the saved redaction strategy for a review, or the default when
+ * none has been chosen
+ *
+ * @param {Object} review - The transcript review
+ * @returns {string} One of REDACTION_STRATEGIES
+ */
+export function getRedactionStrategy(review) {
+  return Object.values(REDACTION_STRATEGIES).includes(review.redaction_strategy)
+    ? review.redaction_strategy
+    : DEFAULT_REDACTION_STRATEGY
+}
+
+function selectRedactedFindings(review) {
+  const findings = review.findings
+    .filter(shouldRedact)
+    .sort((a, b) => a.start - b.start)
+  const selected = []
+  let position = 0
+
+  for (const finding of findings) {
+    if (finding.start >= position) {
+      selected.push({
+        ...finding,
+        text: review.transcript_text.slice(finding.start, finding.end)
+      })
+      position = finding.end
+    }
+  }
+
+  return selected
+}
+
+function countRedactions(redactedFindings) {
+  return Object.entries(REDACTION_TYPE_LABELS)
+    .map(([type, label]) => ({
+      type,
+      label,
+      count: redactedFindings.filter((finding) => finding.type === type).length
+    }))
+    .filter((row) => row.count > 0)
+}
+
+/**
+ * Applies the reviewed redactions to the transcript
+ *
+ * @param {Object} review - The transcript review
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - Redaction strategy, defaults to the one saved on the review
+ * @param {Date} [options.redactedAt] - When the redaction was produced
+ * @returns {Object} The redacted text, strategy, per-category counts and redaction date
+ */
+export function applyRedactions(review, options = {}) {
+  const { strategy = getRedactionStrategy(review), redactedAt = new Date() } =
+    options
+  const redactedFindings = selectRedactedFindings(review)
+  const { speakers } = parseSpeakerTurns(review.transcript_text)
+  const replace = createReplacer(strategy, redactedFindings, speakers)
+  let text = ''
+  let position = 0
+
+  for (const finding of redactedFindings) {
+    text += review.transcript_text.slice(position, finding.start)
+    text += replace(finding)
+    position = finding.end
+  }
+
+  text += review.transcript_text.slice(position)
+
+  return {
+    text,
+    strategy,
+    counts: countRedactions(redactedFindings),
+    totalRedacted: redactedFindings.length,
+    redactedAt
+  }
+}
+
+/**
+ * Builds the header lines recorded at the top of every output
+ *
+ * @param {Object} output - Result of applyRedactions
+ * @returns {Object} Title, date and method lines, and one line per redacted category
+ */
+export function buildRedactionHeader(output) {
+  return {
+    title: REDACTION_HEADER.TITLE,
+    dateLine: `${REDACTION_HEADER.DATE_PREFIX} ${formatDate(
+      output.redactedAt,
+      REDACTION_HEADER.DATE_FORMAT
+    )}`,
+    strategyLine: `${REDACTION_HEADER.STRATEGY_PREFIX}: ${REDACTION_STRATEGY_LABELS[
+      output.strategy
+    ].toLowerCase()}`,
+    countsTitle:
+      output.totalRedacted > 0
+        ? `${REDACTION_HEADER.COUNTS_PREFIX}: ${output.totalRedacted}`
+        : REDACTION_HEADER.NO_ITEMS,
+    countLines: output.counts.map((row) => `${row.label}: ${row.count}`)
+  }
+}
@@ -0,0 +1,134 @@
+import {
+  applyRedactions,
+  buildRedactionHeader,
+  getRedactionStrategy
+} from './redaction-service.js'
+import { createTranscriptReview } from '../review-pii/review-service.js'
+
+const REDACTED_AT = new Date('2026-03-14T10:00:00Z')
+
+function buildReview(findings) {
+  return {
+    transcript_text:
+      'P1: I am Sarah Jones, email sarah@example.com, in LS1 4AB.',
+    findings
+  }
+}
+
+const SARAH = { type: 'name', start: 9, end: 20, status: 'accepted' }
+const EMAIL = { type: 'email', start: 28, end: 45, status: 'pending' }
+const POSTCODE = { type: 'postcode', start: 50, end: 57, status: 'rejected' }
+
+describe('#redaction-service', () => {
+  describe('applyRedactions', () => {
+    test('Should redact accepted and unreviewed findings but keep rejected ones', () => {
+      const output = applyRedactions(buildReview([SARAH, EMAIL, POSTCODE]), {
+        redactedAt: REDACTED_AT
+      })
+
+      expect(output.text).toBe(
+        'P1: I am [NAME], email [EMAIL ADDRESS], in LS1 4AB.'
+      )
+      expect(output.totalRedacted).toBe(2)
+      expect(output.counts).toEqual([
+        { type: 'name', label: 'Name', count: 1 },
+        { type: 'email', label: 'Email address', count: 1 }
+      ])
+      expect(output.redactedAt).toBe(REDACTED_AT)
+      expect(output.strategy).toBe('token')
+    })
+
+    test('Should return the original text when nothing is redacted', () => {
+      const output = applyRedactions(buildReview([POSTCODE]), {
+        redactedAt: REDACTED_AT
+      })
+
+      expect(output.text).toBe(buildReview([]).transcript_text)
+      expect(output.counts).toEqual([])
+    })
+
+    test('Should skip findings that overlap an earlier redaction', () => {
+      const output = applyRedactions(
+        buildReview([
+          SARAH,
+          { type: 'other', start: 15, end: 27, status: 'accepted' }
+        ]),
+        {
+          redactedAt: REDACTED_AT
+        }
+      )
+
+      expect(output.text).toContain('[NAME], email')
+      expect(output.totalRedacted).toBe(1)
+    })
+  })
+
+  describe('strategies', () => {
+    test('Should use the strategy saved on the review', () => {
+      const output = applyRedactions({
+        ...buildReview([SARAH, EMAIL]),
+        redaction_strategy: 'pseudonym'
+      })
+
+      expect(output.strategy).toBe('pseudonym')
+      expect(output.text).toBe(
+        'P1: I am Colleague 1, email Email address 1, in LS1 4AB.'
+      )
+    })
+
+    test('Should let the caller override the saved strategy', () => {
+      const output = applyRedactions(
+        { ...buildReview([SARAH]), redaction_strategy: 'pseudonym' },
+        { strategy: 'mask' }
+      )
+
+      expect(output.text).toContain('I am █████ █████, email')
+    })
+
+    test('Should name speakers after their role in the interview when using pseudonyms', () => {
+      const review = createTranscriptReview(
+        'Sarah Jones  0:00:03\nWhat do you farm, Tom?\n\nTom Okafor  0:00:09\nSheep. Sarah knows that.'
+      )
+
+      expect(applyRedactions(review, { strategy: 'pseudonym' }).text).toBe(
+        'Interviewer A  0:00:03\nWhat do you farm, Participant A?\n\nParticipant A  0:00:09\nSheep. Interviewer A knows that.'
+      )
+    })
+
+    test('Should fall back to the default for unknown saved strategies', () => {
+      expect(getRedactionStrategy({ redaction_strategy: 'shred' })).toBe(
+        'token'
+      )
+      expect(getRedactionStrategy({})).toBe('token')
+    })
+  })
+
+  describe('buildRedactionHeader', () => {
+    test('Should record the redaction date and per-category counts', () => {
+      const header = buildRedactionHeader(
+        applyRedactions(buildReview([SARAH, EMAIL]), {
+          redactedAt: REDACTED_AT
+        })
+      )
+
+      expect(header).toEqual({
+        title: 'Redacted transcript',
+        dateLine: 'Redacted on 14 March 2026',
+        strategyLine: 'Redaction method: category tokens',
+        countsTitle: 'Items redacted: 2',
+        countLines: ['Name: 1', 'Email address: 1']
+      })
+    })
+
+    test('Should say when nothing was redacted', () => {
+      const header = buildRedactionHeader(
+        applyRedactions(buildReview([]), {
+          redactedAt: REDACTED_AT
+        })
+      )
+
+      expect(header.countsTitle).toBe('No items were redacted')
+      expect(header.countLines).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,217 @@
+import { PII_TYPES } from '../common/constants/pii-constants.js'
+import {
+  MANUAL_REDACTION_TYPES,
+  REDACTION_TYPE_LABELS
+} from '../common/constants/review-pii-constants.js'
+import {
+  AGE_BAND_WIDTH,
+  MASK_CHARACTER,
+  PSEUDONYM_PREFIXES,
+  REDACTION_STRATEGIES,
+  SPEAKER_PSEUDONYM_PREFIX,
+  SPEAKER_ROLE_PSEUDONYM_PREFIXES
+} from '../common/constants/redacted-transcript-constants.js'
+
+const SPEAKER_LABEL_DETECTOR = 'speaker-label-name'
+
+function normaliseValue(text) {
+  return text.trim().replace(/\s+/g, ' ').toLowerCase()
+}
+
+function nameTokens(text) {
+  return normaliseValue(text).split(' ')
+}
+
+/**
+ * Converts a zero-based index to spreadsheet-style letters: A, B, ... Z, AA
+ */
+export function toLetters(index) {
+  let letters = ''
+  let remaining = index + 1
+
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26
+    letters = String.fromCharCode(65 + offset) + letters
+    remaining = Math.floor((remaining - 1) / 26)
+  }
+
+  return letters
+}
+
+/**
+ * Replaces a finding with its category, for example "[NAME]"
+ */
+export function tokenReplacement(finding) {
+  return `[${REDACTION_TYPE_LABELS[finding.type].toUpperCase()}]`
+}
+
+/**
+ * Replaces every character apart from whitespace so the original length is kept
+ */
+export function maskReplacement(finding) {
+  return finding.text.replace(/\S/g, MASK_CHARACTER)
+}
+
+function generaliseAge(text) {
+  const age = Number(text.match(/\d{1,3}/)?.[0])
+
+  if (!Number.isInteger(age) || age > 120) {
+    return null
+  }
+
+  const lowerBound = Math.floor(age / AGE_BAND_WIDTH) * AGE_BAND_WIDTH
+  return `${lowerBound}–${lowerBound + AGE_BAND_WIDTH - 1}`
+}
+
+function generalisePostcode(text) {
+  const postcode = text.trim().toUpperCase().replace(/\s+/g, '')
+
+  if (postcode.length < 5) {
+    return null
+  }
+
+  return postcode.slice(0, -3)
+}
+
+function generaliseDateOfBirth(text) {
+  const year = text.match(/\b(1[89]|20)\d{2}\b/)?.[0]
+
+  if (!year) {
+    return null
+  }
+
+  return `${year.slice(0, 3)}0s`
+}
+
+const GENERALISERS = {
+  [MANUAL_REDACTION_TYPES.AGE]: generaliseAge,
+  [PII_TYPES.POSTCODE]: generalisePostcode,
+  [PII_TYPES.DATE_OF_BIRTH]: generaliseDateOfBirth
+}
+
+/**
+ * Replaces a finding with a less specific value, for example an age band or
+ * outward postcode code. Falls back to a category token when the category
+ * cannot be generalised safely
+ */
+export function generaliseReplacement(finding) {
+  const generalised = GENERALISERS[finding.type]?.(finding.text)
+
+  return generalised ?? tokenReplacement(finding)
+}
+
+function findSpeakerRole(person, speakers) {
+  const speaker = speakers.find(
+    (candidate) =>
+      candidate.tokens.every((token) => person.tokens.has(token)) ||
+      [...person.tokens].every((token) => candidate.tokens.includes(token))
+  )
+
+  return speaker?.role
+}
+
+/**
+ * Groups name findings into people, so "Sarah Jones" and a later "Sarah"
+ * share a pseudonym. Speakers are named after their role in the interview
+ */
+function groupNamesIntoPeople(nameFindings, speakers) {
+  const people = []
+  const personByFinding = new Map()
+
+  for (const finding of nameFindings) {
+    const tokens = nameTokens(finding.text)
+    let person = people.find(
+      (candidate) =>
+        tokens.every((token) => candidate.tokens.has(token)) ||
+        [...candidate.tokens].every((token) => tokens.includes(token))
+    )
+
+    if (!person) {
+      person = { tokens: new Set(), isSpeaker: false }
+      people.push(person)
+    }
+
+    tokens.forEach((token) => person.tokens.add(token))
+    person.isSpeaker ||= finding.detector === SPEAKER_LABEL_DETECTOR
+    personByFinding.set(finding, person)
+  }
+
+  const speakerCounts = {}
+  let colleagueCount = 0
+  for (const person of people) {
+    const role = findSpeakerRole(person, speakers)
+
+    if (person.isSpeaker || role) {
+      const prefix =
+        SPEAKER_ROLE_PSEUDONYM_PREFIXES[role] ?? SPEAKER_PSEUDONYM_PREFIX
+      speakerCounts[prefix] = (speakerCounts[prefix] ?? 0) + 1
+      person.pseudonym = `${prefix} ${toLetters(speakerCounts[prefix] - 1)}`
+    } else {
+      person.pseudonym = `${PSEUDONYM_PREFIXES[PII_TYPES.NAME]} ${++colleagueCount}`
+    }
+  }
+
+  return personByFinding
+}
+
+/**
+ * Builds a replacer that gives every distinct value the same pseudonym
+ * throughout the transcript
+ *
+ * @param {Object[]} findings - The findings that will be redacted, in transcript order
+ * @param {Object[]} [speakers] - Speakers from parseSpeakerTurns, used to name speakers after their role
+ * @returns {Function} Maps a finding to its pseudonym
+ */
+export function createPseudonymReplacer(findings, speakers = []) {
+  const personByFinding = groupNamesIntoPeople(
+    findings.filter((finding) => finding.type === PII_TYPES.NAME),
+    speakers
+      .filter((speaker) => speaker.name)
+      .map((speaker) => ({
+        tokens: nameTokens(speaker.name),
+        role: speaker.role
+      }))
+  )
+  const pseudonyms = new Map()
+  const counts = {}
+
+  for (const finding of findings) {
+    if (finding.type === PII_TYPES.NAME) {
+      continue
+    }
+
+    const key = `${finding.type}:${normaliseValue(finding.text)}`
+    if (!pseudonyms.has(key)) {
+      counts[finding.type] = (counts[finding.type] ?? 0) + 1
+      pseudonyms.set(
+        key,
+        `${PSEUDONYM_PREFIXES[finding.type]} ${counts[finding.type]}`
+      )
+    }
+  }
+
+  return (finding) =>
+    personByFinding.get(finding)?.pseudonym ??
+    pseudonyms.get(`${finding.type}:${normaliseValue(finding.text)}`)
+}
+
+/**
+ * Creates the replacement function for a redaction strategy
+ *
+ * @param {string} strategy - One of REDACTION_STRATEGIES
+ * @param {Object[]} findings - The findings that will be redacted, in transcript order
+ * @param {Object[]} [speakers] - Speakers from parseSpeakerTurns
+ * @returns {Function} Maps a finding to its replacement text
+ */
+export function createReplacer(strategy, findings, speakers = []) {
+  switch (strategy) {
+    case REDACTION_STRATEGIES.PSEUDONYM:
+      return createPseudonymReplacer(findings, speakers)
+    case REDACTION_STRATEGIES.MASK:
+      return maskReplacement
+    case REDACTION_STRATEGIES.GENERALISE:
+      return generaliseReplacement
+    default:
+      return tokenReplacement
+  }
+}
@@ -0,0 +1,132 @@
+import {
+  createPseudonymReplacer,
+  createReplacer,
+  generaliseReplacement,
+  maskReplacement,
+  toLetters,
+  tokenReplacement
+} from './redaction-strategies.js'
+
+function finding(type, text, detector = 'test') {
+  return { type, text, detector }
+}
+
+describe('#redaction-strategies', () => {
+  describe('toLetters', () => {
+    test('Should convert indexes to spreadsheet-style letters', () => {
+      expect([0, 1, 25, 26, 27].map(toLetters)).toEqual([
+        'A',
+        'B',
+        'Z',
+        'AA',
+        'AB'
+      ])
+    })
+  })
+
+  describe('tokenReplacement', () => {
+    test('Should replace items with their category', () => {
+      expect(tokenReplacement(finding('name', 'Sarah'))).toBe('[NAME]')
+      expect(tokenReplacement(finding('location', 'Leeds'))).toBe('[PLACE]')
+    })
+  })
+
+  describe('maskReplacement', () => {
+    test('Should keep the original length and whitespace', () => {
+      expect(maskReplacement(finding('postcode', 'LS1 4AB'))).toBe('███ ███')
+    })
+  })
+
+  describe('generaliseReplacement', () => {
+    test('Should turn ages into ten year bands', () => {
+      expect(generaliseReplacement(finding('age', '34'))).toBe('30–39')
+      expect(generaliseReplacement(finding('age', '7 years old'))).toBe('0–9')
+    })
+
+    test('Should reduce postcodes to their outward code', () => {
+      expect(generaliseReplacement(finding('postcode', 'SW1A 1AA'))).toBe(
+        'SW1A'
+      )
+      expect(generaliseReplacement(finding('postcode', 'b338th'))).toBe('B33')
+    })
+
+    test('Should reduce dates of birth to a decade', () => {
+      expect(
+        generaliseReplacement(finding('date-of-birth', '12/03/1985'))
+      ).toBe('1980s')
+    })
+
+    test('Should fall back to category tokens when a value cannot be generalised', () => {
+      expect(generaliseReplacement(finding('age', 'thirty'))).toBe('[AGE]')
+      expect(generaliseReplacement(finding('email', 'a@b.com'))).toBe(
+        '[EMAIL ADDRESS]'
+      )
+    })
+  })
+
+  describe('createPseudonymReplacer', () => {
+    test('Should give speakers participant letters and other people colleague numbers', () => {
+      const findings = [
+        finding('name', 'Sarah', 'speaker-label-name'),
+        finding('name', 'Tom Okafor', 'titled-name'),
+        finding('name', 'Priya', 'speaker-label-name'),
+        finding('name', 'Sarah Jones', 'introduced-name'),
+        finding('name', 'Okafor', 'known-name')
+      ]
+      const replace = createPseudonymReplacer(findings)
+
+      expect(findings.map(replace)).toEqual([
+        'Participant A',
+        'Colleague 1',
+        'Participant B',
+        'Participant A',
+        'Colleague 1'
+      ])
+    })
+
+    test('Should name speakers after their role when speakers are known', () => {
+      const findings = [
+        finding('name', 'Sarah Jones', 'speaker-label-name'),
+        finding('name', 'Tom', 'first-name-gazetteer'),
+        finding('name', 'Sarah', 'known-name'),
+        finding('name', 'Priya', 'first-name-gazetteer')
+      ]
+      const replace = createPseudonymReplacer(findings, [
+        { label: 'Sarah Jones', name: 'Sarah Jones', role: 'interviewer' },
+        { label: 'Tom Okafor', name: 'Tom Okafor', role: 'participant' },
+        { label: 'P2', name: null, role: 'participant' }
+      ])
+
+      expect(findings.map(replace)).toEqual([
+        'Interviewer A',
+        'Participant A',
+        'Interviewer A',
+        'Colleague 1'
+      ])
+    })
+
+    test('Should keep pseudonyms stable for repeated values in other categories', () => {
+      const findings = [
+        finding('location', 'Leeds'),
+        finding('location', 'York'),
+        finding('location', 'leeds'),
+        finding('email', 'a@b.com')
+      ]
+      const replace = createPseudonymReplacer(findings)
+
+      expect(findings.map(replace)).toEqual([
+        'Town 1',
+        'Town 2',
+        'Town 1',
+        'Email address 1'
+      ])
+    })
+  })
+
+  describe('createReplacer', () => {
+    test('Should use category tokens for unknown strategies', () => {
+      expect(createReplacer('unknown', [])).toBe(tokenReplacement)
+      expect(createReplacer('mask', [])).toBe(maskReplacement)
+    })
+  })
+})
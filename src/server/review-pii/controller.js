@@ -0,0 +1,149 @@
+import { saveTranscriptDraft } from '../authentication/transcript-repository.js'
+import { ROLE_REQUIREMENTS } from '../common/constants/authentication-constants.js'
+import { REVIEW_PII_ROUTES } from '../common/constants/review-pii-constants.js'
+import { loadReview } from './load-review.js'
+import { applyReviewAction, buildReviewViewModel } from './review-service.js'
+
+/**
+ * Controller for showing the PII review page
+ */
+export const reviewPiiController = {
+  handler: async (request, h) => {
+    const requestId = request.info?.id || 'unknown'
+    const traceId = request.headers?.['x-trace-id'] || requestId
+
+    request.log(['debug'], {
+      level: 'DEBUG',
+      message: 'Review PII route accessed',
+      requestId,
+      traceId,
+      path: REVIEW_PII_ROUTES.REVIEW_PATH,
+      method: request.method
+    })
+
+    try {
+      const { redirect, review } = await loadReview(
+        request,
+        h,
+        requestId,
+        traceId
+      )
+
+      if (redirect) {
+        return redirect
+      }
+
+      request.log(['info'], {
+        level: 'INFO',
+        message: 'Rendering review PII page',
+        requestId,
+        traceId,
+        findingCount: review.findings.length,
+        decision: 'RENDER_PAGE',
+        reason: 'Transcript draft found'
+      })
+
+      return h.view(
+        REVIEW_PII_ROUTES.REVIEW_VIEW_PATH,
+        buildReviewViewModel(review)
+      )
+    } catch (error) {
+      request.log(['error'], {
+        level: 'ERROR',
+        message: 'Error accessing review PII page',
+        requestId,
+        traceId,
+        errorCode: 'REVIEW_PAGE_ERROR',
+        errorMessage: error.message,
+        decision: 'REDIRECT_TO_ROOT',
+        reason: 'Exception during page access'
+      })
+
+      return h.redirect('/')
+    }
+  },
+  options: {
+    auth: { scope: ROLE_REQUIREMENTS.TRANSCRIPT_WORK }
+  }
+}
+
+/**
+ * Controller for saving review decisions and manual redactions
+ * Decisions are saved against the session so a refresh does not lose the review
+ */
+export const reviewPiiDecisionController = {
+  handler: async (request, h) => {
+    const requestId = request.info?.id || 'unknown'
+    const traceId = request.headers?.['x-trace-id'] || requestId
+
+    request.log(['debug'], {
+      level: 'DEBUG',
+      message: 'Review PII decision submitted',
+      requestId,
+      traceId,
+      path: REVIEW_PII_ROUTES.REVIEW_PATH,
+      method: request.method
+    })
+
+    try {
+      const { redirect, sessionId, review } = await loadReview(
+        request,
+        h,
+        requestId,
+        traceId
+      )
+
+      if (redirect) {
+        return redirect
+      }
+
+      const result = applyReviewAction(review, request.payload)
+
+      if (Object.keys(result.errors).length > 0) {
+        request.log(['info'], {
+          level: 'INFO',
+          message: 'Review decision failed validation',
+          requestId,
+          traceId,
+          invalidFields: Object.keys(result.errors),
+          decision: 'RENDER_PAGE_WITH_ERRORS',
+          reason: 'Validation failed'
+        })
+
+        return h.view(
+          REVIEW_PII_ROUTES.REVIEW_VIEW_PATH,
+          buildReviewViewModel(review, result)
+        )
+      }
+
+      await saveTranscriptDraft(sessionId, result.review)
+
+      request.log(['info'], {
+        level: 'INFO',
+        message: 'Review decision saved',
+        requestId,
+        traceId,
+        decision: 'REDIRECT_TO_REVIEW',
+        reason: 'Decision applied'
+      })
+
+      return h.redirect(REVIEW_PII_ROUTES.REVIEW_PATH)
+    } catch (error) {
+      request.log(['error'], {
+        level: 'ERROR',
+        message: 'Error saving review decision',
+        requestId,
+        traceId,
+        errorCode: 'REVIEW_DECISION_ERROR',
+        errorMessage: error.message,
+        decision: 'REDIRECT_TO_ROOT',
+        reason: 'Exception during review decision'
+      })
+
+      return h.redirect('/')
+    }
+  },
+  options: {
+    auth: { scope: ROLE_REQUIREMENTS.TRANSCRIPT_WORK }
+  }
+}
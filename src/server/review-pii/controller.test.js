@@ -0,0 +1,242 @@
+import { vi } from 'vitest'
+import { load } from 'cheerio'
+import { createServer } from '../server.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+import { REVIEW_PII_MESSAGES } from '../common/constants/review-pii-constants.js'
+import {
+  createMockRequest,
+  createMockH
+} from '../common/test-helpers/mock-request.js'
+import { getSessionFromId } from '../authentication/authentication-service.js'
+import {
+  getTranscriptDraft,
+  saveTranscriptDraft
+} from '../authentication/transcript-repository.js'
+import { createTranscriptReview } from './review-service.js'
+import {
+  reviewPiiController,
+  reviewPiiDecisionController
+} from './controller.js'
+import { issueCsrfToken } from '../common/helpers/csrf/csrf-token.js'
+
+// Mock the buildRedisClient function to return our mock
+vi.mock('../common/helpers/redis-client.js', () => {
+  const mockRedisClient = {
+    set: vi.fn().mockResolvedValue('OK'),
+    get: vi.fn().mockResolvedValue(null),
+    del: vi.fn().mockResolvedValue(1),
+    exists: vi.fn().mockResolvedValue(0),
+    on: vi.fn()
+  }
+
+  return {
+    buildRedisClient: vi.fn(() => mockRedisClient),
+    __mockRedisClient: mockRedisClient
+  }
+})
+
+// Mock authentication service
+vi.mock('../authentication/authentication-service.js', () => ({
+  getSessionFromId: vi.fn(),
+  extendSessionExpiry: vi.fn((session) => Promise.resolve(session))
+}))
+
+// Mock transcript repository
+vi.mock('../authentication/transcript-repository.js', () => ({
+  getTranscriptDraft: vi.fn(),
+  saveTranscriptDraft: vi.fn()
+}))
+
+const TRANSCRIPT = 'P1: My name is Sarah.\nInterviewer: Thanks <b>Sarah</b>.'
+
+describe('#reviewPiiController', () => {
+  let server
+  let sessionCookie
+  const csrfToken = issueCsrfToken('valid-session-id')
+  let review
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+
+    const [setCookieHeader] = await server.states.format({
+      name: 'session',
+      value: 'valid-session-id'
+    })
+    sessionCookie = setCookieHeader.split(';')[0]
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    review = createTranscriptReview(TRANSCRIPT)
+    getSessionFromId.mockResolvedValue({
+      session_id: 'valid-session-id',
+      session_token: 'valid-token',
+      user: { oid: 'user-oid', roles: ['Researcher'] }
+    })
+    getTranscriptDraft.mockResolvedValue(review)
+  })
+
+  describe('GET /review-pii', () => {
+    test('Should render the highlighted transcript and findings', async () => {
+      const { statusCode, result } = await server.inject({
+        method: 'GET',
+        url: '/review-pii',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).toContain('Step 2 of 3')
+      expect(result).toContain('Review personal information')
+      expect(result).toContain('id="highlight-finding-1"')
+      expect(result).toContain('value="accept:finding-2"')
+      expect(result).toContain('value="reject-type:name"')
+      expect(result).toContain('Items you do not review will be redacted')
+      expect(result).toContain('Thanks &lt;b&gt;')
+      expect(result).toContain('href="/redacted-transcript"')
+      expect(result).toContain('govuk-summary-list__key">Interviewer</dt>')
+      expect(getTranscriptDraft).toHaveBeenCalledWith('valid-session-id')
+    })
+
+    test('Should put the manual redaction in its own form, so Enter adds the redaction', async () => {
+      const { result } = await server.inject({
+        method: 'GET',
+        url: '/review-pii',
+        headers: { cookie: sessionCookie }
+      })
+
+      const $ = load(result)
+      const $manualForm = $('#manual-redaction-text').closest('form')
+      const $buttons = $manualForm.find('button[type="submit"]')
+
+      expect($buttons).toHaveLength(1)
+      expect($buttons.attr('value')).toBe('add-manual')
+      expect($manualForm.find('input[name="csrfToken"]').val()).toBe(csrfToken)
+    })
+
+    test('Should redirect to the upload page when there is no transcript', async () => {
+      getTranscriptDraft.mockResolvedValueOnce(null)
+      const mockH = createMockH()
+
+      await reviewPiiController.handler(
+        createMockRequest({ credentials: { sessionId: 'valid-session-id' } }),
+        mockH
+      )
+
+      expect(mockH.redirect).toHaveBeenCalledWith('/upload-document')
+    })
+
+    test('Should redirect to login when no session cookie present', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/review-pii'
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/login?returnTo=%2Freview-pii')
+      expect(getTranscriptDraft).not.toHaveBeenCalled()
+    })
+
+    test('Should redirect to login when user is not authenticated', async () => {
+      getSessionFromId.mockResolvedValueOnce(null)
+
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/review-pii',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/login?returnTo=%2Freview-pii')
+      expect(getTranscriptDraft).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('POST /review-pii', () => {
+    async function submitDecision(payload) {
+      const mockRequest = createMockRequest({
+        credentials: { sessionId: 'valid-session-id' },
+        method: 'POST'
+      })
+      mockRequest.payload = payload
+      const mockH = createMockH()
+
+      await reviewPiiDecisionController.handler(mockRequest, mockH)
+
+      return mockH
+    }
+
+    test('Should save a finding decision and redirect back to the review', async () => {
+      const mockH = await submitDecision({ action: 'reject:finding-1' })
+
+      expect(saveTranscriptDraft).toHaveBeenCalledWith(
+        'valid-session-id',
+        expect.objectContaining({
+          findings: [
+            expect.objectContaining({ id: 'finding-1', status: 'rejected' }),
+            expect.objectContaining({ id: 'finding-2', status: 'pending' })
+          ]
+        })
+      )
+      expect(mockH.redirect).toHaveBeenCalledWith('/review-pii')
+    })
+
+    test('Should save a manual redaction', async () => {
+      await submitDecision({
+        action: 'add-manual',
+        'manual-redaction-text': 'Interviewer',
+        'manual-redaction-type': 'other'
+      })
+
+      const [, savedReview] = saveTranscriptDraft.mock.calls[0]
+      expect(savedReview.findings).toHaveLength(3)
+      expect(savedReview.findings[1]).toEqual(
+        expect.objectContaining({
+          text: 'Interviewer',
+          detector: 'manual',
+          status: 'accepted'
+        })
+      )
+    })
+
+    test('Should re-render the page with errors for an invalid manual redaction', async () => {
+      const { statusCode, result } = await server.inject({
+        method: 'POST',
+        url: '/review-pii',
+        headers: {
+          'content-type': 'application/x-www-form-urlencoded',
+          cookie: sessionCookie,
+          'x-csrf-token': csrfToken
+        },
+        payload: new URLSearchParams({
+          action: 'add-manual',
+          'manual-redaction-text': 'Leeds',
+          'manual-redaction-type': 'postcode'
+        }).toString()
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).toContain('Error: Review personal information')
+      expect(result).toContain('href="#manual-redaction-text"')
+      expect(result).toContain('govuk-input--error')
+      expect(result).toContain('value="Leeds"')
+      expect(result).toContain('value="postcode" selected')
+      expect(result).toContain(REVIEW_PII_MESSAGES.MANUAL_TEXT_NOT_FOUND)
+      expect(saveTranscriptDraft).not.toHaveBeenCalled()
+    })
+
+    test('Should redirect to root route when saving fails', async () => {
+      saveTranscriptDraft.mockRejectedValueOnce(
+        new Error('Redis connection failed')
+      )
+
+      const mockH = await submitDecision({ action: 'accept:finding-1' })
+
+      expect(mockH.redirect).toHaveBeenCalledWith('/')
+    })
+  })
+})
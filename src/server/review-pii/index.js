@@ -0,0 +1,27 @@
+import {
+  reviewPiiController,
+  reviewPiiDecisionController
+} from './controller.js'
+
+/**
+ * Sets up the review PII routes
+ */
+export const reviewPii = {
+  plugin: {
+    name: 'review-pii',
+    register(server) {
+      server.route([
+        {
+          method: 'GET',
+          path: '/review-pii',
+          ...reviewPiiController
+        },
+        {
+          method: 'POST',
+          path: '/review-pii',
+          ...reviewPiiDecisionController
+        }
+      ])
+    }
+  }
+}
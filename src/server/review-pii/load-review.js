@@ -0,0 +1,32 @@
+import { getTranscriptDraft } from '../authentication/transcript-repository.js'
+import { UPLOAD_DOCUMENT_ROUTES } from '../common/constants/upload-document-constants.js'
+
+/**
+ * Loads the transcript draft for the signed in user's session
+ * Returns a redirect response when there is no draft, so later workflow
+ * steps are only reachable once a transcript has been submitted
+ *
+ * @param {Object} request - The hapi request, authenticated by the session strategy
+ * @param {Object} h - The hapi response toolkit
+ * @param {string} requestId - Request ID for logging
+ * @param {string} traceId - Trace ID for logging
+ * @returns {Promise<Object>} Either { redirect } or { sessionId, review }
+ */
+export async function loadReview(request, h, requestId, traceId) {
+  const { sessionId } = request.auth.credentials
+  const review = await getTranscriptDraft(sessionId)
+
+  if (!review) {
+    request.log(['info'], {
+      level: 'INFO',
+      message: 'No transcript to review, redirecting to upload document',
+      requestId,
+      traceId,
+      decision: 'REDIRECT_TO_UPLOAD',
+      reason: 'Transcript draft not found'
+    })
+    return { redirect: h.redirect(UPLOAD_DOCUMENT_ROUTES.UPLOAD_PATH) }
+  }
+
+  return { sessionId, review }
+}
@@ -0,0 +1,308 @@
+import { detectPii } from '../pii-detection/pii-detector.js'
+import { normaliseTranscriptText } from '../upload-document/transcript-validator.js'
+import { parseSpeakerTurns } from '../transcript-parsing/speaker-turn-parser.js'
+import { SPEAKER_ROLE_LABELS } from '../common/constants/speaker-turn-constants.js'
+import {
+  FINDING_STATUSES,
+  FINDING_STATUS_LABELS,
+  MANUAL_REDACTION,
+  REDACTION_TYPE_LABELS,
+  REVIEW_ACTIONS,
+  REVIEW_PII_FIELDS,
+  REVIEW_PII_MESSAGES
+} from '../common/constants/review-pii-constants.js'
+
+/**
+ * Creates a transcript review by scanning the transcript for PII
+ * Every finding starts as pending until the researcher accepts or rejects it
+ *
+ * @param {string} transcriptText - The validated transcript text
+ * @returns {Object} Transcript draft with the text and its findings
+ */
+export function createTranscriptReview(transcriptText) {
+  const findings = detectPii(transcriptText).map((span, index) => ({
+    id: `finding-${index + 1}`,
+    ...span,
+    status: FINDING_STATUSES.PENDING
+  }))
+
+  return {
+    transcript_text: transcriptText,
+    findings,
+    created_at: new Date().toISOString()
+  }
+}
+
+function parseAction(value) {
+  if (typeof value !== 'string') {
+    return { action: null, target: null }
+  }
+
+  const separatorIndex = value.indexOf(':')
+  if (separatorIndex === -1) {
+    return { action: value, target: null }
+  }
+
+  return {
+    action: value.slice(0, separatorIndex),
+    target: value.slice(separatorIndex + 1)
+  }
+}
+
+function withStatus(review, predicate, status) {
+  return {
+    ...review,
+    findings: review.findings.map((finding) =>
+      predicate(finding) ? { ...finding, status } : finding
+    )
+  }
+}
+
+function overlapsExistingFinding(findings, start, end) {
+  return findings.some((finding) => start < finding.end && finding.start < end)
+}
+
+function nextFindingNumber(findings) {
+  const numbers = findings.map((finding) =>
+    Number(finding.id.replace(/^\D+/, ''))
+  )
+  return Math.max(0, ...numbers) + 1
+}
+
+/**
+ * Adds a manual redaction for every unhighlighted occurrence of the given text
+ *
+ * @param {Object} review - The transcript review
+ * @param {Object} payload - The form payload with the text and category
+ * @returns {Object} The updated review, or field errors when the input is invalid
+ */
+export function addManualRedaction(review, payload = {}) {
+  const manualText = normaliseTranscriptText(
+    payload?.[REVIEW_PII_FIELDS.MANUAL_TEXT]
+  ).trim()
+  const manualType = payload?.[REVIEW_PII_FIELDS.MANUAL_TYPE]
+  const values = { manualText, manualType }
+  const errors = {}
+
+  if (manualText === '') {
+    errors.manualText = REVIEW_PII_MESSAGES.MANUAL_TEXT_REQUIRED
+  } else if (manualText.length > MANUAL_REDACTION.MAX_LENGTH) {
+    errors.manualText = REVIEW_PII_MESSAGES.MANUAL_TEXT_TOO_LONG
+  }
+
+  if (!Object.hasOwn(REDACTION_TYPE_LABELS, manualType ?? '')) {
+    errors.manualType = REVIEW_PII_MESSAGES.MANUAL_TYPE_INVALID
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { review, values, errors }
+  }
+
+  const findings = [...review.findings]
+  let findingNumber = nextFindingNumber(findings)
+  let searchFrom = 0
+  let added = 0
+
+  while (searchFrom < review.transcript_text.length) {
+    const start = review.transcript_text.indexOf(manualText, searchFrom)
+    if (start === -1) {
+      break
+    }
+
+    const end = start + manualText.length
+    if (!overlapsExistingFinding(findings, start, end)) {
+      findings.push({
+        id: `finding-${findingNumber++}`,
+        type: manualType,
+        start,
+        end,
+        text: manualText,
+        confidence: 1,
+        detector: MANUAL_REDACTION.DETECTOR,
+        status: FINDING_STATUSES.ACCEPTED
+      })
+      added++
+    }
+    searchFrom = end
+  }
+
+  if (added === 0) {
+    return {
+      review,
+      values,
+      errors: { manualText: REVIEW_PII_MESSAGES.MANUAL_TEXT_NOT_FOUND }
+    }
+  }
+
+  return {
+    review: {
+      ...review,
+      findings: findings.sort((a, b) => a.start - b.start)
+    },
+    errors: {}
+  }
+}
+
+/**
+ * Applies a review decision submitted from the review page
+ * Supports accepting or rejecting one finding, every finding of a category,
+ * or adding a manual redaction
+ *
+ * @param {Object} review - The transcript review
+ * @param {Object} payload - The form payload
+ * @returns {Object} The updated review, plus values and errors when the input is invalid
+ */
+export function applyReviewAction(review, payload = {}) {
+  const { action, target } = parseAction(payload?.[REVIEW_PII_FIELDS.ACTION])
+
+  switch (action) {
+    case REVIEW_ACTIONS.ACCEPT:
+    case REVIEW_ACTIONS.REJECT:
+      return {
+        review: withStatus(
+          review,
+          (finding) => finding.id === target,
+          action === REVIEW_ACTIONS.ACCEPT
+            ? FINDING_STATUSES.ACCEPTED
+            : FINDING_STATUSES.REJECTED
+        ),
+        errors: {}
+      }
+    case REVIEW_ACTIONS.ACCEPT_TYPE:
+    case REVIEW_ACTIONS.REJECT_TYPE:
+      return {
+        review: withStatus(
+          review,
+          (finding) => finding.type === target,
+          action === REVIEW_ACTIONS.ACCEPT_TYPE
+            ? FINDING_STATUSES.ACCEPTED
+            : FINDING_STATUSES.REJECTED
+        ),
+        errors: {}
+      }
+    case REVIEW_ACTIONS.ADD_MANUAL:
+      return addManualRedaction(review, payload)
+    default:
+      return { review, errors: {} }
+  }
+}
+
+/**
+ * Splits the transcript into plain and highlighted segments for rendering
+ *
+ * @param {Object} review - The transcript review
+ * @returns {Object[]} Segments with text and, for highlights, the finding
+ */
+export function buildTranscriptSegments(review) {
+  const segments = []
+  let position = 0
+
+  const findings = [...review.findings].sort((a, b) => a.start - b.start)
+
+  for (const finding of findings) {
+    if (finding.start < position) {
+      continue
+    }
+    if (finding.start > position) {
+      segments.push({
+        text: review.transcript_text.slice(position, finding.start)
+      })
+    }
+    segments.push({
+      text: review.transcript_text.slice(finding.start, finding.end),
+      finding: {
+        id: finding.id,
+        status: finding.status,
+        label: REDACTION_TYPE_LABELS[finding.type]
+      }
+    })
+    position = finding.end
+  }
+
+  if (position < review.transcript_text.length) {
+    segments.push({ text: review.transcript_text.slice(position) })
+  }
+
+  return segments
+}
+
+/**
+ * Counts findings per category and decision
+ *
+ * @param {Object} review - The transcript review
+ * @returns {Object[]} One summary row per category that has findings
+ */
+export function summariseFindings(review) {
+  return Object.entries(REDACTION_TYPE_LABELS)
+    .map(([type, label]) => {
+      const findings = review.findings.filter(
+        (finding) => finding.type === type
+      )
+      const countStatus = (status) =>
+        findings.filter((finding) => finding.status === status).length
+
+      return {
+        type,
+        label,
+        total: findings.length,
+        accepted: countStatus(FINDING_STATUSES.ACCEPTED),
+        rejected: countStatus(FINDING_STATUSES.REJECTED),
+        pending: countStatus(FINDING_STATUSES.PENDING)
+      }
+    })
+    .filter((row) => row.total > 0)
+}
+
+/**
+ * Builds the template context for the review page
+ *
+ * @param {Object} review - The transcript review
+ * @param {Object} [formState] - Submitted values and errors to show
+ * @returns {Object} View model for the review template
+ */
+export function buildReviewViewModel(review, formState = {}) {
+  const { values = {}, errors = {} } = formState
+  const errorList = []
+
+  if (errors.manualText) {
+    errorList.push({
+      text: errors.manualText,
+      href: `#${REVIEW_PII_FIELDS.MANUAL_TEXT}`
+    })
+  }
+  if (errors.manualType) {
+    errorList.push({
+      text: errors.manualType,
+      href: `#${REVIEW_PII_FIELDS.MANUAL_TYPE}`
+    })
+  }
+
+  return {
+    segments: buildTranscriptSegments(review),
+    findings: review.findings.map((finding) => ({
+      ...finding,
+      label: REDACTION_TYPE_LABELS[finding.type],
+      statusLabel: FINDING_STATUS_LABELS[finding.status],
+      confidencePercentage: Math.round(finding.confidence * 100)
+    })),
+    summary: summariseFindings(review),
+    speakers: parseSpeakerTurns(review.transcript_text).speakers.map(
+      (speaker) => ({
+        label: speaker.label,
+        roleLabel: SPEAKER_ROLE_LABELS[speaker.role],
+        turnCount: speaker.turnCount
+      })
+    ),
+    typeOptions: Object.entries(REDACTION_TYPE_LABELS).map(([value, text]) => ({
+      value,
+      text,
+      selected: value === values.manualType
+    })),
+    pendingCount: review.findings.filter(
+      (finding) => finding.status === FINDING_STATUSES.PENDING
+    ).length,
+    values,
+    errors,
+    errorList
+  }
+}
@@ -0,0 +1,233 @@
+import {
+  addManualRedaction,
+  applyReviewAction,
+  buildReviewViewModel,
+  buildTranscriptSegments,
+  createTranscriptReview,
+  summariseFindings
+} from './review-service.js'
+import { REVIEW_PII_MESSAGES } from '../common/constants/review-pii-constants.js'
+
+const TRANSCRIPT =
+  'P1: My name is Sarah and my email is sarah@example.com.\nInterviewer: Thanks Sarah.'
+
+function statusesOf(review) {
+  return review.findings.map((finding) => [finding.text, finding.status])
+}
+
+describe('#review-service', () => {
+  let review
+
+  beforeEach(() => {
+    review = createTranscriptReview(TRANSCRIPT)
+  })
+
+  describe('createTranscriptReview', () => {
+    test('Should store the transcript with pending findings', () => {
+      expect(review.transcript_text).toBe(TRANSCRIPT)
+      expect(review.created_at).toEqual(expect.any(String))
+      expect(statusesOf(review)).toEqual([
+        ['Sarah', 'pending'],
+        ['sarah@example.com', 'pending'],
+        ['Sarah', 'pending']
+      ])
+      expect(review.findings.map((finding) => finding.id)).toEqual([
+        'finding-1',
+        'finding-2',
+        'finding-3'
+      ])
+    })
+  })
+
+  describe('applyReviewAction', () => {
+    test('Should accept and reject individual findings', () => {
+      const accepted = applyReviewAction(review, { action: 'accept:finding-2' })
+      const rejected = applyReviewAction(accepted.review, {
+        action: 'reject:finding-1'
+      })
+
+      expect(statusesOf(rejected.review)).toEqual([
+        ['Sarah', 'rejected'],
+        ['sarah@example.com', 'accepted'],
+        ['Sarah', 'pending']
+      ])
+      expect(rejected.errors).toEqual({})
+    })
+
+    test('Should apply a decision to every finding in a category', () => {
+      const { review: updated } = applyReviewAction(review, {
+        action: 'reject-type:name'
+      })
+
+      expect(statusesOf(updated)).toEqual([
+        ['Sarah', 'rejected'],
+        ['sarah@example.com', 'pending'],
+        ['Sarah', 'rejected']
+      ])
+    })
+
+    test('Should not change the review for unknown actions', () => {
+      expect(applyReviewAction(review, { action: 'delete:finding-1' })).toEqual(
+        { review, errors: {} }
+      )
+      expect(applyReviewAction(review, {})).toEqual({ review, errors: {} })
+    })
+  })
+
+  describe('addManualRedaction', () => {
+    test('Should add an accepted finding for every occurrence of the text', () => {
+      const text = 'We met in Leeds. Leeds was busy.'
+      const { review: updated, errors } = addManualRedaction(
+        createTranscriptReview(text),
+        {
+          'manual-redaction-text': ' Leeds ',
+          'manual-redaction-type': 'other'
+        }
+      )
+
+      expect(errors).toEqual({})
+      expect(updated.findings).toEqual([
+        expect.objectContaining({
+          id: 'finding-1',
+          type: 'other',
+          start: 10,
+          end: 15,
+          detector: 'manual',
+          status: 'accepted'
+        }),
+        expect.objectContaining({ id: 'finding-2', start: 17, end: 22 })
+      ])
+    })
+
+    test('Should skip occurrences that are already highlighted', () => {
+      const { review: updated } = addManualRedaction(review, {
+        'manual-redaction-text': 'example.com',
+        'manual-redaction-type': 'other'
+      })
+
+      expect(updated).toBe(review)
+    })
+
+    test('Should return errors for missing text and category', () => {
+      const result = addManualRedaction(review, {})
+
+      expect(result.review).toBe(review)
+      expect(result.errors).toEqual({
+        manualText: REVIEW_PII_MESSAGES.MANUAL_TEXT_REQUIRED,
+        manualType: REVIEW_PII_MESSAGES.MANUAL_TYPE_INVALID
+      })
+    })
+
+    test('Should return an error when the text is not in the transcript', () => {
+      const result = applyReviewAction(review, {
+        action: 'add-manual',
+        'manual-redaction-text': 'Leeds',
+        'manual-redaction-type': 'street-address'
+      })
+
+      expect(result.errors).toEqual({
+        manualText: REVIEW_PII_MESSAGES.MANUAL_TEXT_NOT_FOUND
+      })
+      expect(result.values).toEqual({
+        manualText: 'Leeds',
+        manualType: 'street-address'
+      })
+    })
+
+    test('Should reject text over the maximum length', () => {
+      const result = addManualRedaction(review, {
+        'manual-redaction-text': 'a'.repeat(501),
+        'manual-redaction-type': 'other'
+      })
+
+      expect(result.errors.manualText).toBe(
+        REVIEW_PII_MESSAGES.MANUAL_TEXT_TOO_LONG
+      )
+    })
+  })
+
+  describe('buildTranscriptSegments', () => {
+    test('Should split the transcript into plain and highlighted segments', () => {
+      const segments = buildTranscriptSegments(
+        createTranscriptReview('Hi Sarah!')
+      )
+
+      expect(segments).toEqual([
+        { text: 'Hi ' },
+        {
+          text: 'Sarah',
+          finding: { id: 'finding-1', status: 'pending', label: 'Name' }
+        },
+        { text: '!' }
+      ])
+      expect(segments.map((segment) => segment.text).join('')).toBe('Hi Sarah!')
+    })
+  })
+
+  describe('summariseFindings', () => {
+    test('Should count decisions per category with findings', () => {
+      const { review: updated } = applyReviewAction(review, {
+        action: 'accept:finding-1'
+      })
+
+      expect(summariseFindings(updated)).toEqual([
+        {
+          type: 'name',
+          label: 'Name',
+          total: 2,
+          accepted: 1,
+          rejected: 0,
+          pending: 1
+        },
+        {
+          type: 'email',
+          label: 'Email address',
+          total: 1,
+          accepted: 0,
+          rejected: 0,
+          pending: 1
+        }
+      ])
+    })
+  })
+
+  describe('buildReviewViewModel', () => {
+    test('Should describe findings for the template', () => {
+      const viewModel = buildReviewViewModel(review)
+
+      expect(viewModel.pendingCount).toBe(3)
+      expect(viewModel.findings[1]).toEqual(
+        expect.objectContaining({
+          label: 'Email address',
+          statusLabel: 'Not reviewed',
+          confidencePercentage: 99
+        })
+      )
+      expect(viewModel.errorList).toEqual([])
+    })
+
+    test('Should list the speakers with their roles', () => {
+      expect(buildReviewViewModel(review).speakers).toEqual([
+        { label: 'P1', roleLabel: 'Participant', turnCount: 1 },
+        { label: 'Interviewer', roleLabel: 'Interviewer', turnCount: 1 }
+      ])
+    })
+
+    test('Should link errors to their fields and keep the selected category', () => {
+      const viewModel = buildReviewViewModel(review, {
+        values: { manualText: '', manualType: 'postcode' },
+        errors: { manualText: REVIEW_PII_MESSAGES.MANUAL_TEXT_REQUIRED }
+      })
+
+      expect(viewModel.errorList).toEqual([
+        {
+          text: REVIEW_PII_MESSAGES.MANUAL_TEXT_REQUIRED,
+          href: '#manual-redaction-text'
+        }
+      ])
+      expect(
+        viewModel.typeOptions.find((option) => option.selected).value
+      ).toBe('postcode')
+    })
+  })
+})
@@ -1,12 +1,6 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest'
 import { rootController } from './controller.js'
 import { AUTHENTICATION_ROUTES } from '../common/constants/authentication-constants.js'
-import { getSessionFromId } from '../authentication/authentication-service.js'
-
-vi.mock('../common/helpers/session-manager.js')
-vi.mock('../authentication/authentication-service.js', () => ({
-  getSessionFromId: vi.fn()
-}))
 
 describe('rootController', () => {
   let mockRequest
@@ -14,7 +8,10 @@ describe('rootController', () => {
 
   beforeEach(() => {
     mockRequest = {
-      state: {},
+      auth: {
+        isAuthenticated: true,
+        credentials: { sessionId: 'test-session-id' }
+      },
       log: vi.fn(),
       info: { id: 'test-request-id' },
       headers: {}
@@ -22,73 +19,25 @@ describe('rootController', () => {
     mockH = {
       redirect: vi.fn()
     }
-    vi.clearAllMocks()
   })
 
   describe('handler', () => {
-    it('should redirect to login when no session cookie exists', async () => {
-      mockRequest.state.session = undefined
-
-      await rootController.handler(mockRequest, mockH)
+    it('should redirect signed in users to upload-document', () => {
+      rootController.handler(mockRequest, mockH)
 
       expect(mockH.redirect).toHaveBeenCalledWith(
-        AUTHENTICATION_ROUTES.LOGIN_PATH
+        AUTHENTICATION_ROUTES.HOME_REDIRECT_PATH
       )
-      expect(getSessionFromId).not.toHaveBeenCalled()
-    })
-
-    it('should redirect to login when session is not found in Redis', async () => {
-      mockRequest.state.session = 'test-session-id'
-      getSessionFromId.mockResolvedValue(null)
-
-      await rootController.handler(mockRequest, mockH)
-
-      expect(getSessionFromId).toHaveBeenCalledWith('test-session-id')
-      expect(mockH.redirect).toHaveBeenCalledWith(
-        AUTHENTICATION_ROUTES.LOGIN_PATH
-      )
-    })
-
-    it('should redirect to upload-document when session is valid', async () => {
-      mockRequest.state.session = 'test-session-id'
-      const validSession = {
-        session_id: 'test-session-id',
-        expires_at: new Date(Date.now() + 3600000).toISOString()
-      }
-      getSessionFromId.mockResolvedValue(validSession)
-
-      await rootController.handler(mockRequest, mockH)
-
-      expect(getSessionFromId).toHaveBeenCalledWith('test-session-id')
-      expect(mockH.redirect).toHaveBeenCalledWith('/upload-document')
-    })
-
-    it('should handle session validation errors gracefully', async () => {
-      mockRequest.state.session = 'test-session-id'
-      getSessionFromId.mockRejectedValue(new Error('Redis connection failed'))
-
-      await rootController.handler(mockRequest, mockH)
-
-      expect(getSessionFromId).toHaveBeenCalledWith('test-session-id')
-      expect(mockRequest.log).toHaveBeenCalledWith(['error'], {
-        level: 'ERROR',
-        message: 'Session validation error occurred',
-        requestId: 'test-request-id',
-        traceId: 'test-request-id',
-        errorCode: 'SESSION_VALIDATION_ERROR',
-        errorMessage: 'Redis connection failed',
-        decision: 'REDIRECT_TO_LOGIN',
-        reason: 'Exception during session validation'
-      })
-      expect(mockH.redirect).toHaveBeenCalledWith(
-        AUTHENTICATION_ROUTES.LOGIN_PATH
+      expect(mockRequest.log).toHaveBeenCalledWith(
+        ['info'],
+        expect.objectContaining({ decision: 'REDIRECT_TO_UPLOAD' })
       )
     })
   })
 
   describe('options', () => {
-    it('should have auth disabled', () => {
-      expect(rootController.options.auth).toBe(false)
+    it('should use the default session auth strategy', () => {
+      expect(rootController.options?.auth).toBeUndefined()
     })
   })
 })
@@ -1,10 +1,19 @@
 import inert from '@hapi/inert'
 
+import { config } from '../config/config.js'
+
 import { health } from './health/index.js'
 import { root } from './root/index.js'
 import { login } from './login/index.js'
+import { logout } from './logout/index.js'
+import { sessionTimeout } from './session-timeout/index.js'
 import { uploadDocument } from './upload-document/index.js'
+import { reviewPii } from './review-pii/index.js'
+import { redactedTranscript } from './redacted-transcript/index.js'
+import { invitations } from './invitations/index.js'
+import { sessions } from './sessions/index.js'
 import { error } from './error/index.js'
+import { mockOidc } from './mock-oidc/index.js'
 import { serveStaticFiles } from './common/helpers/serve-static-files.js'
 
 export const router = {
@@ -17,7 +26,23 @@ export const router = {
       await server.register([health])
 
       // Application specific routes, add your own routes here
-      await server.register([root, login, uploadDocument, error])
+      await server.register([
+        root,
+        login,
+        logout,
+        sessionTimeout,
+        uploadDocument,
+        reviewPii,
+        redactedTranscript,
+        invitations,
+        sessions,
+        error
+      ])
+
+      // Mock identity provider for local development and tests, never in production
+      if (config.get('mockOidc.enabled')) {
+        await server.register([mockOidc])
+      }
 
       // Static assets
       await server.register([serveStaticFiles])
@@ -4,10 +4,14 @@ import hapi from '@hapi/hapi'
 import { router } from './router.js'
 import { config } from '../config/config.js'
 import { pulse } from './common/helpers/pulse.js'
+import { rateLimit } from './common/helpers/rate-limit/rate-limit.js'
 import { catchAll } from './common/helpers/errors.js'
+import { csrf } from './common/helpers/csrf/csrf.js'
 import { nunjucksConfig } from '../config/nunjucks/nunjucks.js'
 import { setupProxy } from './common/helpers/proxy/setup-proxy.js'
 import { requestTracing } from './common/helpers/request-tracing.js'
+import { sessionAuth } from './common/helpers/session-auth.js'
+import { sessionContext } from './common/helpers/session-context.js'
 import { requestLogger } from './common/helpers/logging/request-logger.js'
 import { sessionCache } from './common/helpers/session-cache/session-cache.js'
 import { getCacheEngine } from './common/helpers/session-cache/cache-engine.js'
@@ -56,8 +60,12 @@ export async function createServer() {
     requestTracing,
     secureContext,
     pulse,
+    rateLimit,
     sessionCache,
     nunjucksConfig,
+    sessionAuth,
+    sessionContext,
+    csrf,
     router // Register all the controllers/routes defined in src/server/router.js
   ])
 
@@ -0,0 +1,78 @@
+import { config } from '../../config/config.js'
+import { AUTHENTICATION_ROUTES } from '../common/constants/authentication-constants.js'
+import {
+  SESSION_TIMEOUT_MESSAGES,
+  SESSION_TIMEOUT_ROUTES
+} from '../common/constants/session-timeout-constants.js'
+import { expireSession } from '../authentication/authentication-service.js'
+import { clearSessionCookie } from '../authentication/cookie-manager.js'
+
+/**
+ * Extend session controller for POST /session/extend - used by the timeout warning
+ * The session auth strategy has already pushed back the expiry, so this
+ * reports the new expiry for the warning to count down from
+ */
+export const extendSessionController = {
+  handler(request, h) {
+    const { session } = request.auth.credentials
+    const expiresAt = new Date(session.expires_at)
+
+    request.log(['info'], {
+      level: 'INFO',
+      message: 'Session extended from timeout warning',
+      requestId: request.info?.id || 'unknown',
+      decision: 'EXTEND_SESSION',
+      reason: 'User chose to stay signed in'
+    })
+
+    return h
+      .response({
+        expiresAt: expiresAt.toISOString(),
+        expiresIn: Math.max(0, Math.floor((expiresAt - Date.now()) / 1000))
+      })
+      .header('cache-control', 'no-store')
+  }
+}
+
+/**
+ * Timed out controller for GET /session/timed-out - where the timeout warning
+ * sends inactive users
+ * Ends the session locally, without signing out of the identity provider, but
+ * only once it has passed its expiry. A GET can be triggered from another
+ * site, so a session that is still active is left to expire on its own
+ */
+export const timedOutController = {
+  async handler(request, h) {
+    const sessionId = request.state.session
+    const hasEnded = await expireSession(sessionId)
+
+    if (hasEnded) {
+      clearSessionCookie(h)
+    }
+
+    request.log(['info'], {
+      level: 'INFO',
+      message: hasEnded
+        ? 'Inactive user signed out'
+        : 'Timed out page shown for an active session',
+      requestId: request.info?.id || 'unknown',
+      hadSessionCookie: !!sessionId,
+      decision: 'SHOW_TIMED_OUT_PAGE',
+      reason: hasEnded
+        ? 'Session timed out'
+        : 'Session still active, left alone'
+    })
+
+    // The page must not show signed in navigation
+    request.app.session = null
+
+    return h.view(SESSION_TIMEOUT_ROUTES.TIMED_OUT_VIEW_PATH, {
+      pageTitle: SESSION_TIMEOUT_MESSAGES.TIMED_OUT_PAGE_TITLE,
+      idleMinutes: Math.round(config.get('session.timeout.idle') / 60000),
+      signInPath: AUTHENTICATION_ROUTES.LOGIN_PATH
+    })
+  },
+  options: {
+    auth: false
+  }
+}
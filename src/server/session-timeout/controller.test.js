@@ -0,0 +1,160 @@
+import { vi } from 'vitest'
+import { createServer } from '../server.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+import {
+  expireSession,
+  extendSessionExpiry,
+  getSessionFromId
+} from '../authentication/authentication-service.js'
+import { issueCsrfToken } from '../common/helpers/csrf/csrf-token.js'
+
+// Mock the buildRedisClient function to return our mock
+vi.mock('../common/helpers/redis-client.js', () => {
+  const mockRedisClient = {
+    set: vi.fn().mockResolvedValue('OK'),
+    get: vi.fn().mockResolvedValue(null),
+    del: vi.fn().mockResolvedValue(1),
+    exists: vi.fn().mockResolvedValue(0),
+    on: vi.fn()
+  }
+
+  return {
+    buildRedisClient: vi.fn(() => mockRedisClient),
+    __mockRedisClient: mockRedisClient
+  }
+})
+
+// Mock authentication service
+vi.mock('../authentication/authentication-service.js', () => ({
+  expireSession: vi.fn(),
+  getSessionFromId: vi.fn(),
+  extendSessionExpiry: vi.fn()
+}))
+
+const NOW = new Date('2026-03-12T10:00:00Z')
+
+describe('#sessionTimeoutController', () => {
+  let server
+  let sessionCookie
+  const csrfToken = issueCsrfToken('valid-session-id')
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+    const [setCookieHeader] = await server.states.format({
+      name: 'session',
+      value: 'valid-session-id'
+    })
+    sessionCookie = setCookieHeader.split(';')[0]
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers({ now: NOW, toFake: ['Date'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('POST /session/extend', () => {
+    test('Should report the extended expiry', async () => {
+      const session = {
+        session_id: 'valid-session-id',
+        created_at: NOW.toISOString(),
+        expires_at: '2026-03-12T09:45:00.000Z'
+      }
+      getSessionFromId.mockResolvedValueOnce(session)
+      extendSessionExpiry.mockResolvedValueOnce({
+        ...session,
+        expires_at: '2026-03-12T10:30:00.000Z'
+      })
+
+      const { statusCode, result, headers } = await server.inject({
+        method: 'POST',
+        url: '/session/extend',
+        headers: {
+          cookie: sessionCookie,
+          'x-csrf-token': csrfToken,
+          accept: 'application/json'
+        }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).toEqual({
+        expiresAt: '2026-03-12T10:30:00.000Z',
+        expiresIn: 1800
+      })
+      expect(headers['cache-control']).toBe('no-store')
+      expect(extendSessionExpiry).toHaveBeenCalledWith(session)
+    })
+
+    test('Should return 401 when the session has already ended', async () => {
+      getSessionFromId.mockResolvedValueOnce(null)
+
+      const { statusCode } = await server.inject({
+        method: 'POST',
+        url: '/session/extend',
+        headers: {
+          cookie: sessionCookie,
+          'x-csrf-token': csrfToken,
+          accept: 'application/json'
+        }
+      })
+
+      expect(statusCode).toBe(statusCodes.unauthorized)
+      expect(extendSessionExpiry).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('GET /session/timed-out', () => {
+    test('Should end the session and explain why the user was signed out', async () => {
+      expireSession.mockResolvedValueOnce(true)
+
+      const { statusCode, result, headers } = await server.inject({
+        method: 'GET',
+        url: '/session/timed-out',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(expireSession).toHaveBeenCalledWith('valid-session-id')
+      expect(result).toContain('You have been signed out')
+      expect(result).toContain('did not use the service for 30 minutes')
+      expect(result).toContain('href="/login"')
+      expect(result).not.toContain('app-timeout-warning')
+      expect(headers['set-cookie']).toEqual(
+        expect.arrayContaining([expect.stringMatching(/^session=;.*Max-Age=0/)])
+      )
+    })
+
+    test('Should leave an active session, and its cookie, alone', async () => {
+      // Given: The session has not reached its expiry
+      expireSession.mockResolvedValueOnce(false)
+
+      const { statusCode, result, headers } = await server.inject({
+        method: 'GET',
+        url: '/session/timed-out',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).toContain('You have been signed out')
+      expect(headers['set-cookie']).toBeUndefined()
+    })
+
+    test('Should not slide the session it is about to end', async () => {
+      await server.inject({
+        method: 'GET',
+        url: '/session/timed-out',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(extendSessionExpiry).not.toHaveBeenCalled()
+    })
+  })
+})
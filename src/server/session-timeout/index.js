@@ -0,0 +1,26 @@
+import { SESSION_TIMEOUT_ROUTES } from '../common/constants/session-timeout-constants.js'
+import { extendSessionController, timedOutController } from './controller.js'
+
+/**
+ * Sets up the routes behind the session timeout warning.
+ * These routes are registered in src/server/router.js.
+ */
+export const sessionTimeout = {
+  plugin: {
+    name: 'session-timeout',
+    register(server) {
+      server.route([
+        {
+          method: 'POST',
+          path: SESSION_TIMEOUT_ROUTES.EXTEND_PATH,
+          ...extendSessionController
+        },
+        {
+          method: 'GET',
+          path: SESSION_TIMEOUT_ROUTES.TIMED_OUT_PATH,
+          ...timedOutController
+        }
+      ])
+    }
+  }
+}
@@ -0,0 +1,204 @@
+import { ROLE_REQUIREMENTS } from '../common/constants/authentication-constants.js'
+import {
+  SESSION_MANAGEMENT_FIELDS,
+  SESSION_MANAGEMENT_MESSAGES,
+  SESSION_MANAGEMENT_ROUTES
+} from '../common/constants/session-management-constants.js'
+import {
+  getSignedInUser,
+  getSignedInUsers,
+  getUserSessions,
+  revokeAllSessions,
+  revokeOtherSessions,
+  revokeSession
+} from '../authentication/session-management-service.js'
+
+function buildUserPath(routePath, userId) {
+  return routePath.replace('{userId}', encodeURIComponent(userId))
+}
+
+function logSessionManagementError(request, message, errorCode, error) {
+  const requestId = request.info?.id || 'unknown'
+
+  request.log(['error'], {
+    level: 'ERROR',
+    message,
+    requestId,
+    traceId: request.headers?.['x-trace-id'] || requestId,
+    errorCode,
+    errorMessage: error.message,
+    decision: 'REDIRECT_TO_ROOT',
+    reason: 'Exception while reading or updating the session index'
+  })
+}
+
+/**
+ * Controller for the "Your sessions" page, listing where the user is signed in
+ * Open to every signed in user, whatever their roles
+ */
+export const yourSessionsController = {
+  handler: async (request, h) => {
+    const { user, sessionId } = request.auth.credentials
+
+    try {
+      const sessions = await getUserSessions(user?.oid, sessionId)
+
+      return h.view(SESSION_MANAGEMENT_ROUTES.YOUR_SESSIONS_VIEW_PATH, {
+        pageTitle: SESSION_MANAGEMENT_MESSAGES.YOUR_SESSIONS_TITLE,
+        sessions,
+        hasOtherSessions: sessions.some((session) => !session.current)
+      })
+    } catch (error) {
+      logSessionManagementError(
+        request,
+        'Error listing sessions',
+        'SESSIONS_LOAD_ERROR',
+        error
+      )
+      return h.redirect('/')
+    }
+  }
+}
+
+/**
+ * Controller for signing out of one of the user's other sessions
+ * The current session is ended by signing out instead
+ */
+export const revokeSessionController = {
+  handler: async (request, h) => {
+    const { user, sessionId } = request.auth.credentials
+    const publicId = request.payload?.[SESSION_MANAGEMENT_FIELDS.PUBLIC_ID]
+
+    try {
+      if (publicId) {
+        await revokeSession(user?.oid, String(publicId), sessionId)
+      }
+
+      return h.redirect(SESSION_MANAGEMENT_ROUTES.YOUR_SESSIONS_PATH)
+    } catch (error) {
+      logSessionManagementError(
+        request,
+        'Error revoking session',
+        'SESSION_REVOKE_ERROR',
+        error
+      )
+      return h.redirect('/')
+    }
+  }
+}
+
+/**
+ * Controller for signing out of every session except the current one
+ */
+export const revokeOtherSessionsController = {
+  handler: async (request, h) => {
+    const { user, sessionId } = request.auth.credentials
+
+    try {
+      await revokeOtherSessions(user?.oid, sessionId)
+
+      return h.redirect(SESSION_MANAGEMENT_ROUTES.YOUR_SESSIONS_PATH)
+    } catch (error) {
+      logSessionManagementError(
+        request,
+        'Error revoking other sessions',
+        'SESSION_REVOKE_ERROR',
+        error
+      )
+      return h.redirect('/')
+    }
+  }
+}
+
+/**
+ * Controller for the admin list of signed in users
+ */
+export const adminSessionsController = {
+  handler: async (request, h) => {
+    try {
+      const users = await getSignedInUsers()
+
+      return h.view(SESSION_MANAGEMENT_ROUTES.ADMIN_VIEW_PATH, {
+        pageTitle: SESSION_MANAGEMENT_MESSAGES.ADMIN_TITLE,
+        users: users.map((user) => ({
+          ...user,
+          sessionsPath: buildUserPath(
+            SESSION_MANAGEMENT_ROUTES.ADMIN_USER_PATH,
+            user.oid
+          )
+        }))
+      })
+    } catch (error) {
+      logSessionManagementError(
+        request,
+        'Error listing signed in users',
+        'SESSIONS_LOAD_ERROR',
+        error
+      )
+      return h.redirect('/')
+    }
+  },
+  options: {
+    auth: { scope: ROLE_REQUIREMENTS.ADMIN }
+  }
+}
+
+/**
+ * Controller for the admin view of one user's sessions
+ */
+export const adminUserSessionsController = {
+  handler: async (request, h) => {
+    const { userId } = request.params
+
+    try {
+      const signedInUser = await getSignedInUser(userId)
+
+      return h.view(SESSION_MANAGEMENT_ROUTES.ADMIN_USER_VIEW_PATH, {
+        pageTitle: signedInUser.name ?? signedInUser.email ?? userId,
+        signedInUser,
+        revokeAllPath: buildUserPath(
+          SESSION_MANAGEMENT_ROUTES.ADMIN_REVOKE_ALL_PATH,
+          userId
+        ),
+        backPath: SESSION_MANAGEMENT_ROUTES.ADMIN_PATH
+      })
+    } catch (error) {
+      logSessionManagementError(
+        request,
+        'Error listing sessions for a user',
+        'SESSIONS_LOAD_ERROR',
+        error
+      )
+      return h.redirect('/')
+    }
+  },
+  options: {
+    auth: { scope: ROLE_REQUIREMENTS.ADMIN }
+  }
+}
+
+/**
+ * Controller for ending every session a user has
+ */
+export const adminRevokeAllSessionsController = {
+  handler: async (request, h) => {
+    const { userId } = request.params
+
+    try {
+      await revokeAllSessions(userId, request.auth.credentials.user)
+
+      return h.redirect(SESSION_MANAGEMENT_ROUTES.ADMIN_PATH)
+    } catch (error) {
+      logSessionManagementError(
+        request,
+        'Error revoking all sessions for a user',
+        'SESSION_REVOKE_ERROR',
+        error
+      )
+      return h.redirect('/')
+    }
+  },
+  options: {
+    auth: { scope: ROLE_REQUIREMENTS.ADMIN }
+  }
+}
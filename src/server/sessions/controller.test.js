@@ -0,0 +1,284 @@
+import { vi } from 'vitest'
+import { createServer } from '../server.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+import { getSessionFromId } from '../authentication/authentication-service.js'
+import {
+  getSignedInUser,
+  getSignedInUsers,
+  getUserSessions,
+  revokeAllSessions,
+  revokeOtherSessions,
+  revokeSession
+} from '../authentication/session-management-service.js'
+import { issueCsrfToken } from '../common/helpers/csrf/csrf-token.js'
+
+// Mock the buildRedisClient function to return our mock
+vi.mock('../common/helpers/redis-client.js', () => {
+  const mockRedisClient = {
+    set: vi.fn().mockResolvedValue('OK'),
+    get: vi.fn().mockResolvedValue(null),
+    del: vi.fn().mockResolvedValue(1),
+    exists: vi.fn().mockResolvedValue(0),
+    on: vi.fn()
+  }
+
+  return {
+    buildRedisClient: vi.fn(() => mockRedisClient),
+    __mockRedisClient: mockRedisClient
+  }
+})
+
+// Mock authentication service
+vi.mock('../authentication/authentication-service.js', () => ({
+  getSessionFromId: vi.fn(),
+  extendSessionExpiry: vi.fn((session) => Promise.resolve(session))
+}))
+
+// Mock session management service
+vi.mock('../authentication/session-management-service.js', () => ({
+  getSignedInUser: vi.fn(),
+  getSignedInUsers: vi.fn(),
+  getUserSessions: vi.fn(),
+  revokeAllSessions: vi.fn(),
+  revokeOtherSessions: vi.fn(),
+  revokeSession: vi.fn()
+}))
+
+const RESEARCHER = { oid: 'user-oid', name: 'Rosa Researcher', roles: [] }
+const ADMIN = { oid: 'admin-oid', name: 'Adam Admin', roles: ['Admin'] }
+
+const SESSIONS = [
+  {
+    publicId: 'laptop-public-id',
+    device: { browser: 'Firefox', os: 'Windows' },
+    signedInAt: '2026-03-27T09:00:00.000Z',
+    lastActiveAt: '2026-03-27T09:30:00.000Z',
+    current: true
+  },
+  {
+    publicId: 'phone-public-id',
+    device: { browser: 'Safari', os: 'iPhone' },
+    signedInAt: '2026-03-26T14:00:00.000Z',
+    lastActiveAt: '2026-03-26T14:05:00.000Z',
+    current: false
+  }
+]
+
+describe('#sessionsController', () => {
+  let server
+  let sessionCookie
+  const csrfToken = issueCsrfToken('valid-session-id')
+
+  beforeAll(async () => {
+    server = await createServer()
+    await server.initialize()
+
+    const [setCookieHeader] = await server.states.format({
+      name: 'session',
+      value: 'valid-session-id'
+    })
+    sessionCookie = setCookieHeader.split(';')[0]
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+  })
+
+  function signInAs(user) {
+    getSessionFromId.mockResolvedValue({
+      session_id: 'valid-session-id',
+      session_token: 'valid-token',
+      user
+    })
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    signInAs(RESEARCHER)
+    getUserSessions.mockResolvedValue(SESSIONS)
+  })
+
+  describe('GET /account/sessions', () => {
+    test('Should list where the user is signed in, whatever their roles', async () => {
+      const { statusCode, result } = await server.inject({
+        method: 'GET',
+        url: '/account/sessions',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(getUserSessions).toHaveBeenCalledWith(
+        'user-oid',
+        'valid-session-id'
+      )
+      expect(result).toContain('Firefox on Windows')
+      expect(result).toContain('This device')
+      expect(result).toContain('Safari on iPhone')
+      expect(result).toContain('Sign out everywhere else')
+      expect(result).toContain('value="phone-public-id"')
+      expect(result).not.toContain('valid-session-id')
+    })
+
+    test('Should not offer to sign out elsewhere when there is nowhere else', async () => {
+      getUserSessions.mockResolvedValueOnce([SESSIONS[0]])
+
+      const { result } = await server.inject({
+        method: 'GET',
+        url: '/account/sessions',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(result).not.toContain('Sign out everywhere else')
+    })
+  })
+
+  describe('POST /account/sessions/revoke', () => {
+    test('Should sign out of another session', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'POST',
+        url: '/account/sessions/revoke',
+        headers: { cookie: sessionCookie, 'x-csrf-token': csrfToken },
+        payload: { publicId: 'phone-public-id' }
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/account/sessions')
+      expect(revokeSession).toHaveBeenCalledWith(
+        'user-oid',
+        'phone-public-id',
+        'valid-session-id'
+      )
+    })
+
+    test('Should not revoke anything without a public ID', async () => {
+      await server.inject({
+        method: 'POST',
+        url: '/account/sessions/revoke',
+        headers: { cookie: sessionCookie, 'x-csrf-token': csrfToken },
+        payload: {}
+      })
+
+      expect(revokeSession).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('POST /account/sessions/revoke-others', () => {
+    test('Should sign out everywhere except the current session', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'POST',
+        url: '/account/sessions/revoke-others',
+        headers: { cookie: sessionCookie, 'x-csrf-token': csrfToken }
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/account/sessions')
+      expect(revokeOtherSessions).toHaveBeenCalledWith(
+        'user-oid',
+        'valid-session-id'
+      )
+    })
+  })
+
+  describe('GET /admin/sessions', () => {
+    test('Should list signed in users for admins', async () => {
+      signInAs(ADMIN)
+      getSignedInUsers.mockResolvedValueOnce([
+        {
+          oid: 'user-oid',
+          name: 'Rosa Researcher',
+          email: 'rosa@example.com',
+          sessionCount: 2,
+          lastActiveAt: '2026-03-27T09:30:00.000Z'
+        }
+      ])
+
+      const { statusCode, result } = await server.inject({
+        method: 'GET',
+        url: '/admin/sessions',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).toContain('href="/admin/sessions/user-oid"')
+      expect(result).toContain('Rosa Researcher')
+    })
+
+    test('Should refuse users without the Admin role', async () => {
+      const { statusCode } = await server.inject({
+        method: 'GET',
+        url: '/admin/sessions',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.forbidden)
+      expect(getSignedInUsers).not.toHaveBeenCalled()
+    })
+
+    test('Should redirect to root when the session index cannot be read', async () => {
+      signInAs(ADMIN)
+      getSignedInUsers.mockRejectedValueOnce(
+        new Error('Redis connection failed')
+      )
+
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/admin/sessions',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/')
+    })
+  })
+
+  describe('GET /admin/sessions/{userId}', () => {
+    test('Should show where the user is signed in, without per-session actions', async () => {
+      signInAs(ADMIN)
+      getSignedInUser.mockResolvedValueOnce({
+        oid: 'user-oid',
+        name: 'Rosa Researcher',
+        email: 'rosa@example.com',
+        sessions: SESSIONS.map((session) => ({ ...session, current: false }))
+      })
+
+      const { statusCode, result } = await server.inject({
+        method: 'GET',
+        url: '/admin/sessions/user-oid',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(getSignedInUser).toHaveBeenCalledWith('user-oid')
+      expect(result).toContain('Safari on iPhone')
+      expect(result).toContain('action="/admin/sessions/user-oid/revoke-all"')
+      expect(result).not.toContain('/account/sessions/revoke')
+    })
+  })
+
+  describe('POST /admin/sessions/{userId}/revoke-all', () => {
+    test('Should end every session the user has', async () => {
+      signInAs(ADMIN)
+
+      const { statusCode, headers } = await server.inject({
+        method: 'POST',
+        url: '/admin/sessions/user-oid/revoke-all',
+        headers: { cookie: sessionCookie, 'x-csrf-token': csrfToken }
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/admin/sessions')
+      expect(revokeAllSessions).toHaveBeenCalledWith('user-oid', ADMIN)
+    })
+
+    test('Should refuse users without the Admin role', async () => {
+      const { statusCode } = await server.inject({
+        method: 'POST',
+        url: '/admin/sessions/user-oid/revoke-all',
+        headers: { cookie: sessionCookie, 'x-csrf-token': csrfToken }
+      })
+
+      expect(statusCode).toBe(statusCodes.forbidden)
+      expect(revokeAllSessions).not.toHaveBeenCalled()
+    })
+  })
+})
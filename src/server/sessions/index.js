@@ -0,0 +1,52 @@
+import { SESSION_MANAGEMENT_ROUTES } from '../common/constants/session-management-constants.js'
+import {
+  adminRevokeAllSessionsController,
+  adminSessionsController,
+  adminUserSessionsController,
+  revokeOtherSessionsController,
+  revokeSessionController,
+  yourSessionsController
+} from './controller.js'
+
+/**
+ * Sets up the routes for listing and revoking sessions, for users and admins
+ */
+export const sessions = {
+  plugin: {
+    name: 'sessions',
+    register(server) {
+      server.route([
+        {
+          method: 'GET',
+          path: SESSION_MANAGEMENT_ROUTES.YOUR_SESSIONS_PATH,
+          ...yourSessionsController
+        },
+        {
+          method: 'POST',
+          path: SESSION_MANAGEMENT_ROUTES.REVOKE_PATH,
+          ...revokeSessionController
+        },
+        {
+          method: 'POST',
+          path: SESSION_MANAGEMENT_ROUTES.REVOKE_OTHERS_PATH,
+          ...revokeOtherSessionsController
+        },
+        {
+          method: 'GET',
+          path: SESSION_MANAGEMENT_ROUTES.ADMIN_PATH,
+          ...adminSessionsController
+        },
+        {
+          method: 'GET',
+          path: SESSION_MANAGEMENT_ROUTES.ADMIN_USER_PATH,
+          ...adminUserSessionsController
+        },
+        {
+          method: 'POST',
+          path: SESSION_MANAGEMENT_ROUTES.ADMIN_REVOKE_ALL_PATH,
+          ...adminRevokeAllSessionsController
+        }
+      ])
+    }
+  }
+}
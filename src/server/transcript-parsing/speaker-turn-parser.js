@@ -0,0 +1,422 @@
+import {
+  ANONYMOUS_SPEAKER_LABELS,
+  NON_SPEAKER_LABELS,
+  PARTICIPANT_NUMBER_LABEL,
+  ROLE_SPEAKER_LABELS,
+  SPEAKER_LABEL_MAX_LENGTH,
+  SPEAKER_ROLES,
+  TRANSCRIPT_FORMATS
+} from '../common/constants/speaker-turn-constants.js'
+
+const TIMESTAMP = '\\d{1,2}:\\d{2}(?::\\d{2})?(?:[.,]\\d{1,3})?'
+const LABEL_FIRST_WORD = "[A-Z][\\w'’.-]*"
+const LABEL_WORD = "[A-Z0-9][\\w'’.-]*"
+const SPEAKER_LABEL = `${LABEL_FIRST_WORD}(?:[ \\t]+${LABEL_WORD}){0,3}(?:[ \\t]*\\([^()\\n]{1,40}\\))?`
+
+/**
+ * "Interviewer: Hello", "P1: Hi" or "[00:01:23] Sarah Jones: Hello"
+ */
+const LABELLED_LINE_PATTERN = new RegExp(
+  `^[ \\t]*(?:\\[?(${TIMESTAMP})\\]?[ \\t]+)?(${SPEAKER_LABEL})[ \\t]*:(?![\\d/])[ \\t]*`,
+  'd'
+)
+
+/**
+ * Teams "Sarah Jones  0:01:23" and Zoom "[Sarah Jones] 10:02:33" speaker headers
+ */
+const TEAMS_HEADER_PATTERN = new RegExp(
+  `^[ \\t]*(?:\\[([^\\]\\n]{1,${SPEAKER_LABEL_MAX_LENGTH}})\\][ \\t]+|([^\\s:\\[][^:\\n]{0,${SPEAKER_LABEL_MAX_LENGTH - 1}}?)(?:[ \\t]{2,}|\\t[ \\t]*))(${TIMESTAMP})[ \\t]*$`,
+  'd'
+)
+
+const WEBVTT_HEADER_PATTERN = /^\uFEFF?\s*WEBVTT/
+const VOICE_TAG_PATTERN = /<v(?:\.[^\s>]+)*\s+([^>]+)>/d
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&nbsp;': ' ',
+  '&lrm;': '',
+  '&rlm;': ''
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(?:amp|lt|gt|nbsp|lrm|rlm);/g, (entity) => {
+    return HTML_ENTITIES[entity]
+  })
+}
+
+/**
+ * Removes WebVTT and SRT cue markup such as <v Sarah>, <i> and &amp;
+ *
+ * @param {string} text - Cue text
+ * @returns {string} Plain cue text
+ */
+export function stripCueTags(text) {
+  return decodeEntities(text.replace(/<[^>]*>/g, ''))
+}
+
+/**
+ * Converts a timestamp such as "0:01:23", "01:23" or "00:00:01.500" to seconds
+ *
+ * @param {string} timestamp - Transcript or cue timestamp
+ * @returns {number} Offset from the start of the recording in seconds
+ */
+export function timestampToSeconds(timestamp) {
+  const [clock, fraction = '0'] = timestamp.split(/[.,]/)
+  const seconds = clock
+    .split(':')
+    .reduce((total, part) => total * 60 + Number(part), 0)
+
+  return seconds + Number(`0.${fraction}`)
+}
+
+function splitLines(text) {
+  const lines = []
+  let start = 0
+
+  for (const line of text.split('\n')) {
+    lines.push({ text: line.replace(/\r$/, ''), start })
+    start += line.length + 1
+  }
+
+  return lines
+}
+
+function matchLabelledLine(line) {
+  const match = line.text.match(LABELLED_LINE_PATTERN)
+  if (!match) {
+    return null
+  }
+
+  const label = match[2]
+  const firstWord = label.split(/[ \t(]/)[0].toLowerCase()
+  if (
+    NON_SPEAKER_LABELS.has(firstWord) ||
+    label.length > SPEAKER_LABEL_MAX_LENGTH
+  ) {
+    return null
+  }
+
+  return {
+    speaker: label,
+    speakerStart: line.start + match.indices[2][0],
+    timestamp: match[1] ?? null,
+    textStart: match[0].length
+  }
+}
+
+function matchTeamsHeader(line) {
+  const match = line.text.match(TEAMS_HEADER_PATTERN)
+  if (!match) {
+    return null
+  }
+
+  const labelGroup = match[1] ? 1 : 2
+  const speaker = match[labelGroup].trim()
+
+  return {
+    speaker,
+    speakerStart: line.start + match.indices[labelGroup][0],
+    timestamp: match[3],
+    textStart: line.text.length
+  }
+}
+
+function createTurn(line, turnStart) {
+  const text = line.text.slice(turnStart?.textStart ?? 0).trim()
+  const timestamp = turnStart?.timestamp ?? null
+
+  return {
+    speaker: turnStart?.speaker ?? null,
+    speakerStart: turnStart ? turnStart.speakerStart : null,
+    speakerEnd: turnStart
+      ? turnStart.speakerStart + turnStart.speaker.length
+      : null,
+    timestamp,
+    seconds: timestamp ? timestampToSeconds(timestamp) : null,
+    text,
+    start: line.start,
+    end: line.start + line.text.trimEnd().length
+  }
+}
+
+function appendLine(turn, line) {
+  const text = line.text.trim()
+  turn.text = turn.text === '' ? text : `${turn.text}\n${text}`
+  turn.end = line.start + line.text.trimEnd().length
+}
+
+/**
+ * Walks the transcript line by line, starting a new turn wherever a speaker
+ * label or header is found. Lines without a label continue the current turn,
+ * and unlabelled transcripts are split into paragraphs
+ */
+function parseLineTurns(lines, matchTurnStart) {
+  const turns = []
+  let current = null
+
+  for (const line of lines) {
+    const turnStart = matchTurnStart?.(line)
+
+    if (turnStart) {
+      current = createTurn(line, turnStart)
+      turns.push(current)
+    } else if (line.text.trim() === '') {
+      if (current?.speaker === null) {
+        current = null
+      }
+    } else if (current) {
+      appendLine(current, line)
+    } else {
+      current = createTurn(line, null)
+      turns.push(current)
+    }
+  }
+
+  return turns
+}
+
+/**
+ * Reads WebVTT cues, using <v Speaker> voice tags as speaker labels
+ * Consecutive cues from the same speaker become one turn
+ */
+function parseWebVttTurns(lines) {
+  const turns = []
+  let block = []
+
+  const readBlock = () => {
+    const timingIndex = block.findIndex((line) => line.text.includes('-->'))
+    const cueLines = block.slice(timingIndex + 1)
+
+    // Header, NOTE, STYLE and REGION blocks have no cue timing
+    if (timingIndex === -1 || cueLines.length === 0) {
+      return
+    }
+
+    const timestamp = block[timingIndex].text.trim().split(/\s+/)[0]
+    const cueText = cueLines.map((line) => line.text).join(' ')
+    const text = stripCueTags(cueText).replace(/\s+/g, ' ').trim()
+    const voiceLine = cueLines.find((line) => VOICE_TAG_PATTERN.test(line.text))
+    const voice = voiceLine?.text.match(VOICE_TAG_PATTERN)
+    const speaker = voice ? decodeEntities(voice[1].trim()) : null
+    const lastLine = cueLines[cueLines.length - 1]
+    const end = lastLine.start + lastLine.text.trimEnd().length
+    const previous = turns[turns.length - 1]
+
+    if (text === '') {
+      return
+    }
+
+    if (speaker && previous?.speaker === speaker) {
+      previous.text += ` ${text}`
+      previous.end = end
+      return
+    }
+
+    const speakerStart = voice ? voiceLine.start + voice.indices[1][0] : null
+
+    turns.push({
+      speaker,
+      speakerStart,
+      speakerEnd: voice ? speakerStart + voice[1].trimEnd().length : null,
+      timestamp,
+      seconds: timestampToSeconds(timestamp),
+      text,
+      start: block[0].start,
+      end
+    })
+  }
+
+  for (const line of lines) {
+    if (line.text.trim() === '') {
+      readBlock()
+      block = []
+    } else {
+      block.push(line)
+    }
+  }
+  readBlock()
+
+  return turns
+}
+
+/**
+ * Works out which transcript format has been used from the lines that
+ * look like speaker labels or headers
+ */
+export function detectTranscriptFormat(text) {
+  if (WEBVTT_HEADER_PATTERN.test(text)) {
+    return TRANSCRIPT_FORMATS.WEBVTT
+  }
+
+  const lines = splitLines(text)
+  const teamsHeaders = lines.filter(matchTeamsHeader).length
+  const labelledLines = lines.filter(matchLabelledLine).length
+
+  if (teamsHeaders > 0 && teamsHeaders >= labelledLines) {
+    return TRANSCRIPT_FORMATS.TEAMS
+  }
+
+  return labelledLines > 0
+    ? TRANSCRIPT_FORMATS.LABELLED
+    : TRANSCRIPT_FORMATS.UNLABELLED
+}
+
+function looksLikeName(text) {
+  return /^[A-Z][\w'’-]*(?:[ \t]+[A-Z][\w'’-]*){0,3}$/.test(text.trim())
+}
+
+/**
+ * Reads the role and personal name from a speaker label
+ * "Interviewer (Sarah)" is an interviewer called Sarah, "P1" is a participant
+ * with no name and "Sarah Jones" is a person whose role is not yet known
+ *
+ * @param {string} label - Speaker label as written in the transcript
+ * @returns {Object} The role given by the label, or null, and the personal name, or null
+ */
+export function describeSpeakerLabel(label) {
+  const qualifier = label.match(/\(([^()]*)\)\s*$/)?.[1].trim()
+  const base = label.replace(/\s*\([^()]*\)\s*$/, '').trim()
+  const lowerBase = base.toLowerCase()
+  const firstWord = lowerBase.split(/\s+/)[0]
+  const role = PARTICIPANT_NUMBER_LABEL.test(base)
+    ? SPEAKER_ROLES.PARTICIPANT
+    : (ROLE_SPEAKER_LABELS[lowerBase] ?? ROLE_SPEAKER_LABELS[firstWord] ?? null)
+
+  if (role || ANONYMOUS_SPEAKER_LABELS.has(firstWord)) {
+    return {
+      role,
+      name: qualifier && looksLikeName(qualifier) ? qualifier : null
+    }
+  }
+
+  return { role: null, name: base }
+}
+
+function asksQuestions(turn) {
+  return turn.text.includes('?')
+}
+
+/**
+ * Works out who is interviewing and who is taking part
+ * Roles given by labels such as "Interviewer" or "P1" are used first. Otherwise
+ * the speaker who asks the largest share of questions is taken to be the
+ * interviewer and everyone else a participant
+ *
+ * @param {Object[]} turns - Speaker turns in transcript order
+ * @returns {Object[]} One entry per speaker, in order of first appearance, with label, name, role and turn count
+ */
+export function identifySpeakerRoles(turns) {
+  const speakers = new Map()
+
+  turns.forEach((turn, index) => {
+    if (!turn.speaker) {
+      return
+    }
+
+    if (!speakers.has(turn.speaker)) {
+      speakers.set(turn.speaker, {
+        label: turn.speaker,
+        ...describeSpeakerLabel(turn.speaker),
+        turnCount: 0,
+        questionCount: 0,
+        firstTurn: index
+      })
+    }
+
+    const speaker = speakers.get(turn.speaker)
+    speaker.turnCount++
+    speaker.questionCount += asksQuestions(turn) ? 1 : 0
+  })
+
+  const allSpeakers = [...speakers.values()]
+  const unresolved = allSpeakers.filter((speaker) => speaker.role === null)
+  const hasRole = (role) => allSpeakers.some((speaker) => speaker.role === role)
+
+  if (!hasRole(SPEAKER_ROLES.INTERVIEWER) && unresolved.length > 0) {
+    const questionShare = (speaker) => speaker.questionCount / speaker.turnCount
+    const [candidate] = [...unresolved].sort(
+      (a, b) => questionShare(b) - questionShare(a) || a.firstTurn - b.firstTurn
+    )
+    const hasParticipant = hasRole(SPEAKER_ROLES.PARTICIPANT)
+
+    if (
+      hasParticipant ||
+      (unresolved.length > 1 && candidate.questionCount > 0)
+    ) {
+      candidate.role = SPEAKER_ROLES.INTERVIEWER
+    }
+  }
+
+  const fallbackRole = hasRole(SPEAKER_ROLES.INTERVIEWER)
+    ? SPEAKER_ROLES.PARTICIPANT
+    : SPEAKER_ROLES.UNKNOWN
+
+  return allSpeakers.map(({ label, name, role, turnCount }) => ({
+    label,
+    name,
+    role: role ?? fallbackRole,
+    turnCount
+  }))
+}
+
+/**
+ * Splits a transcript into speaker turns
+ * Understands "Interviewer:" and "P1:" prefixes, Teams and Zoom speaker
+ * headers with timestamps, and WebVTT cues with <v Speaker> voice tags
+ *
+ * @param {string} text - The transcript text
+ * @returns {Object} The detected format, the turns with their speaker, role,
+ * timestamp, text and offsets in the transcript, and the speakers with their roles
+ */
+export function parseSpeakerTurns(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { format: TRANSCRIPT_FORMATS.UNLABELLED, turns: [], speakers: [] }
+  }
+
+  const format = detectTranscriptFormat(text)
+  const lines = splitLines(text)
+  let turns
+
+  switch (format) {
+    case TRANSCRIPT_FORMATS.WEBVTT:
+      turns = parseWebVttTurns(lines)
+      break
+    case TRANSCRIPT_FORMATS.TEAMS:
+      turns = parseLineTurns(lines, matchTeamsHeader)
+      break
+    case TRANSCRIPT_FORMATS.LABELLED:
+      turns = parseLineTurns(lines, matchLabelledLine)
+      break
+    default:
+      turns = parseLineTurns(lines, null)
+  }
+
+  const speakers = identifySpeakerRoles(turns)
+  const roleByLabel = new Map(
+    speakers.map((speaker) => [speaker.label, speaker.role])
+  )
+
+  return {
+    format,
+    turns: turns.map((turn) => ({
+      ...turn,
+      role: roleByLabel.get(turn.speaker) ?? SPEAKER_ROLES.UNKNOWN
+    })),
+    speakers
+  }
+}
+
+/**
+ * Writes speaker turns back out as "Speaker: text" lines
+ *
+ * @param {Object[]} turns - Speaker turns
+ * @returns {string} Transcript text with one line per turn
+ */
+export function formatSpeakerTurns(turns) {
+  return turns
+    .map((turn) => (turn.speaker ? `${turn.speaker}: ${turn.text}` : turn.text))
+    .join('\n')
+}
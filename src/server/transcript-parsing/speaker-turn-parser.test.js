@@ -0,0 +1,308 @@
+import {
+  describeSpeakerLabel,
+  detectTranscriptFormat,
+  formatSpeakerTurns,
+  identifySpeakerRoles,
+  parseSpeakerTurns,
+  timestampToSeconds
+} from './speaker-turn-parser.js'
+
+const LABELLED_TRANSCRIPT = `Interviewer: Thanks for joining. Could you introduce yourself?
+P1: Hi, I'm Sarah.
+I farm near Leeds.
+Interviewer: How long have you farmed there?
+P1: About ten years.`
+
+const TEAMS_TRANSCRIPT = `Sarah Jones  0:00:03
+Thanks for joining. Can you tell me about your farm?
+
+Tom Okafor  0:00:09
+We keep sheep near Leeds.
+Mostly Texels.
+
+Sarah Jones  0:01:23
+How many do you have?`
+
+const WEBVTT_TRANSCRIPT = `WEBVTT
+
+00:00:01.000 --> 00:00:04.000
+<v Sarah Jones>How did you hear about the scheme?</v>
+
+00:00:04.500 --> 00:00:06.000
+<v Sarah Jones>And when?</v>
+
+00:00:07.000 --> 00:00:09.500
+<v Tom Okafor>From my neighbour, last spring.</v>
+`
+
+function speakersAndTexts(turns) {
+  return turns.map((turn) => [turn.speaker, turn.text])
+}
+
+describe('#speaker-turn-parser', () => {
+  describe('timestampToSeconds', () => {
+    test('Should convert transcript and cue timestamps to seconds', () => {
+      expect(timestampToSeconds('0:01:23')).toBe(83)
+      expect(timestampToSeconds('01:05')).toBe(65)
+      expect(timestampToSeconds('00:00:01.500')).toBe(1.5)
+      expect(timestampToSeconds('00:00:02,250')).toBe(2.25)
+    })
+  })
+
+  describe('detectTranscriptFormat', () => {
+    test('Should recognise each supported format', () => {
+      expect(detectTranscriptFormat(LABELLED_TRANSCRIPT)).toBe('labelled')
+      expect(detectTranscriptFormat(TEAMS_TRANSCRIPT)).toBe('teams')
+      expect(detectTranscriptFormat(WEBVTT_TRANSCRIPT)).toBe('webvtt')
+      expect(detectTranscriptFormat('Just some notes.\nNo speakers.')).toBe(
+        'unlabelled'
+      )
+    })
+
+    test('Should not treat times, links or metadata as speaker labels', () => {
+      expect(
+        detectTranscriptFormat(
+          'Date: 12 March\nWe met at 10:30 in the yard.\nSee https://example.com'
+        )
+      ).toBe('unlabelled')
+    })
+  })
+
+  describe('parseSpeakerTurns', () => {
+    test('Should split labelled transcripts into turns, joining continuation lines', () => {
+      const { format, turns } = parseSpeakerTurns(LABELLED_TRANSCRIPT)
+
+      expect(format).toBe('labelled')
+      expect(speakersAndTexts(turns)).toEqual([
+        ['Interviewer', 'Thanks for joining. Could you introduce yourself?'],
+        ['P1', "Hi, I'm Sarah.\nI farm near Leeds."],
+        ['Interviewer', 'How long have you farmed there?'],
+        ['P1', 'About ten years.']
+      ])
+      expect(turns[1].timestamp).toBeNull()
+    })
+
+    test('Should record offsets for each turn and speaker label', () => {
+      const { turns } = parseSpeakerTurns(LABELLED_TRANSCRIPT)
+      const [, participantTurn] = turns
+
+      expect(
+        LABELLED_TRANSCRIPT.slice(
+          participantTurn.speakerStart,
+          participantTurn.speakerEnd
+        )
+      ).toBe('P1')
+      expect(
+        LABELLED_TRANSCRIPT.slice(participantTurn.start, participantTurn.end)
+      ).toBe("P1: Hi, I'm Sarah.\nI farm near Leeds.")
+    })
+
+    test('Should read timestamps before labels', () => {
+      const { turns } = parseSpeakerTurns(
+        '[00:01:23] Interviewer: Hello\n00:01:30 Sarah Jones: Hi'
+      )
+
+      expect(turns.map((turn) => [turn.speaker, turn.seconds])).toEqual([
+        ['Interviewer', 83],
+        ['Sarah Jones', 90]
+      ])
+    })
+
+    test('Should parse Teams speaker blocks with timestamps', () => {
+      const { format, turns } = parseSpeakerTurns(TEAMS_TRANSCRIPT)
+
+      expect(format).toBe('teams')
+      expect(speakersAndTexts(turns)).toEqual([
+        ['Sarah Jones', 'Thanks for joining. Can you tell me about your farm?'],
+        ['Tom Okafor', 'We keep sheep near Leeds.\nMostly Texels.'],
+        ['Sarah Jones', 'How many do you have?']
+      ])
+      expect(turns.map((turn) => turn.timestamp)).toEqual([
+        '0:00:03',
+        '0:00:09',
+        '0:01:23'
+      ])
+      expect(
+        TEAMS_TRANSCRIPT.slice(turns[1].speakerStart, turns[1].speakerEnd)
+      ).toBe('Tom Okafor')
+    })
+
+    test('Should parse Zoom speaker headers', () => {
+      const { turns } = parseSpeakerTurns(
+        '[Sarah Jones] 10:02:33\nHello\n\n[Tom Okafor] 10:02:40\nHi'
+      )
+
+      expect(speakersAndTexts(turns)).toEqual([
+        ['Sarah Jones', 'Hello'],
+        ['Tom Okafor', 'Hi']
+      ])
+    })
+
+    test('Should use WebVTT voice tags and merge cues from the same speaker', () => {
+      const { format, turns } = parseSpeakerTurns(WEBVTT_TRANSCRIPT)
+
+      expect(format).toBe('webvtt')
+      expect(speakersAndTexts(turns)).toEqual([
+        ['Sarah Jones', 'How did you hear about the scheme? And when?'],
+        ['Tom Okafor', 'From my neighbour, last spring.']
+      ])
+      expect(turns[1].seconds).toBe(7)
+      expect(
+        WEBVTT_TRANSCRIPT.slice(turns[0].speakerStart, turns[0].speakerEnd)
+      ).toBe('Sarah Jones')
+    })
+
+    test('Should split unlabelled transcripts into paragraphs', () => {
+      const { turns } = parseSpeakerTurns(
+        'First paragraph\ncontinues here.\n\nSecond paragraph.'
+      )
+
+      expect(speakersAndTexts(turns)).toEqual([
+        [null, 'First paragraph\ncontinues here.'],
+        [null, 'Second paragraph.']
+      ])
+      expect(turns[0].role).toBe('unknown')
+    })
+
+    test('Should keep text before the first label as an unlabelled turn', () => {
+      const { turns } = parseSpeakerTurns(
+        'Recorded in March\nInterviewer: Hello'
+      )
+
+      expect(speakersAndTexts(turns)).toEqual([
+        [null, 'Recorded in March'],
+        ['Interviewer', 'Hello']
+      ])
+    })
+
+    test('Should return no turns for empty transcripts', () => {
+      expect(parseSpeakerTurns('  ')).toEqual({
+        format: 'unlabelled',
+        turns: [],
+        speakers: []
+      })
+      expect(parseSpeakerTurns(undefined).turns).toEqual([])
+    })
+
+    test('Should add each speaker role to their turns', () => {
+      const { turns, speakers } = parseSpeakerTurns(TEAMS_TRANSCRIPT)
+
+      expect(turns.map((turn) => turn.role)).toEqual([
+        'interviewer',
+        'participant',
+        'interviewer'
+      ])
+      expect(speakers).toEqual([
+        {
+          label: 'Sarah Jones',
+          name: 'Sarah Jones',
+          role: 'interviewer',
+          turnCount: 2
+        },
+        {
+          label: 'Tom Okafor',
+          name: 'Tom Okafor',
+          role: 'participant',
+          turnCount: 1
+        }
+      ])
+    })
+  })
+
+  describe('describeSpeakerLabel', () => {
+    test('Should read roles from generic labels', () => {
+      expect(describeSpeakerLabel('Interviewer')).toEqual({
+        role: 'interviewer',
+        name: null
+      })
+      expect(describeSpeakerLabel('P12')).toEqual({
+        role: 'participant',
+        name: null
+      })
+      expect(describeSpeakerLabel('Speaker 2')).toEqual({
+        role: null,
+        name: null
+      })
+    })
+
+    test('Should read names from labels', () => {
+      expect(describeSpeakerLabel('Interviewer (Sarah)')).toEqual({
+        role: 'interviewer',
+        name: 'Sarah'
+      })
+      expect(describeSpeakerLabel('P1 (farmer)')).toEqual({
+        role: 'participant',
+        name: null
+      })
+      expect(describeSpeakerLabel('Tom Okafor (Defra)')).toEqual({
+        role: null,
+        name: 'Tom Okafor'
+      })
+    })
+  })
+
+  describe('identifySpeakerRoles', () => {
+    function turn(speaker, text) {
+      return { speaker, text }
+    }
+
+    test('Should treat the speaker asking most questions as the interviewer', () => {
+      const speakers = identifySpeakerRoles([
+        turn('Tom', 'Hello.'),
+        turn('Sarah', 'What do you farm?'),
+        turn('Tom', 'Sheep.'),
+        turn('Sarah', 'How many?'),
+        turn('Tom', 'About 200. Why?')
+      ])
+
+      expect(speakers.map((speaker) => [speaker.label, speaker.role])).toEqual([
+        ['Tom', 'participant'],
+        ['Sarah', 'interviewer']
+      ])
+    })
+
+    test('Should prefer roles given by labels', () => {
+      const speakers = identifySpeakerRoles([
+        turn('Interviewer', 'Hello.'),
+        turn('Sarah', 'Why do you ask?'),
+        turn('Note-taker', 'Noted.')
+      ])
+
+      expect(speakers.map((speaker) => speaker.role)).toEqual([
+        'interviewer',
+        'participant',
+        'observer'
+      ])
+    })
+
+    test('Should name the other speaker as interviewer when only the participant is labelled', () => {
+      const speakers = identifySpeakerRoles([
+        turn('Sarah Jones', 'Thanks.'),
+        turn('P1', 'Hello.')
+      ])
+
+      expect(speakers.map((speaker) => speaker.role)).toEqual([
+        'interviewer',
+        'participant'
+      ])
+    })
+
+    test('Should leave roles unknown when they cannot be worked out', () => {
+      expect(
+        identifySpeakerRoles([turn('Sarah', 'Hello.'), turn('Tom', 'Hi.')]).map(
+          (speaker) => speaker.role
+        )
+      ).toEqual(['unknown', 'unknown'])
+    })
+  })
+
+  describe('formatSpeakerTurns', () => {
+    test('Should write turns as speaker-labelled lines', () => {
+      expect(
+        formatSpeakerTurns(parseSpeakerTurns(WEBVTT_TRANSCRIPT).turns)
+      ).toBe(
+        'Sarah Jones: How did you hear about the scheme? And when?\nTom Okafor: From my neighbour, last spring.'
+      )
+    })
+  })
+})
@@ -1,4 +1,63 @@
-import { getSessionFromId } from '../authentication/authentication-service.js'
+import { config } from '../../config/config.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+import { saveTranscriptDraft } from '../authentication/transcript-repository.js'
+import { ROLE_REQUIREMENTS } from '../common/constants/authentication-constants.js'
+import {
+  UPLOAD_DOCUMENT_FIELDS,
+  UPLOAD_DOCUMENT_MESSAGES,
+  UPLOAD_DOCUMENT_ROUTES,
+  UPLOAD_FORM_OVERHEAD_BYTES
+} from '../common/constants/upload-document-constants.js'
+import { REVIEW_PII_ROUTES } from '../common/constants/review-pii-constants.js'
+import { createTranscriptReview } from '../review-pii/review-service.js'
+import {
+  extractTranscriptFile,
+  formatFileSize,
+  isFileProvided
+} from './transcript-file-extractor.js'
+import { validateTranscriptSubmission } from './transcript-validator.js'
+
+/**
+ * Adds the configured upload limits to the upload document view context
+ * @param {Object} [formState] - Submitted values and errors to show
+ * @returns {Object} View context for the upload document template
+ */
+function buildUploadViewModel(formState = {}) {
+  return {
+    ...formState,
+    maxFileSize: formatFileSize(config.get('transcriptUpload.maxFileSize'))
+  }
+}
+
+/**
+ * Shows a GOV.UK file upload error when the request is bigger than the route allows
+ * Other payload errors are left for the default error handling
+ */
+function renderPayloadTooLarge(request, h, error) {
+  if (error.output?.statusCode !== statusCodes.payloadTooLarge) {
+    throw error
+  }
+
+  const viewModel = buildUploadViewModel()
+  const fileError = UPLOAD_DOCUMENT_MESSAGES.FILE_TOO_LARGE.replace(
+    '{size}',
+    viewModel.maxFileSize
+  )
+
+  return h
+    .view(UPLOAD_DOCUMENT_ROUTES.UPLOAD_VIEW_PATH, {
+      ...viewModel,
+      errors: { transcriptFile: fileError },
+      errorList: [
+        {
+          text: fileError,
+          href: `#${UPLOAD_DOCUMENT_FIELDS.TRANSCRIPT_FILE}`
+        }
+      ]
+    })
+    .code(statusCodes.payloadTooLarge)
+    .takeover()
+}
 
 /**
  * Controller for handling upload document requests
@@ -18,70 +77,131 @@ export const uploadDocumentController = {
     })
 
     try {
-      // Extract session ID from cookie
-      const sessionId = request.state.session
-
-      // If no session cookie, redirect to root
-      if (!sessionId) {
-        request.log(['info'], {
-          level: 'INFO',
-          message: 'No session cookie, redirecting to root',
-          requestId,
-          traceId,
-          decision: 'REDIRECT_TO_ROOT',
-          reason: 'Missing session cookie'
-        })
-        return h.redirect('/')
-      }
+      request.log(['info'], {
+        level: 'INFO',
+        message: 'Rendering upload document page',
+        requestId,
+        traceId,
+        decision: 'RENDER_PAGE',
+        reason: 'Session validated successfully'
+      })
 
-      request.log(['debug'], {
-        level: 'DEBUG',
-        message: 'Validating session for upload document access',
+      // Render upload document template for authenticated users
+      return h.view(
+        UPLOAD_DOCUMENT_ROUTES.UPLOAD_VIEW_PATH,
+        buildUploadViewModel()
+      )
+    } catch (error) {
+      request.log(['error'], {
+        level: 'ERROR',
+        message: 'Error accessing upload document page',
         requestId,
         traceId,
-        hasSessionCookie: true
+        errorCode: 'UPLOAD_PAGE_ERROR',
+        errorMessage: error.message,
+        decision: 'REDIRECT_TO_ROOT',
+        reason: 'Exception during page access'
       })
 
-      const session = await getSessionFromId(sessionId)
+      // If session validation fails, redirect to root
+      return h.redirect('/')
+    }
+  },
+  options: {
+    auth: { scope: ROLE_REQUIREMENTS.TRANSCRIPT_WORK }
+  }
+}
+
+/**
+ * Controller for handling transcript submissions from the upload document form
+ * Re-renders the form with GOV.UK error messages and the user's input when validation fails
+ */
+export const uploadDocumentSubmitController = {
+  handler: async (request, h) => {
+    const requestId = request.info?.id || 'unknown'
+    const traceId = request.headers?.['x-trace-id'] || requestId
 
-      // If session is invalid or expired, redirect to root
-      if (!session) {
+    request.log(['debug'], {
+      level: 'DEBUG',
+      message: 'Upload document form submitted',
+      requestId,
+      traceId,
+      path: UPLOAD_DOCUMENT_ROUTES.UPLOAD_PATH,
+      method: request.method
+    })
+
+    try {
+      const { sessionId } = request.auth.credentials
+
+      const transcriptFile =
+        request.payload?.[UPLOAD_DOCUMENT_FIELDS.TRANSCRIPT_FILE]
+      const uploadedFile = isFileProvided(transcriptFile)
+        ? await extractTranscriptFile(transcriptFile, {
+            maxFileSize: config.get('transcriptUpload.maxFileSize')
+          })
+        : undefined
+
+      const { values, errors, errorList, isValid } =
+        validateTranscriptSubmission(request.payload, uploadedFile)
+
+      if (!isValid) {
         request.log(['info'], {
           level: 'INFO',
-          message: 'Invalid session, redirecting to root',
+          message: 'Transcript submission failed validation',
           requestId,
           traceId,
-          decision: 'REDIRECT_TO_ROOT',
-          reason: 'Session not found or expired'
+          invalidFields: Object.keys(errors),
+          fileType: uploadedFile?.extension,
+          decision: 'RENDER_PAGE_WITH_ERRORS',
+          reason: 'Validation failed'
         })
-        return h.redirect('/')
+
+        return h.view(
+          UPLOAD_DOCUMENT_ROUTES.UPLOAD_VIEW_PATH,
+          buildUploadViewModel({ values, errors, errorList })
+        )
       }
 
+      const review = createTranscriptReview(values.transcriptText)
+      await saveTranscriptDraft(sessionId, review)
+
       request.log(['info'], {
         level: 'INFO',
-        message: 'Rendering upload document page',
+        message: 'Transcript submission accepted',
         requestId,
         traceId,
-        decision: 'RENDER_PAGE',
-        reason: 'Session validated successfully'
+        characterCount: values.transcriptText.length,
+        fileType: uploadedFile?.extension,
+        findingCount: review.findings.length,
+        decision: 'REDIRECT_TO_REVIEW',
+        reason: 'Validation passed'
       })
 
-      // Render upload document template for authenticated users
-      return h.view('upload-document/index')
+      return h.redirect(REVIEW_PII_ROUTES.REVIEW_PATH)
     } catch (error) {
       request.log(['error'], {
         level: 'ERROR',
-        message: 'Error accessing upload document page',
+        message: 'Error processing transcript submission',
         requestId,
         traceId,
-        errorCode: 'UPLOAD_PAGE_ERROR',
+        errorCode: 'UPLOAD_SUBMIT_ERROR',
         errorMessage: error.message,
         decision: 'REDIRECT_TO_ROOT',
-        reason: 'Exception during page access'
+        reason: 'Exception during transcript submission'
       })
 
-      // If session validation fails, redirect to root
       return h.redirect('/')
     }
+  },
+  options: {
+    auth: { scope: ROLE_REQUIREMENTS.TRANSCRIPT_WORK },
+    payload: {
+      output: 'data',
+      parse: true,
+      multipart: { output: 'annotated' },
+      maxBytes:
+        config.get('transcriptUpload.maxFileSize') + UPLOAD_FORM_OVERHEAD_BYTES,
+      failAction: renderPayloadTooLarge
+    }
   }
 }
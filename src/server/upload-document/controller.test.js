@@ -1,11 +1,58 @@
 import { vi } from 'vitest'
+import { load } from 'cheerio'
 import { createServer } from '../server.js'
+import { statusCodes } from '../common/constants/status-codes.js'
+import { UPLOAD_DOCUMENT_MESSAGES } from '../common/constants/upload-document-constants.js'
 import {
   createMockRequest,
   createMockH
 } from '../common/test-helpers/mock-request.js'
-import { getSessionFromId } from '../authentication/authentication-service.js'
-import { uploadDocumentController } from './controller.js'
+import {
+  extendSessionExpiry,
+  getSessionFromId
+} from '../authentication/authentication-service.js'
+import { saveTranscriptDraft } from '../authentication/transcript-repository.js'
+import {
+  uploadDocumentController,
+  uploadDocumentSubmitController
+} from './controller.js'
+import { issueCsrfToken } from '../common/helpers/csrf/csrf-token.js'
+
+function buildFormPayload(fields) {
+  const params = new URLSearchParams()
+  for (const [name, value] of Object.entries(fields)) {
+    for (const item of [].concat(value)) {
+      params.append(name, item)
+    }
+  }
+  return params.toString()
+}
+
+const MULTIPART_BOUNDARY = 'transcript-upload-boundary'
+
+function buildMultipartPayload(fields, file) {
+  const parts = []
+  for (const [name, value] of Object.entries(fields)) {
+    for (const item of [].concat(value)) {
+      parts.push(
+        `--${MULTIPART_BOUNDARY}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${item}\r\n`
+      )
+    }
+  }
+  if (file) {
+    parts.push(
+      `--${MULTIPART_BOUNDARY}\r\nContent-Disposition: form-data; name="transcript-file"; filename="${file.filename}"\r\nContent-Type: ${file.contentType}\r\n\r\n${file.content}\r\n`
+    )
+  }
+  parts.push(`--${MULTIPART_BOUNDARY}--\r\n`)
+  return parts.join('')
+}
+
+const ALL_CONFIRMATIONS = [
+  'informed-consent',
+  'gdpr-compliance',
+  'market-research'
+]
 
 // Mock the buildRedisClient function to return our mock
 vi.mock('../common/helpers/redis-client.js', () => {
@@ -25,7 +72,13 @@ vi.mock('../common/helpers/redis-client.js', () => {
 
 // Mock authentication service
 vi.mock('../authentication/authentication-service.js', () => ({
-  getSessionFromId: vi.fn()
+  getSessionFromId: vi.fn(),
+  extendSessionExpiry: vi.fn((session) => Promise.resolve(session))
+}))
+
+// Mock transcript repository
+vi.mock('../authentication/transcript-repository.js', () => ({
+  saveTranscriptDraft: vi.fn()
 }))
 
 describe('#uploadDocumentController', () => {
@@ -41,20 +94,24 @@ describe('#uploadDocumentController', () => {
   })
 
   describe('GET /upload-document', () => {
+    let sessionCookie
+
+    beforeAll(async () => {
+      const [setCookieHeader] = await server.states.format({
+        name: 'session',
+        value: 'valid-session-id'
+      })
+      sessionCookie = setCookieHeader.split(';')[0]
+    })
+
     beforeEach(() => {
       vi.clearAllMocks()
     })
 
     test('Should display upload document interface for authenticated users', async () => {
-      // Mock that getSession returns a valid session
-      getSessionFromId.mockResolvedValueOnce({
-        session_id: 'valid-session-id',
-        session_token: 'valid-token'
-      })
-
-      // Mock request with session state (HAPI handles cookie parsing)
+      // Credentials are set by the session auth strategy before the handler runs
       const mockRequest = createMockRequest({
-        state: { session: 'valid-session-id' }
+        credentials: { sessionId: 'valid-session-id' }
       })
       const mockH = createMockH({
         view: vi.fn().mockReturnValue('upload-document-content')
@@ -63,82 +120,381 @@ describe('#uploadDocumentController', () => {
       // Call controller directly to test logic
       const result = await uploadDocumentController.handler(mockRequest, mockH)
 
-      expect(mockH.view).toHaveBeenCalledWith('upload-document/index')
+      expect(mockH.view).toHaveBeenCalledWith('upload-document/index', {
+        maxFileSize: '2MB'
+      })
       expect(result).toBe('upload-document-content')
-      expect(getSessionFromId).toHaveBeenCalledWith('valid-session-id')
     })
 
-    test('Should redirect to root route when user is not authenticated', async () => {
-      // Mock that getSession returns null (no valid session)
+    test('Should redirect to login when user is not authenticated', async () => {
       getSessionFromId.mockResolvedValueOnce(null)
 
-      // Mock request with session state (HAPI handles cookie parsing)
-      const mockRequest = createMockRequest({
-        state: { session: 'invalid-session-id' }
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/upload-document',
+        headers: { cookie: sessionCookie }
       })
-      const mockH = createMockH()
-
-      // Call controller directly to test logic
-      const result = await uploadDocumentController.handler(mockRequest, mockH)
 
-      expect(mockH.redirect).toHaveBeenCalledWith('/')
-      expect(result).toBe('redirect-response')
-      expect(getSessionFromId).toHaveBeenCalledWith('invalid-session-id')
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/login?returnTo=%2Fupload-document')
+      expect(getSessionFromId).toHaveBeenCalledWith('valid-session-id')
     })
 
-    test('Should redirect to root route when no session cookie present', async () => {
-      // Mock request without session state
-      const mockRequest = createMockRequest()
-      const mockH = createMockH()
-
-      // Call controller directly to test logic
-      const result = await uploadDocumentController.handler(mockRequest, mockH)
+    test('Should redirect to login when no session cookie present', async () => {
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/upload-document'
+      })
 
-      expect(mockH.redirect).toHaveBeenCalledWith('/')
-      expect(result).toBe('redirect-response')
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/login?returnTo=%2Fupload-document')
+      expect(getSessionFromId).not.toHaveBeenCalled()
     })
 
-    test('Should redirect to root route when session validation fails', async () => {
-      // Mock that getSession throws an error (Redis connection issue)
+    test('Should redirect to login when session validation fails', async () => {
       getSessionFromId.mockRejectedValueOnce(
         new Error('Redis connection failed')
       )
 
-      // Mock request with session state
-      const mockRequest = createMockRequest({
-        state: { session: 'some-session-id' }
+      const { statusCode, headers } = await server.inject({
+        method: 'GET',
+        url: '/upload-document',
+        headers: { cookie: sessionCookie }
       })
-      const mockH = createMockH()
-
-      // Call controller directly to test logic
-      const result = await uploadDocumentController.handler(mockRequest, mockH)
 
-      expect(mockH.redirect).toHaveBeenCalledWith('/')
-      expect(result).toBe('redirect-response')
-      expect(getSessionFromId).toHaveBeenCalledWith('some-session-id')
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/login?returnTo=%2Fupload-document')
     })
 
     test('Should validate session on every request', async () => {
-      // Mock that getSession returns a valid session
+      getSessionFromId.mockResolvedValue({
+        session_id: 'valid-session-id',
+        session_token: 'valid-token',
+        user: { oid: 'user-oid', roles: ['Researcher'] },
+        expires_at: new Date(Date.now() + 1800000).toISOString()
+      })
+
+      const { statusCode, result } = await server.inject({
+        method: 'GET',
+        url: '/upload-document',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(getSessionFromId).toHaveBeenCalledWith('valid-session-id')
+      expect(getSessionFromId).toHaveBeenCalledTimes(1)
+      expect(extendSessionExpiry).toHaveBeenCalledTimes(1)
+      expect(result).toContain('data-module="app-timeout-warning"')
+    })
+
+    test('Should refuse signed in users without a role', async () => {
       getSessionFromId.mockResolvedValueOnce({
         session_id: 'valid-session-id',
-        session_token: 'valid-token'
+        session_token: 'valid-token',
+        user: { oid: 'user-oid', roles: [] }
+      })
+
+      const { statusCode, result } = await server.inject({
+        method: 'GET',
+        url: '/upload-document',
+        headers: { cookie: sessionCookie }
+      })
+
+      expect(statusCode).toBe(statusCodes.forbidden)
+      expect(result).toContain('You do not have access to this page')
+      expect(result).toContain(
+        'Check with your team that you should have access'
+      )
+    })
+  })
+
+  describe('POST /upload-document', () => {
+    let sessionCookie
+    const csrfToken = issueCsrfToken('valid-session-id')
+
+    beforeAll(async () => {
+      const [setCookieHeader] = await server.states.format({
+        name: 'session',
+        value: 'valid-session-id'
+      })
+      sessionCookie = setCookieHeader.split(';')[0]
+    })
+
+    beforeEach(() => {
+      vi.clearAllMocks()
+      getSessionFromId.mockResolvedValue({
+        session_id: 'valid-session-id',
+        session_token: 'valid-token',
+        user: { oid: 'user-oid', roles: ['Researcher'] }
       })
+    })
 
-      // Mock request with session state
+    async function submitForm(fields) {
       const mockRequest = createMockRequest({
-        state: { session: 'test-session-id' }
+        credentials: { sessionId: 'valid-session-id' },
+        method: 'POST'
       })
-      const mockH = createMockH({
-        view: vi.fn().mockReturnValue('upload-document-content')
+      mockRequest.payload = fields
+      const mockH = createMockH()
+
+      await uploadDocumentSubmitController.handler(mockRequest, mockH)
+
+      return mockH
+    }
+
+    test('Should scan a valid transcript and redirect to the review step', async () => {
+      const mockH = await submitForm({
+        'transcript-text': 'Interviewer: Thanks for joining, Sarah',
+        'data-protection': ALL_CONFIRMATIONS
       })
 
-      // Call controller directly to test logic
-      await uploadDocumentController.handler(mockRequest, mockH)
+      expect(saveTranscriptDraft).toHaveBeenCalledWith(
+        'valid-session-id',
+        expect.objectContaining({
+          transcript_text: 'Interviewer: Thanks for joining, Sarah',
+          findings: [
+            expect.objectContaining({
+              id: 'finding-1',
+              type: 'name',
+              text: 'Sarah',
+              status: 'pending'
+            })
+          ]
+        })
+      )
+      expect(mockH.redirect).toHaveBeenCalledWith('/review-pii')
+      expect(mockH.view).not.toHaveBeenCalled()
+    })
 
-      // Verify that session validation was called
-      expect(getSessionFromId).toHaveBeenCalledWith('test-session-id')
-      expect(getSessionFromId).toHaveBeenCalledTimes(1)
+    test('Should not save a draft when validation fails', async () => {
+      await submitForm({ 'transcript-text': '' })
+
+      expect(saveTranscriptDraft).not.toHaveBeenCalled()
+    })
+
+    test('Should re-render the form with errors and keep the user input', async () => {
+      const mockH = await submitForm({
+        'transcript-text': 'Interviewer: Thanks for joining',
+        'data-protection': 'informed-consent'
+      })
+
+      expect(mockH.view).toHaveBeenCalledWith('upload-document/index', {
+        values: {
+          transcriptText: 'Interviewer: Thanks for joining',
+          dataProtection: ['informed-consent']
+        },
+        errors: {
+          dataProtection: UPLOAD_DOCUMENT_MESSAGES.DATA_PROTECTION_REQUIRED
+        },
+        errorList: [
+          {
+            text: UPLOAD_DOCUMENT_MESSAGES.DATA_PROTECTION_REQUIRED,
+            href: '#informed-consent'
+          }
+        ],
+        maxFileSize: '2MB'
+      })
+    })
+
+    test('Should redirect to login when user is not authenticated', async () => {
+      getSessionFromId.mockResolvedValueOnce(null)
+
+      const { statusCode, headers } = await server.inject({
+        method: 'POST',
+        url: '/upload-document',
+        headers: {
+          'content-type': 'application/x-www-form-urlencoded',
+          cookie: sessionCookie,
+          'x-csrf-token': csrfToken
+        },
+        payload: buildFormPayload({
+          'transcript-text': 'Interviewer: Thanks for joining',
+          'data-protection': ALL_CONFIRMATIONS
+        })
+      })
+
+      expect(statusCode).toBe(statusCodes.redirect)
+      expect(headers.location).toBe('/login')
+      expect(saveTranscriptDraft).not.toHaveBeenCalled()
+    })
+
+    test('Should return 401 to API clients without a session', async () => {
+      const { statusCode } = await server.inject({
+        method: 'POST',
+        url: '/upload-document',
+        headers: { accept: 'application/json' }
+      })
+
+      expect(statusCode).toBe(statusCodes.unauthorized)
+      expect(getSessionFromId).not.toHaveBeenCalled()
+    })
+
+    test('Should render error summary and inline errors for an empty form', async () => {
+      const { statusCode, result } = await server.inject({
+        method: 'POST',
+        url: '/upload-document',
+        headers: {
+          'content-type': 'application/x-www-form-urlencoded',
+          cookie: sessionCookie,
+          'x-csrf-token': csrfToken
+        },
+        payload: buildFormPayload({ 'transcript-text': '   ' })
+      })
+
+      expect(statusCode).toBe(statusCodes.ok)
+      expect(result).toContain('Error: Enter interview transcript')
+      expect(result).toContain('govuk-error-summary')
+      expect(result).toContain('href="#transcript-text"')
+      expect(result).toContain('govuk-textarea--error')
+      expect(result).toContain(UPLOAD_DOCUMENT_MESSAGES.TRANSCRIPT_REQUIRED)
+      expect(result).toContain(
+        UPLOAD_DOCUMENT_MESSAGES.DATA_PROTECTION_REQUIRED
+      )
+    })
+
+    test('Should keep the transcript and ticked checkboxes when re-rendering', async () => {
+      const { result } = await server.inject({
+        method: 'POST',
+        url: '/upload-document',
+        headers: {
+          'content-type': 'application/x-www-form-urlencoded',
+          cookie: sessionCookie,
+          'x-csrf-token': csrfToken
+        },
+        payload: buildFormPayload({
+          'transcript-text': 'P1: <script>alert(1)</script>',
+          'data-protection': ['gdpr-compliance']
+        })
+      })
+
+      expect(result).toContain('P1: &lt;script&gt;alert(1)&lt;/script&gt;')
+      expect(result).toContain('value="gdpr-compliance" checked')
+      expect(result).not.toContain('value="informed-consent" checked')
+    })
+
+    describe('With an uploaded file', () => {
+      function uploadFile(payload) {
+        return server.inject({
+          method: 'POST',
+          url: '/upload-document',
+          headers: {
+            'content-type': `multipart/form-data; boundary=${MULTIPART_BOUNDARY}`,
+            cookie: sessionCookie,
+            'x-csrf-token': csrfToken
+          },
+          payload
+        })
+      }
+
+      test('Should scan text extracted from a WebVTT file', async () => {
+        const { statusCode, headers } = await uploadFile(
+          buildMultipartPayload(
+            { 'transcript-text': '', 'data-protection': ALL_CONFIRMATIONS },
+            {
+              filename: 'meeting.vtt',
+              contentType: 'text/vtt',
+              content:
+                'WEBVTT\r\n\r\n00:00:01.000 --> 00:00:02.000\r\n<v Interviewer>Thanks for joining, Sarah</v>'
+            }
+          )
+        )
+
+        expect(statusCode).toBe(statusCodes.redirect)
+        expect(headers.location).toBe('/review-pii')
+        expect(saveTranscriptDraft).toHaveBeenCalledWith(
+          'valid-session-id',
+          expect.objectContaining({
+            transcript_text: 'Interviewer: Thanks for joining, Sarah'
+          })
+        )
+      })
+
+      test('Should show an error for unsupported file types', async () => {
+        const { statusCode, result } = await uploadFile(
+          buildMultipartPayload(
+            { 'transcript-text': '', 'data-protection': ALL_CONFIRMATIONS },
+            {
+              filename: 'transcript.rtf',
+              contentType: 'application/rtf',
+              content: '{\\rtf1 Hello}'
+            }
+          )
+        )
+
+        expect(statusCode).toBe(statusCodes.ok)
+        expect(result).toContain('href="#transcript-file"')
+        expect(result).toContain('govuk-file-upload--error')
+        expect(result).toContain(UPLOAD_DOCUMENT_MESSAGES.FILE_TYPE_INVALID)
+        expect(saveTranscriptDraft).not.toHaveBeenCalled()
+      })
+
+      test('Should accept a corrected file after a file submission fails validation', async () => {
+        const file = {
+          filename: 'transcript.txt',
+          contentType: 'text/plain',
+          content: 'Interviewer: Thanks for joining, Sarah'
+        }
+
+        // Given: The first upload is missing the data protection confirmations
+        const { result } = await uploadFile(
+          buildMultipartPayload({ 'transcript-text': '' }, file)
+        )
+        const pastedText = load(result)('#transcript-text').val()
+
+        expect(result).toContain(
+          UPLOAD_DOCUMENT_MESSAGES.DATA_PROTECTION_REQUIRED
+        )
+        expect(pastedText).toBe('')
+
+        // When: The file is submitted again with the form as it was rendered
+        const { statusCode, headers } = await uploadFile(
+          buildMultipartPayload(
+            {
+              'transcript-text': pastedText,
+              'data-protection': ALL_CONFIRMATIONS
+            },
+            file
+          )
+        )
+
+        // Then: The textarea did not block the upload
+        expect(statusCode).toBe(statusCodes.redirect)
+        expect(headers.location).toBe('/review-pii')
+      })
+
+      test('Should treat an empty file input as no file', async () => {
+        const { result } = await uploadFile(
+          buildMultipartPayload(
+            { 'transcript-text': '', 'data-protection': ALL_CONFIRMATIONS },
+            {
+              filename: '',
+              contentType: 'application/octet-stream',
+              content: ''
+            }
+          )
+        )
+
+        expect(result).toContain(UPLOAD_DOCUMENT_MESSAGES.TRANSCRIPT_REQUIRED)
+        expect(result).not.toContain('href="#transcript-file"')
+      })
+
+      test('Should show a file size error when the upload is too large', async () => {
+        const { statusCode, result } = await uploadFile(
+          buildMultipartPayload(
+            { 'data-protection': ALL_CONFIRMATIONS },
+            {
+              filename: 'transcript.txt',
+              contentType: 'text/plain',
+              content: 'a'.repeat(3 * 1024 * 1024)
+            }
+          )
+        )
+
+        expect(statusCode).toBe(statusCodes.payloadTooLarge)
+        expect(result).toContain('href="#transcript-file"')
+        expect(result).toContain('The selected file must be smaller than 2MB')
+        expect(saveTranscriptDraft).not.toHaveBeenCalled()
+      })
     })
   })
 })
@@ -1,4 +1,7 @@
-import { uploadDocumentController } from './controller.js'
+import {
+  uploadDocumentController,
+  uploadDocumentSubmitController
+} from './controller.js'
 
 /**
  * Sets up the upload document routes
@@ -12,6 +15,11 @@ export const uploadDocument = {
           method: 'GET',
           path: '/upload-document',
           ...uploadDocumentController
+        },
+        {
+          method: 'POST',
+          path: '/upload-document',
+          ...uploadDocumentSubmitController
         }
       ])
     }
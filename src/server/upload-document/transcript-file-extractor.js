@@ -0,0 +1,208 @@
+import path from 'node:path'
+
+import mammoth from 'mammoth'
+import { extractText, getDocumentProxy } from 'unpdf'
+
+import {
+  TRANSCRIPT_FILE_TYPES,
+  UPLOAD_DOCUMENT_MESSAGES
+} from '../common/constants/upload-document-constants.js'
+import {
+  formatSpeakerTurns,
+  parseSpeakerTurns,
+  stripCueTags
+} from '../transcript-parsing/speaker-turn-parser.js'
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04])
+const PDF_SIGNATURE = Buffer.from('%PDF-')
+const UTF8_BOM = '\uFEFF'
+
+/**
+ * Formats a byte count for error messages, for example 2097152 becomes "2MB"
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+export function formatFileSize(bytes) {
+  const megabytes = bytes / (1024 * 1024)
+  if (megabytes >= 1) {
+    return `${Number(megabytes.toFixed(1))}MB`
+  }
+  return `${Math.ceil(bytes / 1024)}KB`
+}
+
+function decodeUtf8(buffer) {
+  const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer)
+
+  if (text.includes('\u0000')) {
+    throw new Error('Text file contains binary data')
+  }
+
+  return text.startsWith(UTF8_BOM) ? text.slice(1) : text
+}
+
+function splitBlocks(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .map((block) => block.split('\n').filter((line) => line.trim() !== ''))
+    .filter((lines) => lines.length > 0)
+}
+
+/**
+ * Extracts spoken text from a WebVTT file
+ * Voice tags such as <v Sarah Jones> become "Sarah Jones:" speaker labels
+ *
+ * @param {string} text - The WebVTT file contents
+ * @returns {string} Transcript text
+ */
+export function extractWebVttText(text) {
+  return formatSpeakerTurns(parseSpeakerTurns(text).turns)
+}
+
+/**
+ * Extracts spoken text from a SubRip (.srt) file
+ *
+ * @param {string} text - The SRT file contents
+ * @returns {string} Transcript text
+ */
+export function extractSrtText(text) {
+  return splitBlocks(text)
+    .map((lines) => {
+      const timingIndex = lines.findIndex((line) => line.includes('-->'))
+      return stripCueTags(lines.slice(timingIndex + 1).join(' '))
+        .replace(/\s+/g, ' ')
+        .trim()
+    })
+    .filter((line) => line !== '')
+    .join('\n')
+}
+
+async function extractDocxText(buffer) {
+  const { value } = await mammoth.extractRawText({ buffer })
+  return value.replace(/\n{2,}/g, '\n').trim()
+}
+
+async function extractPdfText(buffer) {
+  const document = await getDocumentProxy(new Uint8Array(buffer))
+  const { text } = await extractText(document, { mergePages: true })
+  return text
+}
+
+const EXTRACTORS = {
+  '.txt': async (buffer) => decodeUtf8(buffer),
+  '.vtt': async (buffer) => extractWebVttText(decodeUtf8(buffer)),
+  '.srt': async (buffer) => extractSrtText(decodeUtf8(buffer)),
+  '.docx': extractDocxText,
+  '.pdf': extractPdfText
+}
+
+/**
+ * Checks the file contents match the extension, so a renamed file is rejected
+ */
+function hasExpectedSignature(extension, buffer) {
+  switch (extension) {
+    case '.docx':
+      return buffer.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)
+    case '.pdf':
+      return buffer.subarray(0, PDF_SIGNATURE.length).equals(PDF_SIGNATURE)
+    case '.vtt':
+      return buffer
+        .toString('utf8', 0, 10)
+        .replace(UTF8_BOM, '')
+        .startsWith('WEBVTT')
+    default:
+      return true
+  }
+}
+
+/**
+ * Converts the multipart payload to a buffer
+ * hapi parses parts with text and JSON content types, and represents an empty
+ * part with a content type as an empty object
+ */
+function toBuffer(payload) {
+  if (Buffer.isBuffer(payload)) {
+    return payload
+  }
+
+  if (typeof payload === 'string') {
+    return Buffer.from(payload)
+  }
+
+  if (payload && Object.keys(payload).length === 0) {
+    return Buffer.alloc(0)
+  }
+
+  return null
+}
+
+function getContentType(file) {
+  return (file.headers?.['content-type'] ?? '')
+    .split(';')[0]
+    .trim()
+    .toLowerCase()
+}
+
+/**
+ * Reports whether the form included a file
+ * Browsers send a part with an empty file name when no file was chosen
+ *
+ * @param {*} file - The annotated multipart file field
+ * @returns {boolean} True when a file was chosen
+ */
+export function isFileProvided(file) {
+  return Boolean(file?.filename)
+}
+
+/**
+ * Checks an uploaded transcript file and extracts its text
+ *
+ * @param {Object} file - Annotated multipart file with filename, headers and payload
+ * @param {Object} options
+ * @param {number} options.maxFileSize - Maximum file size in bytes
+ * @returns {Promise<Object>} { text, extension } on success or { error, extension } when the file is rejected
+ */
+export async function extractTranscriptFile(file, { maxFileSize }) {
+  const extension = path.extname(file.filename ?? '').toLowerCase()
+  const allowedContentTypes = TRANSCRIPT_FILE_TYPES[extension]
+  const buffer = toBuffer(file.payload)
+
+  if (!allowedContentTypes || !buffer) {
+    return { error: UPLOAD_DOCUMENT_MESSAGES.FILE_TYPE_INVALID, extension }
+  }
+
+  if (buffer.length > maxFileSize) {
+    return {
+      error: UPLOAD_DOCUMENT_MESSAGES.FILE_TOO_LARGE.replace(
+        '{size}',
+        formatFileSize(maxFileSize)
+      ),
+      extension
+    }
+  }
+
+  if (buffer.length === 0) {
+    return { error: UPLOAD_DOCUMENT_MESSAGES.FILE_EMPTY, extension }
+  }
+
+  if (
+    !allowedContentTypes.includes(getContentType(file)) ||
+    !hasExpectedSignature(extension, buffer)
+  ) {
+    return { error: UPLOAD_DOCUMENT_MESSAGES.FILE_TYPE_INVALID, extension }
+  }
+
+  let text
+  try {
+    text = await EXTRACTORS[extension](buffer)
+  } catch {
+    return { error: UPLOAD_DOCUMENT_MESSAGES.FILE_UNREADABLE, extension }
+  }
+
+  if (text.trim() === '') {
+    return { error: UPLOAD_DOCUMENT_MESSAGES.FILE_HAS_NO_TEXT, extension }
+  }
+
+  return { text, extension }
+}
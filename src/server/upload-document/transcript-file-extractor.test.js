@@ -0,0 +1,271 @@
+import { Document, Packer, Paragraph } from 'docx'
+
+import {
+  extractSrtText,
+  extractTranscriptFile,
+  extractWebVttText,
+  formatFileSize,
+  isFileProvided
+} from './transcript-file-extractor.js'
+import { UPLOAD_DOCUMENT_MESSAGES } from '../common/constants/upload-document-constants.js'
+
+const MAX_FILE_SIZE = 1024 * 1024
+
+/**
+ * Builds a minimal single page PDF with one text line per entry
+ */
+function buildPdf(lines) {
+  const content = [
+    'BT',
+    '/F1 12 Tf',
+    '72 720 Td',
+    '14 TL',
+    ...lines.map((line) => `(${line}) Tj T*`),
+    'ET'
+  ].join('\n')
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ]
+  const offsets = []
+  let pdf = '%PDF-1.4\n'
+
+  objects.forEach((object, index) => {
+    offsets.push(pdf.length)
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`
+  })
+
+  const xrefOffset = pdf.length
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`)
+    .join('')
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+  return Buffer.from(pdf, 'latin1')
+}
+
+function buildFile(filename, contentType, payload) {
+  return {
+    filename,
+    headers: { 'content-type': contentType },
+    payload: Buffer.isBuffer(payload) ? payload : Buffer.from(payload)
+  }
+}
+
+function extract(file) {
+  return extractTranscriptFile(file, { maxFileSize: MAX_FILE_SIZE })
+}
+
+const TEAMS_VTT = `WEBVTT
+
+NOTE Recorded in Teams
+
+0f2a-1
+00:00:01.000 --> 00:00:04.000
+<v Sarah Jones>Thanks for joining &amp; welcome.</v>
+
+0f2a-2
+00:00:04.500 --> 00:00:06.000
+<v Sarah Jones>Can you introduce yourself?</v>
+
+0f2a-3
+00:00:07.000 --> 00:00:09.000
+<v.participant Tom Okafor>I'm Tom, I farm near Leeds.</v>
+`
+
+describe('#transcript-file-extractor', () => {
+  describe('formatFileSize', () => {
+    test('Should describe sizes in megabytes or kilobytes', () => {
+      expect(formatFileSize(2 * 1024 * 1024)).toBe('2MB')
+      expect(formatFileSize(1.5 * 1024 * 1024)).toBe('1.5MB')
+      expect(formatFileSize(500 * 1024)).toBe('500KB')
+    })
+  })
+
+  describe('isFileProvided', () => {
+    test('Should ignore the empty part browsers send when no file is chosen', () => {
+      expect(isFileProvided({ filename: '', headers: {}, payload: {} })).toBe(
+        false
+      )
+      expect(isFileProvided(undefined)).toBe(false)
+      expect(isFileProvided(buildFile('a.txt', 'text/plain', 'x'))).toBe(true)
+    })
+  })
+
+  describe('extractWebVttText', () => {
+    test('Should turn voice tags into speaker labels and join cues from the same speaker', () => {
+      expect(extractWebVttText(TEAMS_VTT)).toBe(
+        [
+          'Sarah Jones: Thanks for joining & welcome. Can you introduce yourself?',
+          "Tom Okafor: I'm Tom, I farm near Leeds."
+        ].join('\n')
+      )
+    })
+
+    test('Should keep cues without voice tags as plain lines', () => {
+      expect(
+        extractWebVttText(
+          'WEBVTT\n\n00:01.000 --> 00:02.000\n<i>Hello</i>\nthere\n\n00:03.000 --> 00:04.000\nBye'
+        )
+      ).toBe('Hello there\nBye')
+    })
+  })
+
+  describe('extractSrtText', () => {
+    test('Should drop cue numbers and timings', () => {
+      const srt =
+        '1\r\n00:00:01,000 --> 00:00:02,000\r\nInterviewer: Hello\r\n\r\n2\r\n00:00:03,000 --> 00:00:05,000\r\nP1: Hi, I am\r\n<b>Priya</b>\r\n'
+
+      expect(extractSrtText(srt)).toBe('Interviewer: Hello\nP1: Hi, I am Priya')
+    })
+  })
+
+  describe('extractTranscriptFile', () => {
+    test('Should read UTF-8 text files and strip the byte order mark', async () => {
+      const result = await extract(
+        buildFile('notes.TXT', 'text/plain', '\uFEFFP1: Café visit')
+      )
+
+      expect(result).toEqual({ text: 'P1: Café visit', extension: '.txt' })
+    })
+
+    test('Should accept text payloads that hapi has already decoded', async () => {
+      const result = await extract({
+        filename: 'notes.txt',
+        headers: { 'content-type': 'text/plain' },
+        payload: 'P1: Hello'
+      })
+
+      expect(result.text).toBe('P1: Hello')
+    })
+
+    test('Should extract WebVTT files', async () => {
+      const result = await extract(
+        buildFile('meeting.vtt', 'text/vtt', TEAMS_VTT)
+      )
+
+      expect(result.text).toContain('Tom Okafor: I')
+    })
+
+    test('Should extract Word documents', async () => {
+      const document = new Document({
+        sections: [
+          {
+            children: [
+              new Paragraph({ text: 'Interviewer: Hello' }),
+              new Paragraph({ text: 'P1: My name is Sarah' })
+            ]
+          }
+        ]
+      })
+      const result = await extract(
+        buildFile(
+          'transcript.docx',
+          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+          await Packer.toBuffer(document)
+        )
+      )
+
+      expect(result.text).toBe('Interviewer: Hello\nP1: My name is Sarah')
+    })
+
+    test('Should extract text-based PDFs', async () => {
+      const result = await extract(
+        buildFile(
+          'transcript.pdf',
+          'application/pdf',
+          buildPdf(['Interviewer: Hello', 'P1: My name is Sarah'])
+        )
+      )
+
+      expect(result.text).toBe('Interviewer: Hello\nP1: My name is Sarah')
+    })
+
+    test('Should reject PDFs without a text layer', async () => {
+      const result = await extract(
+        buildFile('scan.pdf', 'application/pdf', buildPdf([]))
+      )
+
+      expect(result.error).toBe(UPLOAD_DOCUMENT_MESSAGES.FILE_HAS_NO_TEXT)
+    })
+
+    test('Should reject unsupported file extensions', async () => {
+      const result = await extract(
+        buildFile('transcript.doc', 'application/msword', 'text')
+      )
+
+      expect(result).toEqual({
+        error: UPLOAD_DOCUMENT_MESSAGES.FILE_TYPE_INVALID,
+        extension: '.doc'
+      })
+    })
+
+    test('Should reject files whose content type does not match the extension', async () => {
+      const result = await extract(
+        buildFile('transcript.txt', 'application/pdf', 'text')
+      )
+
+      expect(result.error).toBe(UPLOAD_DOCUMENT_MESSAGES.FILE_TYPE_INVALID)
+    })
+
+    test('Should reject files whose contents do not match the extension', async () => {
+      const renamedPdf = await extract(
+        buildFile('transcript.pdf', 'application/pdf', 'Just some text')
+      )
+      const renamedText = await extract(
+        buildFile('captions.vtt', 'text/vtt', '1\n00:01 --> 00:02\nHi')
+      )
+
+      expect(renamedPdf.error).toBe(UPLOAD_DOCUMENT_MESSAGES.FILE_TYPE_INVALID)
+      expect(renamedText.error).toBe(UPLOAD_DOCUMENT_MESSAGES.FILE_TYPE_INVALID)
+    })
+
+    test('Should reject files over the size limit', async () => {
+      const result = await extract(
+        buildFile('big.txt', 'text/plain', Buffer.alloc(MAX_FILE_SIZE + 1, 97))
+      )
+
+      expect(result.error).toBe('The selected file must be smaller than 1MB')
+    })
+
+    test('Should reject empty files', async () => {
+      const result = await extract({
+        filename: 'empty.txt',
+        headers: { 'content-type': 'text/plain' },
+        payload: {}
+      })
+
+      expect(result.error).toBe(UPLOAD_DOCUMENT_MESSAGES.FILE_EMPTY)
+    })
+
+    test('Should reject files that cannot be decoded', async () => {
+      const binary = await extract(
+        buildFile('transcript.txt', 'text/plain', Buffer.from([0xff, 0xfe]))
+      )
+      const damagedWord = await extract(
+        buildFile(
+          'transcript.docx',
+          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+          Buffer.from('PK\u0003\u0004 not really a zip')
+        )
+      )
+
+      expect(binary.error).toBe(UPLOAD_DOCUMENT_MESSAGES.FILE_UNREADABLE)
+      expect(damagedWord.error).toBe(UPLOAD_DOCUMENT_MESSAGES.FILE_UNREADABLE)
+    })
+
+    test('Should reject payloads hapi parsed as structured data', async () => {
+      const result = await extract({
+        filename: 'transcript.txt',
+        headers: { 'content-type': 'application/json' },
+        payload: { text: 'hello' }
+      })
+
+      expect(result.error).toBe(UPLOAD_DOCUMENT_MESSAGES.FILE_TYPE_INVALID)
+    })
+  })
+})
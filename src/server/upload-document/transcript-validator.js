@@ -0,0 +1,128 @@
+import {
+  DATA_PROTECTION_CONFIRMATIONS,
+  TRANSCRIPT_LIMITS,
+  UPLOAD_DOCUMENT_FIELDS,
+  UPLOAD_DOCUMENT_MESSAGES
+} from '../common/constants/upload-document-constants.js'
+
+/**
+ * Normalises the submitted transcript text
+ * Browsers submit textarea line breaks as CRLF, which would otherwise count twice
+ * against the character limit shown on the page
+ * @param {*} value - The raw transcript field value
+ * @returns {string} The transcript text with normalised line endings
+ */
+export function normaliseTranscriptText(value) {
+  if (typeof value !== 'string') {
+    return ''
+  }
+
+  return value.replace(/\r\n?/g, '\n')
+}
+
+/**
+ * Normalises the submitted data protection checkboxes into an array
+ * A single ticked checkbox is submitted as a string rather than an array
+ * @param {*} value - The raw checkbox field value
+ * @returns {string[]} The ticked checkbox values
+ */
+export function normaliseDataProtection(value) {
+  if (value === null || value === undefined) {
+    return []
+  }
+
+  return [].concat(value).filter((item) => typeof item === 'string')
+}
+
+function validateUploadedFile(pastedText, uploadedFile) {
+  if (pastedText.trim() !== '') {
+    return {
+      transcriptText: '',
+      error: UPLOAD_DOCUMENT_MESSAGES.FILE_AND_TEXT_PROVIDED
+    }
+  }
+
+  if (uploadedFile.error) {
+    return { transcriptText: '', error: uploadedFile.error }
+  }
+
+  const transcriptText = normaliseTranscriptText(uploadedFile.text)
+
+  return {
+    transcriptText,
+    error:
+      transcriptText.length > TRANSCRIPT_LIMITS.MAX_CHARACTERS
+        ? UPLOAD_DOCUMENT_MESSAGES.FILE_TEXT_TOO_LONG
+        : undefined
+  }
+}
+
+/**
+ * Validates a transcript submission from the upload document form
+ * Text extracted from an uploaded file is checked in place of the pasted text
+ * When the submission is invalid only pasted text is echoed back, as text from
+ * a file would fill the textarea and block uploading a corrected file
+ * @param {Object} payload - The parsed form payload
+ * @param {Object} [uploadedFile] - Result of extracting an uploaded file, when one was chosen
+ * @returns {Object} The normalised values, field errors keyed by field name and an error list for the summary
+ */
+export function validateTranscriptSubmission(payload = {}, uploadedFile) {
+  const pastedText = normaliseTranscriptText(
+    payload?.[UPLOAD_DOCUMENT_FIELDS.TRANSCRIPT_TEXT]
+  )
+  const dataProtection = normaliseDataProtection(
+    payload?.[UPLOAD_DOCUMENT_FIELDS.DATA_PROTECTION]
+  )
+
+  const errors = {}
+  const errorList = []
+  let transcriptText = pastedText
+
+  if (uploadedFile) {
+    const fileResult = validateUploadedFile(pastedText, uploadedFile)
+    transcriptText = fileResult.transcriptText
+
+    if (fileResult.error) {
+      errors.transcriptFile = fileResult.error
+      errorList.push({
+        text: errors.transcriptFile,
+        href: `#${UPLOAD_DOCUMENT_FIELDS.TRANSCRIPT_FILE}`
+      })
+    }
+  } else if (pastedText.trim() === '') {
+    errors.transcriptText = UPLOAD_DOCUMENT_MESSAGES.TRANSCRIPT_REQUIRED
+  } else if (pastedText.length > TRANSCRIPT_LIMITS.MAX_CHARACTERS) {
+    errors.transcriptText = UPLOAD_DOCUMENT_MESSAGES.TRANSCRIPT_TOO_LONG
+  }
+
+  if (errors.transcriptText) {
+    errorList.push({
+      text: errors.transcriptText,
+      href: `#${UPLOAD_DOCUMENT_FIELDS.TRANSCRIPT_TEXT}`
+    })
+  }
+
+  const allConfirmed = Object.values(DATA_PROTECTION_CONFIRMATIONS).every(
+    (confirmation) => dataProtection.includes(confirmation)
+  )
+
+  if (!allConfirmed) {
+    errors.dataProtection = UPLOAD_DOCUMENT_MESSAGES.DATA_PROTECTION_REQUIRED
+    errorList.push({
+      text: errors.dataProtection,
+      href: `#${DATA_PROTECTION_CONFIRMATIONS.INFORMED_CONSENT}`
+    })
+  }
+
+  const isValid = errorList.length === 0
+
+  return {
+    values: {
+      transcriptText: isValid ? transcriptText : pastedText,
+      dataProtection
+    },
+    errors,
+    errorList,
+    isValid
+  }
+}
@@ -0,0 +1,227 @@
+import {
+  normaliseDataProtection,
+  normaliseTranscriptText,
+  validateTranscriptSubmission
+} from './transcript-validator.js'
+import {
+  TRANSCRIPT_LIMITS,
+  UPLOAD_DOCUMENT_MESSAGES
+} from '../common/constants/upload-document-constants.js'
+
+const ALL_CONFIRMATIONS = [
+  'informed-consent',
+  'gdpr-compliance',
+  'market-research'
+]
+
+describe('#transcript-validator', () => {
+  describe('normaliseTranscriptText', () => {
+    test('Should convert CRLF line endings to LF', () => {
+      expect(normaliseTranscriptText('line one\r\nline two\rline three')).toBe(
+        'line one\nline two\nline three'
+      )
+    })
+
+    test('Should return empty string for non-string values', () => {
+      expect(normaliseTranscriptText(undefined)).toBe('')
+      expect(normaliseTranscriptText(['text'])).toBe('')
+    })
+  })
+
+  describe('normaliseDataProtection', () => {
+    test('Should wrap a single checkbox value in an array', () => {
+      expect(normaliseDataProtection('informed-consent')).toEqual([
+        'informed-consent'
+      ])
+    })
+
+    test('Should return empty array when nothing is ticked', () => {
+      expect(normaliseDataProtection(undefined)).toEqual([])
+    })
+  })
+
+  describe('validateTranscriptSubmission', () => {
+    test('Should accept a valid submission', () => {
+      const result = validateTranscriptSubmission({
+        'transcript-text': 'Interviewer: Hello',
+        'data-protection': ALL_CONFIRMATIONS
+      })
+
+      expect(result.isValid).toBe(true)
+      expect(result.errors).toEqual({})
+      expect(result.errorList).toEqual([])
+      expect(result.values).toEqual({
+        transcriptText: 'Interviewer: Hello',
+        dataProtection: ALL_CONFIRMATIONS
+      })
+    })
+
+    test('Should reject empty transcript text', () => {
+      const result = validateTranscriptSubmission({
+        'transcript-text': '',
+        'data-protection': ALL_CONFIRMATIONS
+      })
+
+      expect(result.isValid).toBe(false)
+      expect(result.errors.transcriptText).toBe(
+        UPLOAD_DOCUMENT_MESSAGES.TRANSCRIPT_REQUIRED
+      )
+      expect(result.errorList).toEqual([
+        {
+          text: UPLOAD_DOCUMENT_MESSAGES.TRANSCRIPT_REQUIRED,
+          href: '#transcript-text'
+        }
+      ])
+    })
+
+    test('Should reject whitespace-only transcript text', () => {
+      const result = validateTranscriptSubmission({
+        'transcript-text': '   \r\n\t  ',
+        'data-protection': ALL_CONFIRMATIONS
+      })
+
+      expect(result.isValid).toBe(false)
+      expect(result.errors.transcriptText).toBe(
+        UPLOAD_DOCUMENT_MESSAGES.TRANSCRIPT_REQUIRED
+      )
+    })
+
+    test('Should accept transcript text at the character limit', () => {
+      const result = validateTranscriptSubmission({
+        'transcript-text': 'a'.repeat(TRANSCRIPT_LIMITS.MAX_CHARACTERS),
+        'data-protection': ALL_CONFIRMATIONS
+      })
+
+      expect(result.isValid).toBe(true)
+    })
+
+    test('Should reject transcript text over the character limit', () => {
+      const result = validateTranscriptSubmission({
+        'transcript-text': 'a'.repeat(TRANSCRIPT_LIMITS.MAX_CHARACTERS + 1),
+        'data-protection': ALL_CONFIRMATIONS
+      })
+
+      expect(result.isValid).toBe(false)
+      expect(result.errors.transcriptText).toBe(
+        UPLOAD_DOCUMENT_MESSAGES.TRANSCRIPT_TOO_LONG
+      )
+    })
+
+    test('Should count CRLF line breaks as a single character', () => {
+      const halfLimit = TRANSCRIPT_LIMITS.MAX_CHARACTERS / 2
+      const result = validateTranscriptSubmission({
+        'transcript-text': `${'a'.repeat(halfLimit - 1)}\r\n${'b'.repeat(halfLimit)}`,
+        'data-protection': ALL_CONFIRMATIONS
+      })
+
+      expect(result.isValid).toBe(true)
+    })
+
+    test('Should require every data protection confirmation', () => {
+      const result = validateTranscriptSubmission({
+        'transcript-text': 'Interviewer: Hello',
+        'data-protection': ['informed-consent', 'gdpr-compliance']
+      })
+
+      expect(result.isValid).toBe(false)
+      expect(result.errors.dataProtection).toBe(
+        UPLOAD_DOCUMENT_MESSAGES.DATA_PROTECTION_REQUIRED
+      )
+      expect(result.errorList).toEqual([
+        {
+          text: UPLOAD_DOCUMENT_MESSAGES.DATA_PROTECTION_REQUIRED,
+          href: '#informed-consent'
+        }
+      ])
+    })
+
+    test('Should ignore unexpected data protection values', () => {
+      const result = validateTranscriptSubmission({
+        'transcript-text': 'Interviewer: Hello',
+        'data-protection': ['informed-consent', 'something-else']
+      })
+
+      expect(result.isValid).toBe(false)
+      expect(result.errors.dataProtection).toBeDefined()
+    })
+
+    test('Should report every invalid field when payload is missing', () => {
+      const result = validateTranscriptSubmission(null)
+
+      expect(result.isValid).toBe(false)
+      expect(Object.keys(result.errors)).toEqual([
+        'transcriptText',
+        'dataProtection'
+      ])
+      expect(result.errorList).toHaveLength(2)
+    })
+
+    test('Should use text extracted from an uploaded file', () => {
+      const result = validateTranscriptSubmission(
+        { 'transcript-text': '', 'data-protection': ALL_CONFIRMATIONS },
+        { text: 'Interviewer: Hello\r\nP1: Hi', extension: '.txt' }
+      )
+
+      expect(result.isValid).toBe(true)
+      expect(result.values.transcriptText).toBe('Interviewer: Hello\nP1: Hi')
+    })
+
+    test('Should show file errors against the file upload field', () => {
+      const result = validateTranscriptSubmission(
+        { 'data-protection': ALL_CONFIRMATIONS },
+        { error: UPLOAD_DOCUMENT_MESSAGES.FILE_TYPE_INVALID, extension: '.doc' }
+      )
+
+      expect(result.isValid).toBe(false)
+      expect(result.errors).toEqual({
+        transcriptFile: UPLOAD_DOCUMENT_MESSAGES.FILE_TYPE_INVALID
+      })
+      expect(result.errorList).toEqual([
+        {
+          text: UPLOAD_DOCUMENT_MESSAGES.FILE_TYPE_INVALID,
+          href: '#transcript-file'
+        }
+      ])
+    })
+
+    test('Should reject a file and pasted text submitted together', () => {
+      const result = validateTranscriptSubmission(
+        {
+          'transcript-text': 'Interviewer: Hello',
+          'data-protection': ALL_CONFIRMATIONS
+        },
+        { text: 'P1: Hi', extension: '.txt' }
+      )
+
+      expect(result.errors.transcriptFile).toBe(
+        UPLOAD_DOCUMENT_MESSAGES.FILE_AND_TEXT_PROVIDED
+      )
+      expect(result.values.transcriptText).toBe('Interviewer: Hello')
+    })
+
+    test('Should reject files with more text than the character limit', () => {
+      const result = validateTranscriptSubmission(
+        { 'data-protection': ALL_CONFIRMATIONS },
+        {
+          text: 'a'.repeat(TRANSCRIPT_LIMITS.MAX_CHARACTERS + 1),
+          extension: '.pdf'
+        }
+      )
+
+      expect(result.errors.transcriptFile).toBe(
+        UPLOAD_DOCUMENT_MESSAGES.FILE_TEXT_TOO_LONG
+      )
+      expect(result.values.transcriptText).toBe('')
+    })
+
+    test('Should not echo text extracted from a file when another field is invalid', () => {
+      const result = validateTranscriptSubmission(
+        { 'transcript-text': '' },
+        { text: 'Interviewer: Hello', extension: '.txt' }
+      )
+
+      expect(result.errors.dataProtection).toBeDefined()
+      expect(result.values.transcriptText).toBe('')
+    })
+  })
+})